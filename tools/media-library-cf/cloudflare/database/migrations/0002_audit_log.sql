@@ -0,0 +1,35 @@
+-- DA Media Library Database Schema
+-- Migration: 0002_audit_log.sql
+
+-- Append-only record of every change to the media system, one row per changed key
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tenant_id TEXT NOT NULL, -- org/site
+  request_id TEXT NOT NULL, -- groups the rows written by one request
+  actor TEXT NOT NULL, -- token subject, or email when the token has no subject
+  actor_role TEXT, -- viewer, author, librarian, admin
+  source TEXT NOT NULL DEFAULT 'gateway', -- gateway, da
+  action TEXT NOT NULL, -- cleanup.junk-assets, preview-scan, roles.update, metadata.save, etc.
+  target_key TEXT NOT NULL, -- KV key or DA path of the changed record
+  before_snapshot TEXT, -- JSON: record before the change, NULL when created
+  after_snapshot TEXT, -- JSON: record after the change, NULL when deleted
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX idx_audit_time ON audit_log(tenant_id, created_at);
+CREATE INDEX idx_audit_actor ON audit_log(tenant_id, actor, created_at);
+CREATE INDEX idx_audit_target ON audit_log(tenant_id, target_key);
+CREATE INDEX idx_audit_request ON audit_log(request_id);
+
+-- Rows can only be added
+CREATE TRIGGER audit_log_no_update
+BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER audit_log_no_delete
+BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
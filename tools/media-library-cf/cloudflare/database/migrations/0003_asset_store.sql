@@ -0,0 +1,67 @@
+-- DA Media Library Database Schema
+-- Migration: 0003_asset_store.sql
+
+-- asset_metadata was never written before this migration. It is rebuilt keyed per tenant,
+-- because image IDs come from the image URL and several sites can use the same URL.
+DROP VIEW active_assets;
+DROP VIEW asset_analytics;
+DROP TRIGGER asset_soft_delete_cleanup;
+DROP TABLE asset_metadata;
+
+-- One row per image, holding the full record the API returns
+CREATE TABLE asset_metadata (
+  id TEXT NOT NULL,
+  tenant_id TEXT NOT NULL, -- org/site
+  asset_path TEXT NOT NULL, -- image URL
+  asset_name TEXT NOT NULL,
+  content_type TEXT,
+  file_size INTEGER,
+  dimensions TEXT, -- JSON: {"width": 1920, "height": 1080}
+  ai_analysis TEXT, -- JSON: AI analysis results
+  tags TEXT, -- JSON array of tags
+  categories TEXT, -- JSON array of categories
+  similarity_hash TEXT, -- SHA-256 of the file bytes, for duplicate detection
+  is_external INTEGER NOT NULL DEFAULT 0,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  first_seen TEXT,
+  last_seen TEXT,
+  record TEXT NOT NULL, -- JSON: full image record
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  status TEXT DEFAULT 'active', -- active, inactive, broken, deleted
+  PRIMARY KEY (tenant_id, id)
+);
+
+CREATE INDEX idx_asset_status ON asset_metadata(tenant_id, status, id);
+CREATE INDEX idx_asset_updated ON asset_metadata(updated_at);
+CREATE INDEX idx_asset_path ON asset_metadata(tenant_id, asset_path);
+CREATE INDEX idx_asset_hash ON asset_metadata(tenant_id, similarity_hash);
+CREATE INDEX idx_asset_external ON asset_metadata(tenant_id, is_external, status);
+CREATE INDEX idx_asset_last_seen ON asset_metadata(tenant_id, last_seen);
+
+CREATE VIEW active_assets AS
+SELECT * FROM asset_metadata
+WHERE status = 'active';
+
+CREATE VIEW asset_analytics AS
+SELECT
+  am.id,
+  am.tenant_id,
+  am.asset_name,
+  am.content_type,
+  COUNT(au.id) as usage_count,
+  MAX(au.timestamp) as last_used,
+  COUNT(DISTINCT au.user_id) as unique_users
+FROM asset_metadata am
+LEFT JOIN asset_usage au ON am.id = au.asset_id AND am.tenant_id = au.tenant_id
+WHERE am.status = 'active'
+GROUP BY am.id, am.tenant_id, am.asset_name, am.content_type;
+
+CREATE TRIGGER asset_soft_delete_cleanup
+AFTER INSERT ON asset_removals
+WHEN NEW.removal_type = 'cleanup_soft' AND NEW.scheduled_for <= datetime('now')
+BEGIN
+  UPDATE asset_metadata
+  SET status = 'inactive', updated_at = datetime('now')
+  WHERE id = NEW.asset_id AND tenant_id = NEW.tenant_id;
+END;
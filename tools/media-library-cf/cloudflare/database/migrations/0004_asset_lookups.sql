@@ -0,0 +1,32 @@
+-- DA Media Library Database Schema
+-- Migration: 0004_asset_lookups.sql
+
+-- Secondary lookups for asset listings: by domain, by content hash and by page path.
+-- The page path lookup goes through asset_usage(tenant_id, document_path).
+ALTER TABLE asset_metadata ADD COLUMN domain TEXT; -- host name of the image URL
+ALTER TABLE asset_metadata ADD COLUMN content_hash TEXT; -- SHA-256 of the file bytes
+
+-- Rows written before this migration kept the SHA-256 in similarity_hash, which is meant
+-- for a perceptual hash: move it to content_hash
+UPDATE asset_metadata
+SET content_hash = json_extract(record, '$.contentHash'),
+  similarity_hash = json_extract(record, '$.perceptualHash');
+
+-- Host of the rows written before this migration: text between :// and the next / or :
+UPDATE asset_metadata
+SET domain = lower(substr(asset_path, instr(asset_path, '://') + 3))
+WHERE instr(asset_path, '://') > 0;
+
+UPDATE asset_metadata
+SET domain = substr(domain, 1, instr(domain, '/') - 1)
+WHERE instr(domain, '/') > 0;
+
+UPDATE asset_metadata
+SET domain = substr(domain, 1, instr(domain, ':') - 1)
+WHERE instr(domain, ':') > 0;
+
+DROP INDEX idx_asset_hash;
+CREATE INDEX idx_asset_hash ON asset_metadata(tenant_id, content_hash, status);
+CREATE INDEX idx_asset_domain ON asset_metadata(tenant_id, domain, status);
+DROP INDEX idx_usage_document;
+CREATE INDEX idx_usage_document ON asset_usage(tenant_id, document_path, asset_id);
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * DA Media Library Local Token Script
+ *
+ * Stands in for the DA/IMS token issuer during local development and tests:
+ * - Generates an RS256 signing key pair
+ * - Writes its public JWKS to .dev.vars as AUTH_JWKS, which `wrangler dev` loads
+ * - Prints a bearer token granting the given sites
+ *
+ * Usage: node scripts/create-dev-token.js org/site [org/site ...] [--ttl seconds]
+ * Each run replaces the key, so tokens from earlier runs stop verifying.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { webcrypto } from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..');
+const DEV_VARS = join(PROJECT_ROOT, '.dev.vars');
+const DEFAULT_TTL_SECONDS = 8 * 60 * 60;
+const KEY_ID = 'local-dev';
+
+function encodeBase64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function parseArgs(argv) {
+  const sites = [];
+  let ttl = DEFAULT_TTL_SECONDS;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--ttl') {
+      ttl = parseInt(argv[++i], 10) || DEFAULT_TTL_SECONDS;
+    } else {
+      sites.push(argv[i]);
+    }
+  }
+  return { sites, ttl };
+}
+
+function writeDevVar(name, value) {
+  const lines = existsSync(DEV_VARS)
+    ? readFileSync(DEV_VARS, 'utf8').split('\n').filter((line) => line && !line.startsWith(`${name}=`))
+    : [];
+  lines.push(`${name}=${value}`);
+  writeFileSync(DEV_VARS, `${lines.join('\n')}\n`);
+}
+
+async function createDevToken() {
+  const { sites, ttl } = parseArgs(process.argv.slice(2));
+  if (sites.length === 0 || !sites.every((site) => /^[^/\s]+\/[^/\s]+$/.test(site))) {
+    throw new Error('Usage: node scripts/create-dev-token.js org/site [org/site ...] [--ttl seconds]');
+  }
+
+  const algorithm = {
+    name: 'RSASSA-PKCS1-v1_5',
+    modulusLength: 2048,
+    publicExponent: new Uint8Array([1, 0, 1]),
+    hash: 'SHA-256',
+  };
+  const { publicKey, privateKey } = await webcrypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+  const jwk = await webcrypto.subtle.exportKey('jwk', publicKey);
+
+  const jwks = {
+    keys: [{
+      kty: jwk.kty, n: jwk.n, e: jwk.e, kid: KEY_ID, alg: 'RS256', use: 'sig',
+    }],
+  };
+  writeDevVar('AUTH_JWKS', JSON.stringify(jwks));
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = encodeBase64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = encodeBase64Url(JSON.stringify({
+    sub: 'local-developer',
+    sites,
+    iat: now,
+    exp: now + ttl,
+  }));
+  const signature = await webcrypto.subtle.sign(algorithm, privateKey, Buffer.from(`${header}.${payload}`));
+
+  // eslint-disable-next-line no-console
+  console.log(`✅ Wrote AUTH_JWKS to ${DEV_VARS}`);
+  // eslint-disable-next-line no-console
+  console.log(`🔑 Token for ${sites.join(', ')} (valid ${ttl}s):\n${header}.${payload}.${encodeBase64Url(signature)}`);
+}
+
+createDevToken().catch((error) => {
+  // eslint-disable-next-line no-console
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
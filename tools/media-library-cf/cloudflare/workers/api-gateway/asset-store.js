@@ -0,0 +1,337 @@
+/**
+ * Asset Store - Image records of one org/site in D1
+ * asset_metadata holds one row per image with its full record, asset_usage one row per page using it
+ */
+
+import { CONFIG } from './utils.js';
+
+// Records written per D1 batch; each also rewrites its usage rows
+const WRITE_BATCH_SIZE = 20;
+// IDs bound per IN (...) query, below D1's limit of 100 parameters
+const ID_BATCH_SIZE = 50;
+// Rows read per query when walking every record
+const LIST_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+// Content hashes read per page of duplicate groups
+const DUPLICATE_PAGE_SIZE = 100;
+
+/**
+ * Key the API uses for an image record in audit rows and cleanup plans
+ */
+export function toAssetKey(id) {
+  return `${CONFIG.PREFIXES.IMAGE}${id}`;
+}
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+function extractDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// Cursors are opaque to callers: the last ID (or content hash) of the page, base64url encoded
+function encodeCursor(id) {
+  return btoa(id).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Cursor that continues a listing after the record with this ID, or a listing of
+ * duplicate groups at the group of this content hash
+ */
+export function toListCursor(id) {
+  return encodeCursor(id);
+}
+
+function decodeCursor(cursor) {
+  try {
+    return atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch {
+    throw new Error('cursor is invalid');
+  }
+}
+
+/**
+ * Paging and index filters from query parameters: cursor, limit, and the
+ * secondary lookups path (page using the image), domain and hash (content hash)
+ */
+export function parseListParams(url) {
+  const limit = parseInt(url.searchParams.get('limit'), 10) || CONFIG.LIMITS.DEFAULT_PAGE_SIZE;
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit is invalid: use 1 to ${MAX_PAGE_SIZE}`);
+  }
+  const cursor = url.searchParams.get('cursor');
+  if (cursor) decodeCursor(cursor);
+
+  return {
+    cursor,
+    limit,
+    path: url.searchParams.get('path'),
+    domain: url.searchParams.get('domain'),
+    hash: url.searchParams.get('hash'),
+  };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * D1 access to the image records of one tenant ("org/site").
+ * Deleted records are kept with status 'deleted' and no longer listed.
+ */
+export function createAssetStore(db, tenantId) {
+  const upsertStatement = db.prepare(`
+    INSERT INTO asset_metadata (
+      id, tenant_id, asset_path, asset_name, content_type, file_size, dimensions, ai_analysis,
+      tags, categories, similarity_hash, content_hash, domain, is_external, usage_count, first_seen,
+      last_seen, record
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (tenant_id, id) DO UPDATE SET
+      asset_path = excluded.asset_path,
+      asset_name = excluded.asset_name,
+      content_type = excluded.content_type,
+      file_size = excluded.file_size,
+      dimensions = excluded.dimensions,
+      ai_analysis = excluded.ai_analysis,
+      tags = excluded.tags,
+      categories = excluded.categories,
+      similarity_hash = excluded.similarity_hash,
+      content_hash = excluded.content_hash,
+      domain = excluded.domain,
+      is_external = excluded.is_external,
+      usage_count = excluded.usage_count,
+      first_seen = excluded.first_seen,
+      last_seen = excluded.last_seen,
+      record = excluded.record,
+      status = 'active',
+      updated_at = datetime('now')
+  `);
+  const clearUsageStatement = db.prepare('DELETE FROM asset_usage WHERE tenant_id = ? AND asset_id = ?');
+  const usageStatement = db.prepare(`
+    INSERT INTO asset_usage (tenant_id, asset_id, document_path, usage_type, timestamp, metadata)
+    VALUES (?, ?, ?, 'referenced', COALESCE(?, datetime('now')), ?)
+  `);
+
+  function toStatements(record) {
+    const statements = [
+      upsertStatement.bind(
+        record.id,
+        tenantId,
+        record.src,
+        record.displayName || record.id,
+        record.mimeType || null,
+        Number(record.fileSize) || null,
+        toJson(record.dimensions),
+        toJson(record.aiAnalysis),
+        toJson(record.tags || record.detectedTags),
+        toJson(record.categories),
+        record.perceptualHash || null,
+        record.contentHash || null,
+        extractDomain(record.src),
+        record.isExternal ? 1 : 0,
+        record.usageCount || 0,
+        record.firstSeen || null,
+        record.lastSeen || null,
+        JSON.stringify(record),
+      ),
+      clearUsageStatement.bind(tenantId, record.id),
+    ];
+    (record.usedInPages || []).forEach((usage) => {
+      statements.push(usageStatement.bind(
+        tenantId,
+        record.id,
+        usage.path || null,
+        usage.scannedAt || null,
+        toJson({ context: usage.context }),
+      ));
+    });
+    return statements;
+  }
+
+  /**
+   * WHERE clause for the tenant's active records matching the index filters;
+   * external is true or false to keep only external or only internal records
+   */
+  function toWhere({
+    path, domain, hash, external,
+  }) {
+    const conditions = ['tenant_id = ?', "status = 'active'"];
+    const params = [tenantId];
+    if (path) {
+      conditions.push('id IN (SELECT asset_id FROM asset_usage WHERE tenant_id = ? AND document_path = ?)');
+      params.push(tenantId, path);
+    }
+    if (domain) {
+      conditions.push('domain = ?');
+      params.push(domain.toLowerCase());
+    }
+    if (hash) {
+      conditions.push('content_hash = ?');
+      params.push(hash);
+    }
+    if (typeof external === 'boolean') {
+      conditions.push('is_external = ?');
+      params.push(external ? 1 : 0);
+    }
+    return { conditions, params };
+  }
+
+  /**
+   * One page of active records ordered by ID, after the record the cursor points at.
+   * nextCursor is null on the last page.
+   */
+  async function listPage({ cursor = null, limit = LIST_PAGE_SIZE, ...filters } = {}) {
+    const { conditions, params } = toWhere(filters);
+    if (cursor) {
+      conditions.push('id > ?');
+      params.push(decodeCursor(cursor));
+    }
+
+    const { results } = await db.prepare(`
+      SELECT record FROM asset_metadata
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY id LIMIT ?
+    `).bind(...params, limit + 1).all();
+
+    const records = results.slice(0, limit).map((row) => JSON.parse(row.record));
+    return {
+      records,
+      nextCursor: results.length > limit ? encodeCursor(records[records.length - 1].id) : null,
+    };
+  }
+
+  /**
+   * Call visit with every active record matching the filters, holding one page in memory
+   */
+  async function forEach(visit, filters = {}) {
+    let cursor = null;
+    do {
+      const page = await listPage({ ...filters, cursor });
+      page.records.forEach(visit);
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * One page of duplicate groups: active records sharing a content hash, ordered by hash
+   * and then ID. Unlike record cursors, nextCursor points at the first group of the next
+   * page. Records without a content hash are never grouped.
+   */
+  async function listDuplicateGroups({ cursor = null, limit = DUPLICATE_PAGE_SIZE } = {}) {
+    const conditions = ['tenant_id = ?', "status = 'active'", 'content_hash IS NOT NULL'];
+    const params = [tenantId];
+    if (cursor) {
+      conditions.push('content_hash >= ?');
+      params.push(decodeCursor(cursor));
+    }
+
+    const { results: hashRows } = await db.prepare(`
+      SELECT content_hash FROM asset_metadata
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY content_hash HAVING COUNT(*) > 1
+      ORDER BY content_hash LIMIT ?
+    `).bind(...params, limit + 1).all();
+    const hashes = hashRows.slice(0, limit).map((row) => row.content_hash);
+
+    const groups = new Map(hashes.map((hash) => [hash, []]));
+    for (const batch of chunk(hashes, ID_BATCH_SIZE)) {
+      const { results } = await db.prepare(`
+        SELECT content_hash, record FROM asset_metadata
+        WHERE tenant_id = ? AND status = 'active' AND content_hash IN (${batch.map(() => '?').join(', ')})
+        ORDER BY content_hash, id
+      `).bind(tenantId, ...batch).all();
+      results.forEach((row) => groups.get(row.content_hash).push(JSON.parse(row.record)));
+    }
+
+    return {
+      groups: Array.from(groups, ([hash, records]) => ({ hash, records })),
+      nextCursor: hashRows.length > limit ? encodeCursor(hashRows[limit].content_hash) : null,
+    };
+  }
+
+  /**
+   * Number of active records matching the filters
+   */
+  async function count(filters = {}) {
+    const { conditions, params } = toWhere(filters);
+    const row = await db.prepare(`SELECT COUNT(*) AS total FROM asset_metadata WHERE ${conditions.join(' AND ')}`)
+      .bind(...params).first();
+    return row?.total || 0;
+  }
+
+  /**
+   * Active records by ID, as a Map of the ones found
+   */
+  async function getMany(ids) {
+    const records = new Map();
+    for (const batch of chunk(ids, ID_BATCH_SIZE)) {
+      const { results } = await db.prepare(`
+        SELECT record FROM asset_metadata
+        WHERE tenant_id = ? AND status = 'active' AND id IN (${batch.map(() => '?').join(', ')})
+      `).bind(tenantId, ...batch).all();
+      results.forEach((row) => {
+        const record = JSON.parse(row.record);
+        records.set(record.id, record);
+      });
+    }
+    return records;
+  }
+
+  async function get(id) {
+    return (await getMany([id])).get(id) || null;
+  }
+
+  /**
+   * IDs of the given ones that have a row, deleted or not
+   */
+  async function findExisting(ids) {
+    const existing = new Set();
+    for (const batch of chunk(ids, ID_BATCH_SIZE)) {
+      const { results } = await db.prepare(`
+        SELECT id FROM asset_metadata
+        WHERE tenant_id = ? AND id IN (${batch.map(() => '?').join(', ')})
+      `).bind(tenantId, ...batch).all();
+      results.forEach((row) => existing.add(row.id));
+    }
+    return existing;
+  }
+
+  /**
+   * Insert or replace records, with their usedInPages as usage rows
+   */
+  async function putMany(records) {
+    for (const batch of chunk(records, WRITE_BATCH_SIZE)) {
+      await db.batch(batch.flatMap(toStatements));
+    }
+  }
+
+  async function put(record) {
+    await putMany([record]);
+  }
+
+  /**
+   * Mark records deleted; returns how many were active
+   */
+  async function remove(ids) {
+    let removed = 0;
+    for (const batch of chunk(ids, ID_BATCH_SIZE)) {
+      const result = await db.prepare(`
+        UPDATE asset_metadata SET status = 'deleted', updated_at = datetime('now')
+        WHERE tenant_id = ? AND status = 'active' AND id IN (${batch.map(() => '?').join(', ')})
+      `).bind(tenantId, ...batch).run();
+      removed += result.meta?.changes || 0;
+    }
+    return removed;
+  }
+
+  return {
+    listPage, forEach, listDuplicateGroups, count, get, getMany, findExisting, put, putMany, remove,
+  };
+}
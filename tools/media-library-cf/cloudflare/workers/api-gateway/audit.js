@@ -0,0 +1,124 @@
+/**
+ * Audit Log - Append-only record in D1 of every change made through the gateway
+ * One row per changed key, grouped by the ID of the request that made the change
+ */
+
+import { CONFIG } from './utils.js';
+import { getTenantId } from './auth.js';
+
+// Rows written per D1 batch
+const INSERT_BATCH_SIZE = 50;
+
+/**
+ * Router middleware giving every request an ID, taken from X-Request-ID when the caller sends one
+ */
+export async function assignRequestId(request) {
+  request.requestId = request.headers.get('X-Request-ID') || crypto.randomUUID();
+  return null;
+}
+
+/**
+ * Full key of a change: KV keys are relative to the tenant's prefix, while
+ * org: keys and DA paths (starting with /) are kept as given
+ */
+function toTargetKey(tenant, key) {
+  return key.startsWith('org:') || key.startsWith('/') ? key : `${tenant.prefix}${key}`;
+}
+
+/**
+ * Append one row per change: [{ key, before, after }], before null for created
+ * records and after null for deleted ones. Failing to write never undoes the change.
+ */
+export async function recordAudit(env, request, action, changes, { source = 'gateway' } = {}) {
+  const { tenant } = request;
+  if (!env.DA_MEDIA_DB || !tenant || changes.length === 0) return;
+
+  const statement = env.DA_MEDIA_DB.prepare(`
+    INSERT INTO audit_log
+      (tenant_id, request_id, actor, actor_role, source, action, target_key, before_snapshot, after_snapshot)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const rows = changes.map(({ key, before = null, after = null }) => statement.bind(
+    getTenantId(tenant),
+    request.requestId || crypto.randomUUID(),
+    tenant.subject || tenant.email || 'unknown',
+    tenant.role || null,
+    source,
+    action,
+    toTargetKey(tenant, key),
+    before === null ? null : JSON.stringify(before),
+    after === null ? null : JSON.stringify(after),
+  ));
+
+  try {
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      await env.DA_MEDIA_DB.batch(rows.slice(i, i + INSERT_BATCH_SIZE));
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`Audit log write failed for ${action}:`, error.message);
+  }
+}
+
+function parseSnapshot(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Query the tenant's audit rows, newest first. filters holds optional actor, asset
+ * (an asset ID or a full target key), action, from and to (ISO dates), limit and offset.
+ */
+export async function queryAuditLog(env, tenant, filters) {
+  const conditions = ['tenant_id = ?'];
+  const params = [getTenantId(tenant)];
+
+  if (filters.actor) {
+    conditions.push('actor = ?');
+    params.push(filters.actor);
+  }
+  if (filters.asset) {
+    conditions.push('target_key IN (?, ?)');
+    params.push(filters.asset, `${tenant.prefix}${CONFIG.PREFIXES.IMAGE}${filters.asset}`);
+  }
+  if (filters.action) {
+    conditions.push('action = ?');
+    params.push(filters.action);
+  }
+  if (filters.from) {
+    conditions.push('created_at >= datetime(?)');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('created_at <= datetime(?)');
+    params.push(filters.to);
+  }
+
+  const where = conditions.join(' AND ');
+  const [{ results }, totalRow] = await Promise.all([
+    env.DA_MEDIA_DB.prepare(`
+      SELECT * FROM audit_log WHERE ${where}
+      ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?
+    `).bind(...params, filters.limit, filters.offset).all(),
+    env.DA_MEDIA_DB.prepare(`SELECT COUNT(*) AS total FROM audit_log WHERE ${where}`).bind(...params).first(),
+  ]);
+
+  return {
+    total: totalRow?.total || 0,
+    entries: results.map((row) => ({
+      id: row.id,
+      requestId: row.request_id,
+      actor: row.actor,
+      actorRole: row.actor_role,
+      source: row.source,
+      action: row.action,
+      targetKey: row.target_key,
+      before: parseSnapshot(row.before_snapshot),
+      after: parseSnapshot(row.after_snapshot),
+      createdAt: row.created_at,
+    })),
+  };
+}
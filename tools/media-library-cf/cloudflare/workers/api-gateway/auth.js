@@ -0,0 +1,276 @@
+/**
+ * Authentication and tenant scoping for the API gateway
+ * Verifies DA/IMS bearer tokens against a JWKS and narrows KV access to one org/site
+ */
+
+import { CONFIG, createErrorResponse } from './utils.js';
+import { createRoleStore, resolveRole } from './roles.js';
+import { createAssetStore } from './asset-store.js';
+
+// How long an isolate reuses a fetched JWKS before downloading it again
+const JWKS_TTL_MS = 10 * 60 * 1000;
+// Leeway for clock drift between the token issuer and the edge
+const CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_SITES_CLAIM = 'sites';
+
+const ALGORITHMS = {
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+};
+
+// Paths answered without a token
+const PUBLIC_PATHS = ['/', '/health'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+let jwksCache = null;
+
+/**
+ * Error carrying the HTTP status the gateway answers with
+ */
+export class AuthError extends Error {
+  constructor(message, status = CONFIG.HTTP_STATUS.UNAUTHORIZED) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function decodeJsonSegment(segment) {
+  try {
+    return JSON.parse(new TextDecoder().decode(decodeBase64Url(segment)));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+}
+
+function getBearerToken(request) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) throw new AuthError('Missing bearer token');
+  return match[1];
+}
+
+/**
+ * Signing keys from the inline AUTH_JWKS (local stand-in for tests and wrangler dev)
+ * or from AUTH_JWKS_URL, cached per isolate and refetched when a key id is unknown
+ */
+async function loadJwks(env, { refresh = false } = {}) {
+  if (env.AUTH_JWKS) {
+    return typeof env.AUTH_JWKS === 'string' ? JSON.parse(env.AUTH_JWKS) : env.AUTH_JWKS;
+  }
+  if (!env.AUTH_JWKS_URL) {
+    throw new AuthError('Token verification is not configured', CONFIG.HTTP_STATUS.INTERNAL_ERROR);
+  }
+
+  if (!refresh && jwksCache?.url === env.AUTH_JWKS_URL && Date.now() - jwksCache.loadedAt < JWKS_TTL_MS) {
+    return jwksCache.jwks;
+  }
+
+  const response = await fetch(env.AUTH_JWKS_URL);
+  if (!response.ok) {
+    throw new AuthError(`Failed to load signing keys: ${response.status}`, CONFIG.HTTP_STATUS.INTERNAL_ERROR);
+  }
+  jwksCache = { url: env.AUTH_JWKS_URL, jwks: await response.json(), loadedAt: Date.now() };
+  return jwksCache.jwks;
+}
+
+async function findSigningKey(env, header) {
+  const match = (jwks) => (jwks.keys || []).find((key) => (!header.kid || key.kid === header.kid)
+    && (!key.alg || key.alg === header.alg));
+
+  let jwk = match(await loadJwks(env));
+  if (!jwk && env.AUTH_JWKS_URL && !env.AUTH_JWKS) {
+    // Keys may have rotated since the cached copy was fetched
+    jwk = match(await loadJwks(env, { refresh: true }));
+  }
+  if (!jwk) throw new AuthError('Unknown signing key');
+  return jwk;
+}
+
+function validateClaims(claims, env) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError('Token not yet valid');
+  }
+  if (env.AUTH_ISSUER && claims.iss !== env.AUTH_ISSUER) {
+    throw new AuthError('Unexpected token issuer');
+  }
+  if (env.AUTH_AUDIENCE) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(env.AUTH_AUDIENCE)) throw new AuthError('Unexpected token audience');
+  }
+}
+
+/**
+ * Verify a compact JWS and return its claims
+ */
+export async function verifyToken(token, env) {
+  const segments = token.split('.');
+  if (segments.length !== 3) throw new AuthError('Malformed token');
+
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+  const header = decodeJsonSegment(headerSegment);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+
+  const jwk = await findSigningKey(env, header);
+  let verified = false;
+  try {
+    const key = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['verify']);
+    verified = await crypto.subtle.verify(
+      algorithm,
+      key,
+      decodeBase64Url(signatureSegment),
+      new TextEncoder().encode(`${headerSegment}.${payloadSegment}`),
+    );
+  } catch (error) {
+    throw new AuthError('Invalid token signature');
+  }
+  if (!verified) throw new AuthError('Invalid token signature');
+
+  const claims = decodeJsonSegment(payloadSegment);
+  validateClaims(claims, env);
+  return claims;
+}
+
+/**
+ * Sites a token grants, as [org, site] pairs; '*' as the site grants the whole org.
+ * The claim named by AUTH_SITES_CLAIM holds "org/site" entries as an array or a space separated string.
+ */
+export function getGrantedSites(claims, env) {
+  const value = claims[env.AUTH_SITES_CLAIM || DEFAULT_SITES_CLAIM];
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+
+  return entries
+    .map((entry) => entry.split('/'))
+    .filter((parts) => parts.length === 2 && parts[0] && parts[1]);
+}
+
+function getRequestedSite(request) {
+  const url = new URL(request.url);
+  return {
+    org: request.headers.get('X-DA-Org') || url.searchParams.get('org'),
+    site: request.headers.get('X-DA-Site') || url.searchParams.get('site') || url.searchParams.get('repo'),
+  };
+}
+
+/**
+ * The org/site a request works on: the one it names, or the only one its token grants
+ */
+export function resolveTenant(request, claims, env) {
+  const granted = getGrantedSites(claims, env);
+  let { org, site } = getRequestedSite(request);
+
+  if (!org && !site) {
+    const single = granted.length === 1 && granted[0][1] !== '*' ? granted[0] : null;
+    if (!single) throw new AuthError('org and site are required', CONFIG.HTTP_STATUS.BAD_REQUEST);
+    [org, site] = single;
+  } else if (!org || !site) {
+    throw new AuthError('org and site are required', CONFIG.HTTP_STATUS.BAD_REQUEST);
+  }
+  // A separator in either name would let a request reach another tenant's keys
+  if (![org, site].every((name) => NAME_PATTERN.test(name))) {
+    throw new AuthError('org or site name is invalid', CONFIG.HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const allowed = granted.some(([grantedOrg, grantedSite]) => grantedOrg === org
+    && (grantedSite === '*' || grantedSite === site));
+  if (!allowed) {
+    throw new AuthError(`Token does not grant access to ${org}/${site}`, CONFIG.HTTP_STATUS.FORBIDDEN);
+  }
+
+  return {
+    org,
+    site,
+    subject: claims.sub || null,
+    email: claims.email || null,
+    prefix: `org:${org}:site:${site}:`,
+  };
+}
+
+/**
+ * KV namespace view where every key is read, written and listed under a tenant prefix.
+ * Listed key names come back without the prefix so they can be passed to get/delete as is.
+ */
+export function createTenantKV(namespace, prefix) {
+  const scoped = (key) => `${prefix}${key}`;
+
+  return {
+    prefix,
+    get: (key, options) => namespace.get(scoped(key), options),
+    getWithMetadata: (key, options) => namespace.getWithMetadata(scoped(key), options),
+    put: (key, value, options) => namespace.put(scoped(key), value, options),
+    delete: (key) => namespace.delete(scoped(key)),
+    async list(options = {}) {
+      const result = await namespace.list({ ...options, prefix: scoped(options.prefix || '') });
+      return {
+        ...result,
+        keys: result.keys.map((key) => ({ ...key, name: key.name.slice(prefix.length) })),
+      };
+    },
+  };
+}
+
+/**
+ * ID of a tenant in D1 rows: "org/site"
+ */
+export function getTenantId(tenant) {
+  return `${tenant.org}/${tenant.site}`;
+}
+
+/**
+ * Copy of the worker environment whose KV bindings only reach the tenant's keys.
+ * roleStore is the one way to the org's role record, which sits outside the site prefix;
+ * assetStore reads and writes the tenant's image records in D1.
+ */
+export function createTenantEnv(env, tenant) {
+  return {
+    ...env,
+    DA_MEDIA_KV: env.DA_MEDIA_KV && createTenantKV(env.DA_MEDIA_KV, tenant.prefix),
+    DA_MEDIA_CACHE: env.DA_MEDIA_CACHE && createTenantKV(env.DA_MEDIA_CACHE, tenant.prefix),
+    roleStore: env.DA_MEDIA_KV && createRoleStore(env.DA_MEDIA_KV, tenant.org),
+    assetStore: env.DA_MEDIA_DB && createAssetStore(env.DA_MEDIA_DB, getTenantId(tenant)),
+    tenant,
+  };
+}
+
+const ERROR_MESSAGES = {
+  [CONFIG.HTTP_STATUS.BAD_REQUEST]: 'Bad request',
+  [CONFIG.HTTP_STATUS.UNAUTHORIZED]: 'Unauthorized',
+  [CONFIG.HTTP_STATUS.FORBIDDEN]: 'Forbidden',
+};
+
+/**
+ * Router middleware: answers unauthenticated requests with 401/403 and hands
+ * the matched handler a tenant-scoped environment
+ */
+export async function authenticateRequest(request, env) {
+  const { pathname } = new URL(request.url);
+  if (request.method === 'OPTIONS' || PUBLIC_PATHS.includes(pathname)) return null;
+
+  try {
+    const claims = await verifyToken(getBearerToken(request), env);
+    const tenant = resolveTenant(request, claims, env);
+    const tenantEnv = createTenantEnv(env, tenant);
+    tenant.role = await resolveRole(tenantEnv.roleStore, tenant, env);
+    request.tenant = tenant;
+    return { env: tenantEnv };
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    return createErrorResponse(error, {
+      status: error.status,
+      message: ERROR_MESSAGES[error.status] || 'Internal server error',
+      headers: error.status === CONFIG.HTTP_STATUS.UNAUTHORIZED ? { 'WWW-Authenticate': 'Bearer' } : {},
+    });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Asset Migration Handler
+ * One-time copy of the org:{org}:site:{site}:image: KV records into the D1 asset store
+ */
+
+import {
+  validateMethod, createSuccessResponse, createErrorResponse, CONFIG,
+} from '../utils.js';
+import { invalidateSearchIndex } from '../search-index.js';
+import { recordAudit } from '../audit.js';
+import { toAssetKey } from '../asset-store.js';
+
+const DEFAULT_PAGE_SIZE = 200;
+// KV lists at most 1000 keys per call
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Copy one page of the caller's KV image records to D1. Records already in D1, including
+ * ones cleanup deleted, are left as they are, so the migration can be re-run safely.
+ * Body: { cursor, limit }; call again with the returned nextCursor until done is true.
+ */
+export async function handleMigrateKvAssets(request, env) {
+  validateMethod(request, ['POST']);
+
+  if (!env.DA_MEDIA_KV || !env.assetStore) {
+    return createErrorResponse('KV storage or D1 database not available', {
+      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+    });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const limit = Math.min(parseInt(body.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  try {
+    // The tenant-scoped KV lists the caller's org:{org}:site:{site}:image: keys
+    const page = await env.DA_MEDIA_KV.list({
+      prefix: CONFIG.PREFIXES.IMAGE,
+      cursor: body.cursor || undefined,
+      limit,
+    });
+    const stored = await Promise.all(page.keys.map((key) => env.DA_MEDIA_KV.get(key.name, 'json')));
+    const records = stored.filter((record) => record?.id && record.src);
+
+    const existing = await env.assetStore.findExisting(records.map((record) => record.id));
+    const toMigrate = records.filter((record) => !existing.has(record.id));
+    await env.assetStore.putMany(toMigrate);
+
+    if (toMigrate.length > 0) {
+      await invalidateSearchIndex(env);
+      await recordAudit(env, request, 'assets.migrate', toMigrate.map((record) => ({
+        key: toAssetKey(record.id), before: null, after: record,
+      })));
+    }
+
+    const done = page.list_complete;
+    return createSuccessResponse({
+      scanned: page.keys.length,
+      migrated: toMigrate.length,
+      alreadyInD1: existing.size,
+      invalid: page.keys.length - records.length,
+      nextCursor: done ? null : page.cursor,
+      done,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    return createErrorResponse(error, {
+      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+      message: 'Failed to migrate KV assets',
+    });
+  }
+}
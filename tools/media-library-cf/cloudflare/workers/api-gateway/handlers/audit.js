@@ -0,0 +1,92 @@
+/**
+ * Audit Handler
+ * Queries the audit log and records changes made outside the gateway, such as DA-side metadata saves
+ */
+
+import {
+  validateMethod,
+  createSuccessResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  CONFIG,
+} from '../utils.js';
+import { recordAudit, queryAuditLog } from '../audit.js';
+
+// Changes one request may record
+const MAX_RECORDED_CHANGES = 500;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Audit rows of the caller's org/site, newest first.
+ * Query parameters: actor, asset (asset ID or full key), action, from, to, page and limit.
+ * A date-only `to` includes that whole day.
+ */
+export async function handleGetAudit(request, env) {
+  validateMethod(request, ['GET']);
+
+  const url = new URL(request.url);
+  const pagination = parsePaginationParams(url);
+  const to = url.searchParams.get('to');
+  const filters = {
+    actor: url.searchParams.get('actor'),
+    asset: url.searchParams.get('asset'),
+    action: url.searchParams.get('action'),
+    from: url.searchParams.get('from'),
+    to: to && DATE_ONLY.test(to) ? `${to}T23:59:59` : to,
+  };
+
+  if (!env.DA_MEDIA_DB) {
+    return createErrorResponse('D1 database not available', {
+      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+    });
+  }
+
+  try {
+    const { total, entries } = await queryAuditLog(env, request.tenant, {
+      ...filters,
+      limit: pagination.limit,
+      offset: pagination.offset,
+    });
+
+    return createSuccessResponse({
+      entries,
+      filters,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        hasMore: pagination.offset + pagination.limit < total,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    return createErrorResponse(error, {
+      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+      message: 'Failed to query audit log',
+    });
+  }
+}
+
+/**
+ * Record changes the DA-side library made to its own files.
+ * Body: { action, changes: [{ key, before, after }] }; the actor comes from the token.
+ */
+export async function handleRecordAudit(request, env) {
+  validateMethod(request, ['POST']);
+
+  const { action, changes } = await request.json().catch(() => ({}));
+  if (!action || !Array.isArray(changes) || changes.length === 0) {
+    throw new Error('action and changes are required');
+  }
+  if (changes.length > MAX_RECORDED_CHANGES || !changes.every((change) => typeof change?.key === 'string')) {
+    throw new Error(`changes are invalid: up to ${MAX_RECORDED_CHANGES} entries, each with a key`);
+  }
+
+  await recordAudit(env, request, action, changes, { source: 'da' });
+
+  return createSuccessResponse({
+    recorded: changes.length,
+    requestId: request.requestId,
+    timestamp: new Date().toISOString(),
+  });
+}
@@ -1,18 +1,76 @@
 /**
  * Phase 4: Comprehensive Data Cleanup Handler
- * Permanent junk data removal from Cloudflare KV storage
+ * Junk data removal from the D1 asset store; removed records are marked deleted
  */
 
 import {
   validateMethod, createSuccessResponse, createErrorResponse, CONFIG,
 } from '../utils.js';
+import { invalidateSearchIndex } from '../search-index.js';
+import { recordAudit } from '../audit.js';
+import { toAssetKey, toListCursor } from '../asset-store.js';
+
+// Records read by one cleanup request; its nextCursor continues after them
+const DEFAULT_SCAN_SIZE = 1000;
+const MAX_SCAN_SIZE = 5000;
+const READ_PAGE_SIZE = 500;
+
+/**
+ * Where a cleanup request starts and how many records it reads, from its body
+ */
+function parseScanOptions(body) {
+  return {
+    cursor: body.cursor || null,
+    scanSize: Math.min(Math.max(parseInt(body.scanSize, 10) || DEFAULT_SCAN_SIZE, 1), MAX_SCAN_SIZE),
+  };
+}
+
+/**
+ * Read records after the cursor, at most scanSize, and plan the ones toPlanned returns an
+ * entry for. Reading stops once maxDeletions are planned, so no match is passed over;
+ * nextCursor continues after the last record read and is null once every record was read.
+ */
+async function planRecordCleanup(env, { cursor, scanSize, maxDeletions }, toPlanned) {
+  const planned = [];
+  let scanned = 0;
+  let nextCursor = cursor;
+  do {
+    const page = await env.assetStore.listPage({
+      cursor: nextCursor,
+      limit: Math.min(scanSize - scanned, READ_PAGE_SIZE),
+    });
+    for (const [index, image] of page.records.entries()) {
+      scanned++;
+      const entry = toPlanned(image);
+      if (entry) planned.push(entry);
+      if (planned.length >= maxDeletions) {
+        const isLastOfPage = index === page.records.length - 1;
+        return { planned, scanned, nextCursor: isLastOfPage ? page.nextCursor : toListCursor(image.id) };
+      }
+    }
+    nextCursor = page.nextCursor;
+  } while (nextCursor && scanned < scanSize);
+  return { planned, scanned, nextCursor };
+}
+
+/**
+ * Call visit with every group of records sharing a content hash, one page of groups at a time
+ */
+async function forEachDuplicateGroup(env, visit) {
+  let cursor = null;
+  do {
+    const page = await env.assetStore.listDuplicateGroups({ cursor });
+    page.groups.forEach(visit);
+    cursor = page.nextCursor;
+  } while (cursor);
+}
 
 export async function handleCleanupPreview(request, env) {
   validateMethod(request, ['POST']);
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
@@ -26,7 +84,6 @@ export async function handleCleanupPreview(request, env) {
       maxPreview: body.maxPreview || 50,
     };
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
     const previewResults = {
       totalScanned: 0,
       junkAssets: [],
@@ -36,12 +93,8 @@ export async function handleCleanupPreview(request, env) {
       estimatedStorageSaved: 0,
     };
 
-    const seenAssets = new Map();
-
-    for (const key of keys) {
-      const image = await env.DA_MEDIA_KV.get(key.name, 'json');
-      if (!image) continue;
-
+    // Only the counts and the first maxPreview records of each kind are kept
+    await env.assetStore.forEach((image) => {
       previewResults.totalScanned++;
 
       if (options.includeJunk && isJunkAsset(image)) {
@@ -51,16 +104,16 @@ export async function handleCleanupPreview(request, env) {
             displayName: image.displayName,
             src: image.src,
             reason: getJunkReason(image),
-            keyName: key.name,
-            estimatedSize: estimateAssetSize(image),
+            keyName: toAssetKey(image.id),
+            estimatedSize: getAssetSize(image),
           });
         }
         previewResults.estimatedDeletions++;
-        previewResults.estimatedStorageSaved += estimateAssetSize(image);
+        previewResults.estimatedStorageSaved += getAssetSize(image);
       }
 
       if (options.includeLowQuality && !isJunkAsset(image)) {
-        const qualityScore = calculateQualityScore(image.src);
+        const qualityScore = calculateQualityScore(image);
         if (qualityScore < options.qualityThreshold) {
           if (previewResults.lowQualityAssets.length < options.maxPreview) {
             previewResults.lowQualityAssets.push({
@@ -69,19 +122,19 @@ export async function handleCleanupPreview(request, env) {
               src: image.src,
               qualityScore,
               reason: `Quality score ${qualityScore} below threshold ${options.qualityThreshold}`,
-              keyName: key.name,
-              estimatedSize: estimateAssetSize(image),
+              keyName: toAssetKey(image.id),
+              estimatedSize: getAssetSize(image),
             });
           }
           previewResults.estimatedDeletions++;
-          previewResults.estimatedStorageSaved += estimateAssetSize(image);
+          previewResults.estimatedStorageSaved += getAssetSize(image);
         }
       }
+    });
 
-      if (options.includeDuplicates) {
-        const assetSignature = generateAssetSignature(image);
-        if (seenAssets.has(assetSignature)) {
-          const original = seenAssets.get(assetSignature);
+    if (options.includeDuplicates) {
+      await forEachDuplicateGroup(env, ({ records: [original, ...duplicates] }) => {
+        duplicates.forEach((image) => {
           if (previewResults.duplicateAssets.length < options.maxPreview) {
             previewResults.duplicateAssets.push({
               id: image.id,
@@ -89,16 +142,14 @@ export async function handleCleanupPreview(request, env) {
               src: image.src,
               reason: `Duplicate of ${original.displayName}`,
               originalId: original.id,
-              keyName: key.name,
-              estimatedSize: estimateAssetSize(image),
+              keyName: toAssetKey(image.id),
+              estimatedSize: getAssetSize(image),
             });
           }
           previewResults.estimatedDeletions++;
-          previewResults.estimatedStorageSaved += estimateAssetSize(image);
-        } else {
-          seenAssets.set(assetSignature, image);
-        }
-      }
+          previewResults.estimatedStorageSaved += getAssetSize(image);
+        });
+      });
     }
 
     return createSuccessResponse({
@@ -120,100 +171,55 @@ export async function handleCleanJunkAssets(request, env) {
   validateMethod(request, ['POST']);
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
     const body = await request.json().catch(() => ({}));
     const options = {
-      dryRun: body.dryRun === true,
+      // Deleting has to be asked for explicitly
+      dryRun: body.dryRun !== false,
       maxDeletions: body.maxDeletions || 1000,
       batchSize: body.batchSize || 50,
+      ...parseScanOptions(body),
     };
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
+    const { planned, scanned, nextCursor } = await planRecordCleanup(env, options, (image) => (
+      isJunkAsset(image) ? {
+        id: image.id,
+        displayName: image.displayName,
+        src: image.src,
+        reason: getJunkReason(image),
+        keyName: toAssetKey(image.id),
+        estimatedSize: getAssetSize(image),
+      } : null
+    ));
     const cleanupResults = {
-      scanned: 0,
-      junkFound: 0,
+      scanned,
+      junkFound: planned.length,
       deleted: 0,
-      skipped: 0,
       errors: [],
       deletedAssets: [],
       storageSaved: 0,
     };
 
-    let deletionCount = 0;
-    const deletionPromises = [];
-
-    for (const key of keys) {
-      const image = await env.DA_MEDIA_KV.get(key.name, 'json');
-      if (!image) continue;
-
-      cleanupResults.scanned++;
-
-      if (isJunkAsset(image)) {
-        cleanupResults.junkFound++;
-
-        if (deletionCount >= options.maxDeletions) {
-          cleanupResults.skipped++;
-          continue;
-        }
-
-        const assetInfo = {
-          id: image.id,
-          displayName: image.displayName,
-          src: image.src,
-          reason: getJunkReason(image),
-          keyName: key.name,
-          estimatedSize: estimateAssetSize(image),
-        };
-
-        if (!options.dryRun) {
-          deletionPromises.push(
-            env.DA_MEDIA_KV.delete(key.name)
-              .then(() => {
-                cleanupResults.deleted++;
-                cleanupResults.deletedAssets.push(assetInfo);
-                cleanupResults.storageSaved += assetInfo.estimatedSize;
-              })
-              .catch((error) => {
-                cleanupResults.errors.push({
-                  id: image.id,
-                  keyName: key.name,
-                  error: error.message,
-                });
-              }),
-          );
-        } else {
-          cleanupResults.deletedAssets.push(assetInfo);
-          cleanupResults.storageSaved += assetInfo.estimatedSize;
-        }
-
-        deletionCount++;
-
-        if (deletionPromises.length >= options.batchSize) {
-          await Promise.all(deletionPromises);
-          deletionPromises.length = 0;
-        }
-      }
-    }
-
-    if (deletionPromises.length > 0) {
-      await Promise.all(deletionPromises);
-    }
-
-    if (options.dryRun) {
-      cleanupResults.deleted = cleanupResults.deletedAssets.length;
-    }
+    const confirmation = await confirmCleanup(request, env, 'junk-assets', planned, {
+      dryRun: options.dryRun,
+      confirmToken: body.confirmToken,
+    });
+    await applyCleanupPlan(request, env, 'junk-assets', planned, cleanupResults, options);
 
     return createSuccessResponse({
       message: options.dryRun
         ? `Would delete ${cleanupResults.deleted} junk assets (dry run)`
         : `Successfully deleted ${cleanupResults.deleted} junk assets`,
       dryRun: options.dryRun,
+      confirmation,
       cleanupResults,
+      nextCursor,
+      done: nextCursor === null,
       performance: {
         storageSaved: formatBytes(cleanupResults.storageSaved),
         deletionRate: Math.round((cleanupResults.deleted / cleanupResults.scanned) * 100),
@@ -222,8 +228,8 @@ export async function handleCleanJunkAssets(request, env) {
     });
   } catch (error) {
     return createErrorResponse(error, {
-      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
-      message: 'Failed to clean junk assets',
+      status: error.status || CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+      message: error.status ? 'Cleanup not confirmed' : 'Failed to clean junk assets',
     });
   }
 }
@@ -232,8 +238,8 @@ export async function handleCleanLowQuality(request, env) {
   validateMethod(request, ['POST']);
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
@@ -241,84 +247,55 @@ export async function handleCleanLowQuality(request, env) {
     const body = await request.json().catch(() => ({}));
     const options = {
       qualityThreshold: body.qualityThreshold || 30,
-      dryRun: body.dryRun === true,
+      // Deleting has to be asked for explicitly
+      dryRun: body.dryRun !== false,
       maxDeletions: body.maxDeletions || 500,
+      batchSize: body.batchSize || 50,
       excludeJunk: body.excludeJunk !== false,
+      ...parseScanOptions(body),
     };
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
+    const { planned, scanned, nextCursor } = await planRecordCleanup(env, options, (image) => {
+      if (options.excludeJunk && isJunkAsset(image)) return null;
+
+      const qualityScore = calculateQualityScore(image);
+      if (qualityScore >= options.qualityThreshold) return null;
+
+      return {
+        id: image.id,
+        displayName: image.displayName,
+        src: image.src,
+        qualityScore,
+        reason: `Quality score ${qualityScore} below threshold ${options.qualityThreshold}`,
+        keyName: toAssetKey(image.id),
+        estimatedSize: getAssetSize(image),
+      };
+    });
     const cleanupResults = {
-      scanned: 0,
-      lowQualityFound: 0,
+      scanned,
+      lowQualityFound: planned.length,
       deleted: 0,
       errors: [],
       deletedAssets: [],
       storageSaved: 0,
     };
 
-    let deletionCount = 0;
-
-    for (const key of keys) {
-      const image = await env.DA_MEDIA_KV.get(key.name, 'json');
-      if (!image) continue;
-
-      cleanupResults.scanned++;
-
-      if (options.excludeJunk && isJunkAsset(image)) {
-        continue;
-      }
-
-      const qualityScore = calculateQualityScore(image.src);
-      if (qualityScore < options.qualityThreshold) {
-        cleanupResults.lowQualityFound++;
-
-        if (deletionCount >= options.maxDeletions) {
-          continue;
-        }
-
-        const assetInfo = {
-          id: image.id,
-          displayName: image.displayName,
-          src: image.src,
-          qualityScore,
-          reason: `Quality score ${qualityScore} below threshold ${options.qualityThreshold}`,
-          keyName: key.name,
-          estimatedSize: estimateAssetSize(image),
-        };
-
-        if (!options.dryRun) {
-          try {
-            await env.DA_MEDIA_KV.delete(key.name);
-            cleanupResults.deleted++;
-            cleanupResults.deletedAssets.push(assetInfo);
-            cleanupResults.storageSaved += assetInfo.estimatedSize;
-          } catch (error) {
-            cleanupResults.errors.push({
-              id: image.id,
-              keyName: key.name,
-              error: error.message,
-            });
-          }
-        } else {
-          cleanupResults.deletedAssets.push(assetInfo);
-          cleanupResults.storageSaved += assetInfo.estimatedSize;
-        }
-
-        deletionCount++;
-      }
-    }
-
-    if (options.dryRun) {
-      cleanupResults.deleted = cleanupResults.deletedAssets.length;
-    }
+    const confirmation = await confirmCleanup(request, env, 'low-quality', planned, {
+      dryRun: options.dryRun,
+      confirmToken: body.confirmToken,
+    });
+    await applyCleanupPlan(request, env, 'low-quality', planned, cleanupResults, options);
 
     return createSuccessResponse({
       message: options.dryRun
         ? `Would delete ${cleanupResults.deleted} low-quality assets (dry run)`
         : `Successfully deleted ${cleanupResults.deleted} low-quality assets`,
       dryRun: options.dryRun,
+      confirmation,
       options,
       cleanupResults,
+      nextCursor,
+      done: nextCursor === null,
       performance: {
         storageSaved: formatBytes(cleanupResults.storageSaved),
         deletionRate: Math.round((cleanupResults.deleted / cleanupResults.scanned) * 100),
@@ -327,52 +304,77 @@ export async function handleCleanLowQuality(request, env) {
     });
   } catch (error) {
     return createErrorResponse(error, {
-      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
-      message: 'Failed to clean low-quality assets',
+      status: error.status || CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+      message: error.status ? 'Cleanup not confirmed' : 'Failed to clean low-quality assets',
     });
   }
 }
 
+/**
+ * Plan deleting all but one record of each group sharing a content hash. Groups from the
+ * cursor on are read until maxDeletions are planned. A group that does not fit, or only
+ * partly, is where nextCursor points, so the next request starts at it again.
+ */
+async function planDuplicateCleanup(env, { cursor, maxDeletions, keepStrategy }, cleanupResults) {
+  const planned = [];
+  let nextCursor = cursor;
+  do {
+    const page = await env.assetStore.listDuplicateGroups({ cursor: nextCursor });
+    for (const { hash, records } of page.groups) {
+      const keeper = selectKeeperAsset(records, keepStrategy);
+      const toDelete = records.filter((record) => record.id !== keeper.id);
+      const room = maxDeletions - planned.length;
+      if (toDelete.length > room && planned.length > 0) {
+        return { planned, nextCursor: toListCursor(hash) };
+      }
+
+      cleanupResults.scanned += records.length;
+      cleanupResults.duplicateGroupsFound++;
+      cleanupResults.duplicatesFound += toDelete.length;
+      cleanupResults.kept++;
+      toDelete.slice(0, room).forEach((duplicate) => {
+        planned.push({
+          id: duplicate.id,
+          displayName: duplicate.displayName,
+          src: duplicate.src,
+          reason: `Duplicate of ${keeper.displayName} (kept: ${keeper.id})`,
+          keyName: toAssetKey(duplicate.id),
+          estimatedSize: getAssetSize(duplicate),
+        });
+      });
+      // A group larger than maxDeletions is finished by the next requests
+      if (toDelete.length > room) {
+        return { planned, nextCursor: toListCursor(hash) };
+      }
+    }
+    nextCursor = page.nextCursor;
+  } while (nextCursor && planned.length < maxDeletions);
+  return { planned, nextCursor };
+}
+
 export async function handleCleanDuplicates(request, env) {
   validateMethod(request, ['POST']);
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
     const body = await request.json().catch(() => ({}));
     const options = {
-      dryRun: body.dryRun === true,
+      // Deleting has to be asked for explicitly
+      dryRun: body.dryRun !== false,
       keepStrategy: body.keepStrategy || 'highest_quality',
       maxDeletions: body.maxDeletions || 300,
+      batchSize: body.batchSize || 50,
+      cursor: body.cursor || null,
     };
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
-    const seenAssets = new Map();
-    const duplicateGroups = new Map();
-
-    for (const key of keys) {
-      const image = await env.DA_MEDIA_KV.get(key.name, 'json');
-      if (!image) continue;
-
-      const signature = generateAssetSignature(image);
-
-      if (seenAssets.has(signature)) {
-        if (!duplicateGroups.has(signature)) {
-          duplicateGroups.set(signature, [seenAssets.get(signature)]);
-        }
-        duplicateGroups.get(signature).push({ ...image, keyName: key.name });
-      } else {
-        seenAssets.set(signature, { ...image, keyName: key.name });
-      }
-    }
-
     const cleanupResults = {
-      scanned: keys.length,
-      duplicateGroupsFound: duplicateGroups.size,
+      scanned: 0,
+      duplicateGroupsFound: 0,
       duplicatesFound: 0,
       deleted: 0,
       kept: 0,
@@ -381,63 +383,24 @@ export async function handleCleanDuplicates(request, env) {
       storageSaved: 0,
     };
 
-    let deletionCount = 0;
-
-    for (const [, duplicates] of duplicateGroups) {
-      if (duplicates.length < 2) continue;
-
-      cleanupResults.duplicatesFound += duplicates.length - 1;
-
-      const keeper = selectKeeperAsset(duplicates, options.keepStrategy);
-      const toDelete = duplicates.filter((d) => d.id !== keeper.id);
-
-      for (const duplicate of toDelete) {
-        if (deletionCount >= options.maxDeletions) break;
-
-        const assetInfo = {
-          id: duplicate.id,
-          displayName: duplicate.displayName,
-          src: duplicate.src,
-          reason: `Duplicate of ${keeper.displayName} (kept: ${keeper.id})`,
-          keyName: duplicate.keyName,
-          estimatedSize: estimateAssetSize(duplicate),
-        };
-
-        if (!options.dryRun) {
-          try {
-            await env.DA_MEDIA_KV.delete(duplicate.keyName);
-            cleanupResults.deleted++;
-            cleanupResults.deletedAssets.push(assetInfo);
-            cleanupResults.storageSaved += assetInfo.estimatedSize;
-          } catch (error) {
-            cleanupResults.errors.push({
-              id: duplicate.id,
-              keyName: duplicate.keyName,
-              error: error.message,
-            });
-          }
-        } else {
-          cleanupResults.deletedAssets.push(assetInfo);
-          cleanupResults.storageSaved += assetInfo.estimatedSize;
-        }
-
-        deletionCount++;
-      }
+    const { planned, nextCursor } = await planDuplicateCleanup(env, options, cleanupResults);
 
-      cleanupResults.kept++;
-    }
-
-    if (options.dryRun) {
-      cleanupResults.deleted = cleanupResults.deletedAssets.length;
-    }
+    const confirmation = await confirmCleanup(request, env, 'duplicates', planned, {
+      dryRun: options.dryRun,
+      confirmToken: body.confirmToken,
+    });
+    await applyCleanupPlan(request, env, 'duplicates', planned, cleanupResults, options);
 
     return createSuccessResponse({
       message: options.dryRun
         ? `Would delete ${cleanupResults.deleted} duplicate assets (dry run)`
         : `Successfully deleted ${cleanupResults.deleted} duplicate assets`,
       dryRun: options.dryRun,
+      confirmation,
       options,
       cleanupResults,
+      nextCursor,
+      done: nextCursor === null,
       performance: {
         storageSaved: formatBytes(cleanupResults.storageSaved),
         deduplicationRate: Math.round((cleanupResults.deleted / cleanupResults.duplicatesFound) * 100),
@@ -446,8 +409,8 @@ export async function handleCleanDuplicates(request, env) {
     });
   } catch (error) {
     return createErrorResponse(error, {
-      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
-      message: 'Failed to clean duplicate assets',
+      status: error.status || CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+      message: error.status ? 'Cleanup not confirmed' : 'Failed to clean duplicate assets',
     });
   }
 }
@@ -456,13 +419,12 @@ export async function handleCleanupAnalytics(request, env) {
   validateMethod(request, ['GET']);
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
     const analytics = {
       totalAssets: 0,
       junkAssets: 0,
@@ -486,21 +448,16 @@ export async function handleCleanupAnalytics(request, env) {
       recommendations: [],
     };
 
-    const seenAssets = new Map();
-
-    for (const key of keys) {
-      const image = await env.DA_MEDIA_KV.get(key.name, 'json');
-      if (!image) continue;
-
+    await env.assetStore.forEach((image) => {
       analytics.totalAssets++;
-      const estimatedSize = estimateAssetSize(image);
+      const estimatedSize = getAssetSize(image);
 
       if (isJunkAsset(image)) {
         analytics.junkAssets++;
         analytics.qualityDistribution.junk++;
         analytics.estimatedWaste.junkStorage += estimatedSize;
       } else {
-        const qualityScore = calculateQualityScore(image.src);
+        const qualityScore = calculateQualityScore(image);
 
         if (qualityScore >= 80) {
           analytics.highQualityAssets++;
@@ -515,20 +472,20 @@ export async function handleCleanupAnalytics(request, env) {
           analytics.estimatedWaste.lowQualityStorage += estimatedSize;
         }
 
-        const signature = generateAssetSignature(image);
-        if (seenAssets.has(signature)) {
-          analytics.duplicateAssets++;
-          analytics.estimatedWaste.duplicateStorage += estimatedSize;
-        } else {
-          seenAssets.set(signature, true);
-        }
-
         const domain = extractDomain(image.src);
         if (domain) {
           analytics.domainDistribution[domain] = (analytics.domainDistribution[domain] || 0) + 1;
         }
       }
-    }
+    });
+
+    // Every copy of a content hash after the first counts, unless it is junk
+    await forEachDuplicateGroup(env, ({ records: [, ...duplicates] }) => {
+      duplicates.filter((image) => !isJunkAsset(image)).forEach((image) => {
+        analytics.duplicateAssets++;
+        analytics.estimatedWaste.duplicateStorage += getAssetSize(image);
+      });
+    });
 
     analytics.estimatedWaste.totalWaste = analytics.estimatedWaste.junkStorage
       + analytics.estimatedWaste.lowQualityStorage
@@ -627,7 +584,28 @@ function getJunkReason(image) {
   return 'Low quality asset';
 }
 
-function calculateQualityScore(src) {
+/**
+ * Quality score from 0 to 100. Scanned images are scored on their real resolution,
+ * SVGs count as full quality; other records fall back to scoring their URL.
+ */
+function calculateQualityScore(image) {
+  if (image.mimeType === 'image/svg+xml') return 100;
+
+  const { width, height } = image.dimensions || {};
+  if (image.fileSize && width && height) {
+    const longestSide = Math.max(width, height);
+    if (longestSide >= 1600) return 100;
+    if (longestSide >= 1000) return 80;
+    if (longestSide >= 600) return 60;
+    if (longestSide >= 300) return 40;
+    if (longestSide >= 100) return 30;
+    return 10;
+  }
+
+  return calculateUrlQualityScore(image.src);
+}
+
+function calculateUrlQualityScore(src) {
   if (!src) return 0;
 
   let score = 0;
@@ -665,19 +643,11 @@ function calculateQualityScore(src) {
   return Math.max(0, score);
 }
 
-function generateAssetSignature(image) {
-  const cleanName = image.displayName?.toLowerCase().replace(/[^a-z0-9]/g, '') || '';
-  const cleanSrc = image.src?.toLowerCase().replace(/[^a-z0-9]/g, '') || '';
-  return `${cleanName}-${cleanSrc}`.substring(0, 50);
-}
-
-function estimateAssetSize(image) {
-  if (image.fileSize) return image.fileSize;
-  if (image.dimensions) {
-    const { width, height } = image.dimensions;
-    return Math.floor((width * height * 3) / 2);
-  }
-  return 25000;
+/**
+ * Byte size measured when the image was scanned, or 0 when it is unknown
+ */
+function getAssetSize(image) {
+  return Number(image.fileSize) || 0;
 }
 
 function extractDomain(url) {
@@ -691,19 +661,140 @@ function extractDomain(url) {
 function selectKeeperAsset(duplicates, strategy) {
   switch (strategy) {
     case 'highest_quality':
-      return duplicates.reduce((best, current) => (calculateQualityScore(current.src)
-        > calculateQualityScore(best.src) ? current : best));
+      return duplicates.reduce((best, current) => (calculateQualityScore(current)
+        > calculateQualityScore(best) ? current : best));
     case 'most_recent':
       return duplicates.reduce((best, current) => ((current.lastModified || current.createdAt || 0)
         > (best.lastModified || best.createdAt || 0) ? current : best));
     case 'smallest_size':
-      return duplicates.reduce((best, current) => (estimateAssetSize(current)
-        < estimateAssetSize(best) ? current : best));
+      // Records without a measured size never win over measured ones
+      return duplicates.reduce((best, current) => ((getAssetSize(current) || Infinity)
+        < (getAssetSize(best) || Infinity) ? current : best));
     default:
       return duplicates[0];
   }
 }
 
+/**
+ * Error for a cleanup that may not delete without (another) confirmation
+ */
+class CleanupConfirmError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'CleanupConfirmError';
+    this.status = status;
+  }
+}
+
+async function hashCleanupPlan(action, planned) {
+  const plan = [action, ...planned.map((asset) => asset.keyName).sort()].join('\n');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(plan));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Two-step confirmation for cleanups deleting more than the threshold. A dry run returns
+ * a single-use token bound to its plan; the deleting request has to send it back and
+ * plan exactly the same records.
+ */
+async function confirmCleanup(request, env, action, planned, { dryRun, confirmToken }) {
+  const threshold = parseInt(env.CLEANUP_CONFIRM_THRESHOLD, 10) || CONFIG.LIMITS.CLEANUP_CONFIRM_THRESHOLD;
+  if (planned.length <= threshold) {
+    return { required: false, threshold };
+  }
+
+  // Confirm tokens live in KV; without the binding large cleanups cannot be confirmed
+  if (!env.DA_MEDIA_KV) {
+    throw new CleanupConfirmError(
+      `Deleting more than ${threshold} records needs a confirmation, but the DA_MEDIA_KV binding is not configured`,
+      CONFIG.HTTP_STATUS.SERVICE_UNAVAILABLE,
+    );
+  }
+
+  const planHash = await hashCleanupPlan(action, planned);
+  const subject = request.tenant?.subject || null;
+
+  if (dryRun) {
+    const token = crypto.randomUUID();
+    await env.DA_MEDIA_KV.put(`${CONFIG.PREFIXES.CLEANUP_CONFIRM}${token}`, JSON.stringify({
+      action, planHash, subject, count: planned.length,
+    }), { expirationTtl: CONFIG.CACHE_TTL.CLEANUP_CONFIRM });
+    return {
+      required: true,
+      threshold,
+      confirmToken: token,
+      expiresIn: CONFIG.CACHE_TTL.CLEANUP_CONFIRM,
+    };
+  }
+
+  if (!confirmToken) {
+    throw new CleanupConfirmError(
+      `Deleting ${planned.length} records (more than ${threshold}) needs the confirmToken from a dry run`,
+      CONFIG.HTTP_STATUS.PRECONDITION_REQUIRED,
+    );
+  }
+
+  const tokenKey = `${CONFIG.PREFIXES.CLEANUP_CONFIRM}${confirmToken}`;
+  const confirmed = await env.DA_MEDIA_KV.get(tokenKey, 'json');
+  if (!confirmed || confirmed.action !== action || confirmed.subject !== subject) {
+    throw new CleanupConfirmError(
+      'confirmToken is unknown or expired; run a dry run again',
+      CONFIG.HTTP_STATUS.PRECONDITION_REQUIRED,
+    );
+  }
+  await env.DA_MEDIA_KV.delete(tokenKey);
+
+  if (confirmed.planHash !== planHash) {
+    throw new CleanupConfirmError(
+      'Records changed since the dry run; run a dry run again',
+      CONFIG.HTTP_STATUS.CONFLICT,
+    );
+  }
+  return { required: true, threshold };
+}
+
+/**
+ * Delete the planned records in batches, or only report them on a dry run.
+ * Deleted records are written to the audit log.
+ */
+async function applyCleanupPlan(request, env, action, planned, cleanupResults, { dryRun, batchSize }) {
+  if (dryRun) {
+    cleanupResults.deletedAssets.push(...planned);
+    cleanupResults.deleted = planned.length;
+    cleanupResults.storageSaved = planned.reduce((total, asset) => total + asset.estimatedSize, 0);
+    return;
+  }
+
+  const changes = [];
+  for (let i = 0; i < planned.length; i += batchSize) {
+    const batch = planned.slice(i, i + batchSize);
+    const ids = batch.map((assetInfo) => assetInfo.id);
+    try {
+      const before = await env.assetStore.getMany(ids);
+      await env.assetStore.remove(ids);
+      batch.forEach((assetInfo) => {
+        changes.push({ key: assetInfo.keyName, before: before.get(assetInfo.id) || null, after: null });
+        cleanupResults.deleted++;
+        cleanupResults.deletedAssets.push(assetInfo);
+        cleanupResults.storageSaved += assetInfo.estimatedSize;
+      });
+    } catch (error) {
+      batch.forEach((assetInfo) => {
+        cleanupResults.errors.push({
+          id: assetInfo.id,
+          keyName: assetInfo.keyName,
+          error: error.message,
+        });
+      });
+    }
+  }
+
+  if (cleanupResults.deleted > 0) {
+    await invalidateSearchIndex(env);
+    await recordAudit(env, request, `cleanup.${action}`, changes);
+  }
+}
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -9,9 +9,11 @@ import {
   createErrorResponse,
   CONFIG,
 } from '../utils.js';
+import { parseListParams } from '../asset-store.js';
 
 /**
- * Get all images from the media library with quality filtering
+ * Get one page of images from the media library with quality filtering.
+ * Pages are read in ID order with cursor and limit, like /api/assets.
  */
 export async function handleGetImages(request, env) {
   validateMethod(request, ['GET']);
@@ -22,67 +24,45 @@ export async function handleGetImages(request, env) {
   const qualityFilter = url.searchParams.get('quality') || 'all'; // all, high, medium, low
   const priority = url.searchParams.get('priority'); // 'ai-recommended', 'high-priority'
   const context = url.searchParams.get('context'); // document context for AI recommendations
-  const limit = parseInt(url.searchParams.get('limit'), 10) || CONFIG.LIMITS.DEFAULT_PAGE_SIZE;
-  const offset = parseInt(url.searchParams.get('offset'), 10) || 0;
+  const { cursor, limit, ...listFilters } = parseListParams(url);
+  // External records are left out in D1 unless asked for, so pages stay full
+  const storeFilters = includeExternal ? listFilters : { ...listFilters, external: false };
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
-    // Try org-aware keys first, then fallback to legacy keys
-    let keys = [];
-
-    // Try to get org-aware keys (org:*:site:*:image:*)
-    const orgKeys = await env.DA_MEDIA_KV.list({ prefix: 'org:' });
-    const imageKeys = orgKeys.keys.filter((key) => key.name.includes(':image:'));
-
-    if (imageKeys.length > 0) {
-      keys = imageKeys;
-    } else {
-      // Fallback to legacy keys
-      const legacyKeys = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
-      keys = legacyKeys.keys;
-    }
-
-    const imagePromises = keys.map((key) => env.DA_MEDIA_KV.get(key.name, 'json'));
-
-    const imageResults = await Promise.all(imagePromises);
-    let allImages = imageResults.filter((img) => img !== null);
+    // The tenant's asset store only returns the caller's org/site records
+    const { records: pageImages, nextCursor } = await env.assetStore.listPage({
+      cursor, limit, ...storeFilters,
+    });
 
+    // Quality, priority and duplicate filtering apply within the page
+    let images = filterByQuality(pageImages, qualityFilter);
     const qualityStats = {
-      total: allImages.length,
-      beforeFiltering: allImages.length,
+      pageSize: pageImages.length,
+      afterQualityFilter: images.length,
     };
 
-    if (!includeExternal) {
-      allImages = allImages.filter((img) => !isExternalAsset(img.src));
-      qualityStats.externalFiltered = qualityStats.beforeFiltering - allImages.length;
-    }
-
-    allImages = filterByQuality(allImages, qualityFilter);
-    qualityStats.afterQualityFilter = allImages.length;
-
     // Apply AI-powered priority filtering if requested
     if (priority) {
-      allImages = await applyPriorityFiltering(allImages, priority, context);
-      qualityStats.afterPriorityFilter = allImages.length;
+      images = await applyPriorityFiltering(images, priority, context);
+      qualityStats.afterPriorityFilter = images.length;
     }
 
-    const deduplicatedImages = deduplicateImagesByQuality(allImages);
+    const deduplicatedImages = deduplicateImagesByQuality(images);
     qualityStats.afterDeduplication = deduplicatedImages.length;
 
-    const paginatedImages = deduplicatedImages.slice(offset, offset + limit);
-
     return createSuccessResponse({
-      images: paginatedImages,
+      images: deduplicatedImages,
       pagination: {
-        total: deduplicatedImages.length,
+        total: await env.assetStore.count(storeFilters),
         limit,
-        offset,
-        hasMore: offset + limit < deduplicatedImages.length,
+        nextCursor,
+        hasMore: nextCursor !== null,
       },
       qualityStats,
       filters: {
@@ -105,39 +85,23 @@ export async function handleGetImages(request, env) {
 }
 
 /**
- * Get high-quality images only (replacement for analyzed-images-fast)
+ * Get the high-quality images of one page of records (replacement for analyzed-images-fast)
  */
 export async function handleGetHighQualityImages(request, env) {
   validateMethod(request, ['GET']);
 
+  const { cursor, limit, ...filters } = parseListParams(new URL(request.url));
+
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
-    // Try org-aware keys first, then fallback to legacy keys
-    let keys = [];
-
-    // Try to get org-aware keys (org:*:site:*:image:*)
-    const orgKeys = await env.DA_MEDIA_KV.list({ prefix: 'org:' });
-    const imageKeys = orgKeys.keys.filter((key) => key.name.includes(':image:'));
+    const { records: pageImages, nextCursor } = await env.assetStore.listPage({ cursor, limit, ...filters });
 
-    if (imageKeys.length > 0) {
-      keys = imageKeys;
-    } else {
-      // Fallback to legacy keys
-      const legacyKeys = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
-      keys = legacyKeys.keys;
-    }
-
-    const imagePromises = keys.map((key) => env.DA_MEDIA_KV.get(key.name, 'json'));
-
-    const imageResults = await Promise.all(imagePromises);
-    const allImages = imageResults.filter((img) => img !== null);
-
-    const highQualityImages = allImages.filter((img) => {
+    const highQualityImages = pageImages.filter((img) => {
       const qualityScore = getImageQualityScore(img.src);
       return qualityScore >= 70 && !isJunkAsset(img);
     });
@@ -146,13 +110,17 @@ export async function handleGetHighQualityImages(request, env) {
 
     return createSuccessResponse({
       images: deduplicatedImages,
-      total: deduplicatedImages.length,
       qualityInfo: {
-        totalScanned: allImages.length,
+        pageScanned: pageImages.length,
         highQualityFound: highQualityImages.length,
         afterDeduplication: deduplicatedImages.length,
         qualityThreshold: 70,
       },
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
       timestamp: new Date().toISOString(),
     }, {
       cache: CONFIG.CACHE_TTL.IMAGES,
@@ -209,21 +177,6 @@ function isJunkAsset(image) {
   return junkIndicators.some((indicator) => src.includes(indicator) || name.includes(indicator));
 }
 
-/**
- * Check if asset is external
- */
-function isExternalAsset(src) {
-  if (!src) return false;
-
-  const internalDomains = [
-    'main--da-media--',
-    'localhost',
-    '127.0.0.1',
-  ];
-
-  return !internalDomains.some((domain) => src.includes(domain));
-}
-
 /**
  * Deduplicate images by displayName, prioritizing higher quality URLs
  */
@@ -331,7 +284,7 @@ async function applyPriorityFiltering(images, priority, context) {
         // General quality and usage boosts
         if (image.usageCount > 0) relevanceScore += Math.min(image.usageCount * 3, 15);
         if (getImageQualityScore(image.src) > 80) relevanceScore += 10;
-        if (!isExternalAsset(image.src)) relevanceScore += 5; // Slight preference for internal
+        if (!image.isExternal) relevanceScore += 5; // Slight preference for internal
 
         return {
           ...image,
@@ -10,6 +10,10 @@ import {
   createErrorResponse,
   CONFIG,
 } from '../utils.js';
+import { fetchImageMetadata } from '../image-metadata.js';
+import { invalidateSearchIndex } from '../search-index.js';
+import { recordAudit } from '../audit.js';
+import { toAssetKey } from '../asset-store.js';
 
 /**
  * Handle preview content scan requests from GitHub Actions
@@ -28,6 +32,13 @@ export async function handlePreviewContentScan(request, env) {
       });
     }
 
+    if (org !== request.tenant.org || site !== request.tenant.site) {
+      return createErrorResponse(`Token does not grant access to ${org}/${site}`, {
+        status: CONFIG.HTTP_STATUS.FORBIDDEN,
+        message: 'Forbidden',
+      });
+    }
+
     // eslint-disable-next-line no-console
     console.log(`🔍 Scanning preview content: ${previewUrl}`);
 
@@ -59,6 +70,7 @@ export async function handlePreviewContentScan(request, env) {
     // Process and store each image
     const processedImages = [];
     const errors = [];
+    const changes = [];
 
     for (const imageData of extractedImages) {
       try {
@@ -68,7 +80,7 @@ export async function handlePreviewContentScan(request, env) {
           org,
           publishedAt,
           trigger,
-        }, env);
+        }, env, changes);
 
         if (processed) {
           processedImages.push(processed);
@@ -81,6 +93,11 @@ export async function handlePreviewContentScan(request, env) {
       }
     }
 
+    if (processedImages.length > 0) {
+      await invalidateSearchIndex(env);
+      await recordAudit(env, request, 'preview-scan', changes);
+    }
+
     const result = {
       success: true,
       scanned: {
@@ -217,25 +234,28 @@ async function extractImagesFromHTML(htmlContent, pageContext) {
 }
 
 /**
- * Process image from preview scan
+ * Process image from preview scan, adding the written record to changes for the audit log
  */
-async function processImageFromPreview(imageData, pageContext, env) {
-  if (!env.DA_MEDIA_KV) {
-    throw new Error('KV storage not available');
+async function processImageFromPreview(imageData, pageContext, env, changes) {
+  if (!env.assetStore) {
+    throw new Error('D1 database not available');
   }
 
   // Generate unique ID for the image
   const imageId = generateImageId(imageData.src);
-  // Org-aware key structure: org:site:image:id
-  const kvKey = `org:${pageContext.org}:site:${pageContext.site}:${CONFIG.PREFIXES.IMAGE}${imageId}`;
+  const assetKey = toAssetKey(imageId);
 
   // Check if image already exists
-  const existingImage = await env.DA_MEDIA_KV.get(kvKey, 'json');
+  const existingImage = await env.assetStore.get(imageId);
 
   if (existingImage) {
+    // Records from before file metadata was collected are measured once
+    const metadata = existingImage.fileSize ? null : await fetchImageMetadata(imageData.src);
+
     // Update usage information
     const updatedImage = {
       ...existingImage,
+      ...(metadata && toRecordMetadata(metadata)),
       lastSeen: new Date().toISOString(),
       usageCount: (existingImage.usageCount || 0) + 1,
       usedInPages: [
@@ -250,7 +270,8 @@ async function processImageFromPreview(imageData, pageContext, env) {
       sourceType: existingImage.sourceType || imageData.sourceType || 'img-tag',
     };
 
-    await env.DA_MEDIA_KV.put(kvKey, JSON.stringify(updatedImage));
+    await env.assetStore.put(updatedImage);
+    changes.push({ key: assetKey, before: existingImage, after: updatedImage });
     return {
       id: imageId,
       action: 'updated',
@@ -259,11 +280,12 @@ async function processImageFromPreview(imageData, pageContext, env) {
       alt: existingImage.originalAltText || existingImage.displayName,
       isExternal: existingImage.isExternal,
       sourceType: updatedImage.sourceType,
-      dimensions: existingImage.dimensions,
+      dimensions: updatedImage.dimensions,
     };
   }
 
-  // Create new image record
+  // Create new image record, with measured dimensions when the file can be fetched
+  const metadata = await fetchImageMetadata(imageData.src);
   const newImage = {
     id: imageId,
     src: imageData.src,
@@ -274,6 +296,7 @@ async function processImageFromPreview(imageData, pageContext, env) {
       width: imageData.width,
       height: imageData.height,
     },
+    ...(metadata && toRecordMetadata(metadata)),
     firstSeen: new Date().toISOString(),
     lastSeen: new Date().toISOString(),
     usageCount: 1,
@@ -294,7 +317,8 @@ async function processImageFromPreview(imageData, pageContext, env) {
     site: pageContext.site,
   };
 
-  await env.DA_MEDIA_KV.put(kvKey, JSON.stringify(newImage));
+  await env.assetStore.put(newImage);
+  changes.push({ key: assetKey, before: null, after: newImage });
   return {
     id: imageId,
     action: 'created',
@@ -307,6 +331,21 @@ async function processImageFromPreview(imageData, pageContext, env) {
   };
 }
 
+/**
+ * Image record fields for metadata read from the image file
+ */
+function toRecordMetadata(metadata) {
+  const record = {
+    contentHash: metadata.contentHash,
+    fileSize: metadata.fileSize,
+    mimeType: metadata.mimeType,
+  };
+  if (metadata.width && metadata.height) {
+    record.dimensions = { width: metadata.width, height: metadata.height };
+  }
+  return record;
+}
+
 /**
  * Generate image ID from URL
  */
@@ -0,0 +1,74 @@
+/**
+ * Roles Handler
+ * Reads and updates the per-org roles that gate the API routes
+ */
+
+import {
+  validateMethod, createSuccessResponse, createErrorResponse, CONFIG,
+} from '../utils.js';
+import { ROLES, hasRole } from '../roles.js';
+import { recordAudit } from '../audit.js';
+
+/**
+ * The caller's role; admins also get the org's member list
+ */
+export async function handleGetRoles(request, env) {
+  validateMethod(request, ['GET']);
+
+  const { org, role, subject } = request.tenant;
+  const result = {
+    org, subject, role, roles: ROLES,
+  };
+
+  if (hasRole(role, 'admin') && env.roleStore) {
+    Object.assign(result, await env.roleStore.load());
+  }
+
+  return createSuccessResponse({ ...result, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Set or remove (role: null) the role of one member, by token subject or email.
+ * Body: { member, role } or { defaultRole }
+ */
+export async function handleUpdateRole(request, env) {
+  validateMethod(request, ['PUT']);
+
+  if (!env.roleStore) {
+    return createErrorResponse('KV storage not available', {
+      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+    });
+  }
+
+  const { member, role, defaultRole } = await request.json().catch(() => ({}));
+  if (!member && defaultRole === undefined) {
+    throw new Error('member or defaultRole is required');
+  }
+
+  // Members are keyed by subject or email, like the role lookup
+  const { subject, email } = request.tenant;
+  const isSelf = Boolean(member) && (member === subject || member === email);
+  if (isSelf && !hasRole(role, 'admin')) {
+    return createErrorResponse('Admins cannot lower their own role', {
+      status: CONFIG.HTTP_STATUS.BAD_REQUEST,
+    });
+  }
+
+  const before = await env.roleStore.load();
+  let record = null;
+  if (member) {
+    record = await env.roleStore.setMemberRole(member, role ?? null);
+  }
+  if (defaultRole !== undefined) {
+    record = await env.roleStore.setDefaultRole(defaultRole);
+  }
+  await recordAudit(env, request, 'roles.update', [{
+    key: `org:${request.tenant.org}:roles`, before, after: record,
+  }]);
+
+  return createSuccessResponse({
+    org: request.tenant.org,
+    ...record,
+    timestamp: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Search Handler
+ * Ranked full-text search with facets over the tenant's image records
+ */
+
+import {
+  validateMethod,
+  createSuccessResponse,
+  createErrorResponse,
+  parsePaginationParams,
+  CONFIG,
+} from '../utils.js';
+import { loadSearchIndex, searchIndex, loadResultRecords } from '../search-index.js';
+
+/**
+ * Search assets by name, alt text, tags, page paths and domains.
+ * Query parameters: q, type, source (internal|external), domain, folder,
+ * page, limit and refresh=true to rebuild the index. Each org/site has its own index.
+ */
+export async function handleSearch(request, env) {
+  validateMethod(request, ['GET']);
+
+  const url = new URL(request.url);
+  const query = url.searchParams.get('q') || '';
+  const pagination = parsePaginationParams(url);
+  const filters = {
+    type: url.searchParams.get('type'),
+    source: url.searchParams.get('source'),
+    domain: url.searchParams.get('domain'),
+    folder: url.searchParams.get('folder'),
+  };
+
+  try {
+    if (!env.DA_MEDIA_KV || !env.assetStore) {
+      return createErrorResponse('KV storage or D1 database not available', {
+        status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+      });
+    }
+
+    const index = await loadSearchIndex(env, { refresh: url.searchParams.get('refresh') === 'true' });
+    const { total, results, facets } = searchIndex(index, query, filters, pagination);
+    const records = await loadResultRecords(env, results);
+
+    return createSuccessResponse({
+      query,
+      results: records,
+      facets,
+      filters,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        hasMore: pagination.offset + pagination.limit < total,
+      },
+      indexBuiltAt: index.builtAt,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    return createErrorResponse(error, {
+      status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
+      message: 'Failed to search assets',
+    });
+  }
+}
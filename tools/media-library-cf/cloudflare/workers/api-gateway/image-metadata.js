@@ -0,0 +1,122 @@
+/**
+ * Image metadata read from the file itself
+ * Pixel size from PNG/JPEG/WebP/GIF/SVG headers, byte size, content type and SHA-256
+ * The parsers mirror tools/media-library/modules/image-info.js: the gateway is its own
+ * package and may not import files from outside it
+ */
+
+const readUint16BE = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+const readUint16LE = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+const readUint24LE = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+const readAscii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+/**
+ * Width and height from the start of a JPEG, at its first frame header
+ */
+function parseJpegSize(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xFF) {
+      offset++;
+    } else if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset += 2;
+    } else {
+      // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return { width: readUint16BE(bytes, offset + 7), height: readUint16BE(bytes, offset + 5) };
+      }
+      offset += 2 + readUint16BE(bytes, offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * Width and height of an SVG from its width/height attributes or viewBox
+ */
+function parseSvgSize(bytes) {
+  const text = new TextDecoder().decode(bytes.subarray(0, 4096));
+  const tag = text.match(/<svg\b[^>]*>/i)?.[0];
+  if (!tag) return null;
+  const getNumber = (name) => {
+    const value = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+    return value ? Math.round(parseFloat(value[1])) : null;
+  };
+  const width = getNumber('width');
+  const height = getNumber('height');
+  if (width && height) return { width, height };
+  const viewBox = tag.match(/\sviewBox\s*=\s*["']([^"']+)["']/i)?.[1].trim().split(/[\s,]+/).map(Number);
+  if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+  return null;
+}
+
+/**
+ * Detect the image format from its bytes and read its pixel size from the header.
+ * Returns { mimeType, width, height }; width and height are null when unreadable.
+ */
+export function parseImageInfo(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let mimeType = '';
+  let size = null;
+
+  if (bytes.length >= 24 && bytes[0] === 0x89 && readAscii(bytes, 1, 3) === 'PNG') {
+    mimeType = 'image/png';
+    const view = new DataView(buffer);
+    size = { width: view.getUint32(16), height: view.getUint32(20) };
+  } else if (bytes.length >= 10 && readAscii(bytes, 0, 4) === 'GIF8') {
+    mimeType = 'image/gif';
+    size = { width: readUint16LE(bytes, 6), height: readUint16LE(bytes, 8) };
+  } else if (bytes.length >= 30 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+    mimeType = 'image/webp';
+    const chunk = readAscii(bytes, 12, 4);
+    if (chunk === 'VP8 ') {
+      size = { width: readUint16LE(bytes, 26) & 0x3FFF, height: readUint16LE(bytes, 28) & 0x3FFF };
+    } else if (chunk === 'VP8L') {
+      const bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+      size = { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    } else if (chunk === 'VP8X') {
+      size = { width: readUint24LE(bytes, 24) + 1, height: readUint24LE(bytes, 27) + 1 };
+    }
+  } else if (bytes.length >= 4 && bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    mimeType = 'image/jpeg';
+    size = parseJpegSize(bytes);
+  } else if (/<svg\b/i.test(new TextDecoder().decode(bytes.subarray(0, 1024)))) {
+    mimeType = 'image/svg+xml';
+    size = parseSvgSize(bytes);
+  }
+
+  return { mimeType, width: size?.width || null, height: size?.height || null };
+}
+
+/**
+ * Fetch an image and read its metadata, or null when it cannot be fetched
+ */
+export async function fetchImageMetadata(src) {
+  try {
+    const response = await fetch(src, {
+      headers: {
+        'User-Agent': 'DA-Media-Library-Scanner/1.0',
+      },
+    });
+    if (!response.ok) return null;
+
+    const buffer = await response.arrayBuffer();
+    const info = parseImageInfo(buffer);
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return {
+      contentHash: Array.from(new Uint8Array(digest))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join(''),
+      fileSize: buffer.byteLength,
+      mimeType: info.mimeType || (response.headers.get('content-type') || '').split(';')[0],
+      width: info.width,
+      height: info.height,
+    };
+  } catch {
+    return null;
+  }
+}
@@ -13,9 +13,11 @@ import {
   asyncHandler,
 } from './utils.js';
 import { APIRouter } from './router.js';
+import { authenticateRequest } from './auth.js';
+import { assignRequestId } from './audit.js';
+import { parseListParams } from './asset-store.js';
 // import { handleHealthCheck } from './handlers/health.js';
 import { handleGetImages, handleGetHighQualityImages } from './handlers/images.js';
-// import { handleGetExternalAssets } from './handlers/external-assets.js';
 import {
   handleCleanupPreview,
   handleCleanJunkAssets as handleCleanupJunkAssets,
@@ -28,6 +30,10 @@ import {
   handlePersonalizedRecommendations,
 } from './handlers/context-analysis.js';
 import { handlePreviewContentScan } from './handlers/preview-scan.js';
+import { handleSearch } from './handlers/search.js';
+import { handleGetRoles, handleUpdateRole } from './handlers/roles.js';
+import { handleGetAudit, handleRecordAudit } from './handlers/audit.js';
+import { handleMigrateKvAssets } from './handlers/asset-migration.js';
 
 // Create router instance
 const router = new APIRouter();
@@ -40,6 +46,12 @@ router.use(async (request) => {
   return null; // Continue to next middleware/handler
 });
 
+// Require a verified bearer token and scope KV access to the caller's org/site
+router.use(authenticateRequest);
+
+// Tag the request so audit rows written for it can be grouped
+router.use(assignRequestId);
+
 /**
  * Add logging middleware
  */
@@ -81,31 +93,33 @@ router.use(async () => {
 //   return `${part1}${part2}${part3}`;
 // }
 
-// Fast analyzed images endpoint - optimized for performance
+// Fast analyzed images endpoint - one page of records at a time, read with cursor and limit
 async function handleAnalyzedImagesFast(request, env) {
   validateMethod(request, ['GET']);
 
+  const { cursor, limit, ...filters } = parseListParams(new URL(request.url));
+
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
+    const { records: pageImages, nextCursor } = await env.assetStore.listPage({ cursor, limit, ...filters });
 
-    // Load all images in parallel for better performance
-    const imagePromises = keys.map((key) => env.DA_MEDIA_KV.get(key.name, 'json'));
-
-    const imageResults = await Promise.all(imagePromises);
-    const allImages = imageResults.filter((img) => img !== null);
-
-    const deduplicatedImages = deduplicateImagesByQuality(allImages);
+    // Duplicates are merged within the page
+    const deduplicatedImages = deduplicateImagesByQuality(pageImages);
 
     return createSuccessResponse({
       images: deduplicatedImages,
-      total: deduplicatedImages.length,
-      totalBeforeDeduplication: allImages.length,
+      total: await env.assetStore.count(filters),
+      pageBeforeDeduplication: pageImages.length,
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
       timestamp: new Date().toISOString(),
     }, {
       cache: CONFIG.CACHE_TTL.IMAGES,
@@ -189,62 +203,48 @@ function getImageUrlQualityScore(src) {
   return score;
 }
 
-// External assets endpoint
+// External assets endpoint - one page of the records the scan marked external
 async function handleExternalAssets(request, env) {
   validateMethod(request, ['GET']);
 
-  const url = new URL(request.url);
-  const site = url.searchParams.get('site');
-  const org = url.searchParams.get('org');
-
-  if (!site || !org) {
-    return createErrorResponse('Missing required parameters: site and org', {
-      status: CONFIG.HTTP_STATUS.BAD_REQUEST,
-    });
-  }
+  const { cursor, limit, ...filters } = parseListParams(new URL(request.url));
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
+    const { records: images, nextCursor } = await env.assetStore.listPage({
+      cursor, limit, ...filters, external: true,
+    });
     const externalAssets = [];
     const groupedByDomain = {};
 
-    // Process images in parallel
-    const imagePromises = keys.map((key) => env.DA_MEDIA_KV.get(key.name, 'json'));
-    const images = await Promise.all(imagePromises);
-
     for (const image of images) {
-      if (!image || !image.src) continue;
-
-      const isExternal = isExternalAsset(image.src, { site, org });
-      if (isExternal) {
-        const domain = extractDomain(image.src);
-        const category = categorizeAssetDomain(domain);
-
-        const assetInfo = {
-          ...image,
-          domain,
-          category,
-          migrationPriority: calculateMigrationPriority(domain, category),
-          estimatedSavings: calculateEstimatedSavings(image),
-        };
-
-        externalAssets.push(assetInfo);
-
-        if (!groupedByDomain[domain]) {
-          groupedByDomain[domain] = [];
-        }
-        groupedByDomain[domain].push(assetInfo);
+      const domain = extractDomain(image.src);
+      const category = categorizeAssetDomain(domain);
+
+      const assetInfo = {
+        ...image,
+        domain,
+        category,
+        migrationPriority: calculateMigrationPriority(domain, category),
+        estimatedSavings: calculateEstimatedSavings(image),
+      };
+
+      externalAssets.push(assetInfo);
+
+      if (!groupedByDomain[domain]) {
+        groupedByDomain[domain] = [];
       }
+      groupedByDomain[domain].push(assetInfo);
     }
 
+    // totalExternal counts every page; the other figures are for this page
     const summary = {
-      totalExternal: externalAssets.length,
+      totalExternal: await env.assetStore.count({ ...filters, external: true }),
       domains: Object.keys(groupedByDomain).length,
       highPriority: externalAssets.filter((asset) => asset.migrationPriority === 'high').length,
       estimatedTotalSavings: externalAssets.reduce((sum, asset) => sum + (asset.estimatedSavings || 0), 0),
@@ -255,6 +255,11 @@ async function handleExternalAssets(request, env) {
       summary,
       externalAssets,
       groupedByDomain,
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -266,15 +271,6 @@ async function handleExternalAssets(request, env) {
 }
 
 // Helper functions for external assets
-function isExternalAsset(src, pageContext) {
-  if (!src) return false;
-
-  const domain = extractDomain(src);
-  const siteDomain = pageContext.site ? `${pageContext.site}--${pageContext.org}` : null;
-
-  return domain && !domain.includes(siteDomain);
-}
-
 function extractDomain(url) {
   try {
     return new URL(url).hostname;
@@ -313,51 +309,39 @@ function calculateEstimatedSavings(imageData) {
 async function handleInternalAssets(request, env) {
   validateMethod(request, ['GET']);
 
-  const url = new URL(request.url);
-  const org = url.searchParams.get('org') || 'da-sites';
-  const repo = url.searchParams.get('repo') || 'da-media';
+  const { cursor, limit, ...filters } = parseListParams(new URL(request.url));
 
   try {
-    if (!env.DA_MEDIA_KV) {
-      return createErrorResponse('KV storage not available', {
+    if (!env.assetStore) {
+      return createErrorResponse('D1 database not available', {
         status: CONFIG.HTTP_STATUS.INTERNAL_ERROR,
       });
     }
 
-    const { keys } = await env.DA_MEDIA_KV.list({ prefix: CONFIG.PREFIXES.IMAGE });
-    const internalAssets = [];
-
-    // Process images in parallel
-    const imagePromises = keys.map((key) => env.DA_MEDIA_KV.get(key.name, 'json'));
-    const images = await Promise.all(imagePromises);
-
-    for (const image of images) {
-      if (!image || !image.src) continue;
-
-      const isExternal = isExternalAsset(image.src, { site: repo, org });
-      if (!isExternal) {
-        // This is an internal asset
-        const assetInfo = {
-          id: image.id,
-          name: image.displayName || extractFilenameFromUrl(image.src),
-          path: image.path || `/${image.displayName || 'asset'}`,
-          url: image.src,
-          type: getAssetTypeFromUrl(image.src),
-          size: image.fileSize || null,
-          lastModified: image.lastSeen || new Date().toISOString(),
-          altText: image.displayName || extractFilenameFromUrl(image.src),
-          dimensions: image.dimensions || null,
-        };
-
-        internalAssets.push(assetInfo);
-      }
-    }
+    // is_external is filtered in D1 (idx_asset_external), so pages are full
+    const { records: images, nextCursor } = await env.assetStore.listPage({
+      cursor, limit, ...filters, external: false,
+    });
+    const internalAssets = images.map((image) => ({
+      id: image.id,
+      name: image.displayName || extractFilenameFromUrl(image.src),
+      path: image.path || `/${image.displayName || 'asset'}`,
+      url: image.src,
+      type: getAssetTypeFromUrl(image.src),
+      size: image.fileSize || null,
+      lastModified: image.lastSeen || new Date().toISOString(),
+      altText: image.displayName || extractFilenameFromUrl(image.src),
+      dimensions: image.dimensions || null,
+    }));
 
     return createSuccessResponse({
       assets: internalAssets,
-      total: internalAssets.length,
-      page: 1,
-      limit: 50,
+      filters,
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -398,6 +382,9 @@ function getAssetTypeFromUrl(url) {
   if (['mp4', 'mov', 'avi', 'webm'].includes(ext)) {
     return 'video';
   }
+  if (['mp3', 'wav', 'm4a', 'ogg', 'oga', 'opus', 'aac', 'flac'].includes(ext)) {
+    return 'audio';
+  }
   if (['pdf', 'doc', 'docx', 'txt'].includes(ext)) {
     return 'document';
   }
@@ -504,13 +491,13 @@ router.get('/api/images/high-quality', asyncHandler(handleGetHighQualityImages))
 
 // External assets with improved data quality
 router.get('/api/external-assets', asyncHandler(handleExternalAssets));
-router.post('/api/external-assets/cleanup', asyncHandler(handleCleanupJunkAssets));
+router.post('/api/external-assets/cleanup', asyncHandler(handleCleanupJunkAssets), { role: 'librarian' });
 
 // Phase 4: Comprehensive Data Cleanup Endpoints
 router.post('/api/cleanup/preview', asyncHandler(handleCleanupPreview));
-router.post('/api/cleanup/junk-assets', asyncHandler(handleCleanupJunkAssets));
-router.post('/api/cleanup/low-quality', asyncHandler(handleCleanLowQuality));
-router.post('/api/cleanup/duplicates', asyncHandler(handleCleanDuplicates));
+router.post('/api/cleanup/junk-assets', asyncHandler(handleCleanupJunkAssets), { role: 'librarian' });
+router.post('/api/cleanup/low-quality', asyncHandler(handleCleanLowQuality), { role: 'librarian' });
+router.post('/api/cleanup/duplicates', asyncHandler(handleCleanDuplicates), { role: 'librarian' });
 router.get('/api/cleanup/analytics', asyncHandler(handleCleanupAnalytics));
 
 // AI-Powered Context Analysis & Predictive Recommendations
@@ -530,7 +517,12 @@ const comingSoonHandler = (endpointName) => async () => createSuccessResponse({
 
 // Internal assets endpoint
 router.get('/api/assets', asyncHandler(handleInternalAssets));
-router.get('/api/search', asyncHandler(comingSoonHandler('Search')));
+router.post('/api/assets/migrate-from-kv', asyncHandler(handleMigrateKvAssets), { role: 'admin' });
+router.get('/api/search', asyncHandler(handleSearch));
+router.get('/api/roles', asyncHandler(handleGetRoles));
+router.put('/api/roles', asyncHandler(handleUpdateRole), { role: 'admin' });
+router.get('/api/audit', asyncHandler(handleGetAudit), { role: 'librarian' });
+router.post('/api/audit', asyncHandler(handleRecordAudit), { role: 'author' });
 router.post('/api/analyze', asyncHandler(comingSoonHandler('Analyze')));
 router.post('/api/track-usage', asyncHandler(comingSoonHandler('Usage Tracking - Future User Analytics')));
 
@@ -538,7 +530,7 @@ router.get('/api/usage-analytics', asyncHandler(comingSoonHandler('Usage Analyti
 router.post('/api/da-webhook', asyncHandler(comingSoonHandler('DA Webhook')));
 router.post('/api/analyze-image', asyncHandler(comingSoonHandler('Image Analysis')));
 router.post('/api/upload-image', asyncHandler(comingSoonHandler('Image Upload')));
-router.post('/api/scan-preview-content', asyncHandler(handlePreviewContentScan));
+router.post('/api/scan-preview-content', asyncHandler(handlePreviewContentScan), { role: 'author' });
 router.get('/api/test-responsive-extraction', asyncHandler(comingSoonHandler('Responsive Extraction Test')));
 router.get('/api/analyzed-images', asyncHandler(comingSoonHandler('Analyzed Images')));
 router.delete('/api/analyzed-images/{id}', asyncHandler(comingSoonHandler('Delete Images')));
@@ -561,6 +553,7 @@ export default {
 
       const duration = Date.now() - startTime;
       response.headers.set('X-Response-Time', `${duration}ms`);
+      if (request.requestId) response.headers.set('X-Request-ID', request.requestId);
 
       return response;
     } catch (error) {
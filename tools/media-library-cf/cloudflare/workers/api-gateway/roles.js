@@ -0,0 +1,73 @@
+/**
+ * Role-based permissions for the API gateway
+ * Roles are stored per org in KV and checked by the router before handlers run
+ */
+
+// Ordered from least to most privileged; each role can do everything the ones before it can
+export const ROLES = ['viewer', 'author', 'librarian', 'admin'];
+
+const DEFAULT_ROLE = 'viewer';
+
+/**
+ * Whether a role is at least the required one
+ */
+export function hasRole(role, required) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank >= ROLES.indexOf(required);
+}
+
+/**
+ * Org role record in KV, kept beside (not under) the org's site prefixes:
+ * org:{org}:roles → { defaultRole, members: { "<sub or email>": "<role>" } }
+ */
+export function createRoleStore(namespace, org) {
+  const key = `org:${org}:roles`;
+
+  async function load() {
+    const record = await namespace.get(key, 'json');
+    return {
+      defaultRole: record?.defaultRole || null,
+      members: record?.members || {},
+    };
+  }
+
+  function validate(role) {
+    if (role !== null && !ROLES.includes(role)) {
+      throw new Error(`role is invalid: ${role}`);
+    }
+  }
+
+  async function setMemberRole(member, role) {
+    validate(role);
+    const record = await load();
+    if (role) {
+      record.members[member] = role;
+    } else {
+      delete record.members[member];
+    }
+    await namespace.put(key, JSON.stringify(record));
+    return record;
+  }
+
+  async function setDefaultRole(role) {
+    validate(role);
+    const record = { ...await load(), defaultRole: role };
+    await namespace.put(key, JSON.stringify(record));
+    return record;
+  }
+
+  return { load, setMemberRole, setDefaultRole };
+}
+
+/**
+ * Role of the tenant's caller: their member entry by subject or email,
+ * else the org default, else AUTH_DEFAULT_ROLE
+ */
+export async function resolveRole(roleStore, tenant, env) {
+  const fallback = ROLES.includes(env.AUTH_DEFAULT_ROLE) ? env.AUTH_DEFAULT_ROLE : DEFAULT_ROLE;
+  if (!roleStore) return fallback;
+
+  const { defaultRole, members } = await roleStore.load();
+  const memberRole = members[tenant.subject] || members[tenant.email];
+  return [memberRole, defaultRole].find((role) => ROLES.includes(role)) || fallback;
+}
@@ -3,7 +3,10 @@
  * Clean route handling to replace massive if-else chain
  */
 
-import { asyncHandler, createSuccessResponse, CONFIG } from './utils.js';
+import {
+  asyncHandler, createSuccessResponse, createErrorResponse, CONFIG,
+} from './utils.js';
+import { hasRole } from './roles.js';
 
 // Route definitions with handlers
 // const routes = new Map();
@@ -21,28 +24,28 @@ export class APIRouter {
     return this;
   }
 
-  // Register route with method and handler
-  register(method, path, handler) {
+  // Register route with method and handler; options.role is the least role that may call it
+  register(method, path, handler, options = {}) {
     const key = `${method.toUpperCase()}:${path}`;
-    this.routes.set(key, asyncHandler(handler));
+    this.routes.set(key, { handler: asyncHandler(handler), role: options.role || null });
     return this;
   }
 
   // Convenience methods for HTTP verbs
-  get(path, handler) {
-    return this.register('GET', path, handler);
+  get(path, handler, options) {
+    return this.register('GET', path, handler, options);
   }
 
-  post(path, handler) {
-    return this.register('POST', path, handler);
+  post(path, handler, options) {
+    return this.register('POST', path, handler, options);
   }
 
-  put(path, handler) {
-    return this.register('PUT', path, handler);
+  put(path, handler, options) {
+    return this.register('PUT', path, handler, options);
   }
 
-  delete(path, handler) {
-    return this.register('DELETE', path, handler);
+  delete(path, handler, options) {
+    return this.register('DELETE', path, handler, options);
   }
 
   // Match route with path parameters
@@ -50,17 +53,17 @@ export class APIRouter {
     // First try exact match
     const exactKey = `${method}:${pathname}`;
     if (this.routes.has(exactKey)) {
-      return { handler: this.routes.get(exactKey), params: {} };
+      return { ...this.routes.get(exactKey), params: {} };
     }
 
     // Try pattern matching for parameterized routes
-    for (const [routeKey, handler] of this.routes.entries()) {
+    for (const [routeKey, route] of this.routes.entries()) {
       const [routeMethod, routePath] = routeKey.split(':');
       if (routeMethod !== method) continue;
 
       const params = this.extractParams(routePath, pathname);
       if (params !== null) {
-        return { handler, params };
+        return { ...route, params };
       }
     }
 
@@ -110,19 +113,29 @@ export class APIRouter {
     const { method } = request;
     const { pathname } = url;
 
-    // Apply middlewares
+    // Apply middlewares; one may answer the request or narrow the env handlers see
+    let handlerEnv = env;
     for (const middleware of this.middlewares) {
-      const result = await middleware(request, env, ctx);
-      if (result) return result; // Middleware handled the request
+      const result = await middleware(request, handlerEnv, ctx);
+      if (result instanceof Response) return result; // Middleware handled the request
+      if (result?.env) handlerEnv = result.env;
     }
 
     // Find matching route
     const match = this.matchRoute(method, pathname);
 
     if (match) {
+      // Routes with a role need a caller whose org role is at least that one
+      if (match.role && !hasRole(request.tenant?.role, match.role)) {
+        return createErrorResponse(`${method} ${pathname} requires the ${match.role} role`, {
+          status: CONFIG.HTTP_STATUS.FORBIDDEN,
+          message: 'Forbidden',
+        });
+      }
+
       // Add params to request context
       request.params = match.params;
-      return await match.handler(request, env, ctx);
+      return await match.handler(request, handlerEnv, ctx);
     }
 
     // No route found - return API info
@@ -142,9 +155,9 @@ export class APIRouter {
 
   // Get API information
   getAPIInfo() {
-    const endpoints = Array.from(this.routes.keys()).map((key) => {
+    const endpoints = Array.from(this.routes.entries()).map(([key, route]) => {
       const [method, path] = key.split(':');
-      return { method, path };
+      return route.role ? { method, path, role: route.role } : { method, path };
     });
 
     return createSuccessResponse({
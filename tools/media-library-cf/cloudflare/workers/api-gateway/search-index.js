@@ -0,0 +1,292 @@
+/**
+ * Search Index - Inverted index over the image records in D1
+ * Built on demand, stored in KV and dropped whenever records change. The stored index holds
+ * only IDs, facet fields and term postings; results read their records from D1.
+ */
+
+import { CONFIG } from './utils.js';
+
+const SEARCH_INDEX_KEY = `${CONFIG.PREFIXES.SEARCH}index`;
+const SEARCH_INDEX_VERSION = 2;
+// How long an isolate reuses the index it loaded before reading KV again
+const MEMORY_TTL_MS = 60 * 1000;
+
+// Token weight per field; a name match counts more than a page path match
+const FIELD_WEIGHTS = {
+  name: 3,
+  alt: 2,
+  tags: 2,
+  file: 2,
+  pages: 1,
+  domain: 1,
+  folder: 1,
+};
+
+const FACET_FIELDS = ['type', 'source', 'domain', 'folder'];
+const MAX_FACET_VALUES = 20;
+
+// Loaded indexes per tenant key prefix
+const memoryIndexes = new Map();
+
+/**
+ * Lowercase word tokens of a text, at least two characters long
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length >= 2);
+}
+
+function getAssetType(image) {
+  const mimeType = image.mimeType || '';
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  if (mimeType) return 'document';
+
+  const ext = (image.src || '').split('?')[0].split('.').pop().toLowerCase();
+  if (['mp4', 'mov', 'avi', 'webm'].includes(ext)) return 'video';
+  if (['mp3', 'wav', 'm4a', 'ogg', 'oga', 'opus', 'aac', 'flac'].includes(ext)) return 'audio';
+  if (['pdf', 'doc', 'docx', 'txt'].includes(ext)) return 'document';
+  return 'image';
+}
+
+function parseSrc(src) {
+  try {
+    const url = new URL(src);
+    return { domain: url.hostname, path: decodeURIComponent(url.pathname) };
+  } catch {
+    return { domain: '', path: (src || '').split('?')[0] };
+  }
+}
+
+/**
+ * Searchable document for a KV image record
+ */
+function toSearchDocument(image) {
+  const { domain, path } = parseSrc(image.src);
+  let folderPath = path;
+  // DA content URLs start with /org/site
+  if (domain === 'content.da.live') folderPath = path.split('/').slice(3).join('/');
+  const segments = folderPath.split('/').filter(Boolean);
+  const file = segments.pop() || '';
+
+  return {
+    id: image.id,
+    name: image.displayName || file,
+    src: image.src,
+    alt: image.originalAltText || '',
+    tags: image.aiAnalysis?.tags || image.tags || [],
+    pages: (image.usedInPages || []).map((page) => page.path).filter(Boolean),
+    file,
+    type: getAssetType(image),
+    source: image.isExternal ? 'external' : 'internal',
+    domain,
+    folder: `/${segments.join('/')}`,
+    org: image.org || '',
+    site: image.site || '',
+    usageCount: image.usageCount || 0,
+  };
+}
+
+/**
+ * Fields of a document kept in the stored index, for filters, facets and ranking
+ */
+function toStoredDocument({
+  id, type, source, domain, folder, org, site, usageCount,
+}) {
+  return {
+    id, type, source, domain, folder, org, site, usageCount,
+  };
+}
+
+function getFieldText(doc, field) {
+  const value = doc[field];
+  return Array.isArray(value) ? value.join(' ') : value;
+}
+
+/**
+ * Read every image record, one page at a time, and build the index
+ */
+export async function buildSearchIndex(env) {
+  const docs = [];
+  const postings = new Map();
+  // The tenant's asset store only returns the caller's org/site records
+  await env.assetStore.forEach((image) => {
+    if (!image?.src) return;
+    const doc = toSearchDocument(image);
+    const docIndex = docs.push(toStoredDocument(doc)) - 1;
+    const weights = new Map();
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(getFieldText(doc, field)).forEach((token) => {
+        weights.set(token, Math.max(weights.get(token) || 0, weight));
+      });
+    });
+    weights.forEach((weight, token) => {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token).push([docIndex, weight]);
+    });
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    docs,
+    // Sorted so prefix lookups can binary search
+    terms: Array.from(postings.entries()).sort(([a], [b]) => (a < b ? -1 : 1)),
+  };
+}
+
+/**
+ * Load the stored index, building and storing it when missing or forced
+ */
+export async function loadSearchIndex(env, { refresh = false } = {}) {
+  const tenantPrefix = env.DA_MEDIA_KV.prefix || '';
+  const memoryIndex = memoryIndexes.get(tenantPrefix);
+  if (!refresh && memoryIndex && Date.now() - memoryIndex.loadedAt < MEMORY_TTL_MS) {
+    return memoryIndex.index;
+  }
+
+  let index = refresh ? null : await env.DA_MEDIA_KV.get(SEARCH_INDEX_KEY, 'json');
+  if (!index || index.version !== SEARCH_INDEX_VERSION) {
+    index = await buildSearchIndex(env);
+    await env.DA_MEDIA_KV.put(SEARCH_INDEX_KEY, JSON.stringify(index), {
+      expirationTtl: CONFIG.CACHE_TTL.SEARCH_INDEX,
+    });
+  }
+
+  memoryIndexes.set(tenantPrefix, { index, loadedAt: Date.now() });
+  return index;
+}
+
+/**
+ * Drop the stored index after image records were written or deleted
+ */
+export async function invalidateSearchIndex(env) {
+  memoryIndexes.delete(env.DA_MEDIA_KV.prefix || '');
+  await env.DA_MEDIA_KV.delete(SEARCH_INDEX_KEY);
+}
+
+/**
+ * Index range of the terms starting with a prefix
+ */
+function findPrefixRange(terms, prefix) {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid][0] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  let end = low;
+  while (end < terms.length && terms[end][0].startsWith(prefix)) end++;
+  return [low, end];
+}
+
+/**
+ * Relevance per document for a query; every query token has to match.
+ * Exact term matches score double a prefix match, rare terms score higher.
+ */
+function scoreDocuments(index, tokens) {
+  let scores = null;
+  tokens.forEach((token) => {
+    const tokenScores = new Map();
+    const [start, end] = findPrefixRange(index.terms, token);
+    for (let i = start; i < end; i++) {
+      const [term, postings] = index.terms[i];
+      const idf = Math.log(1 + index.docs.length / postings.length);
+      const matchWeight = term === token ? 1 : 0.5;
+      postings.forEach(([docIndex, weight]) => {
+        const score = weight * matchWeight * idf;
+        tokenScores.set(docIndex, Math.max(tokenScores.get(docIndex) || 0, score));
+      });
+    }
+
+    if (scores === null) {
+      scores = tokenScores;
+      return;
+    }
+    const combined = new Map();
+    scores.forEach((score, docIndex) => {
+      if (tokenScores.has(docIndex)) combined.set(docIndex, score + tokenScores.get(docIndex));
+    });
+    scores = combined;
+  });
+  return scores;
+}
+
+function matchesFilter(doc, field, value) {
+  if (field === 'folder') return doc.folder === value || doc.folder.startsWith(`${value.replace(/\/$/, '')}/`);
+  return doc[field] === value;
+}
+
+function matchesFilters(doc, filters, skipField = null) {
+  return Object.entries(filters).every(([field, value]) => (
+    field === skipField || !value || matchesFilter(doc, field, value)
+  ));
+}
+
+/**
+ * Counts per facet value. Each facet ignores its own filter so the other
+ * values of a selected facet stay visible.
+ */
+function buildFacets(docs, filters) {
+  return FACET_FIELDS.reduce((facets, field) => {
+    const counts = new Map();
+    docs.forEach((doc) => {
+      if (!matchesFilters(doc, filters, field) || !doc[field]) return;
+      counts.set(doc[field], (counts.get(doc[field]) || 0) + 1);
+    });
+    return {
+      ...facets,
+      [field]: Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FACET_VALUES)
+        .map(([value, count]) => ({ value, count })),
+    };
+  }, {});
+}
+
+/**
+ * Search the index. filters holds optional org, site, type, source, domain and folder values.
+ */
+export function searchIndex(index, query, filters, { offset, limit }) {
+  const tokens = Array.from(new Set(tokenize(query)));
+  const scores = tokens.length > 0 ? scoreDocuments(index, tokens) : null;
+
+  let matched = scores
+    ? Array.from(scores.entries()).map(([docIndex, score]) => ({ doc: index.docs[docIndex], score }))
+    : index.docs.map((doc) => ({ doc, score: 0 }));
+
+  const { org, site, ...facetFilters } = filters;
+  matched = matched.filter(({ doc }) => (!org || doc.org === org) && (!site || doc.site === site));
+
+  const results = matched
+    .filter(({ doc }) => matchesFilters(doc, facetFilters))
+    .sort((a, b) => b.score - a.score || b.doc.usageCount - a.doc.usageCount);
+
+  return {
+    total: results.length,
+    results: results.slice(offset, offset + limit).map(({ doc, score }) => ({
+      id: doc.id,
+      type: doc.type,
+      domain: doc.domain,
+      folder: doc.folder,
+      score: Math.round(score * 100) / 100,
+    })),
+    facets: buildFacets(matched.map(({ doc }) => doc), facetFilters),
+  };
+}
+
+/**
+ * Full records for a page of search results, read from D1, so results have the same shape
+ * as /api/images. Results whose record was deleted after the index was built are dropped.
+ */
+export async function loadResultRecords(env, results) {
+  const records = await env.assetStore.getMany(results.map((result) => result.id));
+  return results
+    .filter((result) => records.has(result.id))
+    .map(({ id, ...fields }) => ({ ...records.get(id), ...fields }));
+}
@@ -9,26 +9,36 @@ export const CONFIG = {
     ANALYSIS: 24 * 60 * 60, // 24 hours in seconds
     IMAGES: 5 * 60, // 5 minutes in seconds
     RATE_LIMIT: 60 * 60, // 1 hour in seconds
+    SEARCH_INDEX: 10 * 60, // 10 minutes in seconds
+    CLEANUP_CONFIRM: 10 * 60, // 10 minutes in seconds
   },
   LIMITS: {
     RATE_LIMIT_MAX: 50,
     DEFAULT_PAGE_SIZE: 50,
     MAX_PAGE_SIZE: 200,
+    // Cleanups deleting more records than this need a confirm token from a dry run
+    CLEANUP_CONFIRM_THRESHOLD: 25,
   },
   PREFIXES: {
     IMAGE: 'image:',
     ANALYSIS: 'analysis:',
     RATE_LIMIT: 'rate:',
+    SEARCH: 'search:',
+    CLEANUP_CONFIRM: 'cleanup-confirm:',
   },
   SUPPORTED_FORMATS: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
   HTTP_STATUS: {
     OK: 200,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
     NOT_FOUND: 404,
     METHOD_NOT_ALLOWED: 405,
+    CONFLICT: 409,
+    PRECONDITION_REQUIRED: 428,
     RATE_LIMITED: 429,
     INTERNAL_ERROR: 500,
+    SERVICE_UNAVAILABLE: 503,
   },
 };
 
@@ -36,7 +46,7 @@ export const CONFIG = {
 export const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-DA-Org, X-DA-Site',
 };
 
 // Common response headers
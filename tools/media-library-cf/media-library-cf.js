@@ -9,8 +9,10 @@ import { AssetLoader } from './modules/asset-loader.js';
 import { AssetRenderer } from './modules/asset-renderer.js';
 import { SearchManager } from './modules/search.js';
 import { AssetInsertion } from './modules/asset-insertion.js';
+import { ImagePresets } from './modules/image-presets.js';
+import { AssetFocusStore } from './modules/asset-focus.js';
 // import { Utils } from './modules/utils.js';
-import { getApiEndpoint } from './modules/config.js';
+import { getApiEndpoint, setApiAuth } from './modules/config.js';
 import { filterAssetsByDocumentUsage } from './modules/document-usage.js';
 
 /**
@@ -23,10 +25,13 @@ class DAMediaLibrary {
     this.currentView = 'grid';
     this.currentFolder = 'all';
     this.isLoading = false;
+    this.searchCount = 0;
 
     this.assetLoader = new AssetLoader(getApiEndpoint());
     this.assetRenderer = new AssetRenderer();
     this.assetInsertion = new AssetInsertion();
+    this.imagePresets = new ImagePresets();
+    this.focusStore = new AssetFocusStore();
     this.searchManager = new SearchManager();
 
     this.containers = {
@@ -43,9 +48,11 @@ class DAMediaLibrary {
   async init() {
     // Get context and actions from DA SDK
     try {
-      const { context, actions } = await DA_SDK;
+      const { context, actions, token } = await DA_SDK;
       this.context = context;
       this.actions = actions;
+      this.token = token;
+      setApiAuth({ token, org: context?.org, site: context?.repo });
 
       // Store context in localStorage for other modules to use
       if (context?.org && context?.repo) {
@@ -59,18 +66,28 @@ class DAMediaLibrary {
       console.warn('DA SDK not available, using fallback context');
       this.context = null;
       this.actions = null;
+      this.token = null;
     }
 
     this.initializeContainers();
     this.initializeEventListeners();
 
-    // Initialize asset insertion with DA SDK actions
-    this.assetInsertion.init(this.actions);
+    // Initialize asset insertion with DA SDK actions, the site's image presets and saved focal points
+    await this.imagePresets.load(this.context?.org, this.context?.repo, this.token);
+    await this.focusStore.load(this.context?.org, this.context?.repo, this.token);
+    this.imagePresets.bindSelect(document.getElementById('imagePresetSelect'));
+    this.assetInsertion.init(this.actions, this.imagePresets, this.focusStore);
 
     // Initialize asset renderer with asset insertion
-    this.assetRenderer.init(this.assetInsertion);
+    this.assetRenderer.init(this.assetInsertion, {
+      imagePresets: this.imagePresets,
+      focusStore: this.focusStore,
+    });
 
     this.searchManager.init(this.handleSearch.bind(this));
+    this.searchManager.setResultTransform(
+      (images) => this.assetLoader.transformAnalyzedImages(images),
+    );
 
     await this.loadAssets();
     this.renderInitialState();
@@ -150,7 +167,7 @@ class DAMediaLibrary {
       this.assets = await this.assetLoader.loadAllAssets();
       this.filteredAssets = [...this.assets];
 
-      this.searchManager.updateAssets(this.assets);
+      this.searchManager.updateAssets(this.assets, this.assetLoader.totalAssets);
       this.updateFolderTree();
     } catch (error) {
       this.showErrorState(error);
@@ -170,9 +187,14 @@ class DAMediaLibrary {
   /**
    * Handle search input
    */
-  handleSearch() {
+  async handleSearch() {
     const query = this.containers.searchInput?.value || '';
-    this.filteredAssets = this.searchManager.performSearch(query);
+    const searchId = ++this.searchCount;
+    const results = await this.searchManager.performSearch(query);
+    // A newer search was started while this one was waiting for the server
+    if (searchId !== this.searchCount || !results) return;
+
+    this.filteredAssets = results;
     this.renderAssets();
     this.updateFolderTree();
   }
@@ -208,7 +230,7 @@ class DAMediaLibrary {
     } else if (folder === 'external') {
       // Filter for external assets
       this.filteredAssets = this.assets.filter((asset) => asset.isExternal);
-    } else if (folder === 'image' || folder === 'video' || folder === 'document') {
+    } else if (['image', 'video', 'audio', 'document'].includes(folder)) {
       // Filter by asset type
       this.filteredAssets = this.assets.filter((asset) => asset.type === folder);
     } else if (folder === 'used-on-page' || folder === 'used-internal' || folder === 'used-external') {
@@ -244,6 +266,7 @@ class DAMediaLibrary {
     const externalCount = this.assets.filter((asset) => asset.isExternal).length;
     const imageCount = this.assets.filter((asset) => asset.type === 'image').length;
     const videoCount = this.assets.filter((asset) => asset.type === 'video').length;
+    const audioCount = this.assets.filter((asset) => asset.type === 'audio').length;
     const documentCount = this.assets.filter((asset) => asset.type === 'document').length;
 
     // Update counts for document-specific filters
@@ -255,6 +278,7 @@ class DAMediaLibrary {
     const externalCountEl = document.getElementById('externalCount');
     const imageCountEl = document.getElementById('imageCount');
     const videoCountEl = document.getElementById('videoCount');
+    const audioCountEl = document.getElementById('audioCount');
     const documentCountEl = document.getElementById('documentCount');
 
     if (totalCountEl) totalCountEl.textContent = allCount;
@@ -262,6 +286,7 @@ class DAMediaLibrary {
     if (externalCountEl) externalCountEl.textContent = externalCount;
     if (imageCountEl) imageCountEl.textContent = imageCount;
     if (videoCountEl) videoCountEl.textContent = videoCount;
+    if (audioCountEl) audioCountEl.textContent = audioCount;
     if (documentCountEl) documentCountEl.textContent = documentCount;
   }
 
@@ -0,0 +1,216 @@
+/**
+ * Asset Focus Module
+ * Focal point and named crops per asset, kept in the focus and crops columns of the
+ * site's .da/media.json metadata sheet that the DA media library also reads
+ */
+
+const DA_ADMIN_SOURCE = 'https://admin.da.live/source';
+const MEDIA_SHEET = '.da/media.json';
+const FOCUS_KEYWORDS = ['left', 'center', 'right', 'top', 'bottom'];
+
+export class AssetFocusStore {
+  constructor() {
+    this.org = null;
+    this.repo = null;
+    this.token = null;
+    this.rows = [];
+  }
+
+  /**
+   * Load the metadata sheet; without a DA context the store stays empty and read-only
+   */
+  async load(org, repo, token) {
+    this.org = org;
+    this.repo = repo;
+    this.token = token;
+    if (!this.canSave()) return;
+
+    try {
+      this.rows = await this.fetchRows();
+    } catch (error) {
+      // Silent fail: assets without saved focus are inserted as before
+      this.rows = [];
+    }
+  }
+
+  canSave() {
+    return !!(this.org && this.repo && this.token);
+  }
+
+  /**
+   * Saved { focus, crops } of an asset; crops are { name: { x, y, width, height, ratio } }
+   */
+  get(asset) {
+    const row = this.findRow(this.rows, asset);
+    return {
+      focus: AssetFocusStore.parseFocus(row?.focus),
+      crops: AssetFocusStore.parseCrops(row?.crops),
+    };
+  }
+
+  /**
+   * Write the focus and crops of an asset into the latest version of the sheet
+   */
+  async save(asset, { focus, crops }) {
+    if (!this.canSave()) throw new Error('Saving needs a DA context');
+
+    let rows = [];
+    try {
+      rows = await this.fetchRows();
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    const values = {
+      focus: AssetFocusStore.parseFocus(focus),
+      crops: AssetFocusStore.serializeCrops(crops),
+    };
+    const row = this.findRow(rows, asset);
+    if (row) {
+      Object.assign(row, values);
+    } else {
+      const src = asset.url || asset.originalUrl || asset.path;
+      rows.push({
+        id: await AssetFocusStore.generateAssetId(src),
+        src,
+        alt: asset.originalAltText || '',
+        usedIn: '',
+        usage: '',
+        type: 'image',
+        name: asset.originalAltText || 'Untitled',
+        isExternal: !!asset.isExternal,
+        tags: '',
+        ...values,
+      });
+    }
+
+    const sheet = {
+      total: rows.length,
+      limit: rows.length,
+      offset: 0,
+      data: rows,
+      ':type': 'sheet',
+    };
+    const formData = new FormData();
+    formData.append('data', new Blob([JSON.stringify(sheet, null, 2)], { type: 'application/json' }));
+    const response = await fetch(this.getSheetUrl(), {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.token}` },
+      body: formData,
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to save media.json: ${response.status} ${response.statusText}`);
+    }
+
+    this.rows = rows;
+    return this.get(asset);
+  }
+
+  getSheetUrl() {
+    return `${DA_ADMIN_SOURCE}/${this.org}/${this.repo}/${MEDIA_SHEET}`;
+  }
+
+  async fetchRows() {
+    const response = await fetch(this.getSheetUrl(), {
+      headers: { Authorization: `Bearer ${this.token}` },
+    });
+    if (!response.ok) {
+      const error = new Error(`Failed to load media.json: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    const sheet = await response.json();
+    const rows = Array.isArray(sheet.data) ? sheet.data : sheet.data?.data;
+    return Array.isArray(rows) ? rows : [];
+  }
+
+  /**
+   * Row of an asset, matched on the path of its URL so that DA content and
+   * aem.page URLs of the same file find each other
+   */
+  findRow(rows, asset) {
+    const keys = [asset.url, asset.originalUrl, asset.path].map((src) => this.getPathKey(src)).filter(Boolean);
+    return rows.find((row) => keys.includes(this.getPathKey(row.src)));
+  }
+
+  getPathKey(src) {
+    if (!src) return '';
+    try {
+      const { pathname } = new URL(src, 'https://placeholder.invalid');
+      const prefix = `/${this.org}/${this.repo}/`;
+      return (pathname.startsWith(prefix) ? pathname.slice(prefix.length - 1) : pathname).toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Focal point as a CSS position: `x% y%` from percentages, or position keywords
+   */
+  static parseFocus(focus) {
+    const value = String(focus || '').trim().toLowerCase();
+    const match = value.match(/^(\d+(?:\.\d+)?)%?\s+(\d+(?:\.\d+)?)%?$/);
+    if (match) {
+      return `${AssetFocusStore.clampPercent(match[1])}% ${AssetFocusStore.clampPercent(match[2])}%`;
+    }
+    const words = value.split(/\s+/);
+    return words.length <= 2 && words.every((word) => FOCUS_KEYWORDS.includes(word)) ? value : '';
+  }
+
+  /**
+   * Named crops from the sheet JSON; x, y, width and height are percentages of the image
+   * and ratio the crop's width / height in pixels
+   */
+  static parseCrops(crops) {
+    let parsed = crops;
+    if (typeof crops === 'string') {
+      try {
+        parsed = crops ? JSON.parse(crops) : {};
+      } catch {
+        parsed = {};
+      }
+    }
+    if (!parsed || typeof parsed !== 'object') return {};
+
+    return Object.entries(parsed).reduce((result, [name, crop]) => {
+      const box = ['x', 'y', 'width', 'height'].map((key) => Number(crop?.[key]));
+      if (!name || box.some((value) => !Number.isFinite(value)) || box[2] <= 0 || box[3] <= 0) return result;
+      const [x, y, width, height] = box.map(AssetFocusStore.clampPercent);
+      const ratio = Number(crop.ratio) > 0 ? Math.round(Number(crop.ratio) * 10000) / 10000 : 0;
+      return {
+        ...result,
+        [name.trim().toLowerCase()]: {
+          x, y, width, height, ratio,
+        },
+      };
+    }, {});
+  }
+
+  static serializeCrops(crops) {
+    const parsed = AssetFocusStore.parseCrops(crops);
+    return Object.keys(parsed).length > 0 ? JSON.stringify(parsed) : '';
+  }
+
+  /**
+   * object-position that shows the crop box when the image covers a box of the crop's ratio
+   */
+  static getCropPosition({
+    x, y, width, height,
+  }) {
+    const axis = (start, size) => (size >= 100 ? 50 : AssetFocusStore.clampPercent((start / (100 - size)) * 100));
+    return `${axis(x, width)}% ${axis(y, height)}%`;
+  }
+
+  static clampPercent(value) {
+    return Math.round(Math.min(100, Math.max(0, Number(value))) * 100) / 100;
+  }
+
+  /**
+   * Same id the DA media library gives a media.json row
+   */
+  static async generateAssetId(src) {
+    const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(src));
+    const hex = Array.from(new Uint8Array(buf)).map((x) => x.toString(16).padStart(2, '0')).join('');
+    return hex.slice(0, 42);
+  }
+}
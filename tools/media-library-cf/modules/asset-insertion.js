@@ -1,10 +1,16 @@
+import { ImagePresets } from './image-presets.js';
+
 export class AssetInsertion {
   constructor() {
     this.actions = null;
+    this.imagePresets = null;
+    this.focusStore = null;
   }
 
-  init(actions) {
+  init(actions, imagePresets = null, focusStore = null) {
     this.actions = actions;
+    this.imagePresets = imagePresets;
+    this.focusStore = focusStore;
   }
 
   async selectAsset(asset) {
@@ -26,6 +32,8 @@ export class AssetInsertion {
         this.actions.sendHTML(asset.html);
       } else if (asset.type === 'image') {
         await this.insertImageHTML(asset);
+      } else if (asset.type === 'audio') {
+        this.actions.sendHTML(this.createAudioHTML(asset));
       } else {
         const assetUrl = asset.url || asset.src;
         this.actions.sendText(`[${asset.name}](${assetUrl})`);
@@ -42,21 +50,29 @@ export class AssetInsertion {
     try {
       const imageUrl = this.getBestImageUrlForInsertion(asset);
       const altText = asset.originalAltText || asset.name || 'Image';
+      const saved = this.focusStore?.get(asset) || {};
+
+      // A selected preset replaces the markup the image was found with
+      const preset = this.imagePresets?.getSelected();
+      if (preset && this.canCreateOptimizedPicture(imageUrl)) {
+        this.actions.sendHTML(this.imagePresets.createPictureHTML(imageUrl, altText, preset, saved));
+        return;
+      }
 
       if (asset.responsivePattern?.hasResponsive || asset.originalPictureHTML) {
         const pictureHTML = this.createResponsivePictureHTML(asset, imageUrl, altText);
-        this.actions.sendHTML(pictureHTML);
+        this.actions.sendHTML(this.applyFocus(pictureHTML, saved.focus));
         return;
       }
 
       if (this.canCreateOptimizedPicture(imageUrl)) {
         const optimizedPictureHTML = this.createOptimizedPictureHTML(imageUrl, altText);
-        this.actions.sendHTML(optimizedPictureHTML);
+        this.actions.sendHTML(this.applyFocus(optimizedPictureHTML, saved.focus));
         return;
       }
 
       const imgHTML = `<img src="${imageUrl}" alt="${altText}" loading="lazy">`;
-      this.actions.sendHTML(imgHTML);
+      this.actions.sendHTML(this.applyFocus(imgHTML, saved.focus));
     } catch (error) {
       try {
         const imageUrl = this.getBestImageUrlForInsertion(asset);
@@ -68,6 +84,15 @@ export class AssetInsertion {
     }
   }
 
+  /**
+   * Audio player with a link to the file for browsers that can't play it
+   */
+  createAudioHTML(asset) {
+    const audioUrl = ImagePresets.escapeAttribute(asset.url || asset.src);
+    const name = ImagePresets.escapeAttribute(asset.name || 'Audio');
+    return `<audio controls preload="metadata" src="${audioUrl}"><a href="${audioUrl}">${name}</a></audio>`;
+  }
+
   createResponsivePictureHTML(asset, imageUrl, altText) {
     if (asset.originalPictureHTML) {
       const tempDiv = document.createElement('div');
@@ -120,6 +145,20 @@ export class AssetInsertion {
 </picture>`;
   }
 
+  /**
+   * Keep the saved focal point in view when page CSS crops the image with object-fit
+   */
+  applyFocus(html, focus) {
+    if (!focus) return html;
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const img = template.content.querySelector('img');
+    if (!img) return html;
+    img.style.objectPosition = focus;
+    return template.innerHTML;
+  }
+
   canCreateOptimizedPicture(imageUrl) {
     return imageUrl.includes('aem.page') || imageUrl.includes('aem.live');
   }
@@ -3,7 +3,7 @@
  * Handles loading assets from various sources with caching and error handling
  */
 import { Utils } from './utils.js';
-import { getApiEndpoint } from './config.js';
+import { getApiEndpoint, getApiHeaders } from './config.js';
 
 /**
  * AssetLoader handles loading and transforming assets from various sources
@@ -12,6 +12,7 @@ export class AssetLoader {
   constructor(apiEndpoint = null) {
     this.apiEndpoint = apiEndpoint || getApiEndpoint();
     this.cache = new Map();
+    this.totalAssets = 0;
   }
 
   /**
@@ -44,6 +45,7 @@ export class AssetLoader {
 
     const cached = this.getFromCache(cacheKey, cacheExpiry);
     if (cached) {
+      this.totalAssets = this.getTotalAssets(cached);
       return this.transformAnalyzedImages(cached.images || []);
     }
 
@@ -53,14 +55,14 @@ export class AssetLoader {
         `${this.apiEndpoint}/api/images?includeExternal=true&limit=100`,
         {
           method: 'GET',
-          headers: { 'Content-Type': 'application/json' },
+          headers: getApiHeaders(),
         },
       );
 
       if (!response.ok) {
         response = await fetch(`${this.apiEndpoint}/api/analyzed-images-fast`, {
           method: 'GET',
-          headers: { 'Content-Type': 'application/json' },
+          headers: getApiHeaders(),
         });
       }
 
@@ -71,6 +73,7 @@ export class AssetLoader {
       const data = await response.json();
       this.setCache(cacheKey, data);
       const images = data.images || data.data?.images || [];
+      this.totalAssets = this.getTotalAssets(data);
 
       return this.transformAnalyzedImages(images);
     } catch (error) {
@@ -78,6 +81,14 @@ export class AssetLoader {
     }
   }
 
+  /**
+   * Number of images in the library, including those beyond the loaded page
+   */
+  getTotalAssets(data) {
+    const images = data.images || data.data?.images || [];
+    return data.pagination?.total || data.total || images.length;
+  }
+
   /**
    * Load DA source assets (placeholder for now)
    */
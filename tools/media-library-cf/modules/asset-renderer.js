@@ -4,6 +4,7 @@
  */
 import { PreviewModalManager } from './preview-modal.js';
 import { showUsageInfo } from './usage-modal.js';
+import { VirtualGrid } from './virtual-grid.js';
 
 export class AssetRenderer {
   constructor() {
@@ -17,18 +18,19 @@ export class AssetRenderer {
     };
     this.previewModal = new PreviewModalManager();
     this.assetInsertion = null;
+    this.virtualGrid = null;
+    this.isListView = false;
   }
 
-  init(assetInsertion) {
+  init(assetInsertion, { imagePresets = null, focusStore = null } = {}) {
     this.assetInsertion = assetInsertion;
+    this.previewModal.init({ imagePresets, focusStore });
   }
 
   /**
    * Create asset element using working da-media.js approach
    */
   createAssetElement(asset, isListView = false) {
-    // eslint-disable-next-line no-console
-    console.log('Rendering asset:', asset, 'index:', asset.index);
     const div = document.createElement('div');
     div.className = `asset-item ${asset.isExternal ? 'external-asset' : 'internal-asset'}`;
     div.setAttribute('data-asset-id', asset.index);
@@ -282,8 +284,8 @@ export class AssetRenderer {
 
         const img = document.createElement('img');
 
-        // Use the determined URL
-        img.src = imageUrl;
+        // Loaded by the virtual grid once the card comes near the viewport
+        img.dataset.src = imageUrl;
         img.alt = asset.description || asset.name;
         img.style.width = '100%';
         img.style.height = '220px';
@@ -431,33 +433,39 @@ export class AssetRenderer {
   }
 
   /**
-   * Render assets to container
+   * Create the list view header row
    */
-  renderAssets(assets, container, isListView = false) {
-    container.innerHTML = '';
+  createListHeader() {
+    const listHeader = document.createElement('div');
+    listHeader.className = 'list-header';
+    listHeader.innerHTML = `
+      <div class="header-cell">Preview</div>
+      <div class="header-cell">Name</div>
+      <div class="header-cell">Type</div>
+      <div class="header-cell">Source</div>
+      <div class="header-cell">Actions</div>
+    `;
+    return listHeader;
+  }
 
-    if (isListView) {
-      container.classList.add('list-view');
-
-      // Add list header
-      const listHeader = document.createElement('div');
-      listHeader.className = 'list-header';
-      listHeader.innerHTML = `
-        <div class="header-cell">Preview</div>
-        <div class="header-cell">Name</div>
-        <div class="header-cell">Type</div>
-        <div class="header-cell">Source</div>
-        <div class="header-cell">Actions</div>
-      `;
-      container.appendChild(listHeader);
-    } else {
-      container.classList.remove('list-view');
+  /**
+   * Render assets to container. Only the rows in view are built, so
+   * thousands of assets do not freeze the panel.
+   */
+  renderAssets(assets, container, isListView = false) {
+    container.classList.toggle('list-view', isListView);
+
+    if (this.virtualGrid?.container !== container) {
+      this.virtualGrid = new VirtualGrid({
+        container,
+        scrollContainer: container.parentElement,
+        renderItem: (asset) => this.createAssetElement(asset, this.isListView),
+        renderHeader: () => (this.isListView ? this.createListHeader() : null),
+        getKey: (asset) => asset.id || asset.url || asset.index,
+      });
     }
-
-    assets.forEach((asset) => {
-      const assetElement = this.createAssetElement(asset, isListView);
-      container.appendChild(assetElement);
-    });
+    this.isListView = isListView;
+    this.virtualGrid.setItems(assets);
   }
 
   /**
@@ -65,6 +65,9 @@ const CONFIG = {
   SEARCH: {
     MIN_QUERY_LENGTH: 2,
     DEBOUNCE_DELAY: 300,
+    // Libraries with at least this many assets are searched through /api/search
+    SERVER_SEARCH_MIN_ASSETS: 500,
+    SERVER_RESULT_LIMIT: 200,
   },
 
   UI: {
@@ -82,6 +85,26 @@ function getApiEndpoint() {
   return CONFIG.API.BASE_URL;
 }
 
+// Token and org/site sent with every gateway request, set once the DA SDK resolves
+let apiAuth = null;
+
+function setApiAuth({ token, org, site } = {}) {
+  apiAuth = token ? { token, org, site } : null;
+}
+
+// Headers for gateway requests; the gateway only answers for the org/site the token grants
+function getApiHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiAuth) {
+    headers.Authorization = `Bearer ${apiAuth.token}`;
+    if (apiAuth.org && apiAuth.site) {
+      headers['X-DA-Org'] = apiAuth.org;
+      headers['X-DA-Site'] = apiAuth.site;
+    }
+  }
+  return headers;
+}
+
 // Helper function to override API endpoint (useful for testing)
 function setApiEndpoint(url) {
   window.DA_MEDIA_API_OVERRIDE = url;
@@ -161,6 +184,8 @@ export {
   CONFIG,
   getApiEndpoint,
   setApiEndpoint,
+  setApiAuth,
+  getApiHeaders,
   useLocalEndpoint,
   useRemoteEndpoint,
   useDeployedEndpoint,
@@ -0,0 +1,208 @@
+/**
+ * Focus Editor Module
+ * Panel of the preview modal for marking an image's focal point and drawing a crop per image preset
+ */
+import { AssetFocusStore } from './asset-focus.js';
+import { ImagePresets } from './image-presets.js';
+
+export class FocusEditor {
+  constructor({ asset, presets = [], focusStore = null }) {
+    this.asset = asset;
+    this.presets = presets;
+    this.focusStore = focusStore;
+
+    const saved = focusStore ? focusStore.get(asset) : { focus: '', crops: {} };
+    this.focus = saved.focus;
+    this.crops = { ...saved.crops };
+    this.mode = 'focus';
+    this.drag = null;
+    this.element = null;
+  }
+
+  /**
+   * Build the panel; it stays hidden until the preview modal shows it
+   */
+  render() {
+    const panel = document.createElement('div');
+    panel.className = 'focus-editor';
+    panel.hidden = true;
+    panel.innerHTML = `
+      <div class="focus-editor-toolbar">
+        <label>
+          <input type="radio" name="focusEditorMode" value="focus" checked> Focal point
+        </label>
+        <label>
+          <input type="radio" name="focusEditorMode" value="crop" ${this.presets.length === 0 ? 'disabled' : ''}>
+          Crop for
+        </label>
+        <select class="preset-select" data-input="preset" aria-label="Preset the crop is used for">
+          ${this.presets.map(({ name, label }) => `
+            <option value="${ImagePresets.escapeAttribute(name)}">${ImagePresets.escapeAttribute(label)}</option>
+          `).join('')}
+        </select>
+        <button class="focus-editor-btn" data-action="remove-crop">Remove crop</button>
+      </div>
+      <div class="focus-editor-stage">
+        <div class="focus-editor-frame">
+          <img class="focus-editor-image" alt="" draggable="false">
+          <div class="focus-editor-crop" hidden></div>
+          <div class="focus-editor-point" hidden></div>
+        </div>
+      </div>
+      <div class="focus-editor-footer">
+        <span class="focus-editor-status" role="status"></span>
+        <button class="focus-editor-btn primary" data-action="save"
+          ${this.focusStore?.canSave() ? '' : 'disabled title="Open the library from DA to save"'}>Save</button>
+      </div>
+    `;
+
+    this.element = panel;
+    this.image = panel.querySelector('.focus-editor-image');
+    this.frame = panel.querySelector('.focus-editor-frame');
+    this.cropBox = panel.querySelector('.focus-editor-crop');
+    this.point = panel.querySelector('.focus-editor-point');
+    this.presetSelect = panel.querySelector('[data-input="preset"]');
+    this.statusEl = panel.querySelector('.focus-editor-status');
+
+    this.image.src = this.asset.url || this.asset.originalUrl || this.asset.path;
+    this.setStatus();
+    this.renderMarkers();
+    this.bindEvents();
+    return panel;
+  }
+
+  bindEvents() {
+    this.element.addEventListener('change', (e) => {
+      if (e.target.name === 'focusEditorMode') this.mode = e.target.value;
+      this.renderMarkers();
+      this.setStatus();
+    });
+
+    this.element.addEventListener('click', (e) => {
+      const { action } = e.target.dataset;
+      if (action === 'remove-crop') {
+        delete this.crops[this.presetSelect.value];
+        this.renderMarkers();
+        this.setStatus();
+      } else if (action === 'save') {
+        this.save();
+      }
+    });
+
+    this.frame.addEventListener('pointerdown', (e) => {
+      const start = this.getPointerPercent(e);
+      if (this.mode === 'focus') {
+        this.focus = `${start.x}% ${start.y}%`;
+        this.renderMarkers();
+        this.setStatus();
+        return;
+      }
+      this.frame.setPointerCapture(e.pointerId);
+      this.drag = start;
+    });
+
+    this.frame.addEventListener('pointermove', (e) => {
+      if (!this.drag) return;
+      this.crops[this.presetSelect.value] = this.getCropBox(this.drag, this.getPointerPercent(e));
+      this.renderMarkers();
+    });
+
+    this.frame.addEventListener('pointerup', () => {
+      if (!this.drag) return;
+      this.drag = null;
+      this.setStatus();
+    });
+
+    this.image.addEventListener('load', () => this.renderMarkers());
+  }
+
+  getPointerPercent(e) {
+    const rect = this.image.getBoundingClientRect();
+    const clamp = (value) => Math.round(Math.min(100, Math.max(0, value)) * 100) / 100;
+    return {
+      x: clamp(((e.clientX - rect.left) / rect.width) * 100),
+      y: clamp(((e.clientY - rect.top) / rect.height) * 100),
+    };
+  }
+
+  /**
+   * Crop box between two points, held to the preset's aspect ratio when it has one
+   */
+  getCropBox(from, to) {
+    const imageRatio = (this.image.naturalWidth || 1) / (this.image.naturalHeight || 1);
+    const preset = this.presets.find(({ name }) => name === this.presetSelect.value);
+    const presetCrop = ImagePresets.parseCrop(preset?.crop);
+
+    let width = Math.abs(to.x - from.x);
+    let height = Math.abs(to.y - from.y);
+    if (presetCrop) {
+      // Convert the pixel ratio into percentages of this image
+      const ratio = presetCrop.width / presetCrop.height;
+      height = (width * imageRatio) / ratio;
+      const maxHeight = to.y < from.y ? from.y : 100 - from.y;
+      if (height > maxHeight) {
+        height = maxHeight;
+        width = (height * ratio) / imageRatio;
+      }
+    }
+
+    const x = to.x < from.x ? from.x - width : from.x;
+    const y = to.y < from.y ? from.y - height : from.y;
+    return {
+      x,
+      y,
+      width,
+      height,
+      ratio: height > 0 ? (width * imageRatio) / height : 0,
+    };
+  }
+
+  renderMarkers() {
+    if (!this.element) return;
+
+    const [x, y] = (this.focus || '50% 50%').split(' ').map((value) => parseFloat(value));
+    this.point.hidden = !this.focus || Number.isNaN(x) || Number.isNaN(y);
+    this.point.style.left = `${x}%`;
+    this.point.style.top = `${y}%`;
+
+    const crop = this.mode === 'crop' ? this.crops[this.presetSelect.value] : null;
+    this.cropBox.hidden = !crop || crop.width <= 0 || crop.height <= 0;
+    if (crop) {
+      Object.assign(this.cropBox.style, {
+        left: `${crop.x}%`,
+        top: `${crop.y}%`,
+        width: `${crop.width}%`,
+        height: `${crop.height}%`,
+      });
+    }
+    this.frame.classList.toggle('cropping', this.mode === 'crop');
+  }
+
+  setStatus(text) {
+    if (text) {
+      this.statusEl.textContent = text;
+      return;
+    }
+    const cropCount = Object.keys(AssetFocusStore.parseCrops(this.crops)).length;
+    const hint = this.mode === 'focus' ? 'Click the most important point of the image' : 'Drag to draw the crop';
+    this.statusEl.textContent = `${hint}. Focus: ${this.focus || 'center'}, `
+      + `${cropCount} crop${cropCount !== 1 ? 's' : ''}`;
+  }
+
+  async save() {
+    const saveBtn = this.element.querySelector('[data-action="save"]');
+    saveBtn.disabled = true;
+    this.setStatus('Saving to media.json...');
+    try {
+      const saved = await this.focusStore.save(this.asset, { focus: this.focus, crops: this.crops });
+      this.focus = saved.focus;
+      this.crops = { ...saved.crops };
+      this.renderMarkers();
+      this.setStatus('Saved; inserted copies of this image now use it');
+    } catch (error) {
+      this.setStatus(`Failed to save: ${error.message}`);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Responsive picture presets for inserted images
+ * Read from the site's .da/media-image-presets.json, the same sheet the DA media library uses
+ */
+
+import { AssetFocusStore } from './asset-focus.js';
+
+const DA_ADMIN_SOURCE = 'https://admin.da.live/source';
+const IMAGE_PRESETS_SHEET = '.da/media-image-presets.json';
+const SELECTED_PRESET_KEY = 'da_media_image_preset';
+const DEFAULT_FOCUS = '50% 50%';
+
+const FORMAT_TYPES = {
+  webply: 'image/webp',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+};
+
+// Sources are ordered from the widest breakpoint down; the last format is the img fallback
+const DEFAULT_IMAGE_PRESETS = [
+  {
+    name: 'inline',
+    label: 'Inline',
+    sources: [{ minWidth: 600, width: 1200 }, { minWidth: 0, width: 600 }],
+    formats: ['webply'],
+    optimize: 'medium',
+    crop: '',
+    focus: '',
+  },
+  {
+    name: 'hero-full-bleed',
+    label: 'Hero full-bleed',
+    sources: [{ minWidth: 1200, width: 2000 }, { minWidth: 600, width: 1200 }, { minWidth: 0, width: 750 }],
+    formats: ['webply', 'jpeg'],
+    optimize: 'medium',
+    crop: '',
+    focus: '',
+  },
+  {
+    name: 'thumbnail',
+    label: 'Thumbnail',
+    sources: [{ minWidth: 0, width: 400 }],
+    formats: ['webply', 'jpeg'],
+    optimize: 'medium',
+    crop: '1:1',
+    focus: '',
+  },
+];
+
+export class ImagePresets {
+  constructor() {
+    this.presets = DEFAULT_IMAGE_PRESETS;
+    // An empty selection keeps the markup the asset was found with
+    this.selected = ImagePresets.getStoredSelection();
+  }
+
+  /**
+   * Load the site's presets, keeping the defaults when it has no valid sheet
+   */
+  async load(org, repo, token) {
+    if (!org || !repo) return this.presets;
+
+    try {
+      const response = await fetch(`${DA_ADMIN_SOURCE}/${org}/${repo}/${IMAGE_PRESETS_SHEET}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      if (!response.ok) return this.presets;
+
+      const sheet = await response.json();
+      const rows = Array.isArray(sheet.data) ? sheet.data : sheet.data?.data || [];
+      const presets = rows.map((row) => ImagePresets.parseRow(row)).filter(Boolean);
+      if (presets.length > 0) this.presets = presets;
+    } catch (error) {
+      // Silent fail: sites without a preset sheet use the defaults
+    }
+
+    if (!this.getSelected()) this.selected = this.selected ? this.presets[0].name : '';
+    return this.presets;
+  }
+
+  getSelected() {
+    return this.presets.find((preset) => preset.name === this.selected) || null;
+  }
+
+  select(name) {
+    this.selected = name;
+    try {
+      localStorage.setItem(SELECTED_PRESET_KEY, name);
+    } catch (error) {
+      // Silent fail: the choice is kept for this session only
+    }
+  }
+
+  /**
+   * Fill a select with the presets, after an option that keeps the original markup
+   */
+  bindSelect(select) {
+    if (!select) return;
+
+    const options = [{ name: '', label: 'Original markup' }, ...this.presets];
+    select.innerHTML = options.map(({ name, label }) => `
+      <option value="${ImagePresets.escapeAttribute(name)}">${ImagePresets.escapeAttribute(label)}</option>
+    `).join('');
+    select.value = this.selected;
+    select.addEventListener('change', () => this.select(select.value));
+  }
+
+  /**
+   * Picture markup for a preset, built like createOptimizedPicture in scripts/aem.js.
+   * `saved` is the { focus, crops } saved for the asset.
+   */
+  createPictureHTML(imageUrl, altText, preset = this.getSelected(), saved = {}) {
+    const baseUrl = imageUrl.split('?')[0];
+    const fallback = preset.formats[preset.formats.length - 1];
+    const getUrl = (width, format) => `${baseUrl}?width=${width}&format=${format}&optimize=${preset.optimize}`;
+    const getMedia = ({ minWidth }) => (minWidth > 0 ? ` media="(min-width: ${minWidth}px)"` : '');
+
+    const lines = [];
+    preset.formats.slice(0, -1).forEach((format) => {
+      preset.sources.forEach((source) => {
+        const srcset = getUrl(source.width, format);
+        lines.push(`<source type="${FORMAT_TYPES[format]}"${getMedia(source)} srcset="${srcset}">`);
+      });
+    });
+    preset.sources.slice(0, -1).forEach((source) => {
+      lines.push(`<source${getMedia(source)} srcset="${getUrl(source.width, fallback)}">`);
+    });
+
+    const smallest = preset.sources[preset.sources.length - 1];
+    const { ratio } = ImagePresets.getCrop(preset, saved);
+    const size = ratio ? ` width="${smallest.width}" height="${Math.round(smallest.width / ratio)}"` : '';
+    const style = ImagePresets.getStyle(preset, saved);
+    const styleAttr = style ? ` style="${style}"` : '';
+    lines.push(`<img loading="lazy" src="${getUrl(smallest.width, fallback)}" alt="${altText}"${size}${styleAttr}>`);
+
+    return `<picture>\n  ${lines.join('\n  ')}\n</picture>`;
+  }
+
+  /**
+   * Aspect ratio and object-position of an image inserted with a preset. A crop saved under
+   * the preset's name wins over the asset's focal point, which wins over the preset focus.
+   */
+  static getCrop(preset, { focus, crops } = {}) {
+    const presetRatio = ImagePresets.parseCrop(preset.crop);
+    const assetCrop = AssetFocusStore.parseCrops(crops)[preset.name];
+    const ratio = presetRatio ? presetRatio.width / presetRatio.height : assetCrop?.ratio || 0;
+    const position = assetCrop
+      ? AssetFocusStore.getCropPosition(assetCrop)
+      : AssetFocusStore.parseFocus(focus) || preset.focus;
+    return { ratio, position };
+  }
+
+  /**
+   * Inline style that crops the image to the preset ratio around its focus
+   */
+  static getStyle(preset, saved = {}) {
+    const { ratio, position } = ImagePresets.getCrop(preset, saved);
+    const rules = [];
+    if (ratio) rules.push(`aspect-ratio: ${Math.round(ratio * 10000) / 10000}`, 'object-fit: cover');
+    if (ratio || (position && position !== DEFAULT_FOCUS)) rules.push(`object-position: ${position || DEFAULT_FOCUS}`);
+    return rules.join('; ');
+  }
+
+  /**
+   * Build a preset from a sheet row:
+   * name | label | breakpoints | widths | formats | optimize | crop | focus
+   */
+  static parseRow(row) {
+    const splitList = (value) => String(value ?? '').split(',').map((item) => item.trim()).filter(Boolean);
+    const name = String(row.name || '').trim().toLowerCase();
+    const widths = splitList(row.widths).map(Number);
+    const breakpoints = row.breakpoints ? splitList(row.breakpoints).map(Number) : [0];
+    if (!name || widths.length === 0 || widths.length !== breakpoints.length
+      || [...widths, ...breakpoints].some((number) => !Number.isFinite(number))) {
+      return null;
+    }
+    const formats = splitList(row.formats || 'webply').map((format) => format.toLowerCase())
+      .filter((format) => FORMAT_TYPES[format]);
+
+    return {
+      name,
+      label: row.label || name,
+      sources: breakpoints.map((minWidth, index) => ({ minWidth, width: widths[index] }))
+        .sort((a, b) => b.minWidth - a.minWidth),
+      formats: formats.length > 0 ? formats : ['webply'],
+      optimize: /^[a-z]+$/i.test(row.optimize || '') ? row.optimize : 'medium',
+      crop: ImagePresets.parseCrop(row.crop) ? row.crop : '',
+      focus: AssetFocusStore.parseFocus(row.focus),
+    };
+  }
+
+  static parseCrop(crop) {
+    const match = String(crop || '').match(/^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/);
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+  }
+
+  static escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  static getStoredSelection() {
+    try {
+      return localStorage.getItem(SELECTED_PRESET_KEY) || '';
+    } catch (error) {
+      return '';
+    }
+  }
+}
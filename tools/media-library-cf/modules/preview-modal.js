@@ -1,9 +1,17 @@
 import { Utils } from './utils.js';
 import { showUsageInfo } from './usage-modal.js';
+import { FocusEditor } from './focus-editor.js';
 
 export class PreviewModalManager {
   constructor() {
     this.currentModal = null;
+    this.imagePresets = null;
+    this.focusStore = null;
+  }
+
+  init({ imagePresets = null, focusStore = null } = {}) {
+    this.imagePresets = imagePresets;
+    this.focusStore = focusStore;
   }
 
   showImagePreview(asset) {
@@ -31,6 +39,8 @@ export class PreviewModalManager {
       <button class="device-tab" data-device="tablet" 
         title="Show tablet responsive variant"><span class="tablet-icon"></span> Tablet</button>
       <button class="device-tab" data-device="mobile" title="Show mobile responsive variant">📱 Mobile</button>
+      <button class="device-tab" data-panel="focus"
+        title="Mark the focal point and crops used when inserting this image">✛ Focus & Crop</button>
     `;
 
     const imageContainer = document.createElement('div');
@@ -86,9 +96,16 @@ export class PreviewModalManager {
       </div>
     `;
 
+    const focusEditor = new FocusEditor({
+      asset,
+      presets: this.imagePresets?.presets || [],
+      focusStore: this.focusStore,
+    }).render();
+
     modal.appendChild(header);
     modal.appendChild(tabs);
     modal.appendChild(imageContainer);
+    modal.appendChild(focusEditor);
     modal.appendChild(imageInfo);
     overlay.appendChild(modal);
 
@@ -97,6 +114,11 @@ export class PreviewModalManager {
         tabs.querySelectorAll('.device-tab').forEach((tab) => tab.classList.remove('active'));
         e.target.classList.add('active');
 
+        const showFocusEditor = e.target.dataset.panel === 'focus';
+        focusEditor.hidden = !showFocusEditor;
+        imageContainer.hidden = showFocusEditor;
+        if (showFocusEditor) return;
+
         imageElement.classList.add('switching');
         imageContainer.classList.add('switching');
 
@@ -1,6 +1,12 @@
+import { CONFIG, getApiEndpoint, getApiHeaders } from './config.js';
+
 export class SearchManager {
-  constructor(assets = []) {
+  constructor(assets = [], apiEndpoint = null) {
     this.assets = assets;
+    this.totalAssets = assets.length;
+    this.apiEndpoint = apiEndpoint || getApiEndpoint();
+    this.transformResults = (results) => results;
+    this.serverRequestId = 0;
     this.searchInput = null;
     this.quickSearchLabels = null;
   }
@@ -15,11 +21,22 @@ export class SearchManager {
     }
   }
 
-  updateAssets(assets) {
+  /**
+   * totalAssets is the size of the whole library, which may be more than was loaded
+   */
+  updateAssets(assets, totalAssets = assets.length) {
     this.assets = assets;
+    this.totalAssets = totalAssets;
     this.generateDynamicQuickSearchLabels();
   }
 
+  /**
+   * Set how /api/search results (image records) become library assets
+   */
+  setResultTransform(transform) {
+    this.transformResults = transform;
+  }
+
   generateDynamicQuickSearchLabels() {
     if (!this.assets || this.assets.length === 0) return;
     if (!this.quickSearchLabels) return;
@@ -94,7 +111,44 @@ export class SearchManager {
     }
   }
 
-  performSearch(query) {
+  /**
+   * Search the library. Large libraries are searched on the server, with
+   * in-memory filtering as the fallback; resolves to null when a newer search superseded it.
+   */
+  async performSearch(query) {
+    const useServer = query.trim().length >= CONFIG.SEARCH.MIN_QUERY_LENGTH
+      && this.totalAssets >= CONFIG.SEARCH.SERVER_SEARCH_MIN_ASSETS;
+
+    if (useServer) {
+      try {
+        return await this.searchOnServer(query.trim());
+      } catch (error) {
+        // Silent error handling: fall back to filtering the loaded assets
+      }
+    }
+    return this.filterAssets(query);
+  }
+
+  async searchOnServer(query) {
+    const requestId = ++this.serverRequestId;
+    await new Promise((resolve) => { setTimeout(resolve, CONFIG.SEARCH.DEBOUNCE_DELAY); });
+    if (requestId !== this.serverRequestId) return null;
+
+    const params = new URLSearchParams({ q: query, limit: CONFIG.SEARCH.SERVER_RESULT_LIMIT });
+    const response = await fetch(`${this.apiEndpoint}/api/search?${params}`, {
+      method: 'GET',
+      headers: getApiHeaders(),
+    });
+    if (!response.ok) {
+      throw new Error(`Search failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (requestId !== this.serverRequestId) return null;
+    return this.transformResults(data.results || []);
+  }
+
+  filterAssets(query) {
     const queryLower = query.toLowerCase().trim();
 
     if (!queryLower) {
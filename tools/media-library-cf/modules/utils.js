@@ -57,10 +57,12 @@ export class Utils {
   static detectTypeFromExtension(extension) {
     const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
     const videoExts = ['mp4', 'webm', 'avi', 'mov', 'wmv'];
+    const audioExts = ['mp3', 'wav', 'm4a', 'ogg', 'oga', 'opus', 'aac', 'flac'];
     const docExts = ['pdf', 'doc', 'docx', 'txt', 'rtf'];
 
     if (imageExts.includes(extension)) return 'image';
     if (videoExts.includes(extension)) return 'video';
+    if (audioExts.includes(extension)) return 'audio';
     if (docExts.includes(extension)) return 'document';
     return 'unknown';
   }
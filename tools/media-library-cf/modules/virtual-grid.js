@@ -0,0 +1,214 @@
+/**
+ * Virtual Grid Module
+ * Windowed rendering: only the rows near the viewport have DOM nodes
+ */
+
+const OVERSCAN_ROWS = 3;
+const ESTIMATED_ROW_HEIGHT = 320;
+const THUMBNAIL_ROOT_MARGIN = '300px';
+
+export class VirtualGrid {
+  /**
+   * Render items into `container`, scrolled by `scrollContainer`. Works for CSS grid
+   * and block (list) layouts: the column count is read from grid-template-columns
+   * and skipped rows are replaced by full-width spacers. Images rendered with
+   * data-src get their src when they come near the viewport.
+   */
+  constructor({
+    container,
+    scrollContainer,
+    renderItem,
+    renderHeader = null,
+    getKey,
+  }) {
+    this.container = container;
+    this.scrollContainer = scrollContainer;
+    this.renderItem = renderItem;
+    this.renderHeader = renderHeader;
+    this.getKey = getKey;
+    this.items = [];
+    this.elements = new Map();
+    this.range = null;
+    this.rowHeight = ESTIMATED_ROW_HEIGHT;
+    this.columns = 1;
+    this.frame = null;
+    this.thumbnailObserver = null;
+
+    if ('IntersectionObserver' in window) {
+      this.thumbnailObserver = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return;
+          this.thumbnailObserver.unobserve(entry.target);
+          this.loadThumbnail(entry.target);
+        });
+      }, { root: scrollContainer, rootMargin: THUMBNAIL_ROOT_MARGIN });
+    }
+
+    // A new width can change the column count and the card height
+    const handleResize = () => {
+      this.range = null;
+      this.scheduleRender();
+    };
+
+    scrollContainer.addEventListener('scroll', () => this.scheduleRender(), { passive: true });
+    if ('ResizeObserver' in window) {
+      new ResizeObserver(handleResize).observe(scrollContainer);
+    } else {
+      window.addEventListener('resize', handleResize);
+    }
+  }
+
+  /**
+   * Show a new list of items, also after a layout change such as grid to list.
+   * The first visible item stays in place when it is still listed.
+   */
+  setItems(items) {
+    const anchor = this.findAnchor();
+    this.elements.forEach((element) => this.unobserveThumbnails(element));
+    this.items = items;
+    this.elements = new Map();
+    this.render(true);
+    if (anchor) {
+      this.scrollToAnchor(anchor);
+      this.render();
+    }
+  }
+
+  getColumnCount() {
+    const columns = getComputedStyle(this.container).gridTemplateColumns;
+    if (!columns || columns === 'none') return 1;
+    return Math.max(1, columns.split(' ').filter(Boolean).length);
+  }
+
+  getRowGap() {
+    return parseFloat(getComputedStyle(this.container).rowGap) || 0;
+  }
+
+  getHeaderHeight() {
+    const header = this.container.querySelector('.list-header');
+    return header ? header.offsetHeight : 0;
+  }
+
+  /**
+   * Distance from the first row to the top edge of the viewport
+   */
+  getViewportTop() {
+    const scrollRect = this.scrollContainer.getBoundingClientRect();
+    const containerRect = this.container.getBoundingClientRect();
+    return Math.max(0, scrollRect.top - containerRect.top - this.getHeaderHeight());
+  }
+
+  loadThumbnail(img) {
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+  }
+
+  observeThumbnails(element) {
+    element.querySelectorAll('img[data-src]').forEach((img) => {
+      if (this.thumbnailObserver) this.thumbnailObserver.observe(img);
+      else this.loadThumbnail(img);
+    });
+  }
+
+  unobserveThumbnails(element) {
+    if (!this.thumbnailObserver) return;
+    element.querySelectorAll('img[data-src]').forEach((img) => this.thumbnailObserver.unobserve(img));
+  }
+
+  createSpacer(rows) {
+    const spacer = document.createElement('div');
+    spacer.className = 'virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    // In a grid the spacer spans the skipped rows; in a list its height alone stands in for them
+    spacer.style.gridColumn = '1 / -1';
+    spacer.style.gridRow = `span ${rows}`;
+    spacer.style.height = `${Math.max(0, rows * this.rowHeight - this.getRowGap())}px`;
+    return spacer;
+  }
+
+  /**
+   * Row pitch measured from the rendered items
+   */
+  measureRowHeight() {
+    const rendered = Array.from(this.elements.values());
+    if (rendered.length === 0) return this.rowHeight;
+    const first = rendered[0];
+    // Hidden while another view is shown
+    if (first.offsetHeight === 0) return this.rowHeight;
+    const nextRow = rendered[this.columns];
+    if (nextRow && nextRow.offsetTop > first.offsetTop) return nextRow.offsetTop - first.offsetTop;
+    return first.offsetHeight + this.getRowGap();
+  }
+
+  render(force = false) {
+    this.columns = this.getColumnCount();
+    const totalRows = Math.ceil(this.items.length / this.columns);
+    const viewportTop = this.getViewportTop();
+    const viewportBottom = viewportTop + this.scrollContainer.clientHeight;
+    const firstRow = Math.max(0, Math.floor(viewportTop / this.rowHeight) - OVERSCAN_ROWS);
+    const lastRow = Math.min(totalRows, Math.ceil(viewportBottom / this.rowHeight) + OVERSCAN_ROWS);
+    const start = firstRow * this.columns;
+    const end = Math.min(this.items.length, lastRow * this.columns);
+
+    if (!force && this.range && this.range.start === start && this.range.end === end
+      && this.range.columns === this.columns) return;
+    this.range = { start, end, columns: this.columns };
+
+    // Keep nodes that stay in the window so their images do not reload
+    const previous = this.elements;
+    this.elements = new Map();
+    const fragment = document.createDocumentFragment();
+    const header = this.renderHeader?.();
+    if (header) fragment.appendChild(header);
+    if (firstRow > 0) fragment.appendChild(this.createSpacer(firstRow));
+    this.items.slice(start, end).forEach((item) => {
+      const key = this.getKey(item);
+      let element = previous.get(key);
+      if (!element) {
+        element = this.renderItem(item);
+        this.observeThumbnails(element);
+      }
+      this.elements.set(key, element);
+      fragment.appendChild(element);
+    });
+    if (lastRow < totalRows) fragment.appendChild(this.createSpacer(totalRows - lastRow));
+    this.container.replaceChildren(fragment);
+    previous.forEach((element, key) => {
+      if (!this.elements.has(key)) this.unobserveThumbnails(element);
+    });
+
+    const rowHeight = this.measureRowHeight();
+    if (Math.abs(rowHeight - this.rowHeight) > 1) {
+      this.rowHeight = rowHeight;
+      this.render(true);
+    }
+  }
+
+  scheduleRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * First item at least partly in view and how far its top is from the viewport top
+   */
+  findAnchor() {
+    const viewportTop = this.scrollContainer.getBoundingClientRect().top;
+    const entry = Array.from(this.elements.entries())
+      .find(([, element]) => element.getBoundingClientRect().bottom > viewportTop);
+    if (!entry) return null;
+    return { key: entry[0], offset: entry[1].getBoundingClientRect().top - viewportTop };
+  }
+
+  scrollToAnchor(anchor) {
+    const index = this.items.findIndex((item) => this.getKey(item) === anchor.key);
+    if (index === -1) return;
+    const containerTop = this.container.getBoundingClientRect().top
+      - this.scrollContainer.getBoundingClientRect().top + this.scrollContainer.scrollTop;
+    const itemTop = containerTop + this.getHeaderHeight() + Math.floor(index / this.columns) * this.rowHeight;
+    this.scrollContainer.scrollTop = Math.max(0, itemTop - anchor.offset);
+  }
+}
@@ -3,6 +3,7 @@
 import DA_SDK from 'https://da.live/nx/utils/sdk.js';
 import { createDAApiService } from './services/da-api.js';
 import { createMetadataManager } from './services/metadata-manager.js';
+import { createAuditLog } from './services/audit-log.js';
 import { createAssetBrowser } from './modules/media-browser.js';
 import { createAssetInsertion } from './modules/media-insert.js';
 import { createQueueManager } from './modules/queue-manager.js';
@@ -16,13 +17,52 @@ import {
   setContext as setAssetLoaderContext,
 } from './modules/media-loader.js';
 import { initUIEvents } from './modules/ui-events.js';
+import { initSearchBox } from './modules/search-box.js';
+import { getUserId, escapeHTML } from './modules/utils.js';
+import { createSavedQueries } from './services/saved-queries.js';
 import { updateSidebarCounts } from './modules/sidebar.js';
 import { showToast, showError } from './modules/toast.js';
-import { processScanResults } from './modules/media-processor.js';
+import {
+  processScanResults,
+  loadMediaSheet,
+  saveMediaSheet,
+  moveAssetUsage,
+  parseUsedIn,
+  parseTags,
+} from './modules/media-processor.js';
 import { showUsageInfo } from './modules/usage-modal.js';
+import {
+  findUnusedAssets,
+  downloadUnusedAssetsCsv,
+  resolveSourcePath,
+  toRepoPath,
+} from './modules/unused-assets.js';
+import { createMediaCleanup } from './services/media-cleanup.js';
+import { showCleanupModal } from './modules/cleanup-modal.js';
+import { createDocumentPatcher } from './services/document-patcher.js';
+import { showAltTextEditor } from './modules/alt-text-editor.js';
+import { createReplaceLog } from './services/replace-log.js';
+import { showReplaceAssetModal } from './modules/replace-asset-modal.js';
+import { findDuplicateGroups, countUnhashedImages } from './modules/duplicates.js';
+import { showDuplicatesModal } from './modules/duplicates-modal.js';
+import { createMediaUpload } from './services/media-upload.js';
+import { initUploadPanel } from './modules/upload-panel.js';
+import { initBatchActionBar } from './modules/batch-actions.js';
+import { downloadAssetsZip, copyAssetUrls } from './modules/asset-export.js';
+import { showTagAssetsModal } from './modules/tag-assets-modal.js';
+import { showMoveAssetsModal } from './modules/move-assets-modal.js';
+import { showBlockInsertModal } from './modules/block-insert-modal.js';
+import { showVideoInsertModal } from './modules/video-insert-modal.js';
+import { getVideoSource } from './modules/video-sources.js';
+import { showDocumentInsertModal } from './modules/document-insert-modal.js';
+import { showAudioInsertModal } from './modules/audio-insert-modal.js';
+import { createPdfThumbnails, isPdfAsset } from './modules/pdf-thumbnails.js';
+import { createPdfPreview } from './modules/pdf-preview.js';
+import { initImagePresetSelect } from './modules/image-presets.js';
 import {
   handleDiscoveryComplete,
   handlePageScanned,
+  handleDocumentsRemoved,
   handleScanningStarted,
   handleScanningStopped,
   handleQueueSizeUpdate,
@@ -44,6 +84,7 @@ let daApi = null;
 let metadataManager = null;
 let assetBrowser = null;
 let assetInsertion = null;
+let pdfThumbnails = null;
 let queueManager = null;
 const assets = [];
 
@@ -54,6 +95,7 @@ const useQueueBasedScanning = true;
 let elements = {};
 let stateManager = null;
 let mediaPollingInterval = null;
+let unusedAssetsRequest = null;
 
 // Event handler wrappers
 const handleDiscoveryCompleteWrapper = (data) =>
@@ -68,6 +110,8 @@ const handlePageScannedWrapper = (data) =>
     updateLoadingText,
     updateScanProgressHeader,
   );
+const handleDocumentsRemovedWrapper = (data) =>
+  handleDocumentsRemoved(data, assets, assetBrowser, metadataManager);
 const handleScanningStartedWrapper = (data) => {
   handleScanningStarted(
     data,
@@ -80,6 +124,9 @@ const handleScanningStartedWrapper = (data) => {
 };
 const handleScanningStoppedWrapper = (data) => {
   handleScanningStopped(data, assets, isScanning, hideScanProgress);
+  isScanning = false;
+  // Usage changed, so the unused asset report has to be rebuilt
+  unusedAssetsRequest = null;
   // Show 100% and green on complete
   if (typeof window.hideScanIndicator === 'function') {
     window.hideScanIndicator();
@@ -160,14 +207,20 @@ async function initializeCoreServices() {
   }
 
   const metadataPath = `/${daContext.org}/${daContext.repo}/.da/media.json`;
-  metadataManager = createMetadataManager(daApi, metadataPath);
+  metadataManager = createMetadataManager(daApi, metadataPath, createAuditLog(daApi));
+
+  pdfThumbnails = createPdfThumbnails();
+  pdfThumbnails.init(daApi.getConfig());
 
-  assetBrowser = createAssetBrowser(elements.assetsGrid);
+  assetBrowser = createAssetBrowser(elements.assetsGrid, document.getElementById('assetsContainer'));
+  assetBrowser.setPdfThumbnails(pdfThumbnails);
   assetBrowser.on('assetSelected', handleAssetSelection);
   assetBrowser.on('assetPreview', handleAssetPreview);
   assetBrowser.on('assetInsertAsLink', handleAssetInsertAsLink);
   assetBrowser.on('assetLinkCopied', handleAssetLinkCopied);
   assetBrowser.on('assetUsage', handleAssetUsage);
+  assetBrowser.on('assetEditAlt', handleAssetEditAlt);
+  assetBrowser.on('assetReplace', handleAssetReplace);
 
   if (typeof setAssetLoaderAssetBrowser === 'function') {
     setAssetLoaderAssetBrowser(assetBrowser);
@@ -175,13 +228,50 @@ async function initializeCoreServices() {
 
   assetInsertion = createAssetInsertion();
   assetInsertion.init(daActions, daContext);
+  await initImagePresetSelect(document.getElementById('imagePresetSelect'), assetInsertion, daApi.getConfig());
 
   initUIEvents({
     assetBrowser,
     handleSearch,
     handleViewChange,
+    handleSortChange: (sortBy) => assetBrowser.setSort(sortBy),
     handleAssetSelection,
   });
+
+  const userId = getUserId(daContext.token);
+  initSearchBox({
+    input: elements.searchInput,
+    suggestionsEl: document.getElementById('searchSuggestions'),
+    savedEl: document.getElementById('quickSearchLabels'),
+    getAssets: () => assets,
+    savedQueries: userId ? createSavedQueries(daApi, userId) : null,
+  });
+
+  initUploadPanel({
+    upload: createMediaUpload(daApi),
+    daApi,
+    getAssets: () => assets,
+    onUploaded: addUploadedAssets,
+    insertAssets: (uploadedAssets) => assetInsertion.insertAssets(uploadedAssets),
+  });
+
+  initBatchActionBar({
+    bar: document.getElementById('batchActionBar'),
+    assetBrowser,
+    actions: {
+      insertBlock: (selected) => showBlockInsertModal({
+        assets: selected,
+        presets: assetInsertion.getImagePresets(),
+        preset: assetInsertion.getImagePreset(),
+        onInsert: (blockName, items, options) => assetInsertion.insertAssetsAsBlock(blockName, items, options),
+      }),
+      download: downloadSelectedAssets,
+      copyUrls: copySelectedAssetUrls,
+      tag: tagSelectedAssets,
+      move: moveSelectedAssets,
+      remove: deleteSelectedAssets,
+    },
+  });
 }
 
 async function loadAndRenderAssets() {
@@ -254,6 +344,7 @@ async function initializeQueueManager() {
     const eventHandlers = {
       discoveryComplete: handleDiscoveryCompleteWrapper,
       pageScanned: handlePageScannedWrapper,
+      documentsRemoved: handleDocumentsRemovedWrapper,
       scanningStarted: handleScanningStartedWrapper,
       scanningStopped: handleScanningStoppedWrapper,
       queueSizeUpdate: handleQueueSizeUpdateWrapper,
@@ -323,7 +414,9 @@ async function startFullScan(forceRescan = false) {
   try {
     isScanning = true;
     showScanProgress(); // This will set the button state
-    updateLoadingText('Starting full content scan...');
+    updateLoadingText(forceRescan
+      ? 'Starting full content scan...'
+      : 'Checking for changed pages...');
     await queueManager.startQueueScanning(forceRescan);
   } catch (error) {
     showError('Full scan failed', error);
@@ -333,6 +426,61 @@ async function startFullScan(forceRescan = false) {
   }
 }
 
+/**
+ * Build the unused asset report by diffing DA media files against scanned assets
+ */
+async function loadUnusedAssets() {
+  if (unusedAssetsRequest) return unusedAssetsRequest;
+
+  const countEl = document.getElementById('unusedCount');
+  unusedAssetsRequest = (async () => {
+    try {
+      if (countEl) countEl.textContent = '…';
+      showToast(isScanning
+        ? 'Scan in progress: assets on pages not yet scanned may be listed as unused'
+        : 'Checking media folders for unused assets...', 'info');
+      const unusedAssets = await findUnusedAssets(daApi, assets);
+      assetBrowser.setUnusedAssets(unusedAssets);
+      if (countEl) countEl.textContent = unusedAssets.length;
+      return unusedAssets;
+    } catch (error) {
+      unusedAssetsRequest = null;
+      if (countEl) countEl.textContent = '-';
+      showError('Failed to build unused asset report', error);
+      return [];
+    }
+  })();
+  return unusedAssetsRequest;
+}
+
+/**
+ * Export the unused asset report as CSV
+ */
+async function exportUnusedAssets() {
+  const unusedAssets = await loadUnusedAssets();
+  if (unusedAssets.length === 0) {
+    showToast('No unused assets found', 'info');
+    return;
+  }
+  downloadUnusedAssetsCsv(unusedAssets, `unused-assets-${daContext?.org}-${daContext?.repo}.csv`);
+}
+
+/**
+ * Open the dry-run manifest for moving unused assets to the DA trash folder
+ */
+async function cleanUpUnusedAssets() {
+  if (isScanning) {
+    showToast('Wait for the scan to finish before cleaning up unused assets', 'info');
+    return;
+  }
+  const unusedAssets = await loadUnusedAssets();
+  const cleanup = createMediaCleanup(daApi, stateManager);
+  await showCleanupModal(cleanup, unusedAssets, () => {
+    unusedAssetsRequest = null;
+    loadUnusedAssets();
+  });
+}
+
 /**
  * Force a rescan of all documents
  */
@@ -349,6 +497,32 @@ async function forceRescan() {
 
 
 const handleAssetSelection = async (asset) => {
+  // Videos are inserted as a block, so ask which one first
+  if (asset.type === 'video' && getVideoSource(asset.src)) {
+    showVideoInsertModal({
+      asset,
+      onInsert: (options) => assetInsertion.insertVideo(asset, options),
+    });
+    return;
+  }
+
+  if (asset.type === 'audio') {
+    showAudioInsertModal({
+      asset,
+      onInsert: (options) => assetInsertion.insertAudio(asset, options),
+    });
+    return;
+  }
+
+  if (asset.type === 'document') {
+    showDocumentInsertModal({
+      asset,
+      pdfThumbnails,
+      onInsert: (options) => assetInsertion.insertDocument(asset, options),
+    });
+    return;
+  }
+
   try {
     await assetInsertion.selectAsset(asset);
   } catch (error) {
@@ -387,6 +561,246 @@ const handleAssetUsage = (asset) => {
   }
 };
 
+/**
+ * Store alt text written into the pages in media.json as well
+ */
+async function saveAssetAlt(asset, alt) {
+  const apiConfig = daApi.getConfig();
+  const mediaAssets = await loadMediaSheet(apiConfig);
+  const updatedAssets = mediaAssets.map((item) => (item.src === asset.src ? { ...item, alt } : item));
+  await saveMediaSheet(apiConfig, updatedAssets);
+
+  assets.length = 0;
+  assets.push(...updatedAssets);
+  assetBrowser.setAssets(assets);
+  updateSidebarCounts(assets, getCurrentPageUrl());
+}
+
+const handleAssetEditAlt = (asset) => {
+  try {
+    showAltTextEditor(asset, createDocumentPatcher(daApi), async (alt) => {
+      try {
+        await saveAssetAlt(asset, alt);
+      } catch (error) {
+        showError('Pages were updated but media.json could not be saved', error);
+      }
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to open alt text editor:', error);
+    showError('Failed to open alt text editor', error);
+  }
+};
+
+/**
+ * Add freshly uploaded assets to media.json so they show up before the next scan
+ */
+async function addUploadedAssets(uploadedAssets) {
+  const apiConfig = daApi.getConfig();
+  const mediaAssets = await loadMediaSheet(apiConfig);
+  const known = new Set(mediaAssets.map((asset) => asset.src));
+  const updatedAssets = [
+    ...mediaAssets,
+    ...uploadedAssets
+      .filter((asset) => !known.has(asset.src))
+      .map((asset) => ({ ...asset, usedIn: '', usage: '[]' })),
+  ];
+  await saveMediaSheet(apiConfig, updatedAssets);
+
+  assets.length = 0;
+  assets.push(...updatedAssets);
+  assetBrowser.setAssets(assets);
+  updateSidebarCounts(assets, getCurrentPageUrl());
+  // New files are unused until a page references them
+  unusedAssetsRequest = null;
+}
+
+/**
+ * Move usage of rewritten pages from one asset to another in media.json
+ */
+async function moveUsageInMediaSheet(fromSrc, toAsset, pagePaths) {
+  const apiConfig = daApi.getConfig();
+  try {
+    const mediaAssets = await loadMediaSheet(apiConfig);
+    const updatedAssets = moveAssetUsage(mediaAssets, fromSrc, toAsset, pagePaths);
+    await saveMediaSheet(apiConfig, updatedAssets);
+
+    assets.length = 0;
+    assets.push(...updatedAssets);
+    assetBrowser.setAssets(assets);
+    updateSidebarCounts(assets, getCurrentPageUrl());
+  } catch (error) {
+    showError('Pages were updated but media.json could not be saved', error);
+  }
+}
+
+const handleAssetReplace = async (asset) => {
+  try {
+    await showReplaceAssetModal({
+      asset,
+      assets,
+      daApi,
+      patcher: createDocumentPatcher(daApi),
+      replaceLog: createReplaceLog(daApi),
+      onUsageMoved: moveUsageInMediaSheet,
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to open replace asset dialog:', error);
+    showError('Failed to open replace asset dialog', error);
+  }
+};
+
+/**
+ * Show assets saved to media.json by a batch action
+ */
+function showUpdatedAssets(updatedAssets) {
+  assets.length = 0;
+  assets.push(...updatedAssets);
+  assetBrowser.setAssets(assets);
+  updateSidebarCounts(assets, getCurrentPageUrl());
+}
+
+/**
+ * Download the selected assets as one ZIP file
+ */
+async function downloadSelectedAssets(selected, setStatus) {
+  const fileName = `assets-${daContext?.org}-${daContext?.repo}.zip`;
+  const { added, failed } = await downloadAssetsZip(daApi, selected, fileName, setStatus);
+  if (failed.length > 0) {
+    showToast(`Downloaded ${added} of ${selected.length} assets, ${failed.length} could not be fetched`, 'error');
+  } else {
+    showToast(`Downloaded ${added} asset${added !== 1 ? 's' : ''}`, 'success');
+  }
+}
+
+async function copySelectedAssetUrls(selected) {
+  await copyAssetUrls(selected);
+  showToast(`Copied ${selected.length} URL${selected.length !== 1 ? 's' : ''}`, 'success');
+}
+
+/**
+ * Add and remove tags of the selected assets in media.json
+ */
+function tagSelectedAssets(selected) {
+  showTagAssetsModal({
+    assets: selected,
+    onSave: async ({ add, remove }) => {
+      const selectedSrcs = new Set(selected.map((asset) => asset.src));
+      const apiConfig = daApi.getConfig();
+      const mediaAssets = await loadMediaSheet(apiConfig);
+      const updatedAssets = mediaAssets.map((item) => {
+        if (!selectedSrcs.has(item.src)) return item;
+        const kept = parseTags(item.tags).filter((tag) => !remove.includes(tag));
+        return { ...item, tags: parseTags([...kept, ...add]).join(',') };
+      });
+      await saveMediaSheet(apiConfig, updatedAssets);
+      showUpdatedAssets(updatedAssets);
+    },
+  });
+}
+
+/**
+ * Point the usage of moved assets at their new path in media.json
+ */
+async function moveAssetsInMediaSheet(moves) {
+  const apiConfig = daApi.getConfig();
+  try {
+    let updatedAssets = await loadMediaSheet(apiConfig);
+    moves.forEach(({
+      asset, newSrc, changedPaths, deleted,
+    }) => {
+      const toAsset = {
+        ...asset, id: '', src: newSrc, usedIn: '', usage: '',
+      };
+      updatedAssets = moveAssetUsage(updatedAssets, asset.src, toAsset, changedPaths);
+      // Pages that no longer referenced the file keep no row for a deleted original
+      if (deleted) updatedAssets = updatedAssets.filter((item) => item.src !== asset.src);
+    });
+    await saveMediaSheet(apiConfig, updatedAssets);
+    showUpdatedAssets(updatedAssets);
+    unusedAssetsRequest = null;
+  } catch (error) {
+    showError('Assets were moved but media.json could not be saved', error);
+  }
+}
+
+function moveSelectedAssets(selected) {
+  showMoveAssetsModal({
+    assets: selected,
+    daApi,
+    patcher: createDocumentPatcher(daApi),
+    replaceLog: createReplaceLog(daApi),
+    onAssetsMoved: moveAssetsInMediaSheet,
+  });
+}
+
+/**
+ * Move the selected DA files that no page uses to the trash, through the cleanup dialog
+ */
+async function deleteSelectedAssets(selected) {
+  if (isScanning) {
+    showToast('Wait for the scan to finish before deleting assets', 'info');
+    return;
+  }
+  const { org, repo } = daApi.getConfig();
+  const files = selected.reduce((result, asset) => {
+    const sourcePath = resolveSourcePath(asset.src, org, repo);
+    if (sourcePath && parseUsedIn(asset.usedIn).length === 0) {
+      result.push({
+        id: sourcePath,
+        path: toRepoPath(sourcePath, org, repo),
+        name: asset.name,
+        type: asset.type,
+        size: asset.fileSize ? Number(asset.fileSize) : '',
+        lastModified: '',
+      });
+    }
+    return result;
+  }, []);
+
+  const skipped = selected.length - files.length;
+  if (skipped > 0) {
+    showToast(`${skipped} selected asset${skipped !== 1 ? 's are' : ' is'} used on pages or external `
+      + 'and cannot be deleted. Replace or remove them on the pages first.', 'info');
+  }
+  if (files.length === 0) return;
+
+  await showCleanupModal(createMediaCleanup(daApi, stateManager), files, async (result) => {
+    unusedAssetsRequest = null;
+    if (!result.moved) return;
+    const trashed = new Set(result.moved.map((file) => file.path));
+    try {
+      const apiConfig = daApi.getConfig();
+      const mediaAssets = await loadMediaSheet(apiConfig);
+      const updatedAssets = mediaAssets.filter((item) => !trashed.has(resolveSourcePath(item.src, org, repo)));
+      await saveMediaSheet(apiConfig, updatedAssets);
+      showUpdatedAssets(updatedAssets);
+    } catch (error) {
+      showError('Files were moved to trash but media.json could not be saved', error);
+    }
+  }, `Delete ${files.length} Selected Asset${files.length !== 1 ? 's' : ''}`);
+}
+
+/**
+ * Open the duplicate image groups with their merge actions
+ */
+function showDuplicates() {
+  try {
+    showDuplicatesModal({
+      groups: findDuplicateGroups(assets),
+      unhashedCount: countUnhashedImages(assets),
+      patcher: createDocumentPatcher(daApi),
+      replaceLog: createReplaceLog(daApi),
+      onUsageMoved: moveUsageInMediaSheet,
+    });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to show duplicates:', error);
+    showError('Failed to show duplicates', error);
+  }
+}
+
 function handleAssetPreview(asset) {
   const modal = document.getElementById('previewModal');
   const {
@@ -405,41 +819,69 @@ function handleAssetPreview(asset) {
 
   let previewContent;
   if (asset.type === 'image') {
-    previewContent = `<img src="${asset.src}" alt="${asset.alt}" style="max-width: 100%; height: auto;">`;
+    previewContent = `<img src="${escapeHTML(asset.src)}" alt="${escapeHTML(asset.alt)}"
+      style="max-width: 100%; height: auto;">`;
     // Add alt warning note if alt is missing or is fallback
     const fallbackName = (asset.src || '').split('?')[0].split('/').pop();
     if (!asset.alt || asset.alt === fallbackName) {
       previewContent += '<div class="alt-warning-note"><strong>Note:</strong> Please add a descriptive alt text for this image for accessibility.</div>';
     }
+  } else if (asset.type === 'video' && getVideoSource(asset.src)?.provider !== 'file') {
+    // Hosted players are shown by their poster; the link opens the provider page
+    previewContent = `
+      <div class="document-preview">
+        ${asset.poster ? `<img src="${escapeHTML(asset.poster)}" alt="" style="max-width: 100%; height: auto;">` : ''}
+        <p><a href="${escapeHTML(asset.src)}" target="_blank" rel="noopener">${escapeHTML(asset.src)}</a></p>
+      </div>
+    `;
+  } else if (asset.type === 'audio') {
+    previewContent = `
+      <div class="document-preview">
+        <div class="document-icon">🎵</div>
+        <audio controls preload="metadata" src="${escapeHTML(asset.src)}" style="width: 100%;"></audio>
+        <p>${escapeHTML(asset.src)}</p>
+      </div>
+    `;
   } else if (asset.type === 'video') {
-    previewContent = `<video controls style="max-width: 100%; height: auto;">
-      <source src="${asset.src}" type="video/mp4">
+    const posterAttr = asset.poster ? ` poster="${escapeHTML(asset.poster)}"` : '';
+    previewContent = `<video controls style="max-width: 100%; height: auto;"${posterAttr}>
+      <source src="${escapeHTML(asset.src)}" type="video/mp4">
       Your browser does not support the video tag.
     </video>`;
   } else {
     previewContent = `
       <div class="document-preview">
         <div class="document-icon">📄</div>
-        <h4>${asset.name}</h4>
-        <p>Document: ${asset.src}</p>
+        <h4>${escapeHTML(asset.name)}</h4>
+        <p>Document: ${escapeHTML(asset.src)}</p>
       </div>
     `;
   }
 
-  body.innerHTML = previewContent;
+  if (isPdfAsset(asset)) {
+    body.replaceChildren(createPdfPreview(asset, pdfThumbnails));
+  } else {
+    body.innerHTML = previewContent;
+  }
+
+  // A hidden modal keeps playing its audio or video
+  const hideModal = () => {
+    body.querySelectorAll('audio, video').forEach((media) => media.pause());
+    modal.style.display = 'none';
+  };
 
   const insertHandler = () => {
     insertAsset(asset.id);
-    modal.style.display = 'none';
+    hideModal();
   };
 
   const insertAsLinkHandler = () => {
     handleAssetInsertAsLink(asset);
-    modal.style.display = 'none';
+    hideModal();
   };
 
   const closeHandler = () => {
-    modal.style.display = 'none';
+    hideModal();
   };
 
   closeBtn.onclick = closeHandler;
@@ -505,12 +947,7 @@ function updateLoadingStep(stepName, status) {
 }
 
 function handleSearch(query) {
-  const queryLower = query.toLowerCase();
-  const filteredAssets = assets.filter((asset) =>
-    asset.name.toLowerCase().includes(queryLower)
-    || asset.alt.toLowerCase().includes(queryLower),
-  );
-  renderAssets(filteredAssets);
+  if (assetBrowser) assetBrowser.setFilter({ search: query.trim() });
 }
 
 function showPlaceholderCards() {
@@ -680,22 +1117,24 @@ document.addEventListener('DOMContentLoaded', () => {
       const filter = el.getAttribute('data-filter');
       // Always start from a default filter state
       const defaultFilter = {
-        types: ['image', 'video', 'document'],
+        types: ['image', 'video', 'audio', 'document'],
         isExternal: undefined,
         usedOnPage: false,
         missingAlt: undefined,
-        search: '',
+        unused: false,
+        // The typed query narrows every sidebar filter
+        search: elements.searchInput?.value.trim() || '',
       };
       let filterObj = {};
       switch (filter) {
         case 'all':
-          filterObj = { types: ['image', 'video', 'document'], isExternal: undefined, usedOnPage: false };
+          filterObj = { types: ['image', 'video', 'audio', 'document'], isExternal: undefined, usedOnPage: false };
           break;
         case 'internal':
-          filterObj = { isExternal: false, types: ['image', 'video', 'document'], usedOnPage: false };
+          filterObj = { isExternal: false, types: ['image', 'video', 'audio', 'document'], usedOnPage: false };
           break;
         case 'external':
-          filterObj = { isExternal: true, types: ['image', 'video', 'document'], usedOnPage: false };
+          filterObj = { isExternal: true, types: ['image', 'video', 'audio', 'document'], usedOnPage: false };
           break;
         case 'image':
           filterObj = { types: ['image'], isExternal: undefined, usedOnPage: false };
@@ -703,17 +1142,20 @@ document.addEventListener('DOMContentLoaded', () => {
         case 'video':
           filterObj = { types: ['video'], isExternal: undefined, usedOnPage: false };
           break;
+        case 'audio':
+          filterObj = { types: ['audio'], isExternal: undefined, usedOnPage: false };
+          break;
         case 'document':
           filterObj = { types: ['document'], isExternal: undefined, usedOnPage: false };
           break;
         case 'used-on-page':
-          filterObj = { usedOnPage: true, isExternal: undefined, types: ['image', 'video', 'document'] };
+          filterObj = { usedOnPage: true, isExternal: undefined, types: ['image', 'video', 'audio', 'document'] };
           break;
         case 'used-internal':
-          filterObj = { usedOnPage: true, isExternal: false, types: ['image', 'video', 'document'] };
+          filterObj = { usedOnPage: true, isExternal: false, types: ['image', 'video', 'audio', 'document'] };
           break;
         case 'used-external':
-          filterObj = { usedOnPage: true, isExternal: true, types: ['image', 'video', 'document'] };
+          filterObj = { usedOnPage: true, isExternal: true, types: ['image', 'video', 'audio', 'document'] };
           break;
         case 'missing-alt':
           filterObj = { missingAlt: true };
@@ -721,8 +1163,12 @@ document.addEventListener('DOMContentLoaded', () => {
         case 'used-missing-alt':
           filterObj = { usedOnPage: true, missingAlt: true };
           break;
+        case 'unused':
+          filterObj = { unused: true };
+          loadUnusedAssets();
+          break;
         default:
-          filterObj = { types: ['image', 'video', 'document'], isExternal: undefined, usedOnPage: false };
+          filterObj = { types: ['image', 'video', 'audio', 'document'], isExternal: undefined, usedOnPage: false };
       }
       // Reset filter state to default, then apply the specific filter
       assetBrowser.setFilter({
@@ -734,6 +1180,33 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  const exportUnusedBtn = document.getElementById('exportUnusedCsv');
+  if (exportUnusedBtn) {
+    exportUnusedBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportUnusedAssets();
+    });
+  }
+
+  const cleanupUnusedBtn = document.getElementById('cleanupUnused');
+  if (cleanupUnusedBtn) {
+    cleanupUnusedBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      cleanUpUnusedAssets();
+    });
+  }
+
+  const duplicatesItem = document.getElementById('duplicatesItem');
+  if (duplicatesItem) {
+    duplicatesItem.addEventListener('click', showDuplicates);
+    duplicatesItem.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        showDuplicates();
+      }
+    });
+  }
+
   // Add Sync icons to section headers
   function addSectionSyncIcon(sectionSelector, iconId, tooltip, onClick) {
     const sectionHeader = document.querySelector(sectionSelector);
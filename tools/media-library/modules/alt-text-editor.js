@@ -0,0 +1,163 @@
+// tools/media-library/modules/alt-text-editor.js
+// Alt text editor that previews and writes alt text into every page using an asset
+
+import { parseUsedIn } from './media-processor.js';
+import { showToast, showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+import {
+  buildPageDiffHTML,
+  buildFailuresHTML,
+  describeSaveResult,
+} from './page-diff.js';
+
+let currentAltEditorPopup = null;
+
+function getInitialAlt(asset) {
+  const fallbackName = (asset.src || '').split('?')[0].split('/').pop();
+  return !asset.alt || asset.alt === 'Untitled' || asset.alt === fallbackName ? '' : asset.alt;
+}
+
+function buildPagesHTML(pages) {
+  return `
+    <div class="usage-table-wrapper">
+      <table class="usage-table">
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Alt text on this page</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pages.map((page) => `
+            <tr>
+              <td>${escapeHTML(page)}</td>
+              <td>
+                <input type="text" class="alt-editor-input" data-page="${escapeHTML(page)}"
+                  placeholder="Same as above" aria-label="Alt text on ${escapeHTML(page)}">
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+export function closeAltTextEditor() {
+  if (currentAltEditorPopup) {
+    currentAltEditorPopup.remove();
+    currentAltEditorPopup = null;
+  }
+}
+
+/**
+ * Show the alt text editor for an asset.
+ * onSaved receives the default alt text after at least one page was updated.
+ */
+export function showAltTextEditor(asset, patcher, onSaved) {
+  closeAltTextEditor();
+
+  const pages = parseUsedIn(asset.usedIn);
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup alt-editor-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Edit Alt Text: ${escapeHTML(asset.name)}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="alt-editor-asset">
+      <img src="${escapeHTML(asset.src)}" alt="" class="asset-thumbnail-small">
+      <label class="alt-editor-default">
+        Alt text for all pages
+        <input type="text" class="alt-editor-input" data-default value="${escapeHTML(getInitialAlt(asset))}">
+      </label>
+    </div>
+    ${pages.length > 0
+    ? buildPagesHTML(pages)
+    : '<div class="usage-page-item no-pages">This asset is not used on any scanned page</div>'}
+    <div class="cleanup-status" role="status"></div>
+    <div class="page-diffs"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-secondary" data-action="preview" ${pages.length === 0 ? 'disabled' : ''}>
+        Preview changes
+      </button>
+      <button class="btn btn-primary" data-action="save" disabled>Save pages</button>
+    </div>
+  `;
+
+  document.body.appendChild(popup);
+  currentAltEditorPopup = popup;
+
+  const statusEl = popup.querySelector('.cleanup-status');
+  const diffsEl = popup.querySelector('.page-diffs');
+  const previewBtn = popup.querySelector('[data-action="preview"]');
+  const saveBtn = popup.querySelector('[data-action="save"]');
+  let previews = null;
+  let defaultAlt = '';
+  let busy = false;
+
+  // Any edit invalidates the previewed diff
+  popup.querySelectorAll('.alt-editor-input').forEach((input) => {
+    input.addEventListener('input', () => {
+      previews = null;
+      saveBtn.disabled = true;
+      saveBtn.textContent = 'Save pages';
+      diffsEl.innerHTML = '';
+    });
+  });
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', () => {
+    if (!busy) closeAltTextEditor();
+  });
+
+  previewBtn.addEventListener('click', async () => {
+    defaultAlt = popup.querySelector('[data-default]').value.trim();
+    const overrides = {};
+    popup.querySelectorAll('.alt-editor-input[data-page]').forEach((input) => {
+      if (input.value.trim()) overrides[input.dataset.page] = input.value.trim();
+    });
+    if (!defaultAlt && pages.some((page) => !overrides[page])) {
+      statusEl.textContent = 'Enter alt text for all pages, or for each page below';
+      return;
+    }
+
+    busy = true;
+    previewBtn.disabled = true;
+    statusEl.textContent = `Loading ${pages.length} page${pages.length !== 1 ? 's' : ''}...`;
+    try {
+      previews = await patcher.previewAltText(asset, defaultAlt, overrides);
+      diffsEl.innerHTML = buildPageDiffHTML(previews);
+      const changedCount = previews.filter((preview) => preview.changes.length > 0).length;
+      statusEl.textContent = `${changedCount} of ${pages.length} pages will change`;
+      saveBtn.textContent = `Save ${changedCount} page${changedCount !== 1 ? 's' : ''}`;
+      saveBtn.disabled = changedCount === 0;
+    } catch (error) {
+      statusEl.textContent = '';
+      showError('Failed to preview alt text changes', error);
+    } finally {
+      busy = false;
+      previewBtn.disabled = false;
+    }
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    if (!previews) return;
+    busy = true;
+    previewBtn.disabled = true;
+    saveBtn.disabled = true;
+    try {
+      const result = await patcher.applyPreview(previews, (text) => { statusEl.textContent = text; });
+      const message = describeSaveResult(result);
+      statusEl.textContent = message;
+      diffsEl.innerHTML = buildFailuresHTML(result.failed);
+      showToast(message, result.failed.length > 0 ? 'error' : 'success');
+      previews = null;
+      if (result.changed.length > 0) await onSaved?.(defaultAlt || asset.alt);
+    } catch (error) {
+      showError('Failed to save alt text', error);
+    } finally {
+      busy = false;
+      previewBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,74 @@
+// tools/media-library/modules/asset-export.js
+// Download selected assets as a ZIP and copy their URLs
+
+import { createZip } from './zip.js';
+import { resolveSourcePath } from './unused-assets.js';
+import { downloadBlob, mapWithConcurrency } from './utils.js';
+
+const DOWNLOAD_CONCURRENCY = 4;
+
+/**
+ * File name for an asset inside the archive, numbered when the name is taken
+ */
+function getArchiveName(asset, usedNames) {
+  const segment = (asset.src || '').split(/[?#]/)[0].split('/').pop();
+  let fileName = segment;
+  try {
+    fileName = decodeURIComponent(segment);
+  } catch (error) {
+    // Silent error handling: a malformed escape keeps the name as written
+  }
+  fileName = fileName || 'asset';
+  const dot = fileName.lastIndexOf('.');
+  const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+  const ext = dot > 0 ? fileName.slice(dot) : '';
+  let name = fileName;
+  for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) name = `${base}-${copy}${ext}`;
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Fetch assets and save them as one ZIP file. DA files are read through the
+ * source API; external files need CORS and are reported as failed without it.
+ */
+async function downloadAssetsZip(daApi, assets, fileName, onProgress = null) {
+  const { org, repo } = daApi.getConfig();
+  const failed = [];
+  let done = 0;
+
+  const files = await mapWithConcurrency(assets, DOWNLOAD_CONCURRENCY, async (asset) => {
+    try {
+      const sourcePath = resolveSourcePath(asset.src, org, repo);
+      let data;
+      if (sourcePath) {
+        data = await daApi.getBinary(sourcePath);
+      } else {
+        const response = await fetch(asset.src);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        data = await response.arrayBuffer();
+      }
+      return { asset, data };
+    } catch (error) {
+      failed.push({ asset, error });
+      return null;
+    } finally {
+      done++;
+      onProgress?.(`Downloading ${done} of ${assets.length}...`);
+    }
+  });
+
+  const usedNames = new Set();
+  const entries = files.filter(Boolean).map(({ asset, data }) => ({ name: getArchiveName(asset, usedNames), data }));
+  if (entries.length > 0) downloadBlob(createZip(entries), fileName);
+  return { added: entries.length, failed };
+}
+
+/**
+ * Copy asset URLs to the clipboard, one per line
+ */
+async function copyAssetUrls(assets) {
+  await navigator.clipboard.writeText(assets.map((asset) => asset.src).join('\n'));
+}
+
+export { downloadAssetsZip, copyAssetUrls };
@@ -0,0 +1,81 @@
+// tools/media-library/modules/audio-insert-modal.js
+// Form for inserting an audio file as a player or a link, with a player to listen first
+
+import { AUDIO_INSERT_MODES } from './media-insert.js';
+import { formatDuration } from './video-sources.js';
+import { formatFileSize } from './unused-assets.js';
+import { showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+
+let currentAudioPopup = null;
+
+function buildModeOptionsHTML() {
+  return Object.entries(AUDIO_INSERT_MODES).map(([name, mode]) => `
+    <label class="block-insert-option">
+      <input type="radio" name="audioInsertMode" value="${name}" ${name === 'player' ? 'checked' : ''}>
+      <strong>${mode.label}</strong>
+      <span class="page-diff-note">${mode.description}</span>
+    </label>
+  `).join('');
+}
+
+export function closeAudioInsertModal() {
+  if (currentAudioPopup) {
+    currentAudioPopup.remove();
+    currentAudioPopup = null;
+  }
+}
+
+/**
+ * Show the audio form. onInsert({ mode }) inserts the file.
+ */
+export function showAudioInsertModal({ asset, onInsert }) {
+  closeAudioInsertModal();
+
+  const details = [
+    formatDuration(asset.duration),
+    asset.fileSize ? formatFileSize(Number(asset.fileSize)) : '',
+  ].filter(Boolean).join(' · ');
+
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup block-insert-popup audio-insert-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Insert ${escapeHTML(asset.name || 'audio')}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="audio-insert-summary">
+      <audio controls preload="metadata" src="${escapeHTML(asset.src)}"></audio>
+      <span class="page-diff-note">${escapeHTML(details)}</span>
+    </div>
+    <div class="block-insert-options" role="radiogroup" aria-label="Insert as">
+      ${buildModeOptionsHTML()}
+    </div>
+    <div class="cleanup-status" role="status"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-primary" data-action="insert">Insert audio</button>
+    </div>
+  `;
+
+  document.body.appendChild(popup);
+  currentAudioPopup = popup;
+
+  const insertBtn = popup.querySelector('[data-action="insert"]');
+  const close = () => {
+    popup.querySelector('audio').pause();
+    closeAudioInsertModal();
+  };
+  popup.querySelector('.usage-close-btn').addEventListener('click', close);
+
+  insertBtn.addEventListener('click', async () => {
+    insertBtn.disabled = true;
+    try {
+      await onInsert({ mode: popup.querySelector('input[name="audioInsertMode"]:checked').value });
+      close();
+    } catch (error) {
+      showError('Failed to insert audio', error);
+    } finally {
+      insertBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,83 @@
+// tools/media-library/modules/batch-actions.js
+// Action bar for the assets selected in the asset browser
+
+import { showError } from './toast.js';
+
+const BATCH_ACTIONS = [
+  { action: 'insertBlock', label: 'Insert as Block', error: 'Failed to open block form' },
+  { action: 'download', label: 'Download ZIP', error: 'Failed to download assets' },
+  { action: 'copyUrls', label: 'Copy URLs', error: 'Failed to copy URLs' },
+  { action: 'tag', label: 'Tag', error: 'Failed to open tag editor' },
+  { action: 'move', label: 'Move', error: 'Failed to open move dialog' },
+  { action: 'remove', label: 'Delete', error: 'Failed to open delete dialog' },
+];
+
+/**
+ * Show `bar` while assets are selected. Each handler in `actions` receives the selected
+ * assets: insertBlock, download(assets, setStatus), copyUrls, tag, move, remove.
+ */
+function initBatchActionBar({ bar, assetBrowser, actions }) {
+  if (!bar) return;
+
+  bar.innerHTML = `
+    <span class="batch-action-count" role="status" aria-live="polite"></span>
+    <div class="batch-action-buttons">
+      ${BATCH_ACTIONS.map(({ action, label }, index) => `
+        <button class="batch-action-btn ${action === 'remove' ? 'danger' : ''}" data-index="${index}">${label}</button>
+      `).join('')}
+      <button class="batch-action-btn" data-action="clear" title="Clear selection (Esc)">Clear</button>
+    </div>
+  `;
+
+  const countEl = bar.querySelector('.batch-action-count');
+  let selectedCount = 0;
+  let busy = false;
+
+  const setStatus = (text) => {
+    countEl.textContent = text || `${selectedCount} selected`;
+  };
+
+  const setBusy = (value) => {
+    busy = value;
+    bar.classList.toggle('busy', value);
+    bar.querySelectorAll('button').forEach((button) => { button.disabled = value; });
+  };
+
+  assetBrowser.on('selectionChanged', (assets) => {
+    selectedCount = assets.length;
+    bar.hidden = selectedCount === 0;
+    if (!busy) setStatus();
+  });
+
+  bar.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button || busy) return;
+    if (button.dataset.action === 'clear') {
+      assetBrowser.clearSelection();
+      return;
+    }
+
+    const { action, error: errorMessage } = BATCH_ACTIONS[Number(button.dataset.index)];
+    const assets = assetBrowser.getSelectedAssets();
+    if (assets.length === 0) return;
+    setBusy(true);
+    try {
+      if (action === 'download') await actions.download(assets, setStatus);
+      else await actions[action](assets);
+    } catch (error) {
+      showError(errorMessage, error);
+    } finally {
+      setBusy(false);
+      setStatus();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || bar.hidden || busy) return;
+    // Escape belongs to an open dialog or the search box first
+    if (document.querySelector('.usage-info-popup') || e.target.closest?.('input, textarea, select')) return;
+    assetBrowser.clearSelection();
+  });
+}
+
+export { initBatchActionBar };
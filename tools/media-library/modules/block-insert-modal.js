@@ -0,0 +1,187 @@
+// tools/media-library/modules/block-insert-modal.js
+// Form for inserting selected assets as a cards, carousel, columns or hero block
+
+import { INSERT_BLOCKS } from './media-insert.js';
+import { showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const MAX_COLUMNS = 6;
+
+let currentBlockPopup = null;
+
+/**
+ * Whether a link is a site path or a URL with a safe protocol
+ */
+function isValidLink(link) {
+  if (link.startsWith('/') || link.startsWith('#')) return true;
+  try {
+    return LINK_PROTOCOLS.includes(new URL(link).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function buildBlockOptionsHTML(selectedBlock, itemCount) {
+  return Object.entries(INSERT_BLOCKS).map(([name, block]) => {
+    const tooMany = block.maxItems && itemCount > block.maxItems;
+    return `
+      <label class="block-insert-option ${tooMany ? 'disabled' : ''}">
+        <input type="radio" name="blockInsertType" value="${name}"
+          ${name === selectedBlock ? 'checked' : ''} ${tooMany ? 'disabled' : ''}>
+        <strong>${block.label}</strong>
+        <span class="page-diff-note">${tooMany ? `Select ${block.maxItems} asset` : block.description}</span>
+      </label>
+    `;
+  }).join('');
+}
+
+function buildPresetOptionsHTML(presets) {
+  return presets.map((preset) => `
+    <option value="${escapeHTML(preset.name)}">${escapeHTML(preset.label)}</option>
+  `).join('');
+}
+
+/**
+ * Preset suggested for a block when the site defines it, otherwise the selected one
+ */
+function getBlockPreset(blockName, presets, preset) {
+  const suggested = INSERT_BLOCKS[blockName]?.preset;
+  return presets.some(({ name }) => name === suggested) ? suggested : preset;
+}
+
+function buildItemsHTML(items) {
+  return items.map(({ asset, caption, link }, index) => `
+    <div class="block-insert-item" data-index="${index}">
+      ${asset.type === 'image'
+    ? `<img src="${escapeHTML(asset.src)}" alt="" class="asset-thumbnail-small">`
+    : `<span class="badge">${escapeHTML(asset.type)}</span>`}
+      <div class="block-insert-fields">
+        <input type="text" class="alt-editor-input" data-field="caption" value="${escapeHTML(caption)}"
+          placeholder="Caption" aria-label="Caption for ${escapeHTML(asset.name)}">
+        <input type="text" class="alt-editor-input" data-field="link" value="${escapeHTML(link)}"
+          placeholder="Link, e.g. /products or https://..." aria-label="Link for ${escapeHTML(asset.name)}">
+      </div>
+      <div class="block-insert-order">
+        <button class="page-action-btn" data-move="-1" ${index === 0 ? 'disabled' : ''}
+          aria-label="Move up">↑</button>
+        <button class="page-action-btn" data-move="1" ${index === items.length - 1 ? 'disabled' : ''}
+          aria-label="Move down">↓</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+export function closeBlockInsertModal() {
+  if (currentBlockPopup) {
+    currentBlockPopup.remove();
+    currentBlockPopup = null;
+  }
+}
+
+/**
+ * Show the block form for the selected assets. presets are the site's image presets and
+ * preset the selected one. onInsert(blockName, items, { columnsPerRow, preset }) inserts
+ * the block; items are [{ asset, caption, link }].
+ */
+export function showBlockInsertModal({
+  assets,
+  block = 'cards',
+  presets = [],
+  preset,
+  onInsert,
+}) {
+  closeBlockInsertModal();
+
+  const items = assets.map((asset) => ({ asset, caption: '', link: '' }));
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup block-insert-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Insert ${assets.length} asset${assets.length !== 1 ? 's' : ''} as a block</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="block-insert-options" role="radiogroup" aria-label="Block">
+      ${buildBlockOptionsHTML(block, items.length)}
+    </div>
+    <label class="block-insert-columns">
+      Columns per row
+      <input type="number" class="alt-editor-input" data-input="columns" min="1" max="${MAX_COLUMNS}"
+        value="${Math.min(items.length, 3)}">
+    </label>
+    <label class="block-insert-preset" ${presets.length === 0 ? 'hidden' : ''}>
+      Image preset
+      <select class="sort-select" data-input="preset">${buildPresetOptionsHTML(presets)}</select>
+    </label>
+    <div class="block-insert-items"></div>
+    <div class="cleanup-status" role="status"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-primary" data-action="insert">Insert block</button>
+    </div>
+  `;
+
+  document.body.appendChild(popup);
+  currentBlockPopup = popup;
+
+  const itemsEl = popup.querySelector('.block-insert-items');
+  const columnsEl = popup.querySelector('.block-insert-columns');
+  const columnsInput = popup.querySelector('[data-input="columns"]');
+  const presetSelect = popup.querySelector('[data-input="preset"]');
+  const statusEl = popup.querySelector('.cleanup-status');
+  const insertBtn = popup.querySelector('[data-action="insert"]');
+
+  const getBlock = () => popup.querySelector('input[name="blockInsertType"]:checked')?.value;
+  const renderItems = () => { itemsEl.innerHTML = buildItemsHTML(items); };
+  const updateColumns = () => { columnsEl.hidden = getBlock() !== 'columns'; };
+  const updatePreset = () => { presetSelect.value = getBlockPreset(getBlock(), presets, preset); };
+
+  // Start on a block that accepts the selection
+  if (!getBlock()) popup.querySelector('input[name="blockInsertType"]:not(:disabled)').checked = true;
+  renderItems();
+  updateColumns();
+  updatePreset();
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', closeBlockInsertModal);
+  popup.querySelector('.block-insert-options').addEventListener('change', () => {
+    updateColumns();
+    updatePreset();
+  });
+
+  itemsEl.addEventListener('input', (e) => {
+    const { field } = e.target.dataset;
+    const row = e.target.closest('.block-insert-item');
+    if (field && row) items[Number(row.dataset.index)][field] = e.target.value;
+  });
+
+  itemsEl.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-move]');
+    if (!button) return;
+    const index = Number(button.closest('.block-insert-item').dataset.index);
+    const target = index + Number(button.dataset.move);
+    [items[index], items[target]] = [items[target], items[index]];
+    renderItems();
+  });
+
+  insertBtn.addEventListener('click', async () => {
+    const blockName = getBlock();
+    const entries = items.map((item) => ({ ...item, caption: item.caption.trim(), link: item.link.trim() }));
+    const invalid = entries.find((item) => item.link && !isValidLink(item.link));
+    if (invalid) {
+      statusEl.textContent = `"${invalid.link}" is not a link: use a path starting with / or a full URL`;
+      return;
+    }
+
+    insertBtn.disabled = true;
+    try {
+      await onInsert(blockName, entries, {
+        columnsPerRow: Math.min(MAX_COLUMNS, Number(columnsInput.value) || 1),
+        preset: presetSelect.value || preset,
+      });
+      closeBlockInsertModal();
+    } catch (error) {
+      showError(`Failed to insert ${INSERT_BLOCKS[blockName].label.toLowerCase()} block`, error);
+    } finally {
+      insertBtn.disabled = false;
+    }
+  });
+}
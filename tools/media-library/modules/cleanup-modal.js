@@ -0,0 +1,278 @@
+// tools/media-library/modules/cleanup-modal.js
+// Dry-run manifest, move-to-trash confirmation and trash restore for unused assets
+
+import { formatFileSize, formatLastModified } from './unused-assets.js';
+import { showToast, showError } from './toast.js';
+import { TRASH_RETENTION_DAYS } from '../services/media-cleanup.js';
+import { escapeHTML } from './utils.js';
+
+let currentCleanupPopup = null;
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function buildManifestHTML(manifest) {
+  if (manifest.files.length === 0) {
+    return '<div class="usage-page-item no-pages">No unused assets to clean up</div>';
+  }
+  return `
+    <p class="cleanup-summary">
+      Dry run: ${manifest.files.length} file${manifest.files.length !== 1 ? 's' : ''}
+      (${formatFileSize(manifest.totalSize)}) would be moved to trash.
+      Each file is checked against every page again right before it is moved.
+    </p>
+    <div class="usage-table-wrapper cleanup-table-wrapper">
+      <table class="usage-table">
+        <thead>
+          <tr>
+            <th>Path</th>
+            <th>Type</th>
+            <th>Size</th>
+            <th>Last Modified</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${manifest.files.map((file) => `
+            <tr>
+              <td>${escapeHTML(file.path)}</td>
+              <td class="usage-location">${escapeHTML(file.type)}</td>
+              <td class="usage-location">${formatFileSize(file.size)}</td>
+              <td class="usage-location">${formatLastModified(file.lastModified)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="cleanup-actions">
+      <button class="btn btn-primary" data-action="trash">Move ${manifest.files.length} to trash</button>
+    </div>
+  `;
+}
+
+function countExpired(batches) {
+  const expired = batches.filter((batch) => batch.expired);
+  return {
+    files: expired.reduce((sum, batch) => sum + batch.files.length, 0),
+    size: expired.reduce((sum, batch) => sum + batch.totalSize, 0),
+  };
+}
+
+function buildTrashHTML(batches) {
+  if (batches.length === 0) {
+    return '<div class="usage-page-item no-pages">Trash is empty</div>';
+  }
+  const expired = countExpired(batches);
+  return `
+    <div class="usage-table-wrapper">
+      <table class="usage-table">
+        <thead>
+          <tr>
+            <th>Deleted</th>
+            <th>Files</th>
+            <th>Size</th>
+            <th>Restorable Until</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${batches.map((batch) => `
+            <tr>
+              <td class="usage-location">${formatDate(batch.deletedAt)}</td>
+              <td class="usage-location">${batch.files.length}</td>
+              <td class="usage-location">${formatFileSize(batch.totalSize)}</td>
+              <td class="usage-location">${batch.expired ? 'Expired' : formatDate(batch.expiresAt)}</td>
+              <td>
+                <button class="page-action-btn" data-action="restore" data-batch="${escapeHTML(batch.batchId)}"
+                  ${batch.expired ? 'disabled' : ''}>Restore</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ${expired.files > 0 ? `
+      <div class="cleanup-actions">
+        <button class="btn btn-secondary" data-action="purge">
+          Delete ${expired.files} expired file${expired.files !== 1 ? 's' : ''} (${formatFileSize(expired.size)})
+        </button>
+      </div>
+    ` : ''}
+  `;
+}
+
+/**
+ * Confirm step shown in place of an action's buttons until it is confirmed or cancelled
+ */
+function buildConfirmStepHTML(question, action, label) {
+  return `
+    <span class="cleanup-confirm-question">${question}</span>
+    <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+    <button class="btn btn-primary" data-action="${action}">${label}</button>
+  `;
+}
+
+function describeTrashResult(result) {
+  const parts = [`Moved ${result.moved.length} file${result.moved.length !== 1 ? 's' : ''} to trash`];
+  if (result.referenced.length > 0) parts.push(`${result.referenced.length} kept because a page now references them`);
+  if (result.failed.length > 0) parts.push(`${result.failed.length} failed`);
+  return parts.join(', ');
+}
+
+function describeRestoreResult(result) {
+  const parts = [`Restored ${result.restored.length} file${result.restored.length !== 1 ? 's' : ''}`];
+  if (result.conflicts.length > 0) {
+    parts.push(`${result.conflicts.length} left in trash because the original path is in use`);
+  }
+  if (result.failed.length > 0) parts.push(`${result.failed.length} failed`);
+  return parts.join(', ');
+}
+
+export function closeCleanupPopup() {
+  if (currentCleanupPopup) {
+    currentCleanupPopup.remove();
+    currentCleanupPopup = null;
+  }
+}
+
+/**
+ * Show the cleanup dialog for the given unused assets.
+ * onFilesChanged(result) is called after files were moved to or restored from the trash.
+ */
+export async function showCleanupModal(cleanup, unusedAssets, onFilesChanged, title = 'Clean Up Unused Assets') {
+  closeCleanupPopup();
+
+  const manifest = cleanup.createManifest(unusedAssets);
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup cleanup-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>${title}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="cleanup-status" role="status"></div>
+    <section class="cleanup-section" data-section="manifest">
+      ${buildManifestHTML(manifest)}
+    </section>
+    <section class="cleanup-section">
+      <h4>Trash</h4>
+      <div data-section="trash">Loading...</div>
+    </section>
+  `;
+
+  document.body.appendChild(popup);
+  currentCleanupPopup = popup;
+
+  const statusEl = popup.querySelector('.cleanup-status');
+  const trashEl = popup.querySelector('[data-section="trash"]');
+  const setStatus = (text) => { statusEl.textContent = text; };
+  let busy = false;
+  let batches = [];
+
+  const renderTrash = async () => {
+    try {
+      batches = await cleanup.listBatches();
+      trashEl.innerHTML = buildTrashHTML(batches);
+    } catch (error) {
+      trashEl.textContent = 'Failed to load trash';
+    }
+  };
+
+  // Swap an action's buttons for a confirm step; Cancel puts them back
+  const askToConfirm = (button, question, action, label) => {
+    const actions = button.closest('.cleanup-actions');
+    const original = actions.innerHTML;
+    actions.innerHTML = buildConfirmStepHTML(question, action, label);
+    actions.querySelector('[data-action="cancel"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      actions.innerHTML = original;
+    });
+  };
+
+  const runAction = async (action) => {
+    if (busy) return;
+    busy = true;
+    popup.querySelectorAll('button[data-action]').forEach((button) => { button.disabled = true; });
+    try {
+      await action();
+    } finally {
+      busy = false;
+      popup.querySelectorAll('button[data-action]').forEach((button) => { button.disabled = false; });
+      await renderTrash();
+    }
+  };
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', () => {
+    if (!busy) closeCleanupPopup();
+  });
+
+  popup.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'trash') {
+      const count = manifest.files.length;
+      askToConfirm(
+        button,
+        `Move ${count} file${count !== 1 ? 's' : ''} to trash? They can be restored for ${TRASH_RETENTION_DAYS} days.`,
+        'confirm-trash',
+        `Move ${count} to trash`,
+      );
+    }
+
+    if (button.dataset.action === 'confirm-trash') {
+      runAction(async () => {
+        try {
+          const result = await cleanup.moveToTrash(manifest, setStatus);
+          const message = describeTrashResult(result);
+          setStatus(message);
+          showToast(message, result.failed.length > 0 ? 'error' : 'success');
+          popup.querySelector('[data-section="manifest"]').innerHTML = '';
+          if (result.moved.length > 0) onFilesChanged?.(result);
+        } catch (error) {
+          setStatus(error.message);
+          showError('Failed to move unused assets to trash', error);
+        }
+      });
+    }
+
+    if (button.dataset.action === 'purge') {
+      const { files } = countExpired(batches);
+      askToConfirm(
+        button,
+        `Permanently delete ${files} expired file${files !== 1 ? 's' : ''}? They can't be restored.`,
+        'confirm-purge',
+        'Delete permanently',
+      );
+    }
+
+    if (button.dataset.action === 'confirm-purge') {
+      runAction(async () => {
+        try {
+          const purged = await cleanup.purgeExpiredBatches();
+          setStatus(`Permanently deleted ${purged} expired file${purged !== 1 ? 's' : ''} from trash`);
+        } catch (error) {
+          setStatus('');
+          showError('Failed to delete expired trash', error);
+        }
+      });
+    }
+
+    if (button.dataset.action === 'restore') {
+      runAction(async () => {
+        try {
+          const result = await cleanup.restoreBatch(button.dataset.batch, setStatus);
+          const message = describeRestoreResult(result);
+          setStatus(message);
+          showToast(message, result.failed.length > 0 ? 'error' : 'success');
+          if (result.restored.length > 0) onFilesChanged?.(result);
+        } catch (error) {
+          setStatus('');
+          showError('Failed to restore trash batch', error);
+        }
+      });
+    }
+  });
+
+  await renderTrash();
+}
@@ -131,10 +131,11 @@ function createDiscoveryManager() {
               stats: state.stats,
             });
 
-            // Add documents to queue for scanning
-            if (data.documents.length > 0) {
+            // Add documents to queue for scanning; skipped ones still count as present
+            if (data.documents.length > 0 || data.skippedPaths?.length > 0) {
               emit('documentsDiscovered', {
                 documents: data.documents,
+                skippedPaths: data.skippedPaths || [],
                 folder: folder.path,
               });
             }
@@ -158,7 +159,9 @@ function createDiscoveryManager() {
             break;
 
           case 'folderScanError':
-            // Non-fatal error - continue processing
+            // Non-fatal for discovery, but the pages of that folder are unknown,
+            // so the scan must not treat them as deleted
+            state.stats.errors++;
             emit('folderScanError', data);
             break;
 
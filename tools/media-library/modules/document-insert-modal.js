@@ -0,0 +1,100 @@
+// tools/media-library/modules/document-insert-modal.js
+// Form for inserting a document as a link, a download button or an embedded PDF viewer
+
+import { DOCUMENT_INSERT_MODES } from './media-insert.js';
+import { isPdfAsset } from './pdf-thumbnails.js';
+import { formatFileSize } from './unused-assets.js';
+import { showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+
+let currentDocumentPopup = null;
+
+function buildModeOptionsHTML(isPdf) {
+  return Object.entries(DOCUMENT_INSERT_MODES).map(([name, mode]) => {
+    const unsupported = mode.pdfOnly && !isPdf;
+    return `
+      <label class="block-insert-option ${unsupported ? 'disabled' : ''}">
+        <input type="radio" name="documentInsertMode" value="${name}"
+          ${name === 'link' ? 'checked' : ''} ${unsupported ? 'disabled' : ''}>
+        <strong>${mode.label}</strong>
+        <span class="page-diff-note">${unsupported ? 'PDF only' : mode.description}</span>
+      </label>
+    `;
+  }).join('');
+}
+
+export function closeDocumentInsertModal() {
+  if (currentDocumentPopup) {
+    currentDocumentPopup.remove();
+    currentDocumentPopup = null;
+  }
+}
+
+/**
+ * Show the document form. pdfThumbnails renders the first page of PDFs;
+ * onInsert({ mode }) inserts the document.
+ */
+export function showDocumentInsertModal({ asset, pdfThumbnails = null, onInsert }) {
+  closeDocumentInsertModal();
+
+  const isPdf = isPdfAsset(asset);
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup block-insert-popup document-insert-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Insert ${escapeHTML(asset.name || 'document')}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="document-insert-summary">
+      <img alt="" class="document-insert-thumbnail" hidden>
+      <span class="page-diff-note" data-output="details"></span>
+    </div>
+    <div class="block-insert-options" role="radiogroup" aria-label="Insert as">
+      ${buildModeOptionsHTML(isPdf)}
+    </div>
+    <div class="cleanup-status" role="status"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-primary" data-action="insert">Insert document</button>
+    </div>
+  `;
+
+  document.body.appendChild(popup);
+  currentDocumentPopup = popup;
+
+  const thumbnail = popup.querySelector('.document-insert-thumbnail');
+  const detailsEl = popup.querySelector('[data-output="details"]');
+  const insertBtn = popup.querySelector('[data-action="insert"]');
+
+  const renderDetails = () => {
+    const pageCount = pdfThumbnails?.getPageCount(asset) || Number(asset.pageCount);
+    detailsEl.textContent = [
+      pageCount ? `${pageCount} page${pageCount !== 1 ? 's' : ''}` : '',
+      asset.fileSize ? formatFileSize(Number(asset.fileSize)) : '',
+    ].filter(Boolean).join(' · ');
+  };
+  renderDetails();
+
+  if (isPdf && pdfThumbnails) {
+    pdfThumbnails.renderThumbnail(asset).then(({ url }) => {
+      thumbnail.src = url;
+      thumbnail.hidden = false;
+      renderDetails();
+    }).catch(() => {
+      // Silent error handling: the form works without the first page
+    });
+  }
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', closeDocumentInsertModal);
+
+  insertBtn.addEventListener('click', async () => {
+    insertBtn.disabled = true;
+    try {
+      await onInsert({ mode: popup.querySelector('input[name="documentInsertMode"]:checked').value });
+      closeDocumentInsertModal();
+    } catch (error) {
+      showError('Failed to insert document', error);
+    } finally {
+      insertBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,183 @@
+// tools/media-library/modules/duplicates-modal.js
+// Review duplicate images and merge each group onto one kept asset
+
+import { parseUsedIn } from './media-processor.js';
+import { showToast, showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+import {
+  buildPageDiffHTML,
+  buildFailuresHTML,
+  describeSaveResult,
+} from './page-diff.js';
+
+let currentDuplicatesPopup = null;
+
+function buildGroupHTML(group, groupIndex) {
+  const label = group.identical ? 'Identical files' : 'Visually similar';
+  const assets = group.assets.map((asset, assetIndex) => {
+    const pageCount = parseUsedIn(asset.usedIn).length;
+    return `
+      <button class="replace-candidate ${assetIndex === 0 ? 'selected' : ''}"
+        data-asset="${assetIndex}" title="${escapeHTML(asset.src)}">
+        <img src="${escapeHTML(asset.src)}" alt="" loading="lazy">
+        <span>${escapeHTML(asset.name)}</span>
+        <span class="page-diff-note">${pageCount} page${pageCount !== 1 ? 's' : ''}</span>
+      </button>
+    `;
+  }).join('');
+
+  return `
+    <section class="cleanup-section duplicate-group" data-group="${groupIndex}">
+      <h4>${label} (${group.assets.length})</h4>
+      <div class="replace-candidates">${assets}</div>
+      <div class="cleanup-status" role="status">Selected asset is kept</div>
+      <div class="page-diffs"></div>
+      <div class="cleanup-actions">
+        <button class="btn btn-secondary" data-action="preview">Preview merge</button>
+        <button class="btn btn-primary" data-action="merge" disabled>Merge</button>
+      </div>
+    </section>
+  `;
+}
+
+export function closeDuplicatesModal() {
+  if (currentDuplicatesPopup) {
+    currentDuplicatesPopup.remove();
+    currentDuplicatesPopup = null;
+  }
+}
+
+/**
+ * Show duplicate groups. Merging points every page that uses a copy at the kept asset.
+ * onUsageMoved(fromSrc, toAsset, pagePaths) is called for each copy whose pages were rewritten.
+ * unhashedCount images could only be compared byte for byte and are called out.
+ */
+export function showDuplicatesModal({
+  groups,
+  unhashedCount = 0,
+  patcher,
+  replaceLog,
+  onUsageMoved,
+}) {
+  closeDuplicatesModal();
+
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup duplicates-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Duplicates: ${groups.length} group${groups.length !== 1 ? 's' : ''}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    ${unhashedCount > 0
+    ? `<div class="page-diff-note">${unhashedCount} image${unhashedCount !== 1 ? 's' : ''} could not be decoded
+      during the scan and only match copies with identical bytes.</div>`
+    : ''}
+    ${groups.length === 0
+    ? '<div class="page-diff-note">No duplicate images found. Images are compared after they are scanned.</div>'
+    : groups.map(buildGroupHTML).join('')}
+  `;
+
+  document.body.appendChild(popup);
+  currentDuplicatesPopup = popup;
+
+  // Per group: index of the kept asset and the previewed page changes per copy
+  const selections = groups.map(() => ({ keeper: 0, plan: null }));
+  let busy = false;
+
+  const getElements = (section) => ({
+    statusEl: section.querySelector('.cleanup-status'),
+    diffsEl: section.querySelector('.page-diffs'),
+    mergeBtn: section.querySelector('[data-action="merge"]'),
+    previewBtn: section.querySelector('[data-action="preview"]'),
+  });
+
+  const previewMerge = async (section, groupIndex) => {
+    const { statusEl, diffsEl, mergeBtn } = getElements(section);
+    const selection = selections[groupIndex];
+    const keeper = groups[groupIndex].assets[selection.keeper];
+    const copies = groups[groupIndex].assets.filter((asset) => asset !== keeper);
+
+    statusEl.textContent = 'Loading pages...';
+    selection.plan = [];
+    for (const copy of copies) {
+      selection.plan.push({ copy, previews: await patcher.previewReplaceAsset(copy, keeper.src) });
+    }
+
+    const previews = selection.plan.flatMap((step) => step.previews);
+    const pageCount = previews.filter((preview) => preview.changes.length > 0).length;
+    diffsEl.innerHTML = buildPageDiffHTML(previews);
+    statusEl.textContent = pageCount > 0
+      ? `${pageCount} page update${pageCount !== 1 ? 's' : ''} to keep ${keeper.name}`
+      : 'No page uses the other copies';
+    mergeBtn.textContent = `Merge on ${pageCount} page${pageCount !== 1 ? 's' : ''}`;
+    mergeBtn.disabled = pageCount === 0;
+  };
+
+  const merge = async (section, groupIndex) => {
+    const { statusEl, diffsEl, mergeBtn } = getElements(section);
+    const selection = selections[groupIndex];
+    const keeper = groups[groupIndex].assets[selection.keeper];
+    const merged = new Set();
+    const failed = [];
+    const unchanged = [];
+    mergeBtn.disabled = true;
+
+    for (const { copy, previews } of selection.plan) {
+      // A page holding several copies was saved by an earlier step, so load it again
+      const stale = previews.some((preview) => merged.has(preview.path));
+      const current = stale ? await patcher.previewReplaceAsset(copy, keeper.src) : previews;
+      const result = await patcher.applyPreview(current, (text) => { statusEl.textContent = text; });
+      if (result.changed.length > 0) {
+        await replaceLog.record(copy.src, keeper.src, current, result.changed);
+        await onUsageMoved?.(copy.src, keeper, result.changed);
+      }
+      result.changed.forEach((path) => merged.add(path));
+      failed.push(...result.failed);
+      unchanged.push(...result.unchanged);
+    }
+
+    const message = describeSaveResult({ changed: Array.from(merged), unchanged, failed }, 'Merged on');
+    statusEl.textContent = `${message}. Unused copies can be moved to trash with Clean up.`;
+    diffsEl.innerHTML = buildFailuresHTML(failed);
+    showToast(message, failed.length > 0 ? 'error' : 'success');
+    selection.plan = null;
+    mergeBtn.textContent = 'Merge';
+  };
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', () => {
+    if (!busy) closeDuplicatesModal();
+  });
+
+  popup.addEventListener('click', async (e) => {
+    const section = e.target.closest('.duplicate-group');
+    if (!section || busy) return;
+    const groupIndex = Number(section.dataset.group);
+    const { diffsEl, mergeBtn, previewBtn } = getElements(section);
+
+    const candidate = e.target.closest('.replace-candidate');
+    if (candidate) {
+      selections[groupIndex] = { keeper: Number(candidate.dataset.asset), plan: null };
+      section.querySelectorAll('.replace-candidate').forEach((button) => {
+        button.classList.toggle('selected', button === candidate);
+      });
+      diffsEl.innerHTML = '';
+      mergeBtn.textContent = 'Merge';
+      mergeBtn.disabled = true;
+      return;
+    }
+
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action !== 'preview' && action !== 'merge') return;
+    busy = true;
+    previewBtn.disabled = true;
+    try {
+      if (action === 'preview') await previewMerge(section, groupIndex);
+      else if (selections[groupIndex].plan) await merge(section, groupIndex);
+    } catch (error) {
+      showError(action === 'preview' ? 'Failed to preview merge' : 'Failed to merge duplicates', error);
+    } finally {
+      busy = false;
+      previewBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,89 @@
+// tools/media-library/modules/duplicates.js
+// Group identical and near-identical images by their scanned hashes
+
+import { parseUsedIn } from './media-processor.js';
+
+// Perceptual hashes at most this many bits apart count as the same picture
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Group images that share a byte hash or whose perceptual hashes are close.
+ * Near matches are found through 8-bit bands: two 64-bit hashes within
+ * 7 bits of each other always agree on at least one of their 8 bands.
+ */
+function findDuplicateGroups(assets, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  const images = assets.filter((asset) => asset.type === 'image'
+    && (asset.contentHash || asset.perceptualHash));
+  const parents = images.map((asset, index) => index);
+  const find = (index) => {
+    let root = index;
+    while (parents[root] !== root) root = parents[root];
+    parents[index] = root;
+    return root;
+  };
+  const union = (a, b) => { parents[find(a)] = find(b); };
+
+  const byContent = new Map();
+  const bands = new Map();
+  images.forEach((asset, index) => {
+    if (asset.contentHash) {
+      if (byContent.has(asset.contentHash)) union(index, byContent.get(asset.contentHash));
+      else byContent.set(asset.contentHash, index);
+    }
+    if (asset.perceptualHash?.length !== 16) return;
+    for (let band = 0; band < 8; band++) {
+      const key = `${band}:${asset.perceptualHash.slice(band * 2, band * 2 + 2)}`;
+      const bucket = bands.get(key) || [];
+      bucket.forEach((other) => {
+        if (hammingDistance(asset.perceptualHash, images[other].perceptualHash) <= maxDistance) {
+          union(index, other);
+        }
+      });
+      bucket.push(index);
+      bands.set(key, bucket);
+    }
+  });
+
+  const groups = new Map();
+  images.forEach((asset, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(asset);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .map((group) => ({
+      // Most used first, so the default keeper needs the fewest page edits
+      assets: group.sort((a, b) => parseUsedIn(b.usedIn).length - parseUsedIn(a.usedIn).length),
+      identical: group.every((asset) => asset.contentHash && asset.contentHash === group[0].contentHash),
+    }))
+    .sort((a, b) => b.assets.length - a.assets.length);
+}
+
+/**
+ * Scanned raster images without a perceptual hash. The scan could not decode them,
+ * e.g. in a browser without createImageBitmap or OffscreenCanvas in workers, so they
+ * only match copies with identical bytes.
+ */
+function countUnhashedImages(assets) {
+  return assets.filter((asset) => asset.type === 'image' && asset.contentHash
+    && asset.perceptualHash?.length !== 16 && asset.mimeType !== 'image/svg+xml').length;
+}
+
+export {
+  findDuplicateGroups, countUnhashedImages, hammingDistance, NEAR_DUPLICATE_DISTANCE,
+};
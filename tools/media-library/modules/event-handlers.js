@@ -4,7 +4,13 @@
 import { updateSidebarCounts } from './sidebar.js';
 import { showEmptyState } from './empty-state.js';
 import { showScanIndicator } from './scan-indicator.js';
-import { saveMediaSheet, loadMediaSheet } from './media-processor.js';
+import {
+  saveMediaSheet,
+  loadMediaSheet,
+  parseUsedIn,
+  mergePageUsage,
+  removePageUsage,
+} from './media-processor.js';
 import { getContext } from './media-loader.js';
 import { CONTENT_DA_LIVE_BASE } from './sheet-utils.js';
 
@@ -29,36 +35,36 @@ async function handlePageScanned(
   updateLoadingText,
   updateScanProgressHeader,
 ) {
-  if (data.assets && data.assets.length > 0) {
-    // 1. Load current media.json (flat sheet)
-    let baseAssets = [];
-    const apiConfig = metadataManager?.daApi?.getConfig?.() || null;
-    if (apiConfig) {
-      try {
-        baseAssets = await loadMediaSheet(apiConfig);
-      } catch (err) {
-        baseAssets = [];
-      }
+  // 1. Load current media.json (flat sheet)
+  let baseAssets = [];
+  const apiConfig = metadataManager?.daApi?.getConfig?.() || null;
+  if (apiConfig) {
+    try {
+      baseAssets = await loadMediaSheet(apiConfig);
+    } catch (err) {
+      baseAssets = [];
     }
-    // 2. Get new assets from this page
-    const newAssets = processScanResults([{ assets: data.assets, file: { path: data.page } }]);
+  }
+  // 2. Get new assets from this page
+  const newAssets = processScanResults([{ assets: data.assets || [], file: { path: data.page } }]);
+  const wasReferenced = baseAssets.some((a) => parseUsedIn(a.usedIn).includes(data.page));
 
-    // 3. Merge and deduplicate
-    const allAssets = [...baseAssets, ...newAssets];
-    const dedupedAssets = Array.from(new Map(allAssets.map((a) => [a.src, a])).values());
+  if (newAssets.length > 0 || wasReferenced) {
+    // 3. Replace this page's usage entries with the latest scan
+    const mergedAssets = mergePageUsage(baseAssets, data.page, newAssets);
 
     // 4. Save back to media.json (flat sheet)
     if (apiConfig) {
       try {
-        await saveMediaSheet(apiConfig, dedupedAssets);
+        await saveMediaSheet(apiConfig, mergedAssets);
       } catch (err) {
         // eslint-disable-next-line no-console
         console.error('[DA] handlePageScanned: SAVE FAILED', err);
       }
     }
-    // 6. Update UI
+    // 5. Update UI
     assets.length = 0;
-    assets.push(...dedupedAssets);
+    assets.push(...mergedAssets);
     assetBrowser.setAssets(assets);
     updateSidebarCounts(assets, getCurrentPageUrl());
   }
@@ -72,6 +78,33 @@ async function handlePageScanned(
   }
 }
 
+/**
+ * Handle pages that were deleted since the last scan
+ */
+async function handleDocumentsRemoved(
+  data,
+  assets,
+  assetBrowser,
+  metadataManager,
+) {
+  const apiConfig = metadataManager?.daApi?.getConfig?.() || null;
+  if (!apiConfig || !data.paths || data.paths.length === 0) return;
+
+  try {
+    const baseAssets = await loadMediaSheet(apiConfig);
+    const remainingAssets = removePageUsage(baseAssets, data.paths);
+    await saveMediaSheet(apiConfig, remainingAssets);
+
+    assets.length = 0;
+    assets.push(...remainingAssets);
+    assetBrowser.setAssets(assets);
+    updateSidebarCounts(assets, getCurrentPageUrl());
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[DA] handleDocumentsRemoved: SAVE FAILED', err);
+  }
+}
+
 /**
  * Handle scanning started event
  */
@@ -175,6 +208,7 @@ function getCurrentPageUrl() {
 export {
   handleDiscoveryComplete,
   handlePageScanned,
+  handleDocumentsRemoved,
   handleScanningStarted,
   handleScanningStopped,
   handleQueueSizeUpdate,
@@ -1,3 +1,5 @@
+import { escapeHTML } from './utils.js';
+
 /**
  * Create Folder Tree Module
  * Handles folder navigation and selection
@@ -71,7 +73,7 @@ function createFolderTree(container) {
     folderElement.innerHTML = `
       <div class="folder-content">
         <span class="folder-icon">📁</span>
-        <span class="folder-name">${folder.name}</span>
+        <span class="folder-name">${escapeHTML(folder.name)}</span>
       </div>
     `;
 
@@ -111,7 +113,8 @@ function createFolderTree(container) {
     });
 
     if (state.selectedFolder) {
-      const selectedElement = state.container.querySelector(`[data-folder-path="${state.selectedFolder.path}"]`);
+      const selectedPath = CSS.escape(state.selectedFolder.path);
+      const selectedElement = state.container.querySelector(`[data-folder-path="${selectedPath}"]`);
       if (selectedElement) {
         selectedElement.classList.add('selected');
       }
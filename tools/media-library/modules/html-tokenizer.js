@@ -0,0 +1,181 @@
+// tools/media-library/modules/html-tokenizer.js
+// Small HTML tokenizer shared by the scan worker and the document patcher
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Decode HTML character references in text and attribute values
+ */
+function decodeEntities(text) {
+  if (!text || text.indexOf('&') === -1) return text;
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      if (Number.isNaN(code)) return entity;
+      // Like the HTML parser, NUL, surrogates and values past U+10FFFF
+      // become U+FFFD instead of throwing from String.fromCodePoint
+      if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+        return '\uFFFD';
+      }
+      return String.fromCodePoint(code);
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+/**
+ * Tokenize HTML into start tag, end tag and text tokens.
+ * DOMParser is not available in workers, so this follows the HTML tokenizer
+ * rules closely enough for DA documents: any attribute quoting, valueless
+ * attributes, comments, doctypes and raw text elements such as <style>.
+ * Start tags keep their start and end offsets in html, and attrSpans holds the
+ * offsets of each attribute value so callers can rewrite it in place.
+ */
+function tokenizeHTML(html) {
+  const tokens = [];
+  const { length } = html;
+  // Lowercased once for finding raw text end tags; ASCII only, so indexes match html
+  const lowerHtml = html.replace(/[A-Z]+/g, (letters) => letters.toLowerCase());
+  let pos = 0;
+
+  const isSpace = (ch) => ch === ' ' || ch === '\n' || ch === '\t' || ch === '\r' || ch === '\f';
+
+  while (pos < length) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1) {
+      tokens.push({ type: 'text', text: decodeEntities(html.slice(pos)) });
+      break;
+    }
+    if (lt > pos) {
+      tokens.push({ type: 'text', text: decodeEntities(html.slice(pos, lt)) });
+    }
+
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      pos = end === -1 ? length : end + 3;
+      continue;
+    }
+
+    const next = html[lt + 1];
+    if (next === '!' || next === '?') {
+      const end = html.indexOf('>', lt);
+      pos = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    const isEndTag = next === '/';
+    let cursor = isEndTag ? lt + 2 : lt + 1;
+    const nameStart = cursor;
+    while (cursor < length && /[a-zA-Z0-9-]/.test(html[cursor])) cursor++;
+
+    if (cursor === nameStart) {
+      // Not a tag, e.g. "a < b" in text
+      tokens.push({ type: 'text', text: '<' });
+      pos = lt + 1;
+      continue;
+    }
+
+    const name = html.slice(nameStart, cursor).toLowerCase();
+
+    if (isEndTag) {
+      const end = html.indexOf('>', cursor);
+      tokens.push({ type: 'endTag', name });
+      pos = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    const attrs = {};
+    const attrSpans = {};
+    let selfClosing = false;
+    while (cursor < length) {
+      while (cursor < length && isSpace(html[cursor])) cursor++;
+      const ch = html[cursor];
+      if (ch === '>') {
+        cursor++;
+        break;
+      }
+      if (ch === '/') {
+        selfClosing = html[cursor + 1] === '>';
+        cursor++;
+        continue;
+      }
+
+      const attrStart = cursor;
+      while (cursor < length && !isSpace(html[cursor]) && !'=>/'.includes(html[cursor])) cursor++;
+      if (cursor === attrStart) {
+        cursor++;
+        continue;
+      }
+      const attrName = html.slice(attrStart, cursor).toLowerCase();
+      // Valueless attributes keep null value offsets
+      const span = {
+        nameEnd: cursor,
+        valueStart: null,
+        valueEnd: null,
+        quoted: false,
+      };
+      while (cursor < length && isSpace(html[cursor])) cursor++;
+
+      let value = '';
+      if (html[cursor] === '=') {
+        cursor++;
+        while (cursor < length && isSpace(html[cursor])) cursor++;
+        const quote = html[cursor];
+        if (quote === '"' || quote === "'") {
+          const close = html.indexOf(quote, cursor + 1);
+          const valueEnd = close === -1 ? length : close;
+          value = html.slice(cursor + 1, valueEnd);
+          Object.assign(span, { valueStart: cursor + 1, valueEnd, quoted: true });
+          cursor = valueEnd + 1;
+        } else {
+          const valueStart = cursor;
+          while (cursor < length && !isSpace(html[cursor]) && html[cursor] !== '>') cursor++;
+          value = html.slice(valueStart, cursor);
+          Object.assign(span, { valueStart, valueEnd: cursor });
+        }
+      }
+      if (!(attrName in attrs)) {
+        attrs[attrName] = decodeEntities(value);
+        attrSpans[attrName] = span;
+      }
+    }
+
+    tokens.push({
+      type: 'startTag',
+      name,
+      attrs,
+      attrSpans,
+      selfClosing,
+      start: lt,
+      end: Math.min(cursor, length),
+    });
+    pos = cursor;
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const closeIdx = lowerHtml.indexOf(`</${name}`, pos);
+      const rawEnd = closeIdx === -1 ? length : closeIdx;
+      tokens.push({ type: 'text', text: html.slice(pos, rawEnd), raw: true });
+      pos = rawEnd;
+    }
+  }
+
+  return tokens;
+}
+
+export {
+  decodeEntities,
+  tokenizeHTML,
+};
@@ -0,0 +1,73 @@
+// tools/media-library/modules/image-focus.js
+// Focal point and named crops of an image, kept in the focus and crops columns of media.json
+
+const FOCUS_KEYWORDS = ['left', 'center', 'right', 'top', 'bottom'];
+
+function clampPercent(value) {
+  return Math.round(Math.min(100, Math.max(0, Number(value))) * 100) / 100;
+}
+
+/**
+ * Focal point as a CSS position: `x% y%` from percentages, or position keywords such as `top`
+ */
+function parseFocus(focus) {
+  const value = String(focus || '').trim().toLowerCase();
+  const match = value.match(/^(\d+(?:\.\d+)?)%?\s+(\d+(?:\.\d+)?)%?$/);
+  if (match) return `${clampPercent(match[1])}% ${clampPercent(match[2])}%`;
+  const words = value.split(/\s+/);
+  return words.length <= 2 && words.every((word) => FOCUS_KEYWORDS.includes(word)) ? value : '';
+}
+
+/**
+ * Named crops as { name: { x, y, width, height, ratio } }, from the JSON kept in the sheet.
+ * x, y, width and height are percentages of the image; ratio is the crop's width / height in pixels.
+ */
+function parseCrops(crops) {
+  let parsed = crops;
+  if (typeof crops === 'string') {
+    try {
+      parsed = crops ? JSON.parse(crops) : {};
+    } catch (error) {
+      parsed = {};
+    }
+  }
+  if (!parsed || typeof parsed !== 'object') return {};
+
+  return Object.entries(parsed).reduce((result, [name, crop]) => {
+    const box = ['x', 'y', 'width', 'height'].map((key) => Number(crop?.[key]));
+    if (!name || box.some((value) => !Number.isFinite(value)) || box[2] <= 0 || box[3] <= 0) return result;
+    const [x, y, width, height] = box.map(clampPercent);
+    const ratio = Number(crop.ratio) > 0 ? Math.round(Number(crop.ratio) * 10000) / 10000 : 0;
+    return {
+      ...result,
+      [name.trim().toLowerCase()]: {
+        x, y, width, height, ratio,
+      },
+    };
+  }, {});
+}
+
+/**
+ * Crops as the JSON stored in the sheet, empty when there are none
+ */
+function serializeCrops(crops) {
+  const parsed = parseCrops(crops);
+  return Object.keys(parsed).length > 0 ? JSON.stringify(parsed) : '';
+}
+
+/**
+ * object-position that shows the crop box when the image covers a box of the crop's ratio
+ */
+function getCropPosition({
+  x, y, width, height,
+}) {
+  const axis = (start, size) => (size >= 100 ? 50 : clampPercent((start / (100 - size)) * 100));
+  return `${axis(x, width)}% ${axis(y, height)}%`;
+}
+
+export {
+  parseFocus,
+  parseCrops,
+  serializeCrops,
+  getCropPosition,
+};
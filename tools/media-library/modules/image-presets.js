@@ -0,0 +1,205 @@
+// tools/media-library/modules/image-presets.js
+// Responsive picture presets for inserted images, read from .da/media-image-presets.json
+
+import { getSheetUrl, loadSheetFile, parseSheet } from './sheet-utils.js';
+import { escapeHTML } from './utils.js';
+import { parseFocus, parseCrops, getCropPosition } from './image-focus.js';
+
+const IMAGE_PRESETS_SHEET = 'media-image-presets.json';
+const SELECTED_PRESET_KEY = 'da_media_image_preset';
+const DEFAULT_FOCUS = '50% 50%';
+
+const FORMAT_TYPES = {
+  webply: 'image/webp',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+};
+
+/**
+ * Used when the site has no preset sheet. `sources` are ordered from the widest
+ * breakpoint down; the last format is the fallback the img element uses.
+ */
+const DEFAULT_IMAGE_PRESETS = [
+  {
+    name: 'inline',
+    label: 'Inline',
+    sources: [{ minWidth: 600, width: 1200 }, { minWidth: 0, width: 600 }],
+    formats: ['webply'],
+    optimize: 'medium',
+    crop: '',
+    focus: '',
+  },
+  {
+    name: 'hero-full-bleed',
+    label: 'Hero full-bleed',
+    sources: [{ minWidth: 1200, width: 2000 }, { minWidth: 600, width: 1200 }, { minWidth: 0, width: 750 }],
+    formats: ['webply', 'jpeg'],
+    optimize: 'medium',
+    crop: '',
+    focus: '',
+  },
+  {
+    name: 'thumbnail',
+    label: 'Thumbnail',
+    sources: [{ minWidth: 0, width: 400 }],
+    formats: ['webply', 'jpeg'],
+    optimize: 'medium',
+    crop: '1:1',
+    focus: '',
+  },
+];
+
+function splitList(value) {
+  return String(value ?? '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Aspect ratio of a crop such as 16:9, or null
+ */
+function parseCrop(crop) {
+  const match = String(crop || '').match(/^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+/**
+ * Build a preset from a sheet row:
+ * name | label | breakpoints | widths | formats | optimize | crop | focus
+ * `breakpoints` are min-widths in px and `widths` the image width for each.
+ */
+function parseImagePresetRow(row) {
+  const name = String(row.name || '').trim().toLowerCase();
+  const widths = splitList(row.widths).map(Number);
+  const breakpoints = row.breakpoints ? splitList(row.breakpoints).map(Number) : [0];
+  if (!name || widths.length === 0 || widths.length !== breakpoints.length
+    || [...widths, ...breakpoints].some((number) => !Number.isFinite(number))) {
+    return null;
+  }
+  const formats = splitList(row.formats || 'webply').map((format) => format.toLowerCase())
+    .filter((format) => FORMAT_TYPES[format]);
+
+  return {
+    name,
+    label: row.label || name,
+    sources: breakpoints.map((minWidth, index) => ({ minWidth, width: widths[index] }))
+      .sort((a, b) => b.minWidth - a.minWidth),
+    formats: formats.length > 0 ? formats : ['webply'],
+    optimize: /^[a-z]+$/i.test(row.optimize || '') ? row.optimize : 'medium',
+    crop: parseCrop(row.crop) ? row.crop : '',
+    focus: parseFocus(row.focus),
+  };
+}
+
+/**
+ * Presets of the site, or the defaults when it has no valid preset sheet
+ */
+async function loadImagePresets(apiConfig) {
+  try {
+    const data = await loadSheetFile(getSheetUrl(apiConfig, IMAGE_PRESETS_SHEET), apiConfig.token);
+    const presets = parseSheet(data).data.data.map(parseImagePresetRow).filter(Boolean);
+    return presets.length > 0 ? presets : DEFAULT_IMAGE_PRESETS;
+  } catch (error) {
+    // Silent error handling: sites without a preset sheet use the defaults
+    return DEFAULT_IMAGE_PRESETS;
+  }
+}
+
+/**
+ * Aspect ratio and object-position of an image inserted with a preset. A crop the asset
+ * has under the preset's name wins over its focal point, which wins over the preset focus.
+ */
+function getPresetCrop(preset, asset = {}) {
+  const presetRatio = parseCrop(preset.crop);
+  const assetCrop = parseCrops(asset.crops)[preset.name];
+  const ratio = presetRatio ? presetRatio.width / presetRatio.height : assetCrop?.ratio || 0;
+  const position = assetCrop
+    ? getCropPosition(assetCrop)
+    : parseFocus(asset.focus) || preset.focus;
+  return { ratio, position };
+}
+
+/**
+ * Inline style that crops the image to the preset ratio around its focus
+ */
+function getPresetStyle(preset, asset = {}) {
+  const { ratio, position } = getPresetCrop(preset, asset);
+  const rules = [];
+  if (ratio) rules.push(`aspect-ratio: ${Math.round(ratio * 10000) / 10000}`, 'object-fit: cover');
+  if (ratio || (position && position !== DEFAULT_FOCUS)) rules.push(`object-position: ${position || DEFAULT_FOCUS}`);
+  return rules.join('; ');
+}
+
+/**
+ * Picture markup for a preset, built like createOptimizedPicture in scripts/aem.js:
+ * typed sources per breakpoint for each format but the last, then the fallback format.
+ * The focus and crops of `asset` position the image inside the preset's crop.
+ */
+function createPresetPictureHTML(imageUrl, altText, preset, asset = {}) {
+  const baseUrl = imageUrl.split('?')[0];
+  const fallback = preset.formats[preset.formats.length - 1];
+  const getUrl = (width, format) => `${baseUrl}?width=${width}&format=${format}&optimize=${preset.optimize}`;
+  const getMedia = ({ minWidth }) => (minWidth > 0 ? ` media="(min-width: ${minWidth}px)"` : '');
+
+  const lines = [];
+  preset.formats.slice(0, -1).forEach((format) => {
+    preset.sources.forEach((source) => {
+      const srcset = getUrl(source.width, format);
+      lines.push(`<source type="${FORMAT_TYPES[format]}"${getMedia(source)} srcset="${srcset}" />`);
+    });
+  });
+  preset.sources.slice(0, -1).forEach((source) => {
+    lines.push(`<source${getMedia(source)} srcset="${getUrl(source.width, fallback)}" />`);
+  });
+
+  const smallest = preset.sources[preset.sources.length - 1];
+  const { ratio } = getPresetCrop(preset, asset);
+  const size = ratio ? ` width="${smallest.width}" height="${Math.round(smallest.width / ratio)}"` : '';
+  const style = getPresetStyle(preset, asset);
+  const styleAttr = style ? ` style="${style}"` : '';
+  lines.push(`<img src="${getUrl(smallest.width, fallback)}" alt="${altText}"${size}${styleAttr} />`);
+
+  return `<picture>\n  ${lines.join('\n  ')}\n</picture>`;
+}
+
+function getStoredPresetName() {
+  try {
+    return localStorage.getItem(SELECTED_PRESET_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fill the preset select from the site's presets and keep the insertion module in sync
+ */
+async function initImagePresetSelect(select, assetInsertion, apiConfig) {
+  const presets = await loadImagePresets(apiConfig);
+  const stored = getStoredPresetName();
+  const selected = presets.some((preset) => preset.name === stored) ? stored : presets[0].name;
+  assetInsertion.setImagePresets(presets, selected);
+  if (!select) return;
+
+  select.innerHTML = presets.map(({ name, label }) => `
+    <option value="${escapeHTML(name)}">${escapeHTML(label)}</option>
+  `).join('');
+  select.value = selected;
+  select.addEventListener('change', () => {
+    assetInsertion.setImagePreset(select.value);
+    try {
+      localStorage.setItem(SELECTED_PRESET_KEY, select.value);
+    } catch (error) {
+      // Silent error handling: the choice is kept for this session only
+    }
+  });
+}
+
+export {
+  DEFAULT_IMAGE_PRESETS,
+  parseImagePresetRow,
+  loadImagePresets,
+  getPresetStyle,
+  createPresetPictureHTML,
+  initImagePresetSelect,
+};
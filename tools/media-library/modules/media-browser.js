@@ -1,31 +1,53 @@
 import { isExternalAsset } from './external-asset.js';
+import { parseUsedIn } from './media-processor.js';
+import { parseSearchQuery, matchesSearchQuery } from './search-query.js';
+import { createVirtualGrid } from './virtual-grid.js';
+import { formatFileSize, formatLastModified } from './unused-assets.js';
+import { formatDuration } from './video-sources.js';
+import { isPdfAsset } from './pdf-thumbnails.js';
+import { escapeHTML } from './utils.js';
 /**
  * Create Asset Browser Module
  * Handles displaying and managing assets in grid and list views
  */
-function createAssetBrowser(container) {
+function createAssetBrowser(container, scrollContainer = container?.parentElement) {
   const state = {
     container,
+    virtualGrid: null,
     assets: [],
+    unusedAssets: [],
     filteredAssets: [],
     currentView: 'grid',
     currentSort: 'name',
-    currentFilter: { types: ['image', 'video', 'document'], search: '' },
+    currentFilter: { types: ['image', 'video', 'audio', 'document'], search: '' },
+    selectedIds: new Set(),
+    lastSelectedIndex: null,
     eventListeners: {},
+    pdfThumbnails: null,
   };
 
   const api = {
     on,
     emit,
     setAssets,
+    setUnusedAssets,
     setView,
     setSort,
     setFilter,
     getSelectedAssets,
+    selectAll,
     clearSelection,
+    setPdfThumbnails,
     processExternalAssets, // Expose the external asset processing function
   };
 
+  /**
+   * Stable key of an asset; fresh uploads have no id until media.json is reloaded
+   */
+  function getAssetKey(asset) {
+    return asset.id || asset.path || asset.src;
+  }
+
   function on(event, callback) {
     if (!state.eventListeners[event]) {
       state.eventListeners[event] = [];
@@ -39,12 +61,27 @@ function createAssetBrowser(container) {
     }
   }
 
+  /**
+   * Show the first page of PDFs, rendered as their cards come into view
+   */
+  function setPdfThumbnails(pdfThumbnails) {
+    state.pdfThumbnails = pdfThumbnails;
+  }
+
   function setAssets(assets) {
     state.assets = assets || [];
     applyFiltersAndSort();
     render();
   }
 
+  function setUnusedAssets(unusedAssets) {
+    state.unusedAssets = unusedAssets;
+    if (state.currentFilter.unused) {
+      applyFiltersAndSort();
+      render();
+    }
+  }
+
   function setView(view) {
     state.currentView = view;
     render();
@@ -64,7 +101,8 @@ function createAssetBrowser(container) {
   }
 
   function applyFiltersAndSort() {
-    let filtered = [...state.assets];
+    // The unused filter browses DA media files that no page references
+    let filtered = state.currentFilter.unused ? [...state.unusedAssets] : [...state.assets];
 
     if (state.currentFilter.types && state.currentFilter.types.length > 0) {
       filtered = filtered.filter((asset) =>
@@ -95,12 +133,8 @@ function createAssetBrowser(container) {
     }
 
     if (state.currentFilter.search) {
-      const searchTerm = state.currentFilter.search.toLowerCase();
-      filtered = filtered.filter((asset) =>
-        asset.name.toLowerCase().includes(searchTerm)
-        || asset.alt.toLowerCase().includes(searchTerm)
-        || asset.src.toLowerCase().includes(searchTerm),
-      );
+      const query = parseSearchQuery(state.currentFilter.search);
+      filtered = filtered.filter((asset) => matchesSearchQuery(asset, query));
     }
 
     filtered.sort((a, b) => {
@@ -112,13 +146,29 @@ function createAssetBrowser(container) {
         case 'type':
           return a.type.localeCompare(b.type);
         case 'usage':
-          return (b.usedIn?.length || 0) - (a.usedIn?.length || 0);
+          return parseUsedIn(b.usedIn).length - parseUsedIn(a.usedIn).length;
+        case 'size':
+          return (Number(b.fileSize) || 0) - (Number(a.fileSize) || 0);
         default:
           return 0;
       }
     });
 
     state.filteredAssets = filtered;
+    pruneSelection();
+  }
+
+  /**
+   * Drop selected assets that are no longer listed; unused files are not selectable
+   */
+  function pruneSelection() {
+    const listed = new Set(state.currentFilter.unused ? [] : state.filteredAssets.map(getAssetKey));
+    const selectedCount = state.selectedIds.size;
+    state.selectedIds = new Set(Array.from(state.selectedIds).filter((id) => listed.has(id)));
+    if (state.selectedIds.size !== selectedCount) {
+      state.lastSelectedIndex = null;
+      emit('selectionChanged', getSelectedAssets());
+    }
   }
 
   function render() {
@@ -130,23 +180,31 @@ function createAssetBrowser(container) {
     } else {
       state.container.classList.remove('list-view');
     }
-
-    state.container.innerHTML = '';
+    state.container.classList.toggle('has-selection', state.selectedIds.size > 0);
+
+    if (!state.virtualGrid) {
+      // Only the rows in view are built, thousands of assets would freeze the panel
+      state.virtualGrid = createVirtualGrid({
+        container: state.container,
+        scrollContainer,
+        renderItem: (asset) => {
+          const assetElement = createAssetElement(asset);
+          assetElement.setAttribute('data-asset-id', getAssetKey(asset));
+          return assetElement;
+        },
+        renderHeader: () => (state.currentView === 'list' ? createListHeader() : null),
+        getKey: getAssetKey,
+      });
+    }
 
     if (state.filteredAssets.length === 0) {
+      state.virtualGrid.setItems([]);
+      state.container.replaceChildren();
       renderEmptyState();
       return;
     }
 
-    if (state.currentView === 'list') {
-      renderListHeader();
-    }
-
-    state.filteredAssets.forEach((asset) => {
-      const assetElement = createAssetElement(asset);
-      assetElement.setAttribute('data-asset-id', asset.id);
-      state.container.appendChild(assetElement);
-    });
+    state.virtualGrid.setItems(state.filteredAssets);
   }
 
   function renderEmptyState() {
@@ -161,16 +219,29 @@ function createAssetBrowser(container) {
     state.container.appendChild(emptyDiv);
   }
 
-  function renderListHeader() {
+  function createListHeader() {
     const header = document.createElement('div');
     header.className = 'list-header';
-    header.innerHTML = `
+    header.innerHTML = state.currentFilter.unused ? `
+      <div class="list-header-cell">File</div>
+      <div class="list-header-cell">Path</div>
+      <div class="list-header-cell">Size</div>
+      <div class="list-header-cell">Last Modified</div>
+    ` : `
+      <div class="list-header-cell list-cell-select">
+        <input type="checkbox" class="asset-select-all" aria-label="Select all assets">
+      </div>
       <div class="list-header-cell">Name</div>
       <div class="list-header-cell">Type</div>
       <div class="list-header-cell">Usage</div>
       <div class="list-header-cell">Actions</div>
     `;
-    state.container.appendChild(header);
+    const selectAllBox = header.querySelector('.asset-select-all');
+    if (selectAllBox) {
+      updateSelectAllBox(selectAllBox);
+      selectAllBox.onchange = () => (selectAllBox.checked ? selectAll() : clearSelection());
+    }
+    return header;
   }
 
   function createAssetElement(asset) {
@@ -184,13 +255,49 @@ function createAssetBrowser(container) {
       element.innerHTML = createListViewHTML(asset);
     }
 
+    if (state.selectedIds.has(getAssetKey(asset))) {
+      element.classList.add('selected');
+      const checkbox = element.querySelector('.asset-select');
+      if (checkbox) checkbox.checked = true;
+    }
+
     addAssetEventListeners(element, asset);
+    if (state.pdfThumbnails && isPdfAsset(asset) && !state.pdfThumbnails.getThumbnail(asset)) {
+      requestPdfThumbnail(asset, element);
+    }
 
     return element;
   }
 
+  /**
+   * Swap the document icon of a card for the PDF's first page once it is rendered
+   */
+  function requestPdfThumbnail(asset, element) {
+    state.pdfThumbnails.renderThumbnail(asset).then(({ url }) => {
+      const img = element.querySelector('img');
+      if (img?.dataset.src) img.dataset.src = url;
+      else if (img) img.src = url;
+
+      // Grid cards also list the page count next to the size
+      const info = asset.unused ? null : element.querySelector('.asset-info');
+      if (!info) return;
+      const meta = formatAssetFileMeta(asset);
+      const metaEl = info.querySelector('.asset-file-meta');
+      if (metaEl) {
+        metaEl.textContent = meta;
+      } else {
+        info.querySelector('.asset-name').after(Object.assign(document.createElement('div'), {
+          className: 'asset-file-meta',
+          textContent: meta,
+        }));
+      }
+    }).catch(() => {
+      // Silent error handling: PDFs that can't be fetched or parsed keep the document icon
+    });
+  }
+
   function createGridViewHTML(asset) {
-    const thumbnailSrc = asset.type === 'image' ? asset.src : getTypeThumbnail(asset.type);
+    const thumbnailSrc = getAssetThumbnail(asset);
     const isExternal = asset.isExternal ? 'external' : 'internal';
     // Pills: IMAGE and INT/EXT
     const typePill = '<span class="badge image">IMAGE</span>';
@@ -198,17 +305,33 @@ function createAssetBrowser(container) {
       isExternal === 'external' ? 'EXT' : 'INT'
     }</span>`;
 
+    if (asset.unused) {
+      return createUnusedGridViewHTML(asset, thumbnailSrc);
+    }
+
+    const editAltBtn = asset.type === 'image'
+      ? `<button class="action-btn alt-edit-icon" data-action="editAlt"
+          title="Edit alt text on all pages" aria-label="Edit alt text">ALT</button>`
+      : '';
+    const replaceBtn = `<button class="action-btn replace-icon" data-action="replace"
+      title="Replace on all pages" aria-label="Replace asset on all pages">REPL</button>`;
+
     // Add insert as link button for external assets
     const insertAsLinkBtn = asset.isExternal
       ? '<button class="action-btn link-insert-icon" data-action="insertAsLink" title="Insert as Link" aria-label="Insert as link">LINK</button>'
       : '';
 
+    const fileMeta = formatAssetFileMeta(asset);
+
     return `
       <div class="asset-preview">
-        <img src="${thumbnailSrc}" alt="${asset.alt}" loading="lazy" data-action="insert" style="cursor: pointer;">
+        <input type="checkbox" class="asset-select" data-action="select" aria-label="Select ${escapeHTML(asset.name)}">
+        <img data-src="${escapeHTML(thumbnailSrc)}" alt="${escapeHTML(asset.alt)}"
+          data-action="insert" style="cursor: pointer;">
       </div>
       <div class="asset-info">
-        <div class="asset-name">${asset.name}</div>
+        <div class="asset-name">${escapeHTML(asset.name)}</div>
+        ${fileMeta ? `<div class="asset-file-meta">${escapeHTML(fileMeta)}</div>` : ''}
         <div class="asset-meta-row">
           <div class="asset-pills">
             ${typePill}
@@ -218,6 +341,8 @@ function createAssetBrowser(container) {
             <button class="action-btn responsive-preview-icon" data-action="preview" title="Preview" aria-label="Preview asset">PREV</button>
             <button class="action-btn usage-icon" data-action="usage" title="View usage" aria-label="View usage">USAG</button>
             <button class="action-btn link-action" data-action="link" title="Open in new tab" aria-label="Open asset in new tab">OPEN</button>
+            ${editAltBtn}
+            ${replaceBtn}
             ${insertAsLinkBtn}
           </div>
         </div>
@@ -225,14 +350,61 @@ function createAssetBrowser(container) {
     `;
   }
 
+  /**
+   * Pixel size, duration, page count and byte size read from the file, when known
+   */
+  function formatAssetFileMeta(asset) {
+    const parts = [];
+    if (asset.width && asset.height) parts.push(`${asset.width}×${asset.height}`);
+    if (asset.duration) parts.push(formatDuration(asset.duration));
+    const pageCount = state.pdfThumbnails?.getPageCount(asset) || Number(asset.pageCount);
+    if (pageCount) parts.push(`${pageCount} page${pageCount !== 1 ? 's' : ''}`);
+    if (asset.fileSize) parts.push(formatFileSize(Number(asset.fileSize)));
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  function createUnusedGridViewHTML(asset, thumbnailSrc) {
+    return `
+      <div class="asset-preview">
+        <img data-src="${escapeHTML(thumbnailSrc)}" alt="" data-action="preview" style="cursor: pointer;">
+      </div>
+      <div class="asset-info">
+        <div class="asset-name">${escapeHTML(asset.name)}</div>
+        <div class="asset-file-meta" title="${escapeHTML(asset.path)}">${escapeHTML(asset.path)}</div>
+        <div class="asset-meta-row">
+          <div class="asset-file-meta">${formatFileSize(asset.size)} · ${formatLastModified(asset.lastModified)}</div>
+          <div class="asset-actions">
+            <button class="action-btn responsive-preview-icon" data-action="preview"
+              title="Preview" aria-label="Preview asset">PREV</button>
+            <button class="action-btn link-action" data-action="link"
+              title="Open in new tab" aria-label="Open asset in new tab">OPEN</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
   function createListViewHTML(asset) {
-    const thumbnailSrc = asset.type === 'image' ? asset.src : getTypeThumbnail(asset.type);
+    const thumbnailSrc = getAssetThumbnail(asset);
     const isExternal = asset.isExternal ? 'external' : 'internal';
+    if (asset.unused) {
+      return `
+      <div class="list-cell list-cell-thumb">
+        <img data-src="${escapeHTML(thumbnailSrc)}" alt="" class="asset-thumbnail-small">
+      </div>
+      <div class="list-cell list-cell-name" title="${escapeHTML(asset.path)}">${escapeHTML(asset.path)}</div>
+      <div class="list-cell list-cell-type">${formatFileSize(asset.size)}</div>
+      <div class="list-cell list-cell-usage">${formatLastModified(asset.lastModified)}</div>
+    `;
+    }
     return `
+      <div class="list-cell list-cell-select">
+        <input type="checkbox" class="asset-select" data-action="select" aria-label="Select ${escapeHTML(asset.name)}">
+      </div>
       <div class="list-cell list-cell-thumb">
-        <img src="${thumbnailSrc}" alt="${asset.alt}" loading="lazy" class="asset-thumbnail-small">
+        <img data-src="${escapeHTML(thumbnailSrc)}" alt="${escapeHTML(asset.alt)}" class="asset-thumbnail-small">
       </div>
-      <div class="list-cell list-cell-name">${asset.name}</div>
+      <div class="list-cell list-cell-name">${escapeHTML(asset.name)}</div>
       <div class="list-cell list-cell-type">
         <span class="badge image">IMAGE</span>
         <span class="badge ${isExternal === 'external' ? 'ext' : 'int'}">${
@@ -243,11 +415,24 @@ function createAssetBrowser(container) {
     `;
   }
 
+  /**
+   * Thumbnail of an asset: the image itself, a video's poster, a PDF's first page or an icon for its type
+   */
+  function getAssetThumbnail(asset) {
+    if (asset.type === 'image') return asset.src;
+    if (asset.type === 'video' && asset.poster) return asset.poster;
+    if (isPdfAsset(asset)) return state.pdfThumbnails?.getThumbnail(asset) || getTypeThumbnail(asset.type);
+    return getTypeThumbnail(asset.type);
+  }
+
   function getTypeThumbnail(type) {
     switch (type) {
       case 'video':
         return 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">'
           + '<path fill="%23666" d="M8 5v14l11-7z"/></svg>';
+      case 'audio':
+        return 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">'
+          + '<path fill="%23666" d="M12 3v10.55A4 4 0 1 0 14 17V7h4V3h-6z"/></svg>';
       case 'document':
         return 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">'
           + '<path fill="%23666" d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2'
@@ -263,8 +448,12 @@ function createAssetBrowser(container) {
     element.querySelectorAll('[data-action]').forEach((el) => {
       el.onclick = (e) => {
         const action = el.getAttribute('data-action');
-        if (action === 'insert') {
-          emit('assetSelected', asset);
+        if (action === 'select') {
+          handleSelectionClick(asset, e);
+        } else if (action === 'insert') {
+          // While assets are selected a click adds to the selection instead of inserting
+          if (isSelectionClick(e) || state.selectedIds.size > 0) handleSelectionClick(asset, e);
+          else emit('assetSelected', asset);
         } else if (action === 'preview') {
           emit('assetPreview', asset);
         } else if (action === 'usage') {
@@ -273,6 +462,10 @@ function createAssetBrowser(container) {
           // For copying link, you might want to use a clipboard API or a custom handler
           // For now, we'll just emit an event
           emit('assetLinkCopied', asset);
+        } else if (action === 'editAlt') {
+          emit('assetEditAlt', asset);
+        } else if (action === 'replace') {
+          emit('assetReplace', asset);
         } else if (action === 'insertAsLink') {
           // Emit special event for inserting external asset as link
           emit('assetInsertAsLink', asset);
@@ -280,12 +473,66 @@ function createAssetBrowser(container) {
         e.stopPropagation();
       };
     });
+
+    if (asset.unused) return;
+    element.addEventListener('click', (e) => {
+      if (isSelectionClick(e)) handleSelectionClick(asset, e);
+    });
+  }
+
+  function isSelectionClick(e) {
+    return e.shiftKey || e.ctrlKey || e.metaKey;
+  }
+
+  /**
+   * Shift-click selects the range from the last clicked asset, other clicks toggle one asset
+   */
+  function handleSelectionClick(asset, e) {
+    const key = getAssetKey(asset);
+    const index = state.filteredAssets.findIndex((item) => getAssetKey(item) === key);
+    if (index === -1) return;
+    if (e.shiftKey && state.lastSelectedIndex !== null) {
+      const from = Math.min(state.lastSelectedIndex, index);
+      const to = Math.max(state.lastSelectedIndex, index);
+      state.filteredAssets.slice(from, to + 1).forEach((item) => state.selectedIds.add(getAssetKey(item)));
+    } else if (state.selectedIds.has(key)) {
+      state.selectedIds.delete(key);
+    } else {
+      state.selectedIds.add(key);
+    }
+    state.lastSelectedIndex = index;
+    syncSelection();
+  }
+
+  function updateSelectAllBox(selectAllBox) {
+    const count = state.selectedIds.size;
+    selectAllBox.checked = count > 0 && count === state.filteredAssets.length;
+    selectAllBox.indeterminate = count > 0 && count < state.filteredAssets.length;
+  }
+
+  /**
+   * Reflect the selection on the rendered items and notify listeners
+   */
+  function syncSelection() {
+    if (state.container) {
+      state.container.querySelectorAll('.asset-item[data-asset-id]').forEach((element) => {
+        const selected = state.selectedIds.has(element.dataset.assetId);
+        element.classList.toggle('selected', selected);
+        const checkbox = element.querySelector('.asset-select');
+        if (checkbox) checkbox.checked = selected;
+      });
+      const selectAllBox = state.container.querySelector('.asset-select-all');
+      if (selectAllBox) updateSelectAllBox(selectAllBox);
+      state.container.classList.toggle('has-selection', state.selectedIds.size > 0);
+    }
+    emit('selectionChanged', getSelectedAssets());
   }
 
   function updateFilterCounts() {
     // Sidebar asset type counts
     const imageCount = state.assets.filter((a) => a.type === 'image').length;
     const videoCount = state.assets.filter((a) => a.type === 'video').length;
+    const audioCount = state.assets.filter((a) => a.type === 'audio').length;
     const documentCount = state.assets.filter((a) => a.type === 'document').length;
     const internalCount = state.assets.filter((a) => a.isExternal === false).length;
     const externalCount = state.assets.filter((a) => a.isExternal === true).length;
@@ -297,25 +544,30 @@ function createAssetBrowser(container) {
     };
     setCount('imageCount', imageCount);
     setCount('videoCount', videoCount);
+    setCount('audioCount', audioCount);
     setCount('documentCount', documentCount);
     setCount('internalCount', internalCount);
     setCount('externalCount', externalCount);
     setCount('totalCount', totalCount);
   }
 
+  /**
+   * Selected assets in the order they are listed
+   */
   function getSelectedAssets() {
-    const selectedElements = state.container.querySelectorAll('.asset-item.selected');
-    return Array.from(selectedElements).map((element) => {
-      const assetId = element.dataset.assetId;
-      return state.assets.find((asset) => asset.id === assetId);
-    }).filter(Boolean);
+    return state.filteredAssets.filter((asset) => state.selectedIds.has(getAssetKey(asset)));
+  }
+
+  function selectAll() {
+    if (state.currentFilter.unused) return;
+    state.filteredAssets.forEach((asset) => state.selectedIds.add(getAssetKey(asset)));
+    syncSelection();
   }
 
   function clearSelection() {
-    const selectedElements = state.container.querySelectorAll('.asset-item.selected');
-    selectedElements.forEach((element) => {
-      element.classList.remove('selected');
-    });
+    state.selectedIds.clear();
+    state.lastSelectedIndex = null;
+    syncSelection();
   }
 
   /**
@@ -10,6 +10,70 @@
  * governing permissions and limitations under the License.
  */
 
+import { escapeHTML } from './utils.js';
+import { DEFAULT_IMAGE_PRESETS, createPresetPictureHTML } from './image-presets.js';
+import { getVideoSource } from './video-sources.js';
+import { isPdfAsset } from './pdf-thumbnails.js';
+import { formatFileSize } from './unused-assets.js';
+
+/**
+ * Blocks of this project that assets can be inserted as; `preset` is the image preset
+ * suggested for the block when the site defines it
+ */
+const INSERT_BLOCKS = {
+  cards: { label: 'Cards', description: 'One card per asset with its caption and link' },
+  carousel: {
+    label: 'Carousel',
+    description: 'One slide per asset, captions become slide headings',
+    preset: 'hero-full-bleed',
+  },
+  columns: { label: 'Columns', description: 'Assets side by side, in rows of the chosen width' },
+  hero: {
+    label: 'Hero',
+    description: 'One full-width image with a heading',
+    maxItems: 1,
+    preset: 'hero-full-bleed',
+  },
+};
+
+const DEFAULT_COLUMNS_PER_ROW = 3;
+
+/**
+ * Blocks a video can be inserted as; `providers` limits a block to hosted players
+ */
+const VIDEO_BLOCKS = {
+  video: {
+    label: 'Video',
+    description: 'Plays YouTube, Vimeo or video files, optionally as a muted looping background',
+  },
+  embed: {
+    label: 'Embed',
+    description: 'Loads the YouTube or Vimeo player when it scrolls into view',
+    providers: ['youtube', 'vimeo'],
+  },
+};
+
+/**
+ * Ways to insert a document; `pdfOnly` modes need a file browsers display inline
+ */
+const DOCUMENT_INSERT_MODES = {
+  link: { label: 'Link', description: 'A text link with the document name' },
+  button: { label: 'Download button', description: 'A primary button with the file type and size' },
+  viewer: {
+    label: 'Embedded viewer',
+    description: 'An embed block showing the PDF in the browser viewer',
+    pdfOnly: true,
+  },
+};
+
+/**
+ * Ways to insert an audio file
+ */
+const AUDIO_INSERT_MODES = {
+  player: { label: 'Audio player', description: 'An audio element with playback controls' },
+  link: { label: 'Link', description: 'A text link with the file name' },
+};
+
 /**
  * Asset Insertion Module
  * Handles asset insertion using DA SDK actions (following DA Live patterns)
@@ -18,14 +82,25 @@ function createAssetInsertion() {
   const state = {
     actions: null,
     context: null,
+    imagePresets: DEFAULT_IMAGE_PRESETS,
+    imagePreset: DEFAULT_IMAGE_PRESETS[0].name,
   };
 
   const insertion = {
     init,
     insertAsset,
     selectAsset,
+    insertAssets,
+    insertAssetsAsBlock,
+    insertVideo,
+    insertDocument,
+    insertAudio,
     insertAssetAsLink,
     trackAssetUsage,
+    setImagePresets,
+    setImagePreset,
+    getImagePresets,
+    getImagePreset,
   };
 
   /**
@@ -36,6 +111,33 @@ function createAssetInsertion() {
     state.context = context;
   }
 
+  /**
+   * Use the site's image presets, selecting `selected` or the first one
+   */
+  function setImagePresets(presets, selected) {
+    state.imagePresets = presets.length > 0 ? presets : DEFAULT_IMAGE_PRESETS;
+    setImagePreset(selected);
+  }
+
+  /**
+   * Select the preset used for inserted pictures; unknown names select the first preset
+   */
+  function setImagePreset(name) {
+    state.imagePreset = findImagePreset(name).name;
+  }
+
+  function getImagePresets() {
+    return state.imagePresets;
+  }
+
+  function getImagePreset() {
+    return state.imagePreset;
+  }
+
+  function findImagePreset(name) {
+    return state.imagePresets.find((preset) => preset.name === name) || state.imagePresets[0];
+  }
+
   /**
    * Select and insert asset (main entry point)
    */
@@ -86,18 +188,7 @@ function createAssetInsertion() {
         return;
       }
 
-      // Handle different asset types following DA Live patterns
-      if (asset.type === 'image') {
-        await insertImageAsset(asset);
-      } else if (asset.type === 'video') {
-        await insertVideoAsset(asset);
-      } else if (asset.type === 'document') {
-        await insertDocumentAsset(asset);
-      } else {
-        // Generic asset insertion
-        const assetUrl = asset.url || asset.src;
-        state.actions.sendText(`[${asset.name}](${assetUrl})`);
-      }
+      await sendAsset(asset);
 
       // Close library after successful insertion (DA Live pattern)
       state.actions.closeLibrary();
@@ -108,6 +199,215 @@ function createAssetInsertion() {
     }
   }
 
+  /**
+   * Insert several assets in order, closing the library once at the end
+   */
+  async function insertAssets(assets) {
+    if (!state.actions) {
+      // DA SDK not available - would insert assets
+      return;
+    }
+
+    for (const asset of assets) {
+      await sendAsset(asset);
+      trackAssetUsage(asset);
+    }
+    state.actions.closeLibrary();
+  }
+
+  /**
+   * Insert assets as one DA block table. items are [{ asset, caption, link }];
+   * options.columnsPerRow sets the width of a columns block and options.preset the image preset.
+   */
+  async function insertAssetsAsBlock(blockName, items, options = {}) {
+    if (!state.actions) {
+      // DA SDK not available - would insert block
+      return;
+    }
+
+    state.actions.sendHTML(createBlockHTML(blockName, items, options));
+    items.forEach(({ asset }) => trackAssetUsage(asset));
+    state.actions.closeLibrary();
+  }
+
+  /**
+   * Insert a video as a video or embed block; options are described at createVideoBlockHTML
+   */
+  async function insertVideo(asset, options = {}) {
+    if (!state.actions) {
+      // DA SDK not available - would insert video
+      return;
+    }
+
+    await insertVideoAsset(asset, options);
+    trackAssetUsage(asset);
+    state.actions.closeLibrary();
+  }
+
+  /**
+   * Insert a document as a link, a download button or an embedded viewer (options.mode)
+   */
+  async function insertDocument(asset, options = {}) {
+    if (!state.actions) {
+      // DA SDK not available - would insert document
+      return;
+    }
+
+    await insertDocumentAsset(asset, options);
+    trackAssetUsage(asset);
+    state.actions.closeLibrary();
+  }
+
+  /**
+   * Insert an audio file as a player or a link (options.mode)
+   */
+  async function insertAudio(asset, options = {}) {
+    if (!state.actions) {
+      // DA SDK not available - would insert audio
+      return;
+    }
+
+    await insertAudioAsset(asset, options);
+    trackAssetUsage(asset);
+    state.actions.closeLibrary();
+  }
+
+  /**
+   * Caption and link of an item as block content; the caption is the link text when both are set
+   */
+  function createItemTextHTML({ caption, link }, headingTag = 'p') {
+    const text = caption ? escapeHTML(caption) : '';
+    const href = link ? escapeHTML(link) : '';
+    if (href) {
+      return text
+        ? `<${headingTag}><a href="${href}">${text}</a></${headingTag}>`
+        : `<p><a href="${href}">${href}</a></p>`;
+    }
+    return text ? `<${headingTag}>${text}</${headingTag}>` : '';
+  }
+
+  /**
+   * Rows of cells for each block, matching what blocks/<name>/<name>.js decorates
+   */
+  function createBlockRows(blockName, items, { columnsPerRow = DEFAULT_COLUMNS_PER_ROW, preset } = {}) {
+    switch (blockName) {
+      case 'cards':
+        // Picture cell becomes cards-card-image, the other one cards-card-body
+        return items.map((item) => [createAssetCellHTML(item.asset, preset), createItemTextHTML(item)]);
+      case 'carousel': {
+        // An empty content cell would still render as a dark box on the slide
+        const hasContent = items.some((item) => item.caption || item.link);
+        return items.map((item) => (hasContent
+          ? [createAssetCellHTML(item.asset, preset), createItemTextHTML(item, 'h2')]
+          : [createAssetCellHTML(item.asset, preset)]));
+      }
+      case 'columns': {
+        const perRow = Math.max(1, Math.min(columnsPerRow, items.length));
+        const rows = [];
+        for (let start = 0; start < items.length; start += perRow) {
+          const cells = items.slice(start, start + perRow)
+            .map((item) => `${createAssetCellHTML(item.asset, preset)}${createItemTextHTML(item)}`);
+          while (cells.length < perRow) cells.push('');
+          rows.push(cells);
+        }
+        return rows;
+      }
+      case 'hero': {
+        const [item] = items;
+        return [[`${createAssetCellHTML(item.asset, preset)}${createItemTextHTML(item, 'h1')}`]];
+      }
+      default:
+        throw new Error(`Unknown block: ${blockName}`);
+    }
+  }
+
+  /**
+   * DA block table: a header row with the block name, then one table row per block row
+   */
+  function createBlockHTML(blockName, items, options = {}) {
+    const block = INSERT_BLOCKS[blockName];
+    if (!block) throw new Error(`Unknown block: ${blockName}`);
+    if (items.length === 0) throw new Error('Select at least one asset');
+    if (block.maxItems && items.length > block.maxItems) {
+      throw new Error(`A ${block.label} block takes ${block.maxItems} asset`);
+    }
+
+    return createTableHTML(block.label, createBlockRows(blockName, items, options));
+  }
+
+  function createTableHTML(label, rows) {
+    const width = Math.max(...rows.map((cells) => cells.length));
+    return `<table>
+  <tr><td colspan="${width}">${label}</td></tr>
+  ${rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`).join('\n  ')}
+</table>`;
+  }
+
+  /**
+   * Video or embed block for a video asset, matching blocks/video and blocks/embed.
+   * options.block picks the block, options.poster adds the poster as the click-to-play
+   * placeholder and options.background autoplays a video block muted and looping.
+   */
+  function createVideoBlockHTML(asset, { block = 'video', poster = true, background = false } = {}) {
+    const videoBlock = VIDEO_BLOCKS[block];
+    if (!videoBlock) throw new Error(`Unknown block: ${block}`);
+
+    const videoUrl = asset.url || asset.src;
+    const source = getVideoSource(videoUrl);
+    if (videoBlock.providers && !videoBlock.providers.includes(source?.provider)) {
+      throw new Error(`The ${videoBlock.label} block only plays YouTube and Vimeo videos`);
+    }
+
+    let posterHTML = '';
+    if (poster && asset.poster) {
+      const altText = escapeHTML(asset.alt || asset.name || 'Video');
+      // Provider thumbnails live off-site and can't take optimization parameters
+      const isExternalPoster = /^https?:\/\//.test(asset.poster)
+        && !asset.poster.startsWith('https://content.da.live/');
+      posterHTML = isExternalPoster
+        ? `<img src="${escapeHTML(asset.poster)}" alt="${altText}" />`
+        : createOptimizedImageHTML(asset.poster, altText);
+    }
+
+    const href = escapeHTML(videoUrl);
+    const label = block === 'video' && background ? `${videoBlock.label} (autoplay)` : videoBlock.label;
+    return createTableHTML(label, [[`${posterHTML}<p><a href="${href}">${href}</a></p>`]]);
+  }
+
+  /**
+   * Markup of an asset inside a block cell: a picture for images, a link otherwise
+   */
+  function createAssetCellHTML(asset, presetName) {
+    const assetUrl = asset.url || asset.src;
+    if (asset.type !== 'image') {
+      return `<p><a href="${assetUrl}">${escapeHTML(asset.name || assetUrl)}</a></p>`;
+    }
+    const altText = escapeHTML(asset.alt || asset.name || 'Image');
+    return asset.isExternal
+      ? `<img src="${assetUrl}" alt="${altText}" />`
+      : createOptimizedImageHTML(assetUrl, altText, presetName, asset);
+  }
+
+  /**
+   * Send a single asset to the document by type
+   */
+  async function sendAsset(asset) {
+    // Handle different asset types following DA Live patterns
+    if (asset.type === 'image') {
+      await insertImageAsset(asset);
+    } else if (asset.type === 'video') {
+      await insertVideoAsset(asset);
+    } else if (asset.type === 'audio') {
+      await insertAudioAsset(asset);
+    } else if (asset.type === 'document') {
+      await insertDocumentAsset(asset);
+    } else {
+      // Generic asset insertion
+      const assetUrl = asset.url || asset.src;
+      state.actions.sendText(`[${asset.name}](${assetUrl})`);
+    }
+  }
+
   /**
    * Insert image asset with optimized HTML (following DA Live patterns)
    */
@@ -123,49 +423,73 @@ function createAssetInsertion() {
     }
 
     // For internal images, use optimized picture element (DA Live pattern)
-    const optimizedHTML = createOptimizedImageHTML(imageUrl, altText);
+    const optimizedHTML = createOptimizedImageHTML(imageUrl, altText, state.imagePreset, asset);
     state.actions.sendHTML(optimizedHTML);
   }
 
   /**
-   * Insert video asset
+   * Insert video asset as a block; files the project can't play are linked instead
    */
-  async function insertVideoAsset(asset) {
+  async function insertVideoAsset(asset, options = {}) {
     const videoUrl = asset.url || asset.src;
-
-    if (asset.isExternal) {
-      // External video as link
+    if (!getVideoSource(videoUrl)) {
       state.actions.sendText(`[${asset.name}](${videoUrl})`);
-    } else {
-      // Internal video with video tag
-      const videoHTML = `<video controls>
-  <source src="${videoUrl}" type="${asset.mimeType || 'video/mp4'}" />
-  Your browser does not support the video tag.
-</video>`;
-      state.actions.sendHTML(videoHTML);
+      return;
     }
+    state.actions.sendHTML(createVideoBlockHTML(asset, options));
   }
 
   /**
-   * Insert document asset
+   * Insert audio asset as a player by default; the link inside is shown where audio can't play
    */
-  async function insertDocumentAsset(asset) {
-    const docUrl = asset.url || asset.src;
-    state.actions.sendText(`[${asset.name}](${docUrl})`);
+  async function insertAudioAsset(asset, { mode = 'player' } = {}) {
+    if (!AUDIO_INSERT_MODES[mode]) throw new Error(`Unknown audio insert mode: ${mode}`);
+
+    const href = escapeHTML(asset.url || asset.src);
+    const link = `<a href="${href}">${escapeHTML(asset.name || extractFilenameFromUrl(asset.url || asset.src))}</a>`;
+    state.actions.sendHTML(mode === 'player'
+      ? `<audio controls preload="metadata" src="${href}">${link}</audio>`
+      : `<p>${link}</p>`);
   }
 
   /**
-   * Create optimized image HTML (following DA Live patterns)
+   * Insert document asset as a link by default; see DOCUMENT_INSERT_MODES
    */
-  function createOptimizedImageHTML(imageUrl, altText) {
-    // Extract base URL without query parameters
-    const baseUrl = imageUrl.split('?')[0];
+  async function insertDocumentAsset(asset, { mode = 'link' } = {}) {
+    state.actions.sendHTML(createDocumentHTML(asset, mode));
+  }
 
-    return `<picture>
-  <source media="(max-width: 600px)" srcset="${baseUrl}?width=600&format=webply&optimize=medium" />
-  <source media="(max-width: 1200px)" srcset="${baseUrl}?width=1200&format=webply&optimize=medium" />
-  <img src="${baseUrl}?width=1200&format=webply&optimize=medium" alt="${altText}" />
-</picture>`;
+  /**
+   * Markup of a document: a link, a paragraph the project decorates as a primary button,
+   * or an embed block, which frames links it has no provider for
+   */
+  function createDocumentHTML(asset, mode) {
+    const insertMode = DOCUMENT_INSERT_MODES[mode];
+    if (!insertMode) throw new Error(`Unknown document insert mode: ${mode}`);
+    if (insertMode.pdfOnly && !isPdfAsset(asset)) throw new Error(`${insertMode.label} only shows PDFs`);
+
+    const href = escapeHTML(asset.url || asset.src);
+    const name = escapeHTML(asset.name || extractFilenameFromUrl(asset.url || asset.src));
+    switch (mode) {
+      case 'button': {
+        const extension = (asset.src || '').split(/[?#]/)[0].split('.').pop().toUpperCase();
+        const details = [extension, asset.fileSize ? formatFileSize(Number(asset.fileSize)) : '']
+          .filter(Boolean).join(', ');
+        return `<p><strong><a href="${href}">Download ${name}${details ? ` (${details})` : ''}</a></strong></p>`;
+      }
+      case 'viewer':
+        return createTableHTML('Embed', [[`<p><a href="${href}">${href}</a></p>`]]);
+      default:
+        return `<p><a href="${href}">${name}</a></p>`;
+    }
+  }
+
+  /**
+   * Create optimized image HTML from an image preset, the selected one by default,
+   * positioned on the focal point or crop saved for the asset
+   */
+  function createOptimizedImageHTML(imageUrl, altText, presetName = state.imagePreset, asset = {}) {
+    return createPresetPictureHTML(imageUrl, altText, findImagePreset(presetName), asset);
   }
 
   /**
@@ -207,4 +531,10 @@ function createAssetInsertion() {
   return insertion;
 }
 
-export { createAssetInsertion };
+export {
+  INSERT_BLOCKS,
+  VIDEO_BLOCKS,
+  DOCUMENT_INSERT_MODES,
+  AUDIO_INSERT_MODES,
+  createAssetInsertion,
+};
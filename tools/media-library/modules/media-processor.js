@@ -9,6 +9,10 @@ import {
   ADMIN_DA_LIVE_BASE,
   parseSheet,
 } from './sheet-utils.js';
+import { parseFocus, serializeCrops } from './image-focus.js';
+import { getVideoSource } from './video-sources.js';
+
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|m4a|ogg|oga|opus|aac|flac)$/;
 
 /**
  * Process scan results and convert to asset objects
@@ -21,6 +25,7 @@ function processScanResults(scanResults) {
       result.assets.forEach((asset) => {
         // Convert file path to content URL for the page field
         const pageUrl = `https://content.da.live${result.file.path}`;
+        const locations = asset.locations && asset.locations.length > 0 ? asset.locations : [{}];
         const processedAsset = {
           id: asset.src, // Use src as unique ID instead of generating one
           src: asset.src,
@@ -29,7 +34,9 @@ function processScanResults(scanResults) {
           type: determineAssetType(asset.src),
           page: pageUrl, // Set the proper page URL
           usedIn: [result.file.path],
+          usage: locations.map((location) => createUsageEntry(result.file.path, location)),
           isExternal: typeof asset.isExternal === 'boolean' ? asset.isExternal : false,
+          ...pickScannedMetadata(asset),
           index: runningIndex,
         };
         runningIndex++;
@@ -37,6 +44,7 @@ function processScanResults(scanResults) {
         const existingIndex = processedAssets.findIndex((a) => a.src === processedAsset.src);
         if (existingIndex >= 0) {
           processedAssets[existingIndex].usedIn.push(...processedAsset.usedIn);
+          processedAssets[existingIndex].usage.push(...processedAsset.usage);
         } else {
           processedAssets.push(processedAsset);
         }
@@ -46,6 +54,162 @@ function processScanResults(scanResults) {
   return processedAssets;
 }
 
+/**
+ * Metadata the scan worker reads from the asset file itself
+ */
+const SCANNED_METADATA_FIELDS = [
+  'contentHash', 'perceptualHash', 'width', 'height', 'fileSize', 'mimeType',
+  'videoProvider', 'videoId', 'poster', 'duration', 'pageCount',
+];
+
+/**
+ * Scanned metadata of an asset as sheet values, falling back to a previous record per field
+ */
+function pickScannedMetadata(asset, fallback = null) {
+  return SCANNED_METADATA_FIELDS.reduce((metadata, field) => {
+    const value = asset[field] || fallback?.[field] || '';
+    return { ...metadata, [field]: value };
+  }, {});
+}
+
+/**
+ * Build a usage entry describing where on a page an asset appears
+ */
+function createUsageEntry(page, location = {}) {
+  return {
+    page,
+    block: location.block || '',
+    section: Number.isInteger(location.section) ? location.section : null,
+    row: Number.isInteger(location.row) ? location.row : null,
+    column: Number.isInteger(location.column) ? location.column : null,
+  };
+}
+
+/**
+ * Normalize a usedIn value (array or comma-separated sheet string) to a list of paths
+ */
+function parseUsedIn(usedIn) {
+  if (Array.isArray(usedIn)) {
+    return usedIn.filter(Boolean);
+  }
+  if (typeof usedIn === 'string' && usedIn) {
+    return usedIn.split(',').map((path) => path.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Normalize a tags value (array or comma-separated sheet string) to a list of unique tags
+ */
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return Array.from(new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+/**
+ * Normalize a usage value (array or JSON sheet string) to a list of usage entries
+ */
+function parseUsage(usage) {
+  if (Array.isArray(usage)) {
+    return usage;
+  }
+  if (typeof usage === 'string' && usage) {
+    try {
+      const parsed = JSON.parse(usage);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Convert usedIn and usage to the string form stored in media.json
+ */
+function toSheetUsage(asset, usedIn, usage) {
+  return {
+    ...asset,
+    usedIn: Array.from(new Set(usedIn)).join(','),
+    usage: JSON.stringify(usage),
+  };
+}
+
+/**
+ * Replace a page's usage entries with the assets found on its latest scan.
+ * Assets that were only used on that page and are gone from it are dropped.
+ */
+function mergePageUsage(baseAssets, pagePath, pageAssets) {
+  const merged = new Map();
+  baseAssets.forEach((asset) => {
+    const usedIn = parseUsedIn(asset.usedIn);
+    const remaining = usedIn.filter((path) => path !== pagePath);
+    if (remaining.length === 0 && usedIn.length > 0) {
+      return;
+    }
+    const usage = parseUsage(asset.usage).filter((entry) => entry.page !== pagePath);
+    merged.set(asset.src, toSheetUsage(asset, remaining, usage));
+  });
+  pageAssets.forEach((asset) => {
+    const existing = merged.get(asset.src);
+    const usedIn = [...parseUsedIn(existing?.usedIn), pagePath];
+    const usage = [...parseUsage(existing?.usage), ...parseUsage(asset.usage)];
+    // Keep known metadata when the asset could not be fetched on this scan
+    const metadata = pickScannedMetadata(asset, existing);
+    merged.set(asset.src, toSheetUsage({ ...existing, ...asset, ...metadata }, usedIn, usage));
+  });
+  return Array.from(merged.values());
+}
+
+/**
+ * Remove usage entries for deleted pages, dropping assets no longer used anywhere
+ */
+function removePageUsage(baseAssets, pagePaths) {
+  const removed = new Set(pagePaths);
+  return baseAssets.reduce((result, asset) => {
+    const usedIn = parseUsedIn(asset.usedIn);
+    const remaining = usedIn.filter((path) => !removed.has(path));
+    if (remaining.length > 0 || usedIn.length === 0) {
+      const usage = parseUsage(asset.usage).filter((entry) => !removed.has(entry.page));
+      result.push(toSheetUsage(asset, remaining, usage));
+    }
+    return result;
+  }, []);
+}
+
+/**
+ * Move an asset's usage on the given pages to another asset, e.g. after replacing it.
+ * The old asset is dropped once no page uses it; the new one is added if missing.
+ */
+function moveAssetUsage(baseAssets, fromSrc, toAsset, pagePaths) {
+  const moved = new Set(pagePaths);
+  const source = baseAssets.find((asset) => asset.src === fromSrc);
+  const movedUsage = parseUsage(source?.usage).filter((entry) => moved.has(entry.page));
+  let target = { alt: source?.alt || '', isExternal: false, ...toAsset };
+
+  const result = baseAssets.reduce((remaining, asset) => {
+    if (asset.src === toAsset.src) {
+      target = asset;
+    } else if (asset.src === fromSrc) {
+      const usedIn = parseUsedIn(asset.usedIn).filter((path) => !moved.has(path));
+      if (usedIn.length > 0) {
+        const usage = parseUsage(asset.usage).filter((entry) => !moved.has(entry.page));
+        remaining.push(toSheetUsage(asset, usedIn, usage));
+      }
+    } else {
+      remaining.push(asset);
+    }
+    return remaining;
+  }, []);
+
+  result.push(toSheetUsage(
+    target,
+    [...parseUsedIn(target.usedIn), ...pagePaths],
+    [...parseUsage(target.usage), ...movedUsage],
+  ));
+  return result;
+}
+
 /**
  * Generate unique asset ID from source URL
  */
@@ -73,8 +237,13 @@ function determineAssetType(src) {
     return 'image';
   }
 
-  // Video types
-  if (lowerSrc.match(/\.(mp4|webm|ogg|mov|avi|wmv|flv|mkv)$/)) {
+  // Audio types; .ogg is Ogg Vorbis audio, Ogg video uses .ogv
+  if (lowerSrc.match(AUDIO_FILE_PATTERN)) {
+    return 'audio';
+  }
+
+  // Video types, including YouTube and Vimeo links
+  if (lowerSrc.match(/\.(mp4|webm|ogv|mov|avi|wmv|flv|mkv)$/) || getVideoSource(src)) {
     return 'video';
   }
 
@@ -103,14 +272,25 @@ export async function saveMediaSheet(apiConfig, assets) {
     } else if (typeof asset.usedIn === 'string') {
       usedIn = asset.usedIn;
     }
+    let usage = '';
+    if (Array.isArray(asset.usage)) {
+      usage = JSON.stringify(asset.usage);
+    } else if (typeof asset.usage === 'string') {
+      usage = asset.usage;
+    }
     return {
       id,
       src,
       alt,
       usedIn,
+      usage,
       type,
       name,
       isExternal: asset.isExternal || false,
+      tags: parseTags(asset.tags).join(','),
+      focus: parseFocus(asset.focus),
+      crops: serializeCrops(asset.crops),
+      ...pickScannedMetadata(asset),
     };
   }));
 
@@ -146,6 +326,12 @@ export async function loadMediaSheet(apiConfig) {
 
 export {
   processScanResults,
+  parseUsedIn,
+  parseTags,
+  parseUsage,
+  mergePageUsage,
+  removePageUsage,
+  moveAssetUsage,
   generateAssetId,
   extractAssetName,
   determineAssetType,
@@ -0,0 +1,242 @@
+// tools/media-library/modules/move-assets-modal.js
+// Move selected DA assets to another folder and point every page at the new path
+
+import { CONTENT_DA_LIVE_BASE } from './sheet-utils.js';
+import { resolveSourcePath } from './unused-assets.js';
+import { showToast, showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+import {
+  buildPageDiffHTML,
+  buildFailuresHTML,
+} from './page-diff.js';
+
+let currentMovePopup = null;
+
+/**
+ * Normalize a folder typed by the user to /a/b without a trailing slash
+ */
+function normalizeFolder(value) {
+  const parts = value.split('/').map((part) => part.trim()).filter(Boolean);
+  return parts.length > 0 ? `/${parts.join('/')}` : '';
+}
+
+function getFolder(sourcePath) {
+  return sourcePath.split('/').slice(3, -1).map((part) => `/${part}`).join('');
+}
+
+function buildPlanHTML(plan, skipped) {
+  const rows = plan.map((step) => `
+    <tr>
+      <td>${escapeHTML(step.from.split('/').slice(3).join('/'))}</td>
+      <td>${escapeHTML(step.to.split('/').slice(3).join('/'))}</td>
+      <td class="usage-location">${step.pageCount}</td>
+    </tr>
+  `).join('');
+  const skippedHTML = skipped.map(({ asset, reason }) => `
+    <div class="page-diff-note">${escapeHTML(asset.name || asset.src)}: ${escapeHTML(reason)}</div>
+  `).join('');
+  return `
+    ${plan.length > 0 ? `
+      <div class="usage-table-wrapper">
+        <table class="usage-table">
+          <thead>
+            <tr>
+              <th>From</th>
+              <th>To</th>
+              <th>Pages</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    ` : ''}
+    ${skippedHTML}
+  `;
+}
+
+export function closeMoveAssetsModal() {
+  if (currentMovePopup) {
+    currentMovePopup.remove();
+    currentMovePopup = null;
+  }
+}
+
+/**
+ * Show the move dialog for the selected assets. Each file is copied, the pages using
+ * it are rewritten, and the original is deleted only when every page was updated.
+ * onAssetsMoved(moves) receives [{ asset, newSrc, changedPaths, deleted }] once at the end.
+ */
+export function showMoveAssetsModal({
+  assets,
+  daApi,
+  patcher,
+  replaceLog,
+  onAssetsMoved,
+}) {
+  closeMoveAssetsModal();
+
+  const { org, repo } = daApi.getConfig();
+  const firstSource = assets.map((asset) => resolveSourcePath(asset.src, org, repo)).find(Boolean);
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup move-assets-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Move ${assets.length} asset${assets.length !== 1 ? 's' : ''}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <label class="alt-editor-default">
+      Destination folder
+      <input type="text" class="alt-editor-input" data-input="folder"
+        value="${escapeHTML(firstSource ? getFolder(firstSource) : '/media')}">
+    </label>
+    <div class="cleanup-status" role="status"></div>
+    <div class="move-plan"></div>
+    <div class="page-diffs"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-secondary" data-action="preview">Preview move</button>
+      <button class="btn btn-primary" data-action="move" disabled>Move</button>
+    </div>
+  `;
+
+  document.body.appendChild(popup);
+  currentMovePopup = popup;
+
+  const folderInput = popup.querySelector('[data-input="folder"]');
+  const statusEl = popup.querySelector('.cleanup-status');
+  const planEl = popup.querySelector('.move-plan');
+  const diffsEl = popup.querySelector('.page-diffs');
+  const previewBtn = popup.querySelector('[data-action="preview"]');
+  const moveBtn = popup.querySelector('[data-action="move"]');
+  let plan = null;
+  let busy = false;
+
+  const resetPlan = () => {
+    plan = null;
+    moveBtn.disabled = true;
+    moveBtn.textContent = 'Move';
+    planEl.innerHTML = '';
+    diffsEl.innerHTML = '';
+  };
+
+  const previewMove = async () => {
+    const folder = normalizeFolder(folderInput.value);
+    if (!folder) {
+      statusEl.textContent = 'Enter a folder such as /media/products';
+      return;
+    }
+
+    const steps = [];
+    const skipped = [];
+    const targets = new Set();
+    for (const asset of assets) {
+      statusEl.textContent = `Checking ${steps.length + skipped.length + 1} of ${assets.length}...`;
+      const from = resolveSourcePath(asset.src, org, repo);
+      const to = from ? `/${org}/${repo}${folder}/${from.split('/').pop()}` : '';
+      if (!from) {
+        skipped.push({ asset, reason: 'external assets cannot be moved' });
+      } else if (from === to) {
+        skipped.push({ asset, reason: 'already in this folder' });
+      } else if (targets.has(to.toLowerCase()) || await daApi.fileExists(to)) {
+        skipped.push({ asset, reason: `${to.split('/').slice(3).join('/')} already exists` });
+      } else {
+        targets.add(to.toLowerCase());
+        const newSrc = `${CONTENT_DA_LIVE_BASE}${to}`;
+        const previews = await patcher.previewReplaceAsset(asset, newSrc);
+        steps.push({
+          asset,
+          from,
+          to,
+          newSrc,
+          previews,
+          pageCount: previews.filter((preview) => preview.changes.length > 0).length,
+        });
+      }
+    }
+
+    plan = steps;
+    planEl.innerHTML = buildPlanHTML(steps, skipped);
+    diffsEl.innerHTML = buildPageDiffHTML(steps.flatMap((step) => step.previews));
+    const pageCount = steps.reduce((sum, step) => sum + step.pageCount, 0);
+    statusEl.textContent = `${steps.length} file${steps.length !== 1 ? 's' : ''} to move, `
+      + `${pageCount} page update${pageCount !== 1 ? 's' : ''}`;
+    moveBtn.textContent = `Move ${steps.length} file${steps.length !== 1 ? 's' : ''}`;
+    moveBtn.disabled = steps.length === 0;
+  };
+
+  const move = async () => {
+    const moves = [];
+    const saved = new Set();
+    const failed = [];
+
+    for (const step of plan) {
+      statusEl.textContent = `Moving ${moves.length + 1} of ${plan.length}...`;
+      try {
+        await daApi.copyFile(step.from, step.to);
+        await daApi.getFileInfo(step.to);
+      } catch (error) {
+        failed.push({ path: step.from, error });
+        continue;
+      }
+
+      // A page holding several moved assets was saved by an earlier step, so load it again
+      const stale = step.previews.some((preview) => saved.has(preview.path));
+      const previews = stale ? await patcher.previewReplaceAsset(step.asset, step.newSrc) : step.previews;
+      const result = await patcher.applyPreview(previews);
+      result.changed.forEach((path) => saved.add(path));
+      failed.push(...result.failed);
+      if (result.changed.length > 0) {
+        await replaceLog.record(step.asset.src, step.newSrc, previews, result.changed);
+      }
+
+      // Pages that could not be saved still point at the original
+      let deleted = false;
+      if (result.failed.length === 0) {
+        try {
+          await daApi.deleteFile(step.from);
+          deleted = true;
+        } catch (error) {
+          failed.push({ path: step.from, error });
+        }
+      }
+      moves.push({
+        asset: step.asset, newSrc: step.newSrc, changedPaths: result.changed, deleted,
+      });
+    }
+
+    if (moves.length > 0) await onAssetsMoved?.(moves);
+    const parts = [`Moved ${moves.length} file${moves.length !== 1 ? 's' : ''}`,
+      `updated ${saved.size} page${saved.size !== 1 ? 's' : ''}`];
+    if (failed.length > 0) parts.push(`${failed.length} failed, originals were kept`);
+    const message = parts.join(', ');
+    statusEl.textContent = message;
+    planEl.innerHTML = '';
+    diffsEl.innerHTML = buildFailuresHTML(failed);
+    showToast(message, failed.length > 0 ? 'error' : 'success');
+    plan = null;
+    moveBtn.textContent = 'Move';
+  };
+
+  folderInput.addEventListener('input', resetPlan);
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', () => {
+    if (!busy) closeMoveAssetsModal();
+  });
+
+  popup.addEventListener('click', async (e) => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if ((action !== 'preview' && action !== 'move') || busy) return;
+    busy = true;
+    previewBtn.disabled = true;
+    moveBtn.disabled = true;
+    try {
+      if (action === 'preview') await previewMove();
+      else if (plan) await move();
+    } catch (error) {
+      showError(action === 'preview' ? 'Failed to preview move' : 'Failed to move assets', error);
+    } finally {
+      busy = false;
+      previewBtn.disabled = false;
+      moveBtn.disabled = !plan || plan.length === 0;
+    }
+  });
+}
@@ -0,0 +1,57 @@
+// tools/media-library/modules/page-diff.js
+// Per-page diff rendering for changes previewed by the document patcher
+
+import { escapeHTML } from './utils.js';
+
+/**
+ * Render the tag-level changes of each previewed page
+ */
+function buildPageDiffHTML(previews) {
+  return previews.map((preview) => {
+    let body;
+    if (preview.error) {
+      body = `<div class="page-diff-note">Could not load page: ${escapeHTML(preview.error.message)}</div>`;
+    } else if (preview.changes.length === 0) {
+      body = '<div class="page-diff-note">Already up to date</div>';
+    } else {
+      body = preview.changes.map((change) => `
+        <pre class="diff-line diff-removed">- ${escapeHTML(change.before)}</pre>
+        <pre class="diff-line diff-added">+ ${escapeHTML(change.after)}</pre>
+      `).join('');
+    }
+    return `
+      <div class="page-diff">
+        <div class="page-diff-path">${escapeHTML(preview.path)}</div>
+        ${body}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the pages that could not be saved
+ */
+function buildFailuresHTML(failures) {
+  return failures.map((failure) => `
+    <div class="page-diff">
+      <div class="page-diff-path">${escapeHTML(failure.path)}</div>
+      <div class="page-diff-note">${escapeHTML(failure.error.message)}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Summarize the result of saving previewed pages
+ */
+function describeSaveResult(result, verb = 'Updated') {
+  const parts = [`${verb} ${result.changed.length} page${result.changed.length !== 1 ? 's' : ''}`];
+  if (result.unchanged.length > 0) parts.push(`${result.unchanged.length} already up to date`);
+  if (result.failed.length > 0) parts.push(`${result.failed.length} failed`);
+  return parts.join(', ');
+}
+
+export {
+  buildPageDiffHTML,
+  buildFailuresHTML,
+  describeSaveResult,
+};
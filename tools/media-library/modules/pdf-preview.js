@@ -0,0 +1,57 @@
+// tools/media-library/modules/pdf-preview.js
+// Page-by-page PDF preview for the asset preview modal
+
+import { formatFileSize } from './unused-assets.js';
+import { escapeHTML } from './utils.js';
+
+/**
+ * Preview element showing one rendered page at a time with previous/next buttons
+ */
+function createPdfPreview(asset, pdfThumbnails) {
+  const preview = document.createElement('div');
+  preview.className = 'document-preview pdf-preview';
+  preview.innerHTML = `
+    <img alt="" class="pdf-preview-page" hidden>
+    <div class="document-icon">📄</div>
+    <div class="pdf-preview-pager">
+      <button class="page-action-btn" data-page="-1" aria-label="Previous page" disabled>←</button>
+      <span class="page-diff-note" role="status">Rendering first page...</span>
+      <button class="page-action-btn" data-page="1" aria-label="Next page" disabled>→</button>
+    </div>
+    <p>${escapeHTML(asset.src)}</p>
+  `;
+
+  const image = preview.querySelector('.pdf-preview-page');
+  const icon = preview.querySelector('.document-icon');
+  const statusEl = preview.querySelector('[role="status"]');
+  const [prevBtn, nextBtn] = preview.querySelectorAll('[data-page]');
+  const fileSize = asset.fileSize ? ` · ${formatFileSize(Number(asset.fileSize))}` : '';
+  let currentPage = 1;
+
+  const showPage = async (page) => {
+    prevBtn.disabled = true;
+    nextBtn.disabled = true;
+    try {
+      const { url, page: shown, pageCount } = await pdfThumbnails.renderPage(asset, page);
+      currentPage = shown;
+      image.src = url;
+      image.hidden = false;
+      icon.hidden = true;
+      statusEl.textContent = `Page ${shown} of ${pageCount}${fileSize}`;
+      prevBtn.disabled = shown <= 1;
+      nextBtn.disabled = shown >= pageCount;
+    } catch (error) {
+      statusEl.textContent = `Preview unavailable: ${error.message}`;
+    }
+  };
+
+  preview.querySelector('.pdf-preview-pager').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-page]');
+    if (button && !button.disabled) showPage(currentPage + Number(button.dataset.page));
+  });
+
+  showPage(1);
+  return preview;
+}
+
+export { createPdfPreview };
@@ -0,0 +1,112 @@
+// tools/media-library/modules/pdf-thumbnails.js
+// Page images and page counts of PDFs, rendered by the PDF thumbnail worker
+
+const PDF_PATTERN = /\.pdf(?:[?#]|$)/i;
+const THUMBNAIL_WIDTH = 320;
+const PREVIEW_WIDTH = 800;
+
+function isPdfAsset(asset) {
+  return PDF_PATTERN.test(asset?.src || asset?.path || '');
+}
+
+/**
+ * Create the PDF renderer. The worker starts on the first render and
+ * rendered pages are kept as object URLs for the session.
+ */
+function createPdfThumbnails() {
+  const state = {
+    apiConfig: null,
+    worker: null,
+    nextRequestId: 1,
+    pending: new Map(),
+    renders: new Map(),
+    thumbnails: new Map(),
+    pageCounts: new Map(),
+  };
+
+  const api = {
+    init,
+    renderThumbnail,
+    renderPage,
+    getThumbnail,
+    getPageCount,
+  };
+
+  function init(apiConfig) {
+    state.apiConfig = apiConfig;
+  }
+
+  function getWorker() {
+    if (!state.worker) {
+      state.worker = new Worker('./workers/pdf-thumbnail-worker.js', { type: 'module' });
+      state.worker.addEventListener('message', handleMessage);
+      state.worker.postMessage({ type: 'init', data: { apiConfig: state.apiConfig } });
+    }
+    return state.worker;
+  }
+
+  function handleMessage(event) {
+    const { type, data } = event.data;
+    const request = state.pending.get(data?.requestId);
+    if (!request) return;
+    state.pending.delete(data.requestId);
+
+    if (type === 'rendered') {
+      state.pageCounts.set(request.src, data.pageCount);
+      request.resolve({ url: URL.createObjectURL(data.blob), page: data.page, pageCount: data.pageCount });
+    } else {
+      request.reject(new Error(data.error));
+    }
+  }
+
+  /**
+   * Render a page of a PDF asset `width` pixels wide; resolves to { url, page, pageCount }
+   */
+  function renderPage(asset, page = 1, width = PREVIEW_WIDTH) {
+    const src = asset.src || asset.path;
+    const key = `${src}#${page}@${width}`;
+    if (!state.renders.has(key)) {
+      const requestId = state.nextRequestId;
+      state.nextRequestId += 1;
+      state.renders.set(key, new Promise((resolve, reject) => {
+        state.pending.set(requestId, { src, resolve, reject });
+        getWorker().postMessage({
+          type: 'render',
+          data: {
+            requestId, src, page, width,
+          },
+        });
+      }));
+    }
+    return state.renders.get(key);
+  }
+
+  /**
+   * First page as a thumbnail; failed PDFs keep their type icon for the session
+   */
+  function renderThumbnail(asset) {
+    const src = asset.src || asset.path;
+    return renderPage(asset, 1, THUMBNAIL_WIDTH).then((result) => {
+      state.thumbnails.set(src, result.url);
+      return result;
+    });
+  }
+
+  /**
+   * Thumbnail URL when it has been rendered, otherwise null
+   */
+  function getThumbnail(asset) {
+    return state.thumbnails.get(asset.src || asset.path) || null;
+  }
+
+  /**
+   * Page count from the last render, else the one the scan read from the file
+   */
+  function getPageCount(asset) {
+    return state.pageCounts.get(asset.src || asset.path) || Number(asset.pageCount) || null;
+  }
+
+  return api;
+}
+
+export { isPdfAsset, createPdfThumbnails };
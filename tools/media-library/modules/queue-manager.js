@@ -21,6 +21,8 @@ function createQueueManager() {
     },
     listeners: new Map(),
     batchSize: 100, // Added for the new requestBatch method
+    discoveredPaths: new Set(),
+    forceRescan: false,
   };
 
   let config = null; // Store the config for later access
@@ -41,7 +43,7 @@ function createQueueManager() {
       setupDiscoveryManagerHandlers();
 
       // Initialize media scan worker
-      state.scanWorker = new Worker('./workers/media-scan-worker.js');
+      state.scanWorker = new Worker('./workers/media-scan-worker.js', { type: 'module' });
       setupScanWorkerHandlers();
 
       // Initialize scan worker
@@ -67,6 +69,7 @@ function createQueueManager() {
 
     // Reset scan stats at the start of every scan
     resetStats();
+    state.discoveredPaths = new Set();
 
     // Check if another user is already scanning
     const isScanActive = await state.stateManager.isScanActive();
@@ -79,9 +82,7 @@ function createQueueManager() {
       await state.stateManager.acquireScanLock(forceRescan ? 'force' : 'incremental');
 
       state.isActive = true;
-
-      // Pass forceRescan to setupDiscoveryManagerHandlers
-      setupDiscoveryManagerHandlers(forceRescan);
+      state.forceRescan = forceRescan;
 
       // Check for resumable discovery queue
       if (!forceRescan) {
@@ -246,6 +247,7 @@ function createQueueManager() {
           if (state.stateManager) {
             state.stateManager.saveDocumentResults([{
               path: data.page,
+              lastModified: data.lastModified,
               assets: data.assets || [],
               checksum: data.checksum,
               scanDuration: data.scanDuration,
@@ -319,7 +321,7 @@ function createQueueManager() {
   /**
    * Setup discovery manager event handlers
    */
-  function setupDiscoveryManagerHandlers(forceRescan = false) {
+  function setupDiscoveryManagerHandlers() {
     state.discoveryManager.on('discoveryStarted', (data) => {
       emit('discoveryStarted', data);
     });
@@ -333,11 +335,14 @@ function createQueueManager() {
     });
 
     state.discoveryManager.on('documentsDiscovered', async (data) => {
+      // Documents skipped for lacking a lastModified exist, so they are not deleted
+      (data.skippedPaths || []).forEach((path) => state.discoveredPaths.add(path));
       // Add discovered documents to scan queue with persistence
       if (data.documents && data.documents.length > 0) {
+        data.documents.forEach((doc) => state.discoveredPaths.add(doc.path));
         try {
           // Filter documents that need scanning
-          const documentsToScan = await state.stateManager.getDocumentsToScan(data.documents, forceRescan);
+          const documentsToScan = await state.stateManager.getDocumentsToScan(data.documents, state.forceRescan);
           if (documentsToScan.length > 0) {
             state.stats.totalPages += documentsToScan.length;
             state.stats.queuedPages += documentsToScan.length;
@@ -376,13 +381,14 @@ function createQueueManager() {
     });
 
     state.discoveryManager.on('discoveryComplete', async (data) => {
-      state.stats.totalPages = data.totalDocuments;
-      // Always send all discovered pages to scan worker after discovery
-      if (data.documents && data.documents.length > 0) {
-        state.scanWorker.postMessage({
-          type: 'processBatch',
-          data: { pages: data.documents },
-        });
+      // Only trust the discovered set when every folder was listed successfully,
+      // otherwise a failed listing would look like deleted pages
+      if (!data.stats?.errors) {
+        const removedPaths = await state.stateManager.getDeletedDocuments(state.discoveredPaths);
+        if (removedPaths.length > 0) {
+          await state.stateManager.removeDocumentResults(removedPaths);
+          emit('documentsRemoved', { paths: removedPaths, stats: state.stats });
+        }
       }
       state.stateManager.updateScanProgress({
         totalDocuments: state.stats.totalPages,
@@ -509,12 +515,10 @@ function createQueueManager() {
   }
 
   async function requestBatch() {
-    // Reload queue and results from disk
+    // Reload queue from disk and drop pages already scanned at their current version
     const discoveryQueue = await state.stateManager.loadDiscoveryQueue();
-    const results = await state.stateManager.loadScanResults();
-    const scannedPaths = new Set((results && results.length ? results.map((r) => r.path) : []));
-    // Filter out already scanned pages
-    const batch = discoveryQueue.filter((item) => item.path && !scannedPaths.has(item.path)).slice(0, state.batchSize);
+    const pending = await state.stateManager.getDocumentsToScan(discoveryQueue.filter((item) => item.path));
+    const batch = pending.slice(0, state.batchSize);
 
     if (batch.length === 0) {
       // No more pages to scan - complete the scan
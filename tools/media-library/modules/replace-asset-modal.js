@@ -0,0 +1,296 @@
+// tools/media-library/modules/replace-asset-modal.js
+// Replace an asset on every page that uses it, with preview and rollback
+
+import { parseUsedIn, determineAssetType } from './media-processor.js';
+import { CONTENT_DA_LIVE_BASE } from './sheet-utils.js';
+import { showToast, showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+import {
+  buildPageDiffHTML,
+  buildFailuresHTML,
+  describeSaveResult,
+} from './page-diff.js';
+
+const MAX_CANDIDATES = 24;
+
+let currentReplacePopup = null;
+
+/**
+ * DA path for an uploaded replacement: next to the old asset when it lives in DA, else /media
+ */
+function getUploadPath(asset, file, org, repo) {
+  let folder = '/media';
+  try {
+    const url = new URL(asset.src);
+    const parts = decodeURIComponent(url.pathname).split('/');
+    if (url.hostname === 'content.da.live' && parts[1] === org && parts[2] === repo) {
+      folder = parts.slice(3, -1).map((part) => `/${part}`).join('');
+    }
+  } catch (error) {
+    // Silent error handling: relative or external srcs upload to /media
+  }
+  const name = file.name.toLowerCase().replace(/[^a-z0-9.]+/g, '-');
+  return `/${org}/${repo}${folder}/${name}`;
+}
+
+function buildCandidatesHTML(candidates, selectedSrc) {
+  if (candidates.length === 0) {
+    return '<div class="page-diff-note">No matching assets</div>';
+  }
+  return candidates.map((candidate) => `
+    <button class="replace-candidate ${candidate.src === selectedSrc ? 'selected' : ''}"
+      data-src="${escapeHTML(candidate.src)}" title="${escapeHTML(candidate.src)}">
+      <img src="${escapeHTML(candidate.src)}" alt="" loading="lazy">
+      <span>${escapeHTML(candidate.name)}</span>
+    </button>
+  `).join('');
+}
+
+function buildHistoryHTML(entries) {
+  if (entries.length === 0) {
+    return '<div class="page-diff-note">No replacements to roll back</div>';
+  }
+  return entries.map((entry) => `
+    <div class="replace-history-entry">
+      <div>
+        <div>${new Date(entry.replacedAt).toLocaleString()}: ${Object.keys(entry.changesByPage).length} pages</div>
+        <div class="page-diff-note">${escapeHTML(entry.oldSrc)} → ${escapeHTML(entry.newSrc)}</div>
+      </div>
+      <button class="page-action-btn" data-action="rollback" data-replace="${entry.replaceId}">Roll back</button>
+    </div>
+  `).join('');
+}
+
+export function closeReplaceAssetModal() {
+  if (currentReplacePopup) {
+    currentReplacePopup.remove();
+    currentReplacePopup = null;
+  }
+}
+
+/**
+ * Show the replace flow for an asset.
+ * onUsageMoved(fromSrc, toAsset, pagePaths) is called after pages were rewritten or rolled back.
+ */
+export async function showReplaceAssetModal({
+  asset,
+  assets,
+  daApi,
+  patcher,
+  replaceLog,
+  onUsageMoved,
+}) {
+  closeReplaceAssetModal();
+
+  const { org, repo } = daApi.getConfig();
+  const pages = parseUsedIn(asset.usedIn);
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup replace-asset-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Replace Asset: ${escapeHTML(asset.name)}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="alt-editor-asset">
+      <img src="${escapeHTML(asset.src)}" alt="" class="asset-thumbnail-small">
+      <div>
+        <div>${escapeHTML(asset.src)}</div>
+        <div class="page-diff-note">Used on ${pages.length} page${pages.length !== 1 ? 's' : ''}</div>
+      </div>
+    </div>
+    <h4>Replace with</h4>
+    <input type="search" class="alt-editor-input" data-role="filter" placeholder="Filter library assets"
+      aria-label="Filter library assets">
+    <div class="replace-candidates"></div>
+    <label class="replace-upload">
+      Or upload a new file
+      <input type="file" data-role="upload" accept="${asset.type === 'image' ? 'image/*' : ''}">
+    </label>
+    <div class="cleanup-status" role="status"></div>
+    <div class="page-diffs"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-secondary" data-action="preview" disabled>Preview affected pages</button>
+      <button class="btn btn-primary" data-action="replace" disabled>Replace</button>
+    </div>
+    <section class="cleanup-section">
+      <h4>Replacement history</h4>
+      <div data-section="history">Loading...</div>
+    </section>
+  `;
+
+  document.body.appendChild(popup);
+  currentReplacePopup = popup;
+
+  const statusEl = popup.querySelector('.cleanup-status');
+  const diffsEl = popup.querySelector('.page-diffs');
+  const candidatesEl = popup.querySelector('.replace-candidates');
+  const historyEl = popup.querySelector('[data-section="history"]');
+  const filterInput = popup.querySelector('[data-role="filter"]');
+  const uploadInput = popup.querySelector('[data-role="upload"]');
+  const previewBtn = popup.querySelector('[data-action="preview"]');
+  const replaceBtn = popup.querySelector('[data-action="replace"]');
+  const setStatus = (text) => { statusEl.textContent = text; };
+
+  let selection = null;
+  let previews = null;
+  let historyEntries = [];
+  let busy = false;
+
+  const resetPreview = () => {
+    previews = null;
+    diffsEl.innerHTML = '';
+    replaceBtn.disabled = true;
+    replaceBtn.textContent = 'Replace';
+    previewBtn.disabled = !selection || pages.length === 0;
+  };
+
+  const renderCandidates = () => {
+    const term = filterInput.value.trim().toLowerCase();
+    const candidates = assets
+      .filter((candidate) => candidate.src !== asset.src && candidate.type === asset.type)
+      .filter((candidate) => !term
+        || candidate.name.toLowerCase().includes(term)
+        || candidate.src.toLowerCase().includes(term))
+      .slice(0, MAX_CANDIDATES);
+    candidatesEl.innerHTML = buildCandidatesHTML(candidates, selection?.asset.src);
+  };
+
+  const renderHistory = async () => {
+    try {
+      historyEntries = await replaceLog.listEntries(asset.src);
+      historyEl.innerHTML = buildHistoryHTML(historyEntries);
+    } catch (error) {
+      historyEl.textContent = 'Failed to load replacement history';
+    }
+  };
+
+  filterInput.addEventListener('input', renderCandidates);
+
+  candidatesEl.addEventListener('click', (e) => {
+    const button = e.target.closest('.replace-candidate');
+    if (!button) return;
+    const candidate = assets.find((item) => item.src === button.dataset.src);
+    selection = { asset: candidate, file: null };
+    uploadInput.value = '';
+    setStatus(`Selected ${candidate.name}`);
+    renderCandidates();
+    resetPreview();
+  });
+
+  uploadInput.addEventListener('change', () => {
+    const [file] = uploadInput.files;
+    if (!file) return;
+    const path = getUploadPath(asset, file, org, repo);
+    const src = `${CONTENT_DA_LIVE_BASE}${path}`;
+    selection = {
+      asset: {
+        src, name: file.name, alt: '', type: determineAssetType(src), isExternal: false,
+      },
+      file,
+      path,
+    };
+    setStatus(`Will upload ${file.name} to ${path}`);
+    renderCandidates();
+    resetPreview();
+  });
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', () => {
+    if (!busy) closeReplaceAssetModal();
+  });
+
+  previewBtn.addEventListener('click', async () => {
+    if (!selection) return;
+    busy = true;
+    previewBtn.disabled = true;
+    try {
+      if (selection.file) {
+        let exists = false;
+        try {
+          await daApi.getFileInfo(selection.path);
+          exists = true;
+        } catch (error) {
+          // Silent error handling: the upload path is free
+        }
+        if (exists) {
+          setStatus(`${selection.path} already exists. Pick it from the library or rename the file.`);
+          return;
+        }
+      }
+      setStatus(`Loading ${pages.length} page${pages.length !== 1 ? 's' : ''}...`);
+      previews = await patcher.previewReplaceAsset(asset, selection.asset.src);
+      diffsEl.innerHTML = buildPageDiffHTML(previews);
+      const changedCount = previews.filter((preview) => preview.changes.length > 0).length;
+      setStatus(`${changedCount} of ${pages.length} pages will change`);
+      replaceBtn.textContent = `Replace on ${changedCount} page${changedCount !== 1 ? 's' : ''}`;
+      replaceBtn.disabled = changedCount === 0;
+    } catch (error) {
+      setStatus('');
+      showError('Failed to preview replacement', error);
+    } finally {
+      busy = false;
+      previewBtn.disabled = false;
+    }
+  });
+
+  replaceBtn.addEventListener('click', async () => {
+    if (!previews || !selection) return;
+    busy = true;
+    previewBtn.disabled = true;
+    replaceBtn.disabled = true;
+    try {
+      if (selection.file) {
+        setStatus(`Uploading ${selection.file.name}...`);
+        await daApi.saveFile(selection.path, selection.file, selection.file.type || 'application/octet-stream');
+      }
+      const result = await patcher.applyPreview(previews, setStatus);
+      if (result.changed.length > 0) {
+        await replaceLog.record(asset.src, selection.asset.src, previews, result.changed);
+        await onUsageMoved?.(asset.src, selection.asset, result.changed);
+      }
+      const message = describeSaveResult(result, 'Replaced on');
+      setStatus(message);
+      diffsEl.innerHTML = buildFailuresHTML(result.failed);
+      showToast(message, result.failed.length > 0 ? 'error' : 'success');
+      previews = null;
+    } catch (error) {
+      showError('Failed to replace asset', error);
+    } finally {
+      busy = false;
+      previewBtn.disabled = false;
+      await renderHistory();
+    }
+  });
+
+  historyEl.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-action="rollback"]');
+    if (!button || busy) return;
+    const entry = historyEntries.find((item) => item.replaceId === button.dataset.replace);
+    if (!entry) return;
+
+    busy = true;
+    button.disabled = true;
+    try {
+      setStatus('Loading pages to roll back...');
+      const revertPreviews = await patcher.previewRevert(entry.changesByPage);
+      const result = await patcher.applyPreview(revertPreviews, setStatus);
+      if (result.changed.length > 0) {
+        await replaceLog.markRolledBack(entry.replaceId, result.changed);
+        await onUsageMoved?.(entry.newSrc, {
+          src: entry.oldSrc, type: determineAssetType(entry.oldSrc), isExternal: false,
+        }, result.changed);
+      }
+      const message = describeSaveResult(result, 'Rolled back');
+      setStatus(message);
+      diffsEl.innerHTML = buildFailuresHTML(result.failed);
+      showToast(message, result.failed.length > 0 ? 'error' : 'success');
+    } catch (error) {
+      showError('Failed to roll back replacement', error);
+    } finally {
+      busy = false;
+      await renderHistory();
+    }
+  });
+
+  renderCandidates();
+  await renderHistory();
+}
@@ -0,0 +1,153 @@
+// tools/media-library/modules/search-box.js
+// Autocomplete and saved queries for the search input
+
+import { getSearchSuggestions } from './search-query.js';
+import { showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+
+/**
+ * Wire autocomplete into the search input and show saved queries below it.
+ * The query is applied through the input's own input event.
+ * savedQueries is null when the user is unknown, which hides saving.
+ */
+export function initSearchBox({
+  input,
+  suggestionsEl,
+  savedEl,
+  getAssets,
+  savedQueries,
+}) {
+  if (!input || !suggestionsEl) return;
+
+  const state = {
+    completion: null,
+    activeIndex: -1,
+    saved: [],
+  };
+
+  const applyQuery = (query) => {
+    input.value = query;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  function hideSuggestions() {
+    state.completion = null;
+    state.activeIndex = -1;
+    suggestionsEl.innerHTML = '';
+    suggestionsEl.setAttribute('aria-hidden', 'true');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function renderSuggestions() {
+    const { suggestions } = state.completion;
+    suggestionsEl.innerHTML = suggestions.map((suggestion, index) => `
+      <div class="search-suggestion ${index === state.activeIndex ? 'active' : ''}" role="option"
+        id="searchSuggestion${index}" data-index="${index}" aria-selected="${index === state.activeIndex}">
+        <span class="search-suggestion-label">${escapeHTML(suggestion.label)}</span>
+        <span class="search-suggestion-description">${escapeHTML(suggestion.description)}</span>
+      </div>
+    `).join('');
+    suggestionsEl.setAttribute('aria-hidden', 'false');
+    input.setAttribute('aria-expanded', 'true');
+    if (state.activeIndex >= 0) input.setAttribute('aria-activedescendant', `searchSuggestion${state.activeIndex}`);
+    else input.removeAttribute('aria-activedescendant');
+  }
+
+  function updateSuggestions() {
+    const completion = getSearchSuggestions(input.value, input.selectionStart ?? input.value.length, getAssets());
+    if (completion.suggestions.length === 0) {
+      hideSuggestions();
+      return;
+    }
+    state.completion = completion;
+    state.activeIndex = -1;
+    renderSuggestions();
+  }
+
+  function acceptSuggestion(index) {
+    const { start, end, suggestions } = state.completion;
+    const { text } = suggestions[index];
+    // Field names stay open for their value, values end the word
+    const insert = text.endsWith(':') ? text : `${text} `;
+    const value = `${input.value.slice(0, start)}${insert}${input.value.slice(end).replace(/^ /, '')}`;
+    hideSuggestions();
+    applyQuery(value);
+    input.focus();
+    input.setSelectionRange(start + insert.length, start + insert.length);
+    if (text.endsWith(':')) updateSuggestions();
+  }
+
+  function renderSaved() {
+    if (!savedEl || !savedQueries) return;
+    const query = input.value.trim();
+    const chips = state.saved.map((saved, index) => `
+      <span class="quick-search-label" role="listitem">
+        <span data-saved="${index}" title="Search ${escapeHTML(saved)}">${escapeHTML(saved)}</span>
+        <button class="quick-search-remove" data-remove="${index}" aria-label="Remove saved query">×</button>
+      </span>
+    `);
+    if (query && !state.saved.includes(query)) {
+      chips.push(`<span class="quick-search-label quick-search-save" role="listitem"
+        data-action="save">☆ Save query</span>`);
+    }
+    savedEl.innerHTML = chips.join('');
+  }
+
+  async function updateSaved(action) {
+    try {
+      state.saved = [...await action()];
+      renderSaved();
+    } catch (error) {
+      showError('Failed to update saved queries', error);
+    }
+  }
+
+  input.addEventListener('input', () => {
+    if (document.activeElement === input) updateSuggestions();
+    renderSaved();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      hideSuggestions();
+      return;
+    }
+    if (!state.completion) return;
+    const count = state.completion.suggestions.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      state.activeIndex = (state.activeIndex + step + count) % count;
+      renderSuggestions();
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && (state.activeIndex >= 0 || e.key === 'Tab')) {
+      e.preventDefault();
+      acceptSuggestion(Math.max(state.activeIndex, 0));
+    }
+  });
+
+  input.addEventListener('blur', hideSuggestions);
+
+  // mousedown keeps the focus in the input, which would otherwise hide the list first
+  suggestionsEl.addEventListener('mousedown', (e) => {
+    const option = e.target.closest('.search-suggestion');
+    if (!option) return;
+    e.preventDefault();
+    acceptSuggestion(Number(option.dataset.index));
+  });
+
+  if (savedEl && savedQueries) {
+    savedEl.addEventListener('click', (e) => {
+      const removeIndex = e.target.closest('[data-remove]')?.dataset.remove;
+      const savedIndex = e.target.closest('[data-saved]')?.dataset.saved;
+      if (removeIndex !== undefined) {
+        updateSaved(() => savedQueries.remove(state.saved[Number(removeIndex)]));
+      } else if (savedIndex !== undefined) {
+        applyQuery(state.saved[Number(savedIndex)]);
+      } else if (e.target.closest('[data-action="save"]')) {
+        updateSaved(() => savedQueries.save(input.value.trim()));
+      }
+    });
+    updateSaved(() => savedQueries.list());
+  }
+}
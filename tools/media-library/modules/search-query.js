@@ -0,0 +1,256 @@
+// tools/media-library/modules/search-query.js
+// Structured search queries: `type:video used:/blog/* alt:missing width:>1200 -logo`
+
+import { parseTags, parseUsage, parseUsedIn } from './media-processor.js';
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+/**
+ * Searchable fields. Values are suggested while typing; `numeric` fields take
+ * comparisons (>1200, <=500, 100..800), the others a value or a * pattern.
+ */
+const SEARCH_FIELDS = {
+  type: { description: 'Asset type', values: ['image', 'video', 'audio', 'document'] },
+  source: { description: 'Internal or external', values: ['internal', 'external'] },
+  used: { description: 'Page path in the site, * matches any part', values: [] },
+  alt: { description: 'Alt text, or missing', values: ['missing'] },
+  name: { description: 'Asset name', values: [] },
+  tag: { description: 'Tag added in the library', values: [] },
+  domain: { description: 'Host of the asset URL', values: [] },
+  block: { description: 'Block the asset is placed in', values: [] },
+  ext: { description: 'File extension', values: [] },
+  width: { description: 'Width in pixels', numeric: true, values: ['>1200', '<300'] },
+  height: { description: 'Height in pixels', numeric: true, values: ['>800', '<300'] },
+  size: { description: 'File size, e.g. >500kb', numeric: true, values: ['>1mb', '<100kb'] },
+};
+
+/**
+ * Split a query into words, keeping "quoted phrases" together
+ */
+function splitQuery(text) {
+  return (text.match(/-?[a-z]+:"[^"]*"?|-?"[^"]*"?|\S+/gi) || [])
+    .map((word) => word.replace(/"/g, ''));
+}
+
+function parseNumber(value, field) {
+  const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) return null;
+  const unit = field === 'size' ? SIZE_UNITS[match[2] || 'b'] : 1;
+  if (match[2] && field !== 'size') return null;
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Parse a numeric condition: >N, >=N, <N, <=N, =N, N or N..M
+ */
+function parseComparison(value, field) {
+  const range = value.split('..');
+  if (range.length === 2) {
+    const min = parseNumber(range[0], field);
+    const max = parseNumber(range[1], field);
+    return min !== null && max !== null ? { min, max } : null;
+  }
+  const [, operator, number] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+  const parsed = parseNumber(number, field);
+  if (parsed === null) return null;
+  switch (operator) {
+    case '>': return { min: parsed, exclusive: true };
+    case '>=': return { min: parsed };
+    case '<': return { max: parsed, exclusive: true };
+    case '<=': return { max: parsed };
+    default: return { min: parsed, max: parsed };
+  }
+}
+
+/**
+ * Parse query text into filters and free text terms. Unknown fields and
+ * unreadable comparisons are searched as text.
+ */
+function parseSearchQuery(text) {
+  const query = { filters: [], terms: [] };
+  splitQuery(text || '').forEach((word) => {
+    const negate = word.length > 1 && word.startsWith('-');
+    const body = negate ? word.slice(1) : word;
+    const separator = body.indexOf(':');
+    const field = separator > 0 ? body.slice(0, separator).toLowerCase() : '';
+    const value = separator > 0 ? body.slice(separator + 1) : '';
+
+    if (SEARCH_FIELDS[field] && value) {
+      const comparison = SEARCH_FIELDS[field].numeric ? parseComparison(value, field) : null;
+      if (!SEARCH_FIELDS[field].numeric || comparison) {
+        query.filters.push({
+          field, value: value.toLowerCase(), comparison, negate,
+        });
+        return;
+      }
+    }
+    if (body) query.terms.push({ value: body.toLowerCase(), negate });
+  });
+  return query;
+}
+
+function isMissingAlt(asset) {
+  return !asset.alt || asset.alt.trim() === '' || asset.alt === 'Untitled';
+}
+
+function getDomain(src) {
+  try {
+    return new URL(src, window.location.href).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+function getExtension(src) {
+  const file = (src || '').split(/[?#]/)[0].split('/').pop();
+  return file.includes('.') ? file.split('.').pop().toLowerCase() : '';
+}
+
+/**
+ * Page path within the site; scanned paths start with /org/repo
+ */
+function getSitePath(path) {
+  return `/${path.split('/').slice(3).join('/')}`;
+}
+
+/**
+ * Whole-value match where * stands for any characters
+ */
+function matchesPattern(text, pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i').test(text);
+}
+
+function matchesComparison(number, { min, max, exclusive }) {
+  if (!number) return false;
+  if (min !== undefined && (exclusive ? number <= min : number < min)) return false;
+  if (max !== undefined && (exclusive ? number >= max : number > max)) return false;
+  return true;
+}
+
+function matchesFilter(asset, { field, value, comparison }) {
+  switch (field) {
+    case 'type':
+      return asset.type === value;
+    case 'source':
+      return asset.isExternal === (value === 'external');
+    case 'used':
+      return parseUsedIn(asset.usedIn).some((path) => (
+        matchesPattern(getSitePath(path), value) || matchesPattern(path, value)
+      ));
+    case 'alt':
+      return value === 'missing' ? isMissingAlt(asset) : (asset.alt || '').toLowerCase().includes(value);
+    case 'name':
+      return (asset.name || '').toLowerCase().includes(value);
+    case 'tag':
+      return parseTags(asset.tags).some((tag) => matchesPattern(tag, value));
+    case 'domain': {
+      const domain = getDomain(asset.src);
+      return domain === value || domain.endsWith(`.${value}`);
+    }
+    case 'block':
+      return parseUsage(asset.usage).some((entry) => (entry.block || '').toLowerCase().includes(value));
+    case 'ext':
+      return getExtension(asset.src) === value.replace(/^\./, '');
+    case 'width':
+      return matchesComparison(Number(asset.width), comparison);
+    case 'height':
+      return matchesComparison(Number(asset.height), comparison);
+    case 'size':
+      return matchesComparison(Number(asset.fileSize), comparison);
+    default:
+      return true;
+  }
+}
+
+function matchesTerm(asset, value) {
+  return (asset.name || '').toLowerCase().includes(value)
+    || (asset.alt || '').toLowerCase().includes(value)
+    || (asset.src || '').toLowerCase().includes(value)
+    || parseTags(asset.tags).some((tag) => tag.includes(value))
+    || parseUsage(asset.usage).some((entry) => entry.block && entry.block.includes(value));
+}
+
+/**
+ * Whether an asset satisfies every filter and term of a parsed query
+ */
+function matchesSearchQuery(asset, query) {
+  return query.filters.every((filter) => matchesFilter(asset, filter) !== filter.negate)
+    && query.terms.every((term) => matchesTerm(asset, term.value) !== term.negate);
+}
+
+function countValues(assets, getValues) {
+  const counts = new Map();
+  assets.forEach((asset) => {
+    new Set(getValues(asset)).forEach((value) => {
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).map(([value]) => value);
+}
+
+/**
+ * Values found in the library for a field, most common first
+ */
+function getFieldValues(field, assets) {
+  switch (field) {
+    case 'domain':
+      return countValues(assets, (asset) => [getDomain(asset.src)]);
+    case 'ext':
+      return countValues(assets, (asset) => [getExtension(asset.src)]);
+    case 'block':
+      return countValues(assets, (asset) => parseUsage(asset.usage).map((entry) => entry.block));
+    case 'tag':
+      return countValues(assets, (asset) => parseTags(asset.tags));
+    case 'used':
+      // Folders of the pages, as patterns covering everything below them
+      return countValues(assets, (asset) => parseUsedIn(asset.usedIn).flatMap((path) => {
+        const folders = getSitePath(path).split('/').slice(1, -1);
+        return folders.map((folder, index) => `/${folders.slice(0, index + 1).join('/')}/*`);
+      }));
+    default:
+      return SEARCH_FIELDS[field]?.values || [];
+  }
+}
+
+/**
+ * Completions for the word at the caret: field names, or values of the typed field.
+ * Returns { start, end, suggestions: [{ text, label, description }] }.
+ */
+function getSearchSuggestions(text, caret, assets, limit = 8) {
+  const start = text.lastIndexOf(' ', caret - 1) + 1;
+  const endIndex = text.indexOf(' ', caret);
+  const end = endIndex === -1 ? text.length : endIndex;
+  const word = text.slice(start, end);
+  const prefix = word.startsWith('-') ? '-' : '';
+  const body = word.slice(prefix.length).toLowerCase();
+  const separator = body.indexOf(':');
+
+  let suggestions;
+  if (separator === -1) {
+    suggestions = Object.entries(SEARCH_FIELDS)
+      .filter(([field]) => body && field.startsWith(body))
+      .map(([field, { description }]) => ({ text: `${prefix}${field}:`, label: `${field}:`, description }));
+  } else {
+    const field = body.slice(0, separator);
+    const typed = body.slice(separator + 1);
+    suggestions = SEARCH_FIELDS[field]
+      ? getFieldValues(field, assets)
+        .filter((value) => value.toLowerCase().includes(typed) && value.toLowerCase() !== typed)
+        .map((value) => ({ text: `${prefix}${field}:${value}`, label: value, description: '' }))
+      : [];
+  }
+  return { start, end, suggestions: suggestions.slice(0, limit) };
+}
+
+export {
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  matchesSearchQuery,
+  getSearchSuggestions,
+};
@@ -448,7 +448,7 @@ function createSelectiveRescan() {
     });
 
     // Extract videos
-    const videos = doc.querySelectorAll('video[src], source[src]');
+    const videos = doc.querySelectorAll('video[src], video source[src]');
     videos.forEach((video) => {
       assets.push({
         src: video.src,
@@ -459,6 +459,18 @@ function createSelectiveRescan() {
       });
     });
 
+    // Extract audio
+    const audios = doc.querySelectorAll('audio[src], audio source[src]');
+    audios.forEach((audio) => {
+      assets.push({
+        src: audio.src,
+        type: 'audio',
+        title: audio.title || '',
+        context: getElementContext(audio),
+        documentPath,
+      });
+    });
+
     // Extract other media
     const links = doc.querySelectorAll('a[href]');
     links.forEach((link) => {
@@ -496,6 +508,7 @@ function createSelectiveRescan() {
     const mediaExtensions = [
       'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp',
       'mp4', 'webm', 'ogg', 'avi', 'mov', 'wmv',
+      'mp3', 'wav', 'm4a', 'oga', 'opus', 'aac', 'flac',
       'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
     ];
 
@@ -510,7 +523,11 @@ function createSelectiveRescan() {
       return 'image';
     }
 
-    if (['mp4', 'webm', 'ogg', 'avi', 'mov', 'wmv'].includes(extension)) {
+    if (['mp3', 'wav', 'm4a', 'ogg', 'oga', 'opus', 'aac', 'flac'].includes(extension)) {
+      return 'audio';
+    }
+
+    if (['mp4', 'webm', 'avi', 'mov', 'wmv'].includes(extension)) {
       return 'video';
     }
 
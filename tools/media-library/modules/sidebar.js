@@ -1,10 +1,13 @@
 // tools/media-library/modules/sidebar.js
 // Unified sidebar count update logic for Media Library
 
+import { findDuplicateGroups } from './duplicates.js';
+
 function updateSidebarCounts(assets, currentPage) {
   // All Assets breakdown
   const imageCount = assets.filter((a) => a.type === 'image').length;
   const videoCount = assets.filter((a) => a.type === 'video').length;
+  const audioCount = assets.filter((a) => a.type === 'audio').length;
   const documentCount = assets.filter((a) => a.type === 'document').length;
   const internalCount = assets.filter((a) => a.isExternal === false).length;
   const externalCount = assets.filter((a) => a.isExternal === true).length;
@@ -23,8 +26,10 @@ function updateSidebarCounts(assets, currentPage) {
   setCount('externalCount', externalCount);
   setCount('imageCount', imageCount);
   setCount('videoCount', videoCount);
+  setCount('audioCount', audioCount);
   setCount('documentCount', documentCount);
   setCount('missingAltCount', missingAltCount);
+  setCount('duplicateCount', findDuplicateGroups(assets).length);
 
   // Used on This Page breakdown
   let usedOnPageCount = '-';
@@ -0,0 +1,127 @@
+// tools/media-library/modules/tag-assets-modal.js
+// Add and remove tags on a set of selected assets
+
+import { parseTags } from './media-processor.js';
+import { showToast, showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+
+let currentTagPopup = null;
+
+/**
+ * Tags of the assets with the number of assets carrying each, most common first
+ */
+function countTags(assets) {
+  const counts = new Map();
+  assets.forEach((asset) => {
+    parseTags(asset.tags).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+function buildTagsHTML(tagCounts, removed) {
+  if (tagCounts.length === 0) {
+    return '<div class="page-diff-note">The selected assets have no tags</div>';
+  }
+  return tagCounts.map(([tag, count]) => {
+    const isRemoved = removed.has(tag);
+    return `
+      <span class="asset-tag ${isRemoved ? 'removed' : ''}">
+        ${escapeHTML(tag)} <span class="page-diff-note">${count}</span>
+        <button class="asset-tag-remove" data-tag="${escapeHTML(tag)}"
+          aria-label="${isRemoved ? 'Keep' : 'Remove'} tag ${escapeHTML(tag)}">${isRemoved ? '↺' : '×'}</button>
+      </span>
+    `;
+  }).join('');
+}
+
+export function closeTagAssetsModal() {
+  if (currentTagPopup) {
+    currentTagPopup.remove();
+    currentTagPopup = null;
+  }
+}
+
+/**
+ * Show the tag editor for the selected assets.
+ * onSave({ add, remove }) stores the change; the dialog closes once it resolves.
+ */
+export function showTagAssetsModal({ assets, onSave }) {
+  closeTagAssetsModal();
+
+  const tagCounts = countTags(assets);
+  const removed = new Set();
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup tag-assets-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Tag ${assets.length} asset${assets.length !== 1 ? 's' : ''}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="asset-tags"></div>
+    <label class="alt-editor-default">
+      Add tags, separated by commas
+      <input type="text" class="alt-editor-input" data-input="add" placeholder="hero, campaign-2024">
+    </label>
+    <div class="cleanup-status" role="status"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-primary" data-action="save">Save tags</button>
+    </div>
+  `;
+
+  document.body.appendChild(popup);
+  currentTagPopup = popup;
+
+  const tagsEl = popup.querySelector('.asset-tags');
+  const input = popup.querySelector('[data-input="add"]');
+  const statusEl = popup.querySelector('.cleanup-status');
+  const saveBtn = popup.querySelector('[data-action="save"]');
+  let busy = false;
+
+  const renderTags = () => { tagsEl.innerHTML = buildTagsHTML(tagCounts, removed); };
+  renderTags();
+  input.focus();
+
+  const save = async () => {
+    const add = parseTags(input.value);
+    const remove = Array.from(removed).filter((tag) => !add.includes(tag));
+    if (add.length === 0 && remove.length === 0) {
+      statusEl.textContent = 'Enter a tag to add or remove one above';
+      return;
+    }
+
+    busy = true;
+    saveBtn.disabled = true;
+    statusEl.textContent = 'Saving tags...';
+    try {
+      await onSave({ add, remove });
+      showToast(`Updated tags on ${assets.length} asset${assets.length !== 1 ? 's' : ''}`, 'success');
+      closeTagAssetsModal();
+    } catch (error) {
+      statusEl.textContent = '';
+      showError('Failed to save tags', error);
+    } finally {
+      busy = false;
+      saveBtn.disabled = false;
+    }
+  };
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', () => {
+    if (!busy) closeTagAssetsModal();
+  });
+
+  tagsEl.addEventListener('click', (e) => {
+    const button = e.target.closest('.asset-tag-remove');
+    if (!button || busy) return;
+    const { tag } = button.dataset;
+    if (removed.has(tag)) removed.delete(tag);
+    else removed.add(tag);
+    renderTags();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !busy) save();
+  });
+  saveBtn.addEventListener('click', () => {
+    if (!busy) save();
+  });
+}
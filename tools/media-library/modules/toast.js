@@ -1,6 +1,8 @@
 // tools/media-library/modules/toast.js
 // Toast notification system for Media Library
 
+import { escapeHTML } from './utils.js';
+
 /**
  * Show a toast notification
  */
@@ -9,7 +11,7 @@ function showToast(message, type = 'info') {
   toast.className = `toast toast--${type}`;
   toast.innerHTML = `
     <div class="toast__content">
-      <span class="toast__message">${message}</span>
+      <span class="toast__message">${escapeHTML(message)}</span>
       <button class="toast__close" aria-label="Close notification">×</button>
     </div>
   `;
@@ -5,6 +5,7 @@ export function initUIEvents({
   assetBrowser: _assetBrowser,
   handleSearch,
   handleViewChange,
+  handleSortChange,
   handleAssetSelection: _handleAssetSelection,
 }) {
   // Search input
@@ -24,6 +25,14 @@ export function initUIEvents({
     });
   });
 
+  // Sort order
+  const sortSelect = document.getElementById('sortSelect');
+  if (sortSelect) {
+    sortSelect.addEventListener('change', (e) => {
+      handleSortChange(e.target.value);
+    });
+  }
+
   // Asset selection is handled in the main file
   // No need to register duplicate event listeners
 }
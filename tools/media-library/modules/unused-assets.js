@@ -0,0 +1,225 @@
+// tools/media-library/modules/unused-assets.js
+// Unused asset report: media binaries stored in DA that no scanned page references
+
+import { CONTENT_DA_LIVE_BASE } from './sheet-utils.js';
+import { determineAssetType, parseUsedIn } from './media-processor.js';
+import { mapWithConcurrency, downloadBlob } from './utils.js';
+
+const MEDIA_EXTENSIONS = [
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'ico', 'avif',
+  'mp4', 'webm', 'ogv', 'mov', 'avi', 'wmv', 'flv', 'mkv',
+  // Audio; determineAssetType types these, .ogg included, as 'audio'
+  'mp3', 'wav', 'm4a', 'ogg', 'oga', 'opus', 'aac', 'flac',
+  'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+];
+
+const SIZE_LOOKUP_CONCURRENCY = 6;
+
+// Files moved here by the cleanup action are not part of the library
+const TRASH_FOLDER = '/.trash';
+
+const CSV_COLUMNS = ['path', 'name', 'type', 'size', 'lastModified'];
+
+/**
+ * Strip the /org/repo prefix from a DA path
+ */
+function toRepoPath(path, org, repo) {
+  const prefix = `/${org}/${repo}`;
+  return path.startsWith(`${prefix}/`) ? path.slice(prefix.length) : path;
+}
+
+/**
+ * Resolve a src to its repo-relative path with its original case, or '' when it lives outside the repo
+ */
+function resolveRepoPath(src, org, repo) {
+  if (!src) return '';
+
+  let url;
+  try {
+    url = new URL(src, 'https://repo.invalid');
+  } catch (error) {
+    return '';
+  }
+
+  let path;
+  try {
+    path = decodeURIComponent(url.pathname);
+  } catch (error) {
+    path = url.pathname;
+  }
+
+  const host = url.hostname;
+  if (host === 'repo.invalid' || host.includes(`--${repo}--${org}.`)) {
+    return path;
+  }
+  if (host === 'content.da.live' || host === 'admin.da.live') {
+    return toRepoPath(path.replace(/^\/source\//, '/'), org, repo);
+  }
+  return '';
+}
+
+/**
+ * Resolve a referenced src to a lowercase repo-relative path, or '' when it lives outside the repo
+ */
+function resolveReferencePath(src, org, repo) {
+  return resolveRepoPath(src, org, repo).toLowerCase();
+}
+
+/**
+ * Resolve a src to the /org/repo path used by the DA source API, or '' when it lives outside the repo
+ */
+function resolveSourcePath(src, org, repo) {
+  const repoPath = resolveRepoPath(src, org, repo);
+  return repoPath ? `/${org}/${repo}${repoPath}` : '';
+}
+
+/**
+ * Build the set of repo paths referenced by scanned assets.
+ * Rows without pages, such as fresh uploads, do not count as references.
+ */
+function getReferencedPaths(assets, org, repo) {
+  const referenced = new Set();
+  assets.forEach((asset) => {
+    if (parseUsedIn(asset.usedIn).length === 0) return;
+    const path = resolveReferencePath(asset.src, org, repo);
+    if (path) referenced.add(path);
+  });
+  return referenced;
+}
+
+/**
+ * List every media binary under the given DA folders
+ */
+async function listMediaFiles(daApi, roots) {
+  const { org, repo } = daApi.getConfig();
+  const files = new Map();
+  const callback = (file) => {
+    const ext = (file.ext || '').toLowerCase();
+    if (toRepoPath(file.path, org, repo).startsWith(`${TRASH_FOLDER}/`)) return;
+    if (MEDIA_EXTENSIONS.includes(ext) && !files.has(file.path)) {
+      files.set(file.path, file);
+    }
+  };
+
+  for (const root of roots) {
+    await daApi.crawlFiles(root, callback, { throttle: 50 });
+  }
+
+  return Array.from(files.values());
+}
+
+/**
+ * Find media binaries in DA that are not referenced by any scanned page
+ */
+async function findUnusedAssets(daApi, referencedAssets, { roots = ['/'] } = {}) {
+  const { org, repo } = daApi.getConfig();
+  const referenced = getReferencedPaths(referencedAssets, org, repo);
+  const files = await listMediaFiles(daApi, roots);
+
+  const unusedFiles = files.filter((file) => {
+    const repoPath = toRepoPath(file.path, org, repo).toLowerCase();
+    return !referenced.has(repoPath);
+  });
+
+  return mapWithConcurrency(unusedFiles, SIZE_LOOKUP_CONCURRENCY, async (file) => {
+    let { size } = file;
+    if (typeof size !== 'number') {
+      try {
+        ({ size } = await daApi.getFileInfo(file.path));
+      } catch (error) {
+        size = null;
+      }
+    }
+    const repoPath = toRepoPath(file.path, org, repo);
+    return {
+      id: file.path,
+      src: `${CONTENT_DA_LIVE_BASE}${file.path}`,
+      path: repoPath,
+      name: file.name ? `${file.name}.${file.ext}` : repoPath.split('/').pop(),
+      alt: '',
+      type: determineAssetType(repoPath),
+      usedIn: '',
+      isExternal: false,
+      unused: true,
+      size,
+      lastModified: file.lastModified || null,
+    };
+  });
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatFileSize(bytes) {
+  if (typeof bytes !== 'number') return 'Unknown size';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Parse a DA lastModified value (epoch millis or date string)
+ */
+function parseLastModified(lastModified) {
+  if (!lastModified) return null;
+  const numeric = Number(lastModified);
+  const date = new Date(Number.isNaN(numeric) ? lastModified : numeric);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a DA lastModified value for display
+ */
+function formatLastModified(lastModified) {
+  const date = parseLastModified(lastModified);
+  return date ? date.toLocaleDateString() : 'Unknown date';
+}
+
+/**
+ * Escape a value for a CSV cell
+ */
+function escapeCsvValue(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV report of unused assets
+ */
+function buildUnusedAssetsCsv(unusedAssets) {
+  const rows = unusedAssets.map((asset) => CSV_COLUMNS.map((column) => {
+    if (column === 'lastModified') {
+      const date = parseLastModified(asset.lastModified);
+      return escapeCsvValue(date ? date.toISOString() : asset.lastModified);
+    }
+    return escapeCsvValue(asset[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Download the unused asset report as a CSV file
+ */
+function downloadUnusedAssetsCsv(unusedAssets, fileName = 'unused-assets.csv') {
+  downloadBlob(new Blob([buildUnusedAssetsCsv(unusedAssets)], { type: 'text/csv' }), fileName);
+}
+
+export {
+  MEDIA_EXTENSIONS,
+  TRASH_FOLDER,
+  findUnusedAssets,
+  getReferencedPaths,
+  resolveReferencePath,
+  resolveSourcePath,
+  toRepoPath,
+  formatFileSize,
+  formatLastModified,
+  buildUnusedAssetsCsv,
+  downloadUnusedAssetsCsv,
+};
@@ -0,0 +1,197 @@
+// tools/media-library/modules/upload-panel.js
+// Drag-and-drop upload panel with duplicate detection
+
+import { determineAssetType } from './media-processor.js';
+import { MEDIA_EXTENSIONS } from './unused-assets.js';
+import { escapeHTML } from './utils.js';
+import { showToast, showError } from './toast.js';
+
+/**
+ * Folders that already hold DA media, for the folder suggestions
+ */
+function getMediaFolders(assets, org, repo) {
+  const prefix = `/${org}/${repo}`;
+  const folders = new Set();
+  assets.forEach((asset) => {
+    try {
+      const url = new URL(asset.src);
+      if (url.hostname !== 'content.da.live' || !url.pathname.startsWith(`${prefix}/`)) return;
+      const path = url.pathname.slice(prefix.length);
+      folders.add(path.slice(0, path.lastIndexOf('/')) || '/');
+    } catch (error) {
+      // Silent error handling: relative and malformed srcs have no folder
+    }
+  });
+  return Array.from(folders).sort();
+}
+
+function toUploadedAsset(file, src) {
+  return {
+    src,
+    name: file.name,
+    alt: '',
+    type: determineAssetType(src),
+    isExternal: false,
+  };
+}
+
+/**
+ * Wire the upload panel in media-library.html.
+ * onUploaded(assets) adds new assets to media.json; insertAssets(assets) inserts them into the document.
+ */
+function initUploadPanel({
+  upload,
+  daApi,
+  getAssets,
+  onUploaded,
+  insertAssets,
+}) {
+  const panel = document.getElementById('uploadPanel');
+  const toggleBtn = document.getElementById('uploadBtn');
+  const dropZone = document.getElementById('uploadDropZone');
+  const fileInput = document.getElementById('uploadFileInput');
+  const folderInput = document.getElementById('uploadFolder');
+  const folderOptions = document.getElementById('uploadFolderOptions');
+  const insertCheckbox = document.getElementById('uploadInsert');
+  const queue = document.getElementById('uploadQueue');
+  const mainContent = document.querySelector('.main-content');
+  if (!panel || !dropZone || !fileInput) return;
+
+  const showPanel = () => {
+    const { org, repo } = daApi.getConfig();
+    folderOptions.innerHTML = getMediaFolders(getAssets(), org, repo)
+      .map((folder) => `<option value="${escapeHTML(folder)}"></option>`).join('');
+    panel.hidden = false;
+    toggleBtn?.setAttribute('aria-pressed', 'true');
+  };
+
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const addQueueItem = (file) => {
+    const item = document.createElement('li');
+    item.className = 'upload-queue-item';
+    item.innerHTML = `
+      <span class="upload-queue-name">${escapeHTML(file.name)}</span>
+      <span class="upload-queue-status">Waiting...</span>
+      <span class="upload-queue-actions"></span>
+    `;
+    queue.prepend(item);
+    return {
+      setStatus: (text, type = '') => {
+        item.querySelector('.upload-queue-status').textContent = text;
+        item.dataset.status = type;
+      },
+      setActions: (html) => { item.querySelector('.upload-queue-actions').innerHTML = html; },
+      element: item,
+    };
+  };
+
+  const finishBatch = async (assets) => {
+    if (assets.length === 0) return;
+    await onUploaded(assets);
+    if (insertCheckbox?.checked) await insertAssets(assets);
+  };
+
+  const uploadOne = async (file, entry, hash = null) => {
+    entry.setStatus('Uploading...');
+    entry.setActions('');
+    const { path, src } = await upload.uploadFile(file, folderInput.value, hash);
+    entry.setStatus(`Uploaded to ${path}`, 'done');
+    return toUploadedAsset(file, src);
+  };
+
+  const showDuplicate = (file, entry, hash, duplicate) => {
+    entry.setStatus(`Same content as ${duplicate.path}`, 'duplicate');
+    entry.setActions(`
+      <button class="page-action-btn" data-action="use-existing">Use existing</button>
+      <button class="page-action-btn" data-action="upload-anyway">Upload anyway</button>
+    `);
+    entry.element.querySelector('[data-action="use-existing"]').addEventListener('click', async () => {
+      entry.setActions('');
+      entry.setStatus(`Using ${duplicate.path}`, 'done');
+      if (insertCheckbox?.checked) await insertAssets([toUploadedAsset(file, duplicate.src)]);
+    });
+    entry.element.querySelector('[data-action="upload-anyway"]').addEventListener('click', async () => {
+      try {
+        await finishBatch([await uploadOne(file, entry, hash)]);
+      } catch (error) {
+        entry.setStatus(`Failed: ${error.message}`, 'error');
+      }
+    });
+  };
+
+  const handleFiles = async (files) => {
+    const uploaded = [];
+    let duplicates = 0;
+
+    for (const file of files) {
+      const entry = addQueueItem(file);
+      const ext = file.name.split('.').pop().toLowerCase();
+      if (!MEDIA_EXTENSIONS.includes(ext)) {
+        entry.setStatus('Unsupported file type', 'error');
+        continue;
+      }
+      try {
+        entry.setStatus('Checking for duplicates...');
+        const { hash, duplicate } = await upload.findDuplicate(file, folderInput.value);
+        if (duplicate) {
+          duplicates++;
+          showDuplicate(file, entry, hash, duplicate);
+        } else {
+          uploaded.push(await uploadOne(file, entry, hash));
+        }
+      } catch (error) {
+        entry.setStatus(`Failed: ${error.message}`, 'error');
+      }
+    }
+
+    try {
+      await finishBatch(uploaded);
+    } catch (error) {
+      showError('Files were uploaded but could not be added to the library', error);
+    }
+    if (uploaded.length > 0) {
+      showToast(`Uploaded ${uploaded.length} file${uploaded.length !== 1 ? 's' : ''}`, 'success');
+    }
+    if (duplicates > 0) showToast(`${duplicates} file${duplicates !== 1 ? 's' : ''} already in DA`, 'info');
+  };
+
+  toggleBtn?.addEventListener('click', () => {
+    if (panel.hidden) {
+      showPanel();
+    } else {
+      panel.hidden = true;
+      toggleBtn.setAttribute('aria-pressed', 'false');
+    }
+  });
+
+  dropZone.addEventListener('click', () => fileInput.click());
+  dropZone.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      fileInput.click();
+    }
+  });
+  fileInput.addEventListener('change', () => {
+    handleFiles(Array.from(fileInput.files));
+    fileInput.value = '';
+  });
+
+  // Dragging files anywhere over the library opens the panel
+  mainContent?.addEventListener('dragenter', (e) => {
+    if (hasFiles(e) && panel.hidden) showPanel();
+  });
+  dropZone.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dropZone.classList.add('drag-over');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('drag-over');
+    handleFiles(Array.from(e.dataTransfer.files));
+  });
+}
+
+export { initUploadPanel };
@@ -1,5 +1,8 @@
 // tools/media-library/modules/usage-modal.js
 
+import { parseUsedIn, parseUsage } from './media-processor.js';
+import { escapeHTML } from './utils.js';
+
 let currentUsagePopup = null;
 
 function buildPreviewUrlFromPath(pagePath) {
@@ -24,6 +27,21 @@ function buildLiveUrlFromPath(pagePath) {
   return `https://main--${repo}--${org}.aem.live${rest}`;
 }
 
+// The block name is read from page HTML, so it is escaped like any page content
+function formatBlock(entry) {
+  return entry?.block ? escapeHTML(entry.block) : 'Default content';
+}
+
+function formatSection(entry) {
+  return Number.isInteger(entry?.section) ? `Section ${entry.section + 1}` : '—';
+}
+
+function formatPosition(entry) {
+  if (!Number.isInteger(entry?.row)) return '—';
+  const row = `Row ${entry.row + 1}`;
+  return Number.isInteger(entry.column) ? `${row}, Column ${entry.column + 1}` : row;
+}
+
 export function showUsageInfo(asset, triggerElement) {
   const existingPopup = document.querySelector('.usage-info-popup');
   if (existingPopup) {
@@ -34,10 +52,8 @@ export function showUsageInfo(asset, triggerElement) {
   const popup = document.createElement('div');
   popup.className = 'usage-info-popup';
 
-  // Always parse usedIn as a comma-delimited string of paths
-  const usedInPages = asset.usedIn
-    ? asset.usedIn.split(',').map((p) => p.trim()).filter(Boolean)
-    : [];
+  const usedInPages = parseUsedIn(asset.usedIn);
+  const usage = parseUsage(asset.usage);
 
   let pagesHtml = '';
   if (usedInPages.length === 0) {
@@ -49,26 +65,30 @@ export function showUsageInfo(asset, triggerElement) {
           <thead>
             <tr>
               <th>Path</th>
+              <th>Block</th>
+              <th>Section</th>
+              <th>Position</th>
               <th>Preview URL</th>
               <th>Live URL</th>
             </tr>
           </thead>
           <tbody>
             ${usedInPages.map((pagePath) => {
-    let displayPath = pagePath;
-    if (displayPath.includes('index.html')) {
-      displayPath = '/';
-    }
     const previewUrl = buildPreviewUrlFromPath(pagePath);
     const liveUrl = buildLiveUrlFromPath(pagePath);
     const editUrl = `https://da.live/edit#${pagePath}`;
-    return `
+    const pageUsage = usage.filter((entry) => entry.page === pagePath);
+    const entries = pageUsage.length > 0 ? pageUsage : [null];
+    return entries.map((entry) => `
       <tr>
-        <td><a href="${editUrl}" target="_blank" rel="noopener">${editUrl}</a></td>
-        <td><a href="${previewUrl}" target="_blank" rel="noopener">${previewUrl}</a></td>
-        <td><a href="${liveUrl}" target="_blank" rel="noopener">${liveUrl}</a></td>
+        <td><a href="${escapeHTML(editUrl)}" target="_blank" rel="noopener">${escapeHTML(editUrl)}</a></td>
+        <td class="usage-location">${entry ? formatBlock(entry) : '—'}</td>
+        <td class="usage-location">${formatSection(entry)}</td>
+        <td class="usage-location">${formatPosition(entry)}</td>
+        <td><a href="${escapeHTML(previewUrl)}" target="_blank" rel="noopener">${escapeHTML(previewUrl)}</a></td>
+        <td><a href="${escapeHTML(liveUrl)}" target="_blank" rel="noopener">${escapeHTML(liveUrl)}</a></td>
       </tr>
-    `;
+    `).join('');
   }).join('')}
           </tbody>
         </table>
@@ -49,6 +49,63 @@ function createUtils() {
 
 export { createUtils };
 
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, () => runNext());
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Escape text for use in HTML content and double-quoted attributes
+ */
+export function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * User id from the payload of the IMS access token, or null when it cannot be read
+ */
+export function getUserId(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(payload));
+    return claims.user_id || claims.sub || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 export function getOrgRepo(context) {
   if (context?.org && context?.repo) {
     return { org: context.org, repo: context.repo };
@@ -0,0 +1,106 @@
+// tools/media-library/modules/video-insert-modal.js
+// Form for inserting a video as a video or embed block, with its poster and playback
+
+import { VIDEO_BLOCKS } from './media-insert.js';
+import { formatDuration, getVideoSource } from './video-sources.js';
+import { showError } from './toast.js';
+import { escapeHTML } from './utils.js';
+
+const PROVIDER_LABELS = { youtube: 'YouTube', vimeo: 'Vimeo', file: 'Video file' };
+
+let currentVideoPopup = null;
+
+function buildBlockOptionsHTML(provider) {
+  // Hosted players go in an embed block unless the author picks the video block
+  const selected = VIDEO_BLOCKS.embed.providers.includes(provider) ? 'embed' : 'video';
+  return Object.entries(VIDEO_BLOCKS).map(([name, block]) => {
+    const unsupported = block.providers && !block.providers.includes(provider);
+    return `
+      <label class="block-insert-option ${unsupported ? 'disabled' : ''}">
+        <input type="radio" name="videoInsertBlock" value="${name}"
+          ${name === selected ? 'checked' : ''} ${unsupported ? 'disabled' : ''}>
+        <strong>${block.label}</strong>
+        <span class="page-diff-note">${unsupported ? 'YouTube and Vimeo only' : block.description}</span>
+      </label>
+    `;
+  }).join('');
+}
+
+export function closeVideoInsertModal() {
+  if (currentVideoPopup) {
+    currentVideoPopup.remove();
+    currentVideoPopup = null;
+  }
+}
+
+/**
+ * Show the video form. onInsert({ block, poster, background }) inserts the block.
+ */
+export function showVideoInsertModal({ asset, onInsert }) {
+  closeVideoInsertModal();
+
+  const source = getVideoSource(asset.src);
+  const duration = formatDuration(asset.duration);
+  const details = [PROVIDER_LABELS[source?.provider] || 'Video', duration].filter(Boolean).join(' · ');
+
+  const popup = document.createElement('div');
+  popup.className = 'usage-info-popup block-insert-popup video-insert-popup';
+  popup.innerHTML = `
+    <div class="usage-info-header">
+      <strong>Insert ${escapeHTML(asset.name || 'video')}</strong>
+      <button class="usage-close-btn" aria-label="Close">×</button>
+    </div>
+    <div class="video-insert-summary">
+      ${asset.poster ? `<img src="${escapeHTML(asset.poster)}" alt="" class="asset-thumbnail-small">` : ''}
+      <span class="page-diff-note">${escapeHTML(details)}</span>
+    </div>
+    <div class="block-insert-options" role="radiogroup" aria-label="Block">
+      ${buildBlockOptionsHTML(source?.provider)}
+    </div>
+    <label class="video-insert-toggle">
+      <input type="checkbox" data-input="poster" ${asset.poster ? 'checked' : 'disabled'}>
+      ${asset.poster ? 'Show the poster until the video plays' : 'No poster found for this video'}
+    </label>
+    <label class="video-insert-toggle" data-option="background">
+      <input type="checkbox" data-input="background">
+      Autoplay as a muted, looping background
+    </label>
+    <div class="cleanup-status" role="status"></div>
+    <div class="cleanup-actions">
+      <button class="btn btn-primary" data-action="insert">Insert video</button>
+    </div>
+  `;
+
+  document.body.appendChild(popup);
+  currentVideoPopup = popup;
+
+  const posterInput = popup.querySelector('[data-input="poster"]');
+  const backgroundOption = popup.querySelector('[data-option="background"]');
+  const backgroundInput = popup.querySelector('[data-input="background"]');
+  const insertBtn = popup.querySelector('[data-action="insert"]');
+
+  const getBlock = () => popup.querySelector('input[name="videoInsertBlock"]:checked')?.value;
+  // Only the video block has a background mode; the embed block always waits for the player
+  const updateBackground = () => { backgroundOption.hidden = getBlock() !== 'video'; };
+  updateBackground();
+
+  popup.querySelector('.usage-close-btn').addEventListener('click', closeVideoInsertModal);
+  popup.querySelector('.block-insert-options').addEventListener('change', updateBackground);
+
+  insertBtn.addEventListener('click', async () => {
+    const block = getBlock();
+    insertBtn.disabled = true;
+    try {
+      await onInsert({
+        block,
+        poster: posterInput.checked,
+        background: block === 'video' && backgroundInput.checked,
+      });
+      closeVideoInsertModal();
+    } catch (error) {
+      showError('Failed to insert video', error);
+    } finally {
+      insertBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,58 @@
+// tools/media-library/modules/video-sources.js
+// Recognize YouTube, Vimeo and hosted video files; also imported by the scan worker
+
+const VIDEO_FILE_PATTERN = /\.(mp4|webm|ogv|mov|m4v)$/i;
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtube-nocookie.com',
+  'www.youtube-nocookie.com', 'youtu.be'];
+const VIMEO_HOSTS = ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'];
+
+/**
+ * Provider and id of a video URL: { provider: 'youtube' | 'vimeo' | 'file', id }, or null
+ */
+function getVideoSource(src) {
+  let url;
+  try {
+    url = new URL(src, 'https://content.da.live');
+  } catch (error) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (YOUTUBE_HOSTS.includes(host)) {
+    let id = url.searchParams.get('v') || '';
+    if (host === 'youtu.be') [id = ''] = parts;
+    else if (['embed', 'shorts', 'live', 'v'].includes(parts[0])) id = parts[1] || '';
+    return /^[\w-]{6,}$/.test(id) ? { provider: 'youtube', id } : null;
+  }
+  if (VIMEO_HOSTS.includes(host)) {
+    const id = parts.find((part) => /^\d+$/.test(part));
+    return id ? { provider: 'vimeo', id } : null;
+  }
+  return VIDEO_FILE_PATTERN.test(url.pathname) ? { provider: 'file', id: '' } : null;
+}
+
+/**
+ * Thumbnail a provider serves for a video without an API call
+ */
+function getProviderPoster(source) {
+  return source?.provider === 'youtube' ? `https://i.ytimg.com/vi/${source.id}/hqdefault.jpg` : '';
+}
+
+/**
+ * Duration in seconds as m:ss or h:mm:ss
+ */
+function formatDuration(seconds) {
+  const total = Math.round(Number(seconds));
+  if (!Number.isFinite(total) || total <= 0) return '';
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+export {
+  getVideoSource,
+  getProviderPoster,
+  formatDuration,
+};
@@ -0,0 +1,214 @@
+// tools/media-library/modules/virtual-grid.js
+// Windowed rendering: only the rows near the viewport have DOM nodes
+
+const OVERSCAN_ROWS = 3;
+const ESTIMATED_ROW_HEIGHT = 300;
+const THUMBNAIL_ROOT_MARGIN = '300px';
+
+/**
+ * Create a virtual grid inside `container`, scrolled by `scrollContainer`.
+ * Works for CSS grid and block (list) layouts: the column count is read from
+ * grid-template-columns and skipped rows are replaced by full-width spacers.
+ * Images rendered with data-src get their src when they come near the viewport.
+ */
+function createVirtualGrid({
+  container,
+  scrollContainer,
+  renderItem,
+  renderHeader = null,
+  getKey,
+}) {
+  const state = {
+    items: [],
+    elements: new Map(),
+    range: null,
+    rowHeight: ESTIMATED_ROW_HEIGHT,
+    columns: 1,
+    frame: null,
+    thumbnailObserver: null,
+  };
+
+  function getColumnCount() {
+    const columns = getComputedStyle(container).gridTemplateColumns;
+    if (!columns || columns === 'none') return 1;
+    return Math.max(1, columns.split(' ').filter(Boolean).length);
+  }
+
+  function getRowGap() {
+    return parseFloat(getComputedStyle(container).rowGap) || 0;
+  }
+
+  function getHeaderHeight() {
+    const header = container.querySelector('.list-header');
+    return header ? header.offsetHeight : 0;
+  }
+
+  /**
+   * Distance from the first row to the top edge of the viewport
+   */
+  function getViewportTop() {
+    const scrollRect = scrollContainer.getBoundingClientRect();
+    const containerRect = container.getBoundingClientRect();
+    return Math.max(0, scrollRect.top - containerRect.top - getHeaderHeight());
+  }
+
+  function loadThumbnail(img) {
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+  }
+
+  function observeThumbnails(element) {
+    element.querySelectorAll('img[data-src]').forEach((img) => {
+      if (state.thumbnailObserver) state.thumbnailObserver.observe(img);
+      else loadThumbnail(img);
+    });
+  }
+
+  function unobserveThumbnails(element) {
+    if (!state.thumbnailObserver) return;
+    element.querySelectorAll('img[data-src]').forEach((img) => state.thumbnailObserver.unobserve(img));
+  }
+
+  function createSpacer(rows) {
+    const spacer = document.createElement('div');
+    spacer.className = 'virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    // In a grid the spacer spans the skipped rows, so equal-height rows stay equal;
+    // in a list its height alone stands in for them
+    spacer.style.gridColumn = '1 / -1';
+    spacer.style.gridRow = `span ${rows}`;
+    spacer.style.height = `${Math.max(0, rows * state.rowHeight - getRowGap())}px`;
+    return spacer;
+  }
+
+  /**
+   * Row pitch measured from the rendered items
+   */
+  function measureRowHeight() {
+    const rendered = Array.from(state.elements.values());
+    if (rendered.length === 0) return state.rowHeight;
+    const first = rendered[0];
+    // Hidden while another view is shown
+    if (first.offsetHeight === 0) return state.rowHeight;
+    const nextRow = rendered[state.columns];
+    if (nextRow && nextRow.offsetTop > first.offsetTop) return nextRow.offsetTop - first.offsetTop;
+    return first.offsetHeight + getRowGap();
+  }
+
+  function render(force = false) {
+    state.columns = getColumnCount();
+    const totalRows = Math.ceil(state.items.length / state.columns);
+    const viewportTop = getViewportTop();
+    const viewportBottom = viewportTop + scrollContainer.clientHeight;
+    const firstRow = Math.max(0, Math.floor(viewportTop / state.rowHeight) - OVERSCAN_ROWS);
+    const lastRow = Math.min(totalRows, Math.ceil(viewportBottom / state.rowHeight) + OVERSCAN_ROWS);
+    const start = firstRow * state.columns;
+    const end = Math.min(state.items.length, lastRow * state.columns);
+
+    if (!force && state.range && state.range.start === start && state.range.end === end
+      && state.range.columns === state.columns) return;
+    state.range = { start, end, columns: state.columns };
+
+    // Keep nodes that stay in the window so their images do not reload
+    const previous = state.elements;
+    state.elements = new Map();
+    const fragment = document.createDocumentFragment();
+    const header = renderHeader?.();
+    if (header) fragment.appendChild(header);
+    if (firstRow > 0) fragment.appendChild(createSpacer(firstRow));
+    state.items.slice(start, end).forEach((item) => {
+      const key = getKey(item);
+      let element = previous.get(key);
+      if (!element) {
+        element = renderItem(item);
+        observeThumbnails(element);
+      }
+      state.elements.set(key, element);
+      fragment.appendChild(element);
+    });
+    if (lastRow < totalRows) fragment.appendChild(createSpacer(totalRows - lastRow));
+    container.replaceChildren(fragment);
+    previous.forEach((element, key) => {
+      if (!state.elements.has(key)) unobserveThumbnails(element);
+    });
+
+    const rowHeight = measureRowHeight();
+    if (Math.abs(rowHeight - state.rowHeight) > 1) {
+      state.rowHeight = rowHeight;
+      render(true);
+    }
+  }
+
+  function scheduleRender() {
+    if (state.frame) return;
+    state.frame = requestAnimationFrame(() => {
+      state.frame = null;
+      render();
+    });
+  }
+
+  /**
+   * First item at least partly in view and how far its top is from the viewport top
+   */
+  function findAnchor() {
+    const viewportTop = scrollContainer.getBoundingClientRect().top;
+    const entry = Array.from(state.elements.entries())
+      .find(([, element]) => element.getBoundingClientRect().bottom > viewportTop);
+    if (!entry) return null;
+    return { key: entry[0], offset: entry[1].getBoundingClientRect().top - viewportTop };
+  }
+
+  function scrollToAnchor(anchor) {
+    const index = state.items.findIndex((item) => getKey(item) === anchor.key);
+    if (index === -1) return;
+    const containerTop = container.getBoundingClientRect().top
+      - scrollContainer.getBoundingClientRect().top + scrollContainer.scrollTop;
+    const itemTop = containerTop + getHeaderHeight() + Math.floor(index / state.columns) * state.rowHeight;
+    scrollContainer.scrollTop = Math.max(0, itemTop - anchor.offset);
+  }
+
+  /**
+   * Show a new list of items, also after a layout change such as grid to list.
+   * The first visible item stays in place when it is still listed.
+   */
+  function setItems(items) {
+    const anchor = findAnchor();
+    state.elements.forEach(unobserveThumbnails);
+    state.items = items;
+    state.elements = new Map();
+    render(true);
+    if (anchor) {
+      scrollToAnchor(anchor);
+      render();
+    }
+  }
+
+  if ('IntersectionObserver' in window) {
+    state.thumbnailObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        state.thumbnailObserver.unobserve(entry.target);
+        loadThumbnail(entry.target);
+      });
+    }, { root: scrollContainer, rootMargin: THUMBNAIL_ROOT_MARGIN });
+  }
+
+  // A new width can change the column count and the card height
+  const handleResize = () => {
+    state.range = null;
+    scheduleRender();
+  };
+
+  scrollContainer.addEventListener('scroll', scheduleRender, { passive: true });
+  if ('ResizeObserver' in window) {
+    new ResizeObserver(handleResize).observe(scrollContainer);
+  } else {
+    window.addEventListener('resize', handleResize);
+  }
+
+  return {
+    setItems,
+  };
+}
+
+export { createVirtualGrid };
@@ -0,0 +1,75 @@
+// tools/media-library/modules/zip.js
+// Minimal ZIP writer: stored (uncompressed) entries, enough for already compressed media
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields of a Date
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+function createHeader(size, fields) {
+  const header = new DataView(new ArrayBuffer(size));
+  fields.forEach(([offset, bytes, value]) => {
+    if (bytes === 4) header.setUint32(offset, value, true);
+    else header.setUint16(offset, value, true);
+  });
+  return new Uint8Array(header.buffer);
+}
+
+/**
+ * Build a ZIP archive from files of { name, data: ArrayBuffer | Uint8Array }
+ */
+function createZip(files, modified = new Date()) {
+  const { time, date } = toDosDateTime(modified);
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = new TextEncoder().encode(file.name);
+    const data = file.data instanceof Uint8Array ? file.data : new Uint8Array(file.data);
+    const crc = crc32(data);
+    // Version 20, UTF-8 names (flag bit 11), stored
+    const common = [[4, 2, 20], [6, 2, 0x0800], [8, 2, 0], [10, 2, time], [12, 2, date],
+      [14, 4, crc], [18, 4, data.length], [22, 4, data.length], [26, 2, name.length]];
+
+    const localHeader = createHeader(30, [[0, 4, 0x04034B50], ...common]);
+    parts.push(localHeader, name, data);
+
+    centralDirectory.push(createHeader(46, [
+      [0, 4, 0x02014B50], [4, 2, 20], ...common.map(([at, bytes, value]) => [at + 2, bytes, value]),
+      [42, 4, offset],
+    ]), name);
+    offset += localHeader.length + name.length + data.length;
+  });
+
+  const directorySize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+  const end = createHeader(22, [
+    [0, 4, 0x06054B50], [8, 2, files.length], [10, 2, files.length],
+    [12, 4, directorySize], [16, 4, offset],
+  ]);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+export { createZip };
@@ -0,0 +1,47 @@
+/**
+ * Audit Log - Sends changes the library makes to its own DA files to the media API's audit log
+ * The API records who made them from the DA token
+ */
+
+const MEDIA_API_BASE = 'https://da-media-library.adobeaem.workers.dev';
+// Changes the audit endpoint accepts per request
+const MAX_CHANGES_PER_REQUEST = 500;
+
+function createAuditLog(daApi) {
+  const state = {
+    daApi,
+  };
+
+  function getEndpoint() {
+    return `${window.DA_MEDIA_API_OVERRIDE || MEDIA_API_BASE}/api/audit`;
+  }
+
+  /**
+   * Record one action: changes is [{ key, before, after }], keyed by DA path
+   */
+  async function record(action, changes) {
+    const { org, repo, token } = state.daApi.getConfig();
+    if (!token || changes.length === 0) return;
+
+    try {
+      for (let i = 0; i < changes.length; i += MAX_CHANGES_PER_REQUEST) {
+        await fetch(getEndpoint(), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            'X-DA-Org': org,
+            'X-DA-Site': repo,
+          },
+          body: JSON.stringify({ action, changes: changes.slice(i, i + MAX_CHANGES_PER_REQUEST) }),
+        });
+      }
+    } catch (error) {
+      // Silent error handling: the change is saved whether or not it could be logged
+    }
+  }
+
+  return { record };
+}
+
+export { createAuditLog };
@@ -24,8 +24,12 @@ function createDAApiService() {
     init,
     listPath,
     getSource,
+    getBinary,
     saveFile,
     deleteFile,
+    copyFile,
+    getFileInfo,
+    fileExists,
     getConfig,
 
     crawlFiles,
@@ -83,6 +87,11 @@ function createDAApiService() {
       headers: { ...defaultOptions.headers, ...options.headers },
     };
 
+    // Let fetch set the multipart boundary for form uploads
+    if (requestOptions.body instanceof FormData) {
+      delete requestOptions.headers['Content-Type'];
+    }
+
     for (let attempt = 0; attempt < state.maxRetries; attempt++) {
       try {
         const response = await fetch(url, requestOptions);
@@ -160,6 +169,14 @@ function createDAApiService() {
     return await response.text();
   }
 
+  async function getBinary(path) {
+    // Use path as-is - it's the unique identifier
+    const url = `${state.baseUrl}/source${path}`;
+
+    const response = await makeRequest(url);
+    return await response.arrayBuffer();
+  }
+
   async function saveFile(path, content, contentType = 'application/json') {
     // Use path as-is - it's the unique identifier
     const url = `${state.baseUrl}/source${path}`;
@@ -196,6 +213,51 @@ function createDAApiService() {
     return response.ok;
   }
 
+  async function copyFile(path, destination) {
+    // Both paths include org/repo, as returned by list and crawl
+    const url = `${state.baseUrl}/copy${path}`;
+
+    const formData = new FormData();
+    formData.append('destination', destination);
+
+    const response = await makeRequest(url, {
+      method: 'POST',
+      body: formData,
+    });
+
+    return response.ok;
+  }
+
+  async function getFileInfo(path) {
+    // Use path as-is - it's the unique identifier
+    const url = `${state.baseUrl}/source${path}`;
+
+    const response = await makeRequest(url, {
+      method: 'HEAD',
+    });
+
+    const contentLength = response.headers.get('content-length');
+    return {
+      size: contentLength ? parseInt(contentLength, 10) : null,
+      contentType: response.headers.get('content-type') || '',
+      lastModified: response.headers.get('last-modified') || null,
+    };
+  }
+
+  async function fileExists(path) {
+    // Single request: makeRequest would retry the expected 404
+    await enforceRateLimit();
+    const response = await fetch(`${state.baseUrl}/source${path}`, {
+      method: 'HEAD',
+      headers: { 'Authorization': `Bearer ${state.token}` },
+    });
+    if (response.status === 404) return false;
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return true;
+  }
+
   function getConfig() {
     return {
       baseUrl: state.baseUrl,
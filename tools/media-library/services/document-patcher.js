@@ -0,0 +1,263 @@
+/**
+ * Document Patcher - Rewrites asset references inside DA page sources
+ * Builds a per-page preview first and only saves pages that did not change since
+ */
+
+import { parseUsedIn } from '../modules/media-processor.js';
+import { resolveReferencePath } from '../modules/unused-assets.js';
+import { mapWithConcurrency } from '../modules/utils.js';
+import { tokenizeHTML } from '../modules/html-tokenizer.js';
+
+const PAGE_FETCH_CONCURRENCY = 4;
+// Lazy loaded images keep their source in data-src and data-srcset
+const IMAGE_SOURCE_ATTRIBUTES = ['src', 'srcset', 'data-src', 'data-srcset'];
+
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Read an attribute from a single start tag, or null when it is not set
+ */
+function getAttribute(tag, name) {
+  const [token] = tokenizeHTML(tag);
+  if (token?.type !== 'startTag') return null;
+  return token.attrs[name] ?? null;
+}
+
+/**
+ * Set an attribute on a single start tag, keeping every other attribute as written
+ */
+function setAttribute(tag, name, value) {
+  const [token] = tokenizeHTML(tag);
+  const quoted = `"${escapeAttribute(value)}"`;
+  const span = token?.type === 'startTag' ? token.attrSpans[name] : null;
+
+  if (!span) {
+    const closing = token?.selfClosing ? '/>' : '>';
+    const insertAt = tag.endsWith(closing) ? tag.length - closing.length : tag.length;
+    return `${tag.slice(0, insertAt).trimEnd()} ${name}=${quoted}${tag.slice(insertAt)}`;
+  }
+  if (span.valueStart === null) {
+    return `${tag.slice(0, span.nameEnd)}=${quoted}${tag.slice(span.nameEnd)}`;
+  }
+  const start = span.quoted ? span.valueStart - 1 : span.valueStart;
+  const end = span.quoted ? span.valueEnd + 1 : span.valueEnd;
+  return `${tag.slice(0, start)}${quoted}${tag.slice(end)}`;
+}
+
+/**
+ * Rewrite the start tags of the named elements, leaving the rest of the source as written.
+ * patchTag gets the tag source and its decoded attributes and returns the new tag.
+ */
+function patchStartTags(html, names, patchTag) {
+  const changes = [];
+  let patched = '';
+  let pos = 0;
+
+  tokenizeHTML(html).forEach((token) => {
+    if (token.type !== 'startTag' || !names.includes(token.name)) return;
+    const tag = html.slice(token.start, token.end);
+    const updated = patchTag(tag, token.attrs);
+    if (updated === tag) return;
+    patched += html.slice(pos, token.start) + updated;
+    pos = token.end;
+    changes.push({ before: tag, after: updated });
+  });
+
+  return { html: patched + html.slice(pos), changes };
+}
+
+/**
+ * Key used to decide whether two srcs point at the same asset
+ */
+function getReferenceKey(src, org, repo) {
+  if (!src) return '';
+  return resolveReferencePath(src, org, repo) || src.split('?')[0];
+}
+
+/**
+ * Set the alt text of every img that shows the given asset
+ */
+function setImageAlt(html, assetSrc, alt, org, repo) {
+  const key = getReferenceKey(assetSrc, org, repo);
+
+  return patchStartTags(html, ['img'], (tag, attrs) => {
+    if (getReferenceKey(attrs.src || attrs['data-src'], org, repo) !== key) return tag;
+    if ((attrs.alt ?? '') === alt) return tag;
+    return setAttribute(tag, 'alt', alt);
+  });
+}
+
+/**
+ * Point a single URL at the new asset when it references the old one, keeping its query
+ */
+function replaceReferenceUrl(url, key, newSrc, org, repo) {
+  if (getReferenceKey(url, org, repo) !== key) return url;
+  if (newSrc.includes('?') || !url.includes('?')) return newSrc;
+  return `${newSrc}${url.slice(url.indexOf('?'))}`;
+}
+
+/**
+ * Replace matching candidates of a srcset, keeping their width and density descriptors
+ */
+function replaceSrcset(srcset, key, newSrc, org, repo) {
+  let replacedAny = false;
+  const replaced = srcset.split(',').map((candidate) => {
+    const [url, ...descriptors] = candidate.trim().split(/\s+/);
+    const newUrl = replaceReferenceUrl(url, key, newSrc, org, repo);
+    if (newUrl !== url) replacedAny = true;
+    return [newUrl, ...descriptors].join(' ');
+  }).join(', ');
+  return replacedAny ? replaced : srcset;
+}
+
+/**
+ * Point every img and picture source that shows the old asset at the new one.
+ * Only the source attributes are touched, so alt text and block structure stay as they are.
+ */
+function replaceAssetReferences(html, oldSrc, newSrc, org, repo) {
+  const key = getReferenceKey(oldSrc, org, repo);
+
+  return patchStartTags(html, ['img', 'source'], (tag, attrs) => {
+    let updated = tag;
+    IMAGE_SOURCE_ATTRIBUTES.forEach((name) => {
+      const value = attrs[name];
+      if (value === undefined) return;
+      const replaced = name.endsWith('srcset')
+        ? replaceSrcset(value, key, newSrc, org, repo)
+        : replaceReferenceUrl(value, key, newSrc, org, repo);
+      if (replaced !== value) updated = setAttribute(updated, name, replaced);
+    });
+    return updated;
+  });
+}
+
+/**
+ * Undo recorded tag changes, for changes that are still on the page
+ */
+function revertChanges(html, changes) {
+  let reverted = html;
+  const revertedChanges = [];
+  [...changes].reverse().forEach((change) => {
+    if (!reverted.includes(change.after)) return;
+    reverted = reverted.replace(change.after, () => change.before);
+    revertedChanges.push({ before: change.after, after: change.before });
+  });
+  if (changes.length > 0 && revertedChanges.length === 0) {
+    throw new Error('The replaced references are no longer on the page');
+  }
+  return { html: reverted, changes: revertedChanges };
+}
+
+function createDocumentPatcher(daApi) {
+  const state = {
+    daApi,
+  };
+
+  /**
+   * Load each page and compute its patched source without saving anything
+   */
+  async function previewPages(paths, transform) {
+    return mapWithConcurrency(paths, PAGE_FETCH_CONCURRENCY, async (path) => {
+      try {
+        const original = await state.daApi.getSource(path, '');
+        const { html, changes } = transform(original, path);
+        return {
+          path, original, html, changes, error: null,
+        };
+      } catch (error) {
+        return {
+          path, original: null, html: null, changes: [], error,
+        };
+      }
+    });
+  }
+
+  /**
+   * Save previewed pages back to DA. A page edited after its preview is
+   * reported as failed rather than overwritten.
+   */
+  async function applyPreview(previews, onProgress = null) {
+    const changed = [];
+    const unchanged = [];
+    const failed = [];
+    const pending = previews.filter((preview) => !preview.error && preview.changes.length > 0);
+
+    previews.forEach((preview) => {
+      if (preview.error) failed.push({ path: preview.path, error: preview.error });
+      else if (preview.changes.length === 0) unchanged.push(preview.path);
+    });
+
+    for (const preview of pending) {
+      onProgress?.(`Saving ${changed.length + failed.length + 1} of ${pending.length}...`);
+      try {
+        const current = await state.daApi.getSource(preview.path, '');
+        if (current !== preview.original) {
+          throw new Error('Page was edited after the preview');
+        }
+        const blob = new Blob([preview.html], { type: 'text/html' });
+        await state.daApi.saveFile(preview.path, blob, 'text/html');
+        changed.push(preview.path);
+      } catch (error) {
+        failed.push({ path: preview.path, error });
+      }
+    }
+
+    return { changed, unchanged, failed };
+  }
+
+  /**
+   * Preview alt text changes for every page that uses the asset.
+   * overrides maps a page path to the alt text to use on that page only.
+   */
+  async function previewAltText(asset, alt, overrides = {}) {
+    const { org, repo } = state.daApi.getConfig();
+    return previewPages(
+      parseUsedIn(asset.usedIn),
+      (html, path) => setImageAlt(html, asset.src, overrides[path] ?? alt, org, repo),
+    );
+  }
+
+  /**
+   * Preview replacing an asset with another one on every page that uses it
+   */
+  async function previewReplaceAsset(asset, newSrc) {
+    const { org, repo } = state.daApi.getConfig();
+    return previewPages(
+      parseUsedIn(asset.usedIn),
+      (html) => replaceAssetReferences(html, asset.src, newSrc, org, repo),
+    );
+  }
+
+  /**
+   * Preview undoing recorded changes; changesByPage maps a page path to its changes
+   */
+  async function previewRevert(changesByPage) {
+    return previewPages(
+      Object.keys(changesByPage),
+      (html, path) => revertChanges(html, changesByPage[path]),
+    );
+  }
+
+  return {
+    previewPages,
+    applyPreview,
+    previewAltText,
+    previewReplaceAsset,
+    previewRevert,
+  };
+}
+
+export {
+  createDocumentPatcher,
+  getAttribute,
+  setAttribute,
+  setImageAlt,
+  replaceAssetReferences,
+  revertChanges,
+};
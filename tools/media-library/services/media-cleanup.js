@@ -0,0 +1,258 @@
+/**
+ * Media Cleanup - Moves unused media files to a DA trash folder
+ * Re-verifies references before every move and restores batches within a retention window
+ */
+
+import {
+  ADMIN_DA_LIVE_BASE,
+  buildSingleSheet,
+  parseSheet,
+  saveSheetFile,
+  loadSheetFile,
+} from '../modules/sheet-utils.js';
+import { loadMediaSheet } from '../modules/media-processor.js';
+import { TRASH_FOLDER, getReferencedPaths } from '../modules/unused-assets.js';
+import { mapWithConcurrency } from '../modules/utils.js';
+
+const TRASH_SHEET = 'media-trash.json';
+const TRASH_RETENTION_DAYS = 30;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const PAGE_CHECK_CONCURRENCY = 4;
+
+function createMediaCleanup(daApi, stateManager = null) {
+  const state = {
+    daApi,
+    stateManager,
+  };
+
+  function getTrashSheetUrl() {
+    const { org, repo } = state.daApi.getConfig();
+    return `${ADMIN_DA_LIVE_BASE}/source/${org}/${repo}/.da/${TRASH_SHEET}`;
+  }
+
+  /**
+   * Load the trash records, one row per file currently in the trash
+   */
+  async function loadTrashRecords() {
+    const { token } = state.daApi.getConfig();
+    try {
+      const data = await loadSheetFile(getTrashSheetUrl(), token);
+      return parseSheet(data).data.data;
+    } catch (error) {
+      // Silent error handling: no trash sheet until the first cleanup
+      return [];
+    }
+  }
+
+  async function saveTrashRecords(records) {
+    const { token } = state.daApi.getConfig();
+    await saveSheetFile(getTrashSheetUrl(), buildSingleSheet(records), token);
+  }
+
+  /**
+   * Build the dry-run manifest for a set of unused assets; nothing is changed in DA
+   */
+  function createManifest(unusedAssets) {
+    const files = unusedAssets.map((asset) => ({
+      id: asset.id,
+      path: asset.path,
+      name: asset.name,
+      type: asset.type,
+      size: asset.size,
+      lastModified: asset.lastModified,
+    }));
+    const totalSize = files.reduce((sum, file) => sum + (typeof file.size === 'number' ? file.size : 0), 0);
+    return { files, totalSize, createdAt: Date.now() };
+  }
+
+  /**
+   * Check each file against the latest media.json and against the source of every
+   * page changed since its last scan. Throws when references cannot be verified.
+   */
+  async function verifyUnreferenced(files, onProgress = null) {
+    const apiConfig = state.daApi.getConfig();
+    const { org, repo } = apiConfig;
+    const referenced = new Set();
+
+    onProgress?.('Reloading media usage...');
+    const mediaAssets = await loadMediaSheet(apiConfig);
+    getReferencedPaths(mediaAssets, org, repo).forEach((path) => referenced.add(path));
+
+    onProgress?.('Checking pages changed since the last scan...');
+    const documents = await state.daApi.getAllHTMLFiles();
+    const changedDocuments = state.stateManager
+      ? await state.stateManager.getDocumentsToScan(documents)
+      : documents;
+
+    const candidates = files
+      .map((file) => file.path.toLowerCase())
+      .filter((path) => !referenced.has(path));
+
+    await mapWithConcurrency(changedDocuments, PAGE_CHECK_CONCURRENCY, async (doc) => {
+      const html = (await state.daApi.getSource(doc.path, '')).toLowerCase();
+      candidates.forEach((path) => {
+        if (html.includes(path) || html.includes(encodeURI(path))) referenced.add(path);
+      });
+    });
+
+    return {
+      safe: files.filter((file) => !referenced.has(file.path.toLowerCase())),
+      referenced: files.filter((file) => referenced.has(file.path.toLowerCase())),
+    };
+  }
+
+  /**
+   * Copy a file, confirm the copy exists, then delete the original
+   */
+  async function moveFile(from, to) {
+    await state.daApi.copyFile(from, to);
+    await state.daApi.getFileInfo(to);
+    await state.daApi.deleteFile(from);
+  }
+
+  /**
+   * Move the files of a manifest to the trash folder as one restorable batch
+   */
+  async function moveToTrash(manifest, onProgress = null) {
+    const { org, repo } = state.daApi.getConfig();
+    const { safe, referenced } = await verifyUnreferenced(manifest.files, onProgress);
+
+    const deletedAt = Date.now();
+    const batchId = new Date(deletedAt).toISOString().replace(/[:.]/g, '-');
+    const expiresAt = deletedAt + TRASH_RETENTION_DAYS * DAY_IN_MS;
+    const moved = [];
+    const failed = [];
+
+    for (const file of safe) {
+      onProgress?.(`Moving ${moved.length + failed.length + 1} of ${safe.length} to trash...`);
+      const trashPath = `/${org}/${repo}${TRASH_FOLDER}/${batchId}${file.path}`;
+      try {
+        await moveFile(file.id, trashPath);
+        moved.push({
+          batchId,
+          path: file.id,
+          trashPath,
+          size: typeof file.size === 'number' ? file.size : '',
+          deletedAt,
+          expiresAt,
+        });
+      } catch (error) {
+        failed.push({ file, error });
+      }
+    }
+
+    if (moved.length > 0) {
+      const records = await loadTrashRecords();
+      try {
+        await saveTrashRecords([...records, ...moved]);
+      } catch (error) {
+        throw new Error(
+          `Files were moved to ${TRASH_FOLDER}/${batchId} but the trash record could not be saved: ${error.message}`,
+        );
+      }
+    }
+
+    return {
+      batchId, moved, referenced, failed, expiresAt,
+    };
+  }
+
+  /**
+   * List trashed batches, newest first
+   */
+  async function listBatches() {
+    const records = await loadTrashRecords();
+    const now = Date.now();
+    const batches = new Map();
+
+    records.forEach((record) => {
+      if (!batches.has(record.batchId)) {
+        batches.set(record.batchId, {
+          batchId: record.batchId,
+          deletedAt: Number(record.deletedAt),
+          expiresAt: Number(record.expiresAt),
+          expired: now > Number(record.expiresAt),
+          files: [],
+          totalSize: 0,
+        });
+      }
+      const batch = batches.get(record.batchId);
+      batch.files.push(record);
+      batch.totalSize += Number(record.size) || 0;
+    });
+
+    return Array.from(batches.values()).sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * Move a batch back to its original locations. Files whose original path
+   * has been reused since are left in the trash and reported as conflicts.
+   */
+  async function restoreBatch(batchId, onProgress = null) {
+    const records = await loadTrashRecords();
+    const batchRecords = records.filter((record) => record.batchId === batchId);
+    if (batchRecords.length === 0) {
+      throw new Error(`Trash batch ${batchId} not found`);
+    }
+    if (Date.now() > Number(batchRecords[0].expiresAt)) {
+      throw new Error(`Trash batch ${batchId} is past its ${TRASH_RETENTION_DAYS}-day retention window`);
+    }
+
+    const restored = [];
+    const conflicts = [];
+    const failed = [];
+
+    for (const record of batchRecords) {
+      onProgress?.(`Restoring ${restored.length + conflicts.length + failed.length + 1} of ${batchRecords.length}...`);
+      try {
+        // Any error other than a 404 fails the item instead of risking an overwrite
+        if (await state.daApi.fileExists(record.path)) {
+          conflicts.push(record);
+        } else {
+          await moveFile(record.trashPath, record.path);
+          restored.push(record);
+        }
+      } catch (error) {
+        failed.push({ record, error });
+      }
+    }
+
+    await saveTrashRecords(records.filter((record) => !restored.includes(record)));
+
+    return { restored, conflicts, failed };
+  }
+
+  /**
+   * Permanently delete trashed files whose retention window has passed
+   */
+  async function purgeExpiredBatches() {
+    const records = await loadTrashRecords();
+    const now = Date.now();
+    const expired = records.filter((record) => now > Number(record.expiresAt));
+    if (expired.length === 0) return 0;
+
+    const purged = [];
+    for (const record of expired) {
+      try {
+        await state.daApi.deleteFile(record.trashPath);
+        purged.push(record);
+      } catch (error) {
+        // Silent error handling: retried on the next purge
+      }
+    }
+
+    await saveTrashRecords(records.filter((record) => !purged.includes(record)));
+    return purged.length;
+  }
+
+  return {
+    createManifest,
+    verifyUnreferenced,
+    moveToTrash,
+    listBatches,
+    restoreBatch,
+    purgeExpiredBatches,
+  };
+}
+
+export { createMediaCleanup, TRASH_RETENTION_DAYS };
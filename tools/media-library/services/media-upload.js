@@ -0,0 +1,174 @@
+/**
+ * Media Upload - Uploads files into DA media folders
+ * Detects duplicates by content hash before anything is written
+ */
+
+import {
+  ADMIN_DA_LIVE_BASE,
+  CONTENT_DA_LIVE_BASE,
+  buildSingleSheet,
+  parseSheet,
+  saveSheetFile,
+  loadSheetFile,
+} from '../modules/sheet-utils.js';
+import { MEDIA_EXTENSIONS } from '../modules/unused-assets.js';
+import { hashContent } from '../modules/image-info.js';
+
+const HASH_INDEX_SHEET = 'media-hashes.json';
+const DEFAULT_UPLOAD_FOLDER = '/media';
+
+/**
+ * Normalize a folder entered by the user to a repo path like /media/products
+ */
+function normalizeFolder(folder) {
+  const trimmed = (folder || '').trim().replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Lowercase, dash-separated file name as used for DA media
+ */
+function toMediaFileName(name) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+  const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'file';
+  return ext ? `${slug}.${ext}` : slug;
+}
+
+function createMediaUpload(daApi) {
+  const state = {
+    daApi,
+    index: null,
+    hashedFolders: new Set(),
+  };
+
+  function getIndexUrl() {
+    const { org, repo } = state.daApi.getConfig();
+    return `${ADMIN_DA_LIVE_BASE}/source/${org}/${repo}/.da/${HASH_INDEX_SHEET}`;
+  }
+
+  /**
+   * Load the content hash index: one row per DA file with path, size and hash
+   */
+  async function loadIndex() {
+    if (state.index) return state.index;
+    const { token } = state.daApi.getConfig();
+    try {
+      const data = await loadSheetFile(getIndexUrl(), token);
+      state.index = parseSheet(data).data.data;
+    } catch (error) {
+      // Silent error handling: no index until the first upload
+      state.index = [];
+    }
+    return state.index;
+  }
+
+  async function saveIndex() {
+    const { token } = state.daApi.getConfig();
+    await saveSheetFile(getIndexUrl(), buildSingleSheet(state.index), token);
+  }
+
+  function addToIndex(path, size, hash) {
+    state.index = [...state.index.filter((row) => row.path !== path), { path, size, hash }];
+  }
+
+  /**
+   * Hash the media files of a folder that are not indexed yet
+   */
+  async function indexFolder(folderPath) {
+    if (state.hashedFolders.has(folderPath)) return;
+    const indexed = new Set(state.index.map((row) => row.path));
+    let items = [];
+    try {
+      items = await state.daApi.listPath(folderPath);
+    } catch (error) {
+      // Silent error handling: a new folder has nothing to compare against
+    }
+
+    const missing = items.filter((item) => (
+      MEDIA_EXTENSIONS.includes((item.ext || '').toLowerCase()) && !indexed.has(item.path)
+    ));
+    for (const item of missing) {
+      try {
+        const buffer = await state.daApi.getBinary(item.path);
+        addToIndex(item.path, buffer.byteLength, await hashContent(buffer));
+      } catch (error) {
+        // Silent error handling: unreadable files are skipped
+      }
+    }
+
+    state.hashedFolders.add(folderPath);
+    if (missing.length > 0) {
+      try {
+        await saveIndex();
+      } catch (error) {
+        // Silent error handling: hashes are recomputed next session
+      }
+    }
+  }
+
+  /**
+   * Hash a file and look for existing DA media with the same content.
+   * Compares against the hash index and every file in the target folder.
+   */
+  async function findDuplicate(file, folder) {
+    const { org, repo } = state.daApi.getConfig();
+    const buffer = await file.arrayBuffer();
+    const hash = await hashContent(buffer);
+
+    await loadIndex();
+    await indexFolder(`/${org}/${repo}${normalizeFolder(folder)}`);
+
+    // Indexed files may have been deleted since
+    const matches = state.index.filter((row) => row.hash === hash);
+    for (const match of matches) {
+      if (await state.daApi.fileExists(match.path)) {
+        return { hash, duplicate: { path: match.path, src: `${CONTENT_DA_LIVE_BASE}${match.path}` } };
+      }
+    }
+    return { hash, duplicate: null };
+  }
+
+  /**
+   * First free path for a file name in a folder, adding -1, -2... on collisions
+   */
+  async function getFreePath(folderPath, fileName) {
+    const dot = fileName.lastIndexOf('.');
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const ext = dot > 0 ? fileName.slice(dot) : '';
+    let path = `${folderPath}/${base}${ext}`;
+    for (let attempt = 1; await state.daApi.fileExists(path); attempt++) {
+      path = `${folderPath}/${base}-${attempt}${ext}`;
+    }
+    return path;
+  }
+
+  /**
+   * Upload a file to a DA folder without overwriting existing files
+   */
+  async function uploadFile(file, folder, hash = null) {
+    const { org, repo } = state.daApi.getConfig();
+    const folderPath = `/${org}/${repo}${normalizeFolder(folder)}`;
+    const path = await getFreePath(folderPath, toMediaFileName(file.name));
+
+    await state.daApi.saveFile(path, file, file.type || 'application/octet-stream');
+
+    await loadIndex();
+    addToIndex(path, file.size, hash || await hashContent(await file.arrayBuffer()));
+    try {
+      await saveIndex();
+    } catch (error) {
+      // Silent error handling: the file is indexed again on the next folder check
+    }
+
+    return { path, src: `${CONTENT_DA_LIVE_BASE}${path}` };
+  }
+
+  return {
+    findDuplicate,
+    uploadFile,
+  };
+}
+
+export { createMediaUpload, DEFAULT_UPLOAD_FOLDER };
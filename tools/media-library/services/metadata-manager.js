@@ -66,10 +66,53 @@ const DASheetUtilLocal = {
   },
 };
 
-function createMetadataManager(daApi, metadataPath) {
+// Fields holding one record per key, audited record by record
+const KEYED_METADATA_FIELDS = ['assets', 'scannedFiles'];
+// Set on every save, so never worth an audit entry
+const UNAUDITED_METADATA_FIELDS = ['lastModified'];
+
+/**
+ * Changed records between two metadata versions as [{ key, before, after }],
+ * keyed by metadataPath#field or metadataPath#field/recordKey
+ */
+function getMetadataChanges(metadataPath, before, after) {
+  const changes = [];
+  const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach((field) => {
+    if (UNAUDITED_METADATA_FIELDS.includes(field)) return;
+    const oldValue = before?.[field] ?? null;
+    const newValue = after?.[field] ?? null;
+
+    if (!KEYED_METADATA_FIELDS.includes(field)) {
+      if (differs(oldValue, newValue)) {
+        changes.push({ key: `${metadataPath}#${field}`, before: oldValue, after: newValue });
+      }
+      return;
+    }
+
+    const recordKeys = new Set([...Object.keys(oldValue || {}), ...Object.keys(newValue || {})]);
+    recordKeys.forEach((recordKey) => {
+      const oldRecord = oldValue?.[recordKey] ?? null;
+      const newRecord = newValue?.[recordKey] ?? null;
+      if (differs(oldRecord, newRecord)) {
+        changes.push({ key: `${metadataPath}#${field}/${recordKey}`, before: oldRecord, after: newRecord });
+      }
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * auditLog (from createAuditLog) receives the records each save changes
+ */
+function createMetadataManager(daApi, metadataPath, auditLog = null) {
   const state = {
     daApi,
     metadataPath,
+    auditLog,
     cache: null,
     cacheTimestamp: 0,
     cacheTTL: 5 * 60 * 1000,
@@ -128,16 +171,38 @@ function createMetadataManager(daApi, metadataPath) {
     state.cacheTimestamp = Date.now();
   }
 
+  /**
+   * Metadata as saved before this change: the copy this session last read or wrote, else the file
+   */
+  async function getSavedMetadata() {
+    if (state.cache) return state.cache;
+    try {
+      const content = await state.daApi.getSource(state.metadataPath, '');
+      return content && content.trim() ? JSON.parse(content) : null;
+    } catch (error) {
+      // Silent error handling: no saved metadata yet
+      return null;
+    }
+  }
+
   async function saveMetadata(metadata) {
     try {
       const validatedMetadata = validateMetadata(metadata);
       const jsonContent = JSON.stringify(validatedMetadata, null, 2);
+      const savedMetadata = state.auditLog ? await getSavedMetadata() : null;
 
       await ensureMetadataFolder();
 
       await state.daApi.saveFile(state.metadataPath, jsonContent, 'text/plain');
 
       updateCache(validatedMetadata);
+      if (state.auditLog) {
+        // Not awaited: logging never delays or fails the save
+        state.auditLog.record(
+          'metadata.save',
+          getMetadataChanges(state.metadataPath, savedMetadata, validatedMetadata),
+        );
+      }
       return true;
     } catch (error) {
       // eslint-disable-next-line no-console
@@ -281,7 +346,11 @@ function createMetadataManager(daApi, metadataPath) {
     return validatedMetadata;
   }
 
-  async function getAssetStatistics() {
+  /**
+   * Get asset statistics. Pass the unused asset report from findUnusedAssets
+   * to count media files in DA that no page references.
+   */
+  async function getAssetStatistics({ unusedFiles = null } = {}) {
     const metadata = await getMetadata();
     const assets = Object.values(metadata.assets || {});
 
@@ -307,6 +376,10 @@ function createMetadataManager(daApi, metadataPath) {
       }
     });
 
+    if (Array.isArray(unusedFiles)) {
+      unusedAssets = unusedFiles.length;
+    }
+
     const mostUsedAssets = assets
       .filter((asset) => asset.usedIn && asset.usedIn.length > 0)
       .sort((a, b) => b.usedIn.length - a.usedIn.length)
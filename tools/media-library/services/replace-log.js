@@ -0,0 +1,112 @@
+/**
+ * Replace Log - Records asset replacements so they can be rolled back
+ * One row per page, holding the exact tag changes written to that page
+ */
+
+import {
+  ADMIN_DA_LIVE_BASE,
+  buildSingleSheet,
+  parseSheet,
+  saveSheetFile,
+  loadSheetFile,
+} from '../modules/sheet-utils.js';
+
+const REPLACE_LOG_SHEET = 'media-replace-log.json';
+
+function createReplaceLog(daApi) {
+  const state = {
+    daApi,
+  };
+
+  function getLogUrl() {
+    const { org, repo } = state.daApi.getConfig();
+    return `${ADMIN_DA_LIVE_BASE}/source/${org}/${repo}/.da/${REPLACE_LOG_SHEET}`;
+  }
+
+  async function loadRows() {
+    const { token } = state.daApi.getConfig();
+    try {
+      const data = await loadSheetFile(getLogUrl(), token);
+      return parseSheet(data).data.data;
+    } catch (error) {
+      // Silent error handling: no log until the first replacement
+      return [];
+    }
+  }
+
+  async function saveRows(rows) {
+    const { token } = state.daApi.getConfig();
+    await saveSheetFile(getLogUrl(), buildSingleSheet(rows), token);
+  }
+
+  /**
+   * Record the pages changed by one replacement
+   */
+  async function record(oldSrc, newSrc, previews, changedPaths) {
+    const replacedAt = Date.now();
+    const replaceId = new Date(replacedAt).toISOString().replace(/[:.]/g, '-');
+    const changed = new Set(changedPaths);
+    const rows = previews
+      .filter((preview) => changed.has(preview.path))
+      .map((preview) => ({
+        replaceId,
+        replacedAt,
+        oldSrc,
+        newSrc,
+        page: preview.path,
+        changes: JSON.stringify(preview.changes),
+        rolledBackAt: '',
+      }));
+
+    if (rows.length > 0) {
+      await saveRows([...(await loadRows()), ...rows]);
+    }
+    return replaceId;
+  }
+
+  /**
+   * List replacements involving the given src that have pages left to roll back, newest first
+   */
+  async function listEntries(src = null) {
+    const entries = new Map();
+    (await loadRows()).forEach((row) => {
+      if (row.rolledBackAt) return;
+      if (src && row.oldSrc !== src && row.newSrc !== src) return;
+      if (!entries.has(row.replaceId)) {
+        entries.set(row.replaceId, {
+          replaceId: row.replaceId,
+          replacedAt: Number(row.replacedAt),
+          oldSrc: row.oldSrc,
+          newSrc: row.newSrc,
+          changesByPage: {},
+        });
+      }
+      try {
+        entries.get(row.replaceId).changesByPage[row.page] = JSON.parse(row.changes);
+      } catch (error) {
+        // Silent error handling: a page without readable changes cannot be rolled back
+      }
+    });
+    return Array.from(entries.values()).sort((a, b) => b.replacedAt - a.replacedAt);
+  }
+
+  /**
+   * Mark pages of a replacement as rolled back
+   */
+  async function markRolledBack(replaceId, pagePaths) {
+    const rolledBack = new Set(pagePaths);
+    const rolledBackAt = Date.now();
+    const rows = (await loadRows()).map((row) => (
+      row.replaceId === replaceId && rolledBack.has(row.page) ? { ...row, rolledBackAt } : row
+    ));
+    await saveRows(rows);
+  }
+
+  return {
+    record,
+    listEntries,
+    markRolledBack,
+  };
+}
+
+export { createReplaceLog };
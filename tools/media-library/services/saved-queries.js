@@ -0,0 +1,74 @@
+/**
+ * Saved Queries - Search queries an editor keeps for reuse
+ * One sheet per user under .da/media-saved-queries
+ */
+
+import {
+  ADMIN_DA_LIVE_BASE,
+  buildSingleSheet,
+  parseSheet,
+  saveSheetFile,
+  loadSheetFile,
+} from '../modules/sheet-utils.js';
+
+const SAVED_QUERIES_FOLDER = 'media-saved-queries';
+const MAX_SAVED_QUERIES = 20;
+
+function createSavedQueries(daApi, userId) {
+  const state = {
+    daApi,
+    userId,
+    queries: null,
+  };
+
+  function getSheetUrl() {
+    const { org, repo } = state.daApi.getConfig();
+    const fileName = state.userId.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `${ADMIN_DA_LIVE_BASE}/source/${org}/${repo}/.da/${SAVED_QUERIES_FOLDER}/${fileName}.json`;
+  }
+
+  /**
+   * Saved queries, most recently saved first
+   */
+  async function list() {
+    if (state.queries) return state.queries;
+    const { token } = state.daApi.getConfig();
+    try {
+      const data = await loadSheetFile(getSheetUrl(), token);
+      state.queries = parseSheet(data).data.data
+        .sort((a, b) => Number(b.savedAt) - Number(a.savedAt))
+        .map((row) => row.query)
+        .filter(Boolean);
+    } catch (error) {
+      // Silent error handling: no sheet until the first query is saved
+      state.queries = [];
+    }
+    return state.queries;
+  }
+
+  async function write(queries) {
+    const { token } = state.daApi.getConfig();
+    const savedAt = Date.now();
+    const rows = queries.map((query, index) => ({ query, savedAt: savedAt - index }));
+    await saveSheetFile(getSheetUrl(), buildSingleSheet(rows), token);
+    state.queries = queries;
+    return queries;
+  }
+
+  async function save(query) {
+    const queries = (await list()).filter((saved) => saved !== query);
+    return write([query, ...queries].slice(0, MAX_SAVED_QUERIES));
+  }
+
+  async function remove(query) {
+    return write((await list()).filter((saved) => saved !== query));
+  }
+
+  return {
+    list,
+    save,
+    remove,
+  };
+}
+
+export { createSavedQueries };
@@ -291,25 +291,18 @@ function createStateManager() {
       }
 
       const existingResults = await loadScanResults();
+      const resultsByPath = new Map(existingResults.map((r) => [r.path, r]));
       const filtered = discoveredDocuments.filter((doc) => {
-        const existing = existingResults.find((r) => r.path === doc.path);
         if (typeof doc.lastModified === 'undefined') {
           // eslint-disable-next-line no-console
           console.warn(`[DA] Skipping document with undefined lastModified: ${doc.path}`);
           return false;
         }
-        const lastModified = doc.lastModified;
-        const lastScanned = existing ? (existing.lastScanned || 0) : 0;
+        const existing = resultsByPath.get(doc.path);
         if (!existing) {
           return true; // New document
         }
-        if (lastModified > lastScanned) {
-          return true;
-        }
-        if (lastModified <= lastScanned) {
-          return false; // Document hasn't changed since last scan
-        }
-        return false; // Default case
+        return isDocumentModified(doc, existing);
       });
       return filtered;
     } catch (error) {
@@ -318,6 +311,52 @@ function createStateManager() {
     }
   }
 
+  /**
+   * Check whether a document changed since its persisted scan result.
+   * Prefers the DA lastModified recorded at scan time and falls back to
+   * lastScanned for results written before it was tracked.
+   */
+  function isDocumentModified(doc, existing) {
+    const lastModified = parseInt(doc.lastModified, 10) || 0;
+    const scannedVersion = parseInt(existing.lastModified, 10);
+    if (!Number.isNaN(scannedVersion)) {
+      return lastModified !== scannedVersion;
+    }
+    const lastScanned = parseInt(existing.lastScanned, 10) || 0;
+    return lastModified > lastScanned;
+  }
+
+  /**
+   * Get paths of previously scanned documents that were not discovered
+   */
+  async function getDeletedDocuments(discoveredPaths) {
+    try {
+      const existingResults = await loadScanResults();
+      return existingResults
+        .map((r) => r.path)
+        .filter((path) => path && !discoveredPaths.has(path));
+    } catch (error) {
+      // Silent error handling for state management
+      return [];
+    }
+  }
+
+  /**
+   * Remove scan results for documents that no longer exist
+   */
+  async function removeDocumentResults(paths) {
+    if (!paths || paths.length === 0) {
+      return;
+    }
+    try {
+      const removed = new Set(paths);
+      const results = await loadScanResults();
+      await saveScanResults(results.filter((r) => !removed.has(r.path)));
+    } catch (error) {
+      // Silent error handling for state management
+    }
+  }
+
   /**
    * Save discovery queue for resumption
    */
@@ -792,6 +831,8 @@ function createStateManager() {
     getScanState,
     saveDocumentResults,
     getDocumentsToScan,
+    getDeletedDocuments,
+    removeDocumentResults,
     saveDiscoveryQueue,
     loadDiscoveryQueue,
     clearDiscoveryQueue,
@@ -26,13 +26,14 @@ async function discoverFolder(folderPath) {
 
   try {
     // Folder Discovery Worker: Starting folder discovery
-    const documents = await discoverDocumentsInFolder(folderPath);
+    const { documents, skippedPaths } = await discoverDocumentsInFolder(folderPath);
 
     postMessage({
       type: 'folderDiscoveryComplete',
       data: {
         folderPath,
         documents,
+        skippedPaths,
         documentCount: documents.length,
       },
     });
@@ -54,10 +55,12 @@ async function discoverFolder(folderPath) {
 }
 
 /**
- * Recursively discover documents in folder and subfolders
+ * Recursively discover documents in folder and subfolders.
+ * skippedPaths lists the documents left out for lacking a lastModified; they still exist.
  */
 async function discoverDocumentsInFolder(folderPath) {
   const documents = [];
+  const skippedPaths = [];
   const foldersToScan = [folderPath];
 
   while (foldersToScan.length > 0) {
@@ -69,6 +72,7 @@ async function discoverDocumentsInFolder(folderPath) {
       for (const item of items) {
         if (item.ext === 'html') {
           if (typeof item.lastModified === 'undefined') {
+            skippedPaths.push(item.path);
             continue; // Skip files without a real lastModified
           }
           documents.push({
@@ -107,7 +111,7 @@ async function discoverDocumentsInFolder(folderPath) {
     }
   }
 
-  return documents;
+  return { documents, skippedPaths };
 }
 
 /**
@@ -1,16 +1,29 @@
 /**
  * Media Scan Worker - Processes pages from queue to extract media assets
- * Works with document discovery worker for queue-based scanning
+ * Works with document discovery worker for queue-based scanning; runs as a module worker
  */
 
+import { readAscii, parseImageInfo, hashContent } from '../modules/image-info.js';
+import { getVideoSource, getProviderPoster } from '../modules/video-sources.js';
+import { tokenizeHTML } from '../modules/html-tokenizer.js';
+
 const state = {
   apiConfig: null,
   isRunning: false,
   batchSize: 5,
   concurrentScans: 3,
+  concurrentFetches: 4,
   processingInterval: 5000, // 5 seconds
+  assetMetadata: new Map(),
 };
 
+const NON_IMAGE_PATTERN = /\.(mp4|webm|ogv|avi|mov|wmv|flv|pdf|docx?|xlsx?|pptx?)(?:[?#]|$)/i;
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|m4a|ogg|oga|opus|aac|flac)(?:[?#]|$)/i;
+const ISO_VIDEO_PATTERN = /\.(mp4|m4v|mov)(?:[?#]|$)/i;
+const PDF_PATTERN = /\.pdf(?:[?#]|$)/i;
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|webp|avif|svg)(?:[?#]|$)/i;
+const HEADER_BYTES = 512 * 1024;
+
 /**
  * Initialize the media scan worker
  */
@@ -95,6 +108,7 @@ async function scanPageForAssets(page) {
 
     // Extract assets from HTML
     const assets = extractAssetsFromHTML(content, page.path);
+    await addAssetMetadata(assets);
 
     const scanTime = Date.now() - startTime;
 
@@ -102,6 +116,7 @@ async function scanPageForAssets(page) {
       type: 'pageScanned',
       data: {
         page: page.path,
+        lastModified: page.lastModified,
         assets,
         scanTime,
         assetCount: assets.length,
@@ -145,208 +160,506 @@ async function getPageContent(path) {
 }
 
 /**
- * Extract assets from HTML content
+ * Resolve an asset src to a URL the worker can fetch
  */
-function extractAssetsFromHTML(html, sourcePath) {
-  const assets = [];
-
-  // Extract different types of assets using regex patterns
-  extractImgTags(html, assets, sourcePath);
-  extractPictureSources(html, assets, sourcePath);
-  extractBackgroundImages(html, assets, sourcePath);
-  extractVideoSources(html, assets, sourcePath);
-  extractMediaLinks(html, assets, sourcePath);
-  extractCSSBackgrounds(html, assets, sourcePath);
-
-  // Deduplicate assets
-  const deduplicated = deduplicateAssets(assets);
-  return deduplicated;
+function getFetchUrl(src) {
+  if (src.startsWith('http')) return src;
+  const { org, repo } = state.apiConfig;
+  const path = src.startsWith(`/${org}/${repo}/`) ? src : `/${org}/${repo}${src}`;
+  return `https://content.da.live${path}`;
 }
 
 /**
- * Extract img tags using regex
+ * Whether a src is served by DA or the site's own AEM hosts rather than a third party
  */
-function extractImgTags(html, assets, sourcePath) {
-  // Match img tags with src attribute
-  const imgRegex = /<img[^>]+src\s*=\s*["']([^"']+)["'][^>]*>/gi;
-  let match;
-
-  while ((match = imgRegex.exec(html)) !== null) {
-    const src = match[1];
-    if (src && isValidMediaSrc(src)) {
-      // Extract additional attributes
-      const imgTag = match[0];
-      const altMatch = imgTag.match(/alt\s*=\s*["']([^"']*)["']/i);
-      const widthMatch = imgTag.match(/width\s*=\s*["']?(\d+)["']?/i);
-      const heightMatch = imgTag.match(/height\s*=\s*["']?(\d+)["']?/i);
-      const srcsetMatch = imgTag.match(/srcset\s*=\s*["']([^"']+)["']/i);
-
-      assets.push({
-        src: normalizeAssetSrc(src),
-        alt: altMatch ? altMatch[1] : '',
-        usedIn: [sourcePath],
-        dimensions: {
-          width: widthMatch ? parseInt(widthMatch[1], 10) : null,
-          height: heightMatch ? parseInt(heightMatch[1], 10) : null,
-        },
-        context: 'img-tag',
-      });
+function isSiteAsset(src) {
+  if (!/^https?:/i.test(src)) return true;
+  let host;
+  try {
+    host = new URL(src).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  const { org, repo } = state.apiConfig;
+  const siteSuffix = `--${repo}--${org}`.toLowerCase();
+  return host === 'da.live' || host.endsWith('.da.live')
+    || [`${siteSuffix}.aem.page`, `${siteSuffix}.aem.live`].some((suffix) => host.endsWith(suffix));
+}
 
-      // Handle srcset
-      if (srcsetMatch) {
-        const srcsetAssets = parseSrcset(srcsetMatch[1], sourcePath);
-        assets.push(...srcsetAssets);
-      }
+/**
+ * 64-bit difference hash (dHash) as 16 hex chars.
+ * The image is shrunk to 9x8 grayscale and each bit records whether a pixel
+ * is brighter than its right neighbour, so resized or re-encoded copies match.
+ */
+async function computePerceptualHash(blob) {
+  // Decoding goes through the browser: JPEG, WebP and AVIF would each need a full codec
+  // to decode in plain JS. Without these APIs the hash stays empty and only byte hashes match.
+  if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas !== 'function') return '';
+
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(9, 8);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, 9, 8);
+  bitmap.close();
+  const { data } = context.getImageData(0, 0, 9, 8);
+
+  // Transparent pixels are treated as white
+  const luminance = (pixel) => {
+    const offset = pixel * 4;
+    const gray = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    const alpha = data[offset + 3] / 255;
+    return gray * alpha + 255 * (1 - alpha);
+  };
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const pixel = row * 9 + col;
+      byte = (byte << 1) | (luminance(pixel) > luminance(pixel + 1) ? 1 : 0);
     }
+    hash += byte.toString(16).padStart(2, '0');
   }
+  return hash;
 }
 
 /**
- * Extract picture sources using regex
+ * Video fields of an asset; YouTube thumbnails are known without an API call
  */
-function extractPictureSources(html, assets, sourcePath) {
-  // Match picture source tags with srcset attribute
-  const sourceRegex = /<source[^>]+srcset\s*=\s*["']([^"']+)["'][^>]*>/gi;
-  let match;
+function getVideoFields(src, poster = '') {
+  const source = getVideoSource(src);
+  if (!source) return {};
+  return {
+    videoProvider: source.provider,
+    videoId: source.id,
+    poster: poster || getProviderPoster(source),
+  };
+}
 
-  while ((match = sourceRegex.exec(html)) !== null) {
-    const srcset = match[1];
-    if (srcset) {
-      const srcsetAssets = parseSrcset(srcset, sourcePath);
-      assets.push(...srcsetAssets);
+/**
+ * Duration in seconds from the movie header (mvhd) of an MP4 or MOV file.
+ * Only found when the header is at the start of the file, as in web-optimized files.
+ */
+function parseMp4Duration(bytes) {
+  for (let offset = 4; offset + 32 < bytes.length; offset++) {
+    if (readAscii(bytes, offset, 4) === 'mvhd') {
+      const view = new DataView(bytes.buffer, bytes.byteOffset);
+      const version = bytes[offset + 4];
+      const timescale = view.getUint32(offset + (version === 1 ? 24 : 16));
+      const duration = version === 1
+        ? Number(view.getBigUint64(offset + 28))
+        : view.getUint32(offset + 20);
+      return timescale > 0 ? Math.round((duration / timescale) * 10) / 10 : null;
     }
   }
+  return null;
 }
 
 /**
- * Extract background images from style attributes using regex
+ * Page count of a PDF from its first bytes: the page count of a linearized (web-optimized) PDF,
+ * else the largest /Count of a page tree. PDFs keeping their page tree in compressed object
+ * streams have no readable count; the library gets it when it renders their thumbnail.
  */
-function extractBackgroundImages(html, assets, sourcePath) {
-  // Match elements with style attributes containing background
-  const styleRegex = /<[^>]+style\s*=\s*["'][^"']*background[^"']*["'][^>]*>/gi;
-  let match;
-
-  while ((match = styleRegex.exec(html)) !== null) {
-    const element = match[0];
-    const styleMatch = element.match(/style\s*=\s*["']([^"']+)["']/i);
+function parsePdfPageCount(bytes) {
+  const text = new TextDecoder('latin1').decode(bytes);
+  const linearized = text.match(/\/Linearized\b[^>]*?\/N\s+(\d+)/);
+  if (linearized) return Number(linearized[1]);
+
+  const counts = Array.from(text.matchAll(/\/Type\s*\/Pages\b/g)).map(({ index }) => {
+    const dict = text.slice(text.lastIndexOf('<<', index), text.indexOf('>>', index));
+    return Number(dict.match(/\/Count\s+(\d+)/)?.[1]);
+  }).filter((count) => count > 0);
+  return counts.length > 0 ? Math.max(...counts) : null;
+}
 
-    if (styleMatch) {
-      const style = styleMatch[1];
-      const bgAssets = extractBgImagesFromStyle(style, sourcePath);
-      assets.push(...bgAssets);
-    }
+/**
+ * First bytes of a file. Servers that ignore Range send the whole file,
+ * so reading stops after `byteCount` bytes.
+ */
+async function fetchHeaderBytes(url, byteCount = HEADER_BYTES) {
+  const response = await fetch(url, {
+    headers: { ...getAuthHeaders(url), Range: `bytes=0-${byteCount - 1}` },
+  });
+  if (!response.ok || !response.body) return null;
+
+  const reader = response.body.getReader();
+  const bytes = new Uint8Array(byteCount);
+  let length = 0;
+  while (length < byteCount) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const chunk = value.subarray(0, byteCount - length);
+    bytes.set(chunk, length);
+    length += chunk.length;
   }
+  reader.cancel().catch(() => {});
+  return bytes.subarray(0, length);
 }
 
 /**
- * Extract video sources using regex
+ * Thumbnail, duration and size of a Vimeo video from its public oEmbed endpoint
  */
-function extractVideoSources(html, assets, sourcePath) {
-  // Match video tags
-  const videoRegex = /<video[^>]*>.*?<\/video>/gis;
-  let videoMatch;
+async function fetchVimeoMetadata(src) {
+  const response = await fetch(`https://vimeo.com/api/oembed.json?url=${encodeURIComponent(src)}`);
+  if (!response.ok) return null;
+  const data = await response.json();
+  return {
+    poster: data.thumbnail_url || '',
+    duration: data.duration || null,
+    width: data.width || null,
+    height: data.height || null,
+  };
+}
 
-  while ((videoMatch = videoRegex.exec(html)) !== null) {
-    const videoTag = videoMatch[0];
+function getAuthHeaders(url) {
+  return new URL(url).hostname.endsWith('da.live')
+    ? { 'Authorization': `Bearer ${state.apiConfig.token}` }
+    : {};
+}
 
-    // Extract poster attribute
-    const posterMatch = videoTag.match(/poster\s*=\s*["']([^"']+)["']/i);
-    if (posterMatch && isMediaUrl(posterMatch[1])) {
-      assets.push({
-        src: normalizeAssetSrc(posterMatch[1]),
-        alt: '',
-        usedIn: [sourcePath],
-        dimensions: {},
-        context: 'video-poster',
-      });
+/**
+ * Fetch an image once per session: byte hash, perceptual hash, pixel size, byte size and type
+ */
+async function fetchImageMetadata(url) {
+  const response = await fetch(url, { headers: getAuthHeaders(url) });
+  if (!response.ok) return null;
+  const blob = await response.blob();
+  const buffer = await blob.arrayBuffer();
+  const info = parseImageInfo(buffer);
+  let perceptualHash = '';
+  try {
+    // SVG has no fixed pixels to compare; it only gets a byte hash
+    if (info.mimeType && info.mimeType !== 'image/svg+xml') {
+      perceptualHash = await computePerceptualHash(blob);
     }
+  } catch (error) {
+    // Silent error handling: undecodable images only get a byte hash
+  }
+  return {
+    contentHash: await hashContent(buffer),
+    perceptualHash,
+    width: info.width,
+    height: info.height,
+    fileSize: buffer.byteLength,
+    mimeType: info.mimeType || blob.type || response.headers.get('content-type') || '',
+  };
+}
 
-    // Extract src attribute
-    const srcMatch = videoTag.match(/src\s*=\s*["']([^"']+)["']/i);
-    if (srcMatch && isMediaUrl(srcMatch[1])) {
-      assets.push({
-        src: normalizeAssetSrc(srcMatch[1]),
-        alt: '',
-        usedIn: [sourcePath],
-        dimensions: {},
-        context: 'video-src',
-      });
+/**
+ * Byte size and type of a video or document from its headers, plus the duration of
+ * MP4/MOV files and the page count of PDFs read from their first bytes
+ */
+async function fetchFileMetadata(url) {
+  const response = await fetch(url, { method: 'HEAD', headers: getAuthHeaders(url) });
+  if (!response.ok) return null;
+  const length = Number(response.headers.get('content-length'));
+  let duration = null;
+  let pageCount = null;
+  try {
+    if (ISO_VIDEO_PATTERN.test(url)) {
+      const bytes = await fetchHeaderBytes(url);
+      duration = bytes ? parseMp4Duration(bytes) : null;
+    } else if (PDF_PATTERN.test(url)) {
+      const bytes = await fetchHeaderBytes(url);
+      pageCount = bytes ? parsePdfPageCount(bytes) : null;
     }
+  } catch (error) {
+    // Silent error handling: the duration or page count stays unknown
+  }
+  return {
+    fileSize: length > 0 ? length : null,
+    mimeType: (response.headers.get('content-type') || '').split(';')[0],
+    duration,
+    pageCount,
+  };
+}
 
-    // Extract source tags within video
-    const sourceRegex = /<source[^>]+src\s*=\s*["']([^"']+)["'][^>]*>/gi;
-    let sourceMatch;
-    while ((sourceMatch = sourceRegex.exec(videoTag)) !== null) {
-      const src = sourceMatch[1];
-      if (isMediaUrl(src)) {
-        assets.push({
-          src: normalizeAssetSrc(src),
-          alt: '',
-          usedIn: [sourcePath],
-          dimensions: {},
-          context: 'video-source',
-        });
-      }
+/**
+ * Metadata for an asset src, fetched at most once per session. Only images on DA or the
+ * site's own hosts are downloaded; links to other sites and to other file types are not.
+ */
+function getAssetMetadata(src) {
+  if (!state.assetMetadata.has(src)) {
+    const provider = getVideoSource(src)?.provider;
+    let request;
+    if (provider === 'youtube') {
+      request = Promise.resolve(null);
+    } else if (provider === 'vimeo') {
+      request = fetchVimeoMetadata(src);
+    } else if (NON_IMAGE_PATTERN.test(src) || AUDIO_FILE_PATTERN.test(src)) {
+      request = fetchFileMetadata(getFetchUrl(src));
+    } else if (IMAGE_FILE_PATTERN.test(src) && isSiteAsset(src)) {
+      request = fetchImageMetadata(getFetchUrl(src));
+    } else {
+      request = Promise.resolve(null);
     }
+    state.assetMetadata.set(src, request.catch(() => null));
   }
+  return state.assetMetadata.get(src);
 }
 
 /**
- * Extract media links using regex
+ * Attach the fetched metadata to the assets of a page, a few requests at a time.
+ * Assets blocked by CORS or offline keep what the last successful scan recorded.
  */
-function extractMediaLinks(html, assets, sourcePath) {
+async function addAssetMetadata(assets) {
+  for (const group of createConcurrentGroups(assets, state.concurrentFetches)) {
+    await Promise.all(group.map(async (asset) => {
+      const metadata = await getAssetMetadata(asset.src);
+      // A poster set on the page wins over the provider thumbnail
+      if (metadata) Object.assign(asset, metadata, asset.poster ? { poster: asset.poster } : {});
+    }));
+  }
+}
 
-  // More flexible regex to match anchor tags with href
-  const linkRegex = /<a[^>]*href\s*=\s*["']([^"']+)["'][^>]*>/gi;
-  let match;
+/**
+ * Extract assets from HTML content
+ */
+function extractAssetsFromHTML(html, sourcePath) {
+  const assets = [];
+  walkDocument(tokenizeHTML(html), assets, sourcePath, /<main[\s>]/i.test(html));
 
-  while ((match = linkRegex.exec(html)) !== null) {
-    const href = match[1];
+  // Deduplicate assets
+  const deduplicated = deduplicateAssets(assets);
+  return deduplicated;
+}
 
-    if (href && isMediaUrl(href)) {
-      // Extract title attribute if present
-      const titleMatch = match[0].match(/title\s*=\s*["']([^"']*)["']/i);
-      const title = titleMatch ? titleMatch[1] : '';
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
 
-      // Extract link text (content between <a> and </a>)
-      const fullMatch = match[0];
-      const linkStart = match.index + fullMatch.length;
-      const linkEnd = html.indexOf('</a>', linkStart);
-      const linkText = linkEnd > linkStart ? html.substring(linkStart, linkEnd).trim() : '';
+/**
+ * Walk tokens following the DA document structure and collect assets.
+ * Sections are the divs directly under <main>; a div with a class inside a
+ * section is an EDS block table whose child divs are rows and grandchild divs
+ * are columns.
+ */
+function walkDocument(tokens, assets, sourcePath, hasMain) {
+  const root = { name: '#root', role: hasMain ? 'root' : 'main', divCount: 0 };
+  const stack = [root];
+  let openLink = null;
+
+  const current = () => stack[stack.length - 1];
+
+  const getLocation = () => {
+    const location = {
+      section: null,
+      block: null,
+      row: null,
+      column: null,
+    };
+    for (const entry of stack) {
+      if (entry.role === 'section') location.section = entry.index;
+      if (entry.role === 'block') location.block = entry.blockName;
+      if (entry.role === 'row') location.row = entry.index;
+      if (entry.role === 'column') location.column = entry.index;
+    }
+    return location;
+  };
 
-      // Check if this is an external image link
-      const isExternal = isExternalAsset(href);
+  const isInside = (name) => stack.some((entry) => entry.name === name);
+  const findOpen = (predicate) => [...stack].reverse().find(predicate);
 
-      assets.push({
-        src: href, // Store the original href as src for external assets
-        alt: title || linkText || extractFilenameFromUrl(href),
-        usedIn: [sourcePath],
-        dimensions: {},
-        context: isExternal ? 'external-link' : 'media-link',
-        isExternal: isExternal,
-        originalHref: href, // Keep original href for external assets
-      });
+  const addAsset = (asset) => {
+    assets.push({
+      ...asset,
+      usedIn: [sourcePath],
+      locations: [getLocation()],
+    });
+  };
+
+  const addSrcset = (srcset) => {
+    if (!srcset) return;
+    parseSrcset(srcset, sourcePath).forEach((asset) => addAsset(asset));
+  };
+
+  const openElement = (name, attrs) => {
+    const parent = current();
+    const entry = { name, role: null, divCount: 0 };
+    if (name === 'video' && attrs.poster && isValidMediaSrc(attrs.poster)) {
+      entry.poster = normalizeAssetSrc(attrs.poster);
+    }
 
+    if (name === 'main' || (name === 'body' && !hasMain)) {
+      entry.role = 'main';
+    } else if (name === 'div') {
+      if (parent.role === 'main') {
+        entry.role = 'section';
+        entry.index = parent.divCount++;
+      } else if (parent.role === 'section' && attrs.class && attrs.class.trim()) {
+        entry.role = 'block';
+        entry.blockName = attrs.class.trim().split(/\s+/)[0].toLowerCase();
+      } else if (parent.role === 'block') {
+        entry.role = 'row';
+        entry.index = parent.divCount++;
+      } else if (parent.role === 'row') {
+        entry.role = 'column';
+        entry.index = parent.divCount++;
+      }
     }
-  }
 
-}
+    stack.push(entry);
+  };
 
-/**
- * Extract CSS backgrounds from style elements using regex
- */
-function extractCSSBackgrounds(html, assets, sourcePath) {
-  // Match style elements
-  const styleRegex = /<style[^>]*>(.*?)<\/style>/gis;
-  let match;
+  const closeElement = (name) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].name === name) {
+        stack.length = i;
+        return;
+      }
+    }
+  };
+
+  const handleStartTag = ({ name, attrs }) => {
+    if (attrs.style && attrs.style.includes('background')) {
+      extractBgImagesFromStyle(attrs.style, sourcePath).forEach((asset) => addAsset(asset));
+    }
+
+    switch (name) {
+      case 'img': {
+        const src = attrs.src || attrs['data-src'];
+        if (src && isValidMediaSrc(src)) {
+          addAsset({
+            src: normalizeAssetSrc(src),
+            alt: attrs.alt || '',
+            dimensions: {
+              width: attrs.width ? parseInt(attrs.width, 10) || null : null,
+              height: attrs.height ? parseInt(attrs.height, 10) || null : null,
+            },
+            context: isInside('picture') ? 'picture' : 'img-tag',
+          });
+          // The picture of a video or embed block is the placeholder shown before playback
+          const block = findOpen((entry) => entry.role === 'block');
+          if (block && ['video', 'embed'].includes(block.blockName) && !block.placeholder) {
+            block.placeholder = normalizeAssetSrc(src);
+          }
+        }
+        addSrcset(attrs.srcset || attrs['data-srcset']);
+        break;
+      }
+
+      case 'source': {
+        if (isInside('audio')) {
+          const src = attrs.src || attrs['data-src'];
+          if (src && isMediaUrl(src)) {
+            addAsset({
+              src: normalizeAssetSrc(src),
+              alt: '',
+              dimensions: {},
+              context: 'audio-source',
+            });
+          }
+        } else if (isInside('video')) {
+          const src = attrs.src || attrs['data-src'];
+          if (src && isMediaUrl(src)) {
+            addAsset({
+              src: normalizeAssetSrc(src),
+              alt: '',
+              dimensions: {},
+              context: 'video-source',
+              ...getVideoFields(src, findOpen((entry) => entry.name === 'video')?.poster),
+            });
+          }
+        } else {
+          addSrcset(attrs.srcset || attrs['data-srcset']);
+        }
+        break;
+      }
+
+      case 'video': {
+        if (attrs.poster && isMediaUrl(attrs.poster)) {
+          addAsset({
+            src: normalizeAssetSrc(attrs.poster),
+            alt: '',
+            dimensions: {},
+            context: 'video-poster',
+          });
+        }
+        const src = attrs.src || attrs['data-src'];
+        if (src && isMediaUrl(src)) {
+          addAsset({
+            src: normalizeAssetSrc(src),
+            alt: '',
+            dimensions: {},
+            context: 'video-src',
+            ...getVideoFields(src, current().poster),
+          });
+        }
+        break;
+      }
 
-  while ((match = styleRegex.exec(html)) !== null) {
-    const cssText = match[1];
-    if (cssText) {
-      const bgAssets = extractBgImagesFromCSS(cssText, sourcePath);
-      assets.push(...bgAssets);
+      case 'audio': {
+        const src = attrs.src || attrs['data-src'];
+        if (src && isMediaUrl(src)) {
+          addAsset({
+            src: normalizeAssetSrc(src),
+            alt: attrs.title || attrs['aria-label'] || '',
+            dimensions: {},
+            context: 'audio-src',
+          });
+        }
+        break;
+      }
+
+      case 'a': {
+        if (attrs.href && (isMediaUrl(attrs.href) || getVideoSource(attrs.href))) {
+          openLink = {
+            href: attrs.href,
+            title: attrs.title || '',
+            text: '',
+            location: getLocation(),
+            poster: findOpen((entry) => entry.role === 'block')?.placeholder || '',
+          };
+        }
+        break;
+      }
     }
+  };
+
+  const closeLink = () => {
+    const { href, title, text } = openLink;
+    const video = getVideoFields(href, openLink.poster);
+    const isExternal = isExternalAsset(href) || ['youtube', 'vimeo'].includes(video.videoProvider);
+    assets.push({
+      src: href, // Store the original href as src for external assets
+      alt: title || text.trim() || extractFilenameFromUrl(href),
+      usedIn: [sourcePath],
+      dimensions: {},
+      context: isExternal ? 'external-link' : 'media-link',
+      isExternal: isExternal,
+      originalHref: href, // Keep original href for external assets
+      locations: [openLink.location],
+      ...video,
+    });
+    openLink = null;
+  };
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      if (token.raw && current().name === 'style') {
+        extractBgImagesFromCSS(token.text, sourcePath).forEach((asset) => addAsset(asset));
+      } else if (openLink) {
+        openLink.text += token.text;
+      }
+      continue;
+    }
+
+    if (token.type === 'endTag') {
+      if (token.name === 'a' && openLink) closeLink();
+      closeElement(token.name);
+      continue;
+    }
+
+    // Open the element first so assets in its own attributes get its location
+    if (!VOID_ELEMENTS.has(token.name) && !token.selfClosing) {
+      openElement(token.name, token.attrs);
+    }
+    handleStartTag(token);
   }
+
+  if (openLink) closeLink();
 }
 
 /**
@@ -433,9 +746,10 @@ function isMediaUrl(url) {
 
   // Check for common image extensions
   const imageExts = 'jpg|jpeg|png|gif|webp|svg|bmp|tiff|ico';
-  const videoExts = 'mp4|webm|ogg|avi|mov|wmv|flv';
+  const videoExts = 'mp4|webm|ogv|avi|mov|wmv|flv';
+  const audioExts = 'mp3|wav|m4a|ogg|oga|opus|aac|flac';
   const docExts = 'pdf|doc|docx|xls|xlsx|ppt|pptx';
-  const mediaExtensions = new RegExp(`\\.(${imageExts}|${videoExts}|${docExts})`, 'i');
+  const mediaExtensions = new RegExp(`\\.(${imageExts}|${videoExts}|${audioExts}|${docExts})`, 'i');
 
   // Check for extensions in URL
   if (mediaExtensions.test(url)) return true;
@@ -517,14 +831,17 @@ function parseSrcset(srcset, sourcePath) {
  * Deduplicate assets
  */
 function deduplicateAssets(assets) {
-  const seen = new Set();
+  const seen = new Map();
 
   return assets.filter((asset) => {
     const key = `${asset.src}-${asset.usedIn[0]}`;
     if (seen.has(key)) {
+      // Keep every place the asset appears on the page
+      const first = seen.get(key);
+      first.locations = [...(first.locations || []), ...(asset.locations || [])];
       return false;
     }
-    seen.add(key);
+    seen.set(key, asset);
     return true;
   });
 }
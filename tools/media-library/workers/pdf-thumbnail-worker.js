@@ -0,0 +1,155 @@
+/**
+ * PDF Thumbnail Worker - Renders PDF pages to JPEG with pdf.js
+ * Runs as a module worker; pdf.js parses in this thread instead of starting a nested worker
+ */
+
+const PDFJS_BASE = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38';
+const MAX_OPEN_DOCUMENTS = 3;
+const JPEG_QUALITY = 0.8;
+
+const state = {
+  apiConfig: null,
+  pdfjs: null,
+  documents: new Map(),
+  queue: Promise.resolve(),
+};
+
+/**
+ * Canvases for pdf.js in a worker, where there is no document to create them
+ */
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+  }
+}
+
+function init(config) {
+  state.apiConfig = config;
+}
+
+function loadPdfjs() {
+  if (!state.pdfjs) {
+    state.pdfjs = (async () => {
+      // pdf.js uses the worker module found on globalThis instead of loading it in a new worker
+      globalThis.pdfjsWorker = await import(`${PDFJS_BASE}/build/pdf.worker.min.mjs`);
+      const pdfjs = await import(`${PDFJS_BASE}/build/pdf.min.mjs`);
+      pdfjs.GlobalWorkerOptions.workerSrc = `${PDFJS_BASE}/build/pdf.worker.min.mjs`;
+      return pdfjs;
+    })();
+  }
+  return state.pdfjs;
+}
+
+function getFetchUrl(src) {
+  if (src.startsWith('http')) return src;
+  const { org, repo } = state.apiConfig;
+  const path = src.startsWith(`/${org}/${repo}/`) ? src : `/${org}/${repo}${src}`;
+  return `https://content.da.live${path}`;
+}
+
+function getAuthHeaders(url) {
+  return new URL(url).hostname.endsWith('da.live')
+    ? { 'Authorization': `Bearer ${state.apiConfig.token}` }
+    : {};
+}
+
+/**
+ * Open a PDF, keeping the last few open so paging through a preview doesn't download it again
+ */
+function openDocument(src) {
+  if (!state.documents.has(src)) {
+    const request = (async () => {
+      const url = getFetchUrl(src);
+      const response = await fetch(url, { headers: getAuthHeaders(url) });
+      if (!response.ok) throw new Error(`Failed to fetch PDF: ${response.status} ${response.statusText}`);
+      const data = new Uint8Array(await response.arrayBuffer());
+      const pdfjs = await loadPdfjs();
+      return pdfjs.getDocument({
+        data,
+        CanvasFactory: OffscreenCanvasFactory,
+        isOffscreenCanvasSupported: true,
+        // Font faces need a document, so glyphs are drawn as paths
+        disableFontFace: true,
+        useSystemFonts: false,
+        standardFontDataUrl: `${PDFJS_BASE}/standard_fonts/`,
+        cMapUrl: `${PDFJS_BASE}/cmaps/`,
+        cMapPacked: true,
+      }).promise;
+    })();
+    state.documents.set(src, request);
+    request.catch(() => state.documents.delete(src));
+  }
+
+  const request = state.documents.get(src);
+  // Most recently used documents stay at the end of the map
+  state.documents.delete(src);
+  state.documents.set(src, request);
+  while (state.documents.size > MAX_OPEN_DOCUMENTS) {
+    const [oldest, oldestRequest] = state.documents.entries().next().value;
+    state.documents.delete(oldest);
+    oldestRequest.then((pdf) => pdf.destroy()).catch(() => {});
+  }
+  return request;
+}
+
+/**
+ * Render one page `width` pixels wide as a JPEG blob
+ */
+async function renderPage({ src, page = 1, width }) {
+  const pdf = await openDocument(src);
+  const pageNumber = Math.min(Math.max(1, page), pdf.numPages);
+  const pdfPage = await pdf.getPage(pageNumber);
+  const viewport = pdfPage.getViewport({ scale: width / pdfPage.getViewport({ scale: 1 }).width });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  pdfPage.cleanup();
+
+  return {
+    blob: await canvas.convertToBlob({ type: 'image/jpeg', quality: JPEG_QUALITY }),
+    page: pageNumber,
+    pageCount: pdf.numPages,
+  };
+}
+
+// Message handler
+// eslint-disable-next-line no-restricted-globals
+self.addEventListener('message', (event) => {
+  const { type, data } = event.data;
+
+  switch (type) {
+    case 'init': {
+      init(data.apiConfig);
+      postMessage({ type: 'initialized' });
+      break;
+    }
+
+    case 'render': {
+      // One page at a time keeps memory flat when a folder of large PDFs scrolls into view
+      state.queue = state.queue.then(async () => {
+        try {
+          postMessage({ type: 'rendered', data: { requestId: data.requestId, ...await renderPage(data) } });
+        } catch (error) {
+          postMessage({ type: 'renderFailed', data: { requestId: data.requestId, error: error.message } });
+        }
+      });
+      break;
+    }
+
+    default: {
+      // eslint-disable-next-line no-console
+      console.warn('[DA] pdf-thumbnail-worker: Unknown message type', type);
+    }
+  }
+});